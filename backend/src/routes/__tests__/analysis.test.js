@@ -0,0 +1,99 @@
+const express = require('express');
+const request = require('supertest');
+const analysisRoutes = require('../analysis');
+const sessionStorage = require('../../services/sessionStorage');
+const { createLoanBook } = require('../../services/__fixtures__/loanBook');
+
+const app = express();
+app.use(express.json());
+app.use('/api/analysis', analysisRoutes);
+
+const SESSION_ID = 'analysis-routes-test';
+
+const collectFactors = (nodes, factors = new Set()) => {
+  (nodes || []).forEach(node => {
+    if (node.factor !== 'root') factors.add(node.factor);
+    collectFactors(node.children, factors);
+  });
+  return factors;
+};
+
+describe('analysis routes', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    sessionStorage.createSession(SESSION_ID, {
+      previousMonth: createLoanBook({ count: 300, seed: 51 }),
+      currentMonth: createLoanBook({ count: 300, seed: 52, shift: 0.1 }),
+      availableColumns: ['tier', 'channel', 'product'],
+      numericColumns: ['roi', 'total_loan_amount', 'tenure', 'income'],
+      bandableColumns: ['roi', 'total_loan_amount', 'tenure', 'income']
+    });
+  });
+
+  afterAll(() => {
+    sessionStorage.deleteSession(SESSION_ID);
+    console.log.mockRestore();
+  });
+
+  describe('POST /variant2', () => {
+    it('does not split on numeric columns unless asked to', async () => {
+      const response = await request(app)
+        .post('/api/analysis/variant2')
+        .send({ sessionId: SESSION_ID });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.numericSplits.factors).toEqual([]);
+      const factors = collectFactors(response.body.data.tree);
+      expect(factors.has('total_loan_amount')).toBe(false);
+      expect(factors.has('income')).toBe(false);
+    });
+
+    it('splits on the numeric columns it is given', async () => {
+      const response = await request(app)
+        .post('/api/analysis/variant2')
+        .send({ sessionId: SESSION_ID, availableFactors: ['product'], numericFactors: ['tenure'] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.numericSplits.factors).toEqual(['tenure']);
+    });
+
+    it('rejects numeric columns that are not in the data', async () => {
+      const response = await request(app)
+        .post('/api/analysis/variant2')
+        .send({ sessionId: SESSION_ID, numericFactors: ['bureau_score'] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toMatch(/bureau_score/);
+    });
+  });
+
+  describe.each([
+    ['/variant1', { factorOrder: ['tier', 'channel'] }],
+    ['/variant2', {}],
+    ['/trend', { factor: 'tier' }]
+  ])('POST %s', (route, body) => {
+    it('analyses the target column when no metric definition is sent', async () => {
+      const response = await request(app)
+        .post(`/api/analysis${route}`)
+        .send({ sessionId: SESSION_ID, ...body, targetVariable: 'tenure', mixBasis: 'parent-relative' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.metric.numerator).toBe('tenure');
+    });
+
+    it('validates the options against the metric definition', async () => {
+      const response = await request(app)
+        .post(`/api/analysis${route}`)
+        .send({
+          sessionId: SESSION_ID,
+          ...body,
+          targetVariable: 'roi',
+          metric: { numerator: 'total_loan_amount', aggregation: 'sum' },
+          mixBasis: 'parent-relative'
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid analysis options');
+    });
+  });
+});
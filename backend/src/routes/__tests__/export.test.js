@@ -0,0 +1,180 @@
+const express = require('express');
+const request = require('supertest');
+const analysisRoutes = require('../analysis');
+const exportRoutes = require('../export');
+const sessionStorage = require('../../services/sessionStorage');
+const { createLoanBook } = require('../../services/__fixtures__/loanBook');
+
+const app = express();
+app.use(express.json());
+app.use('/api/analysis', analysisRoutes);
+app.use('/api/export', exportRoutes);
+
+const SESSION_ID = 'export-routes-test';
+
+describe('export routes', () => {
+  let analysisId;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    sessionStorage.createSession(SESSION_ID, {
+      previousMonth: createLoanBook({ count: 200, seed: 71 }),
+      currentMonth: createLoanBook({ count: 200, seed: 72, shift: 0.1 }),
+      availableColumns: ['tier', 'channel', 'product'],
+      numericColumns: ['roi', 'total_loan_amount', 'tenure', 'income']
+    });
+
+    const response = await request(app)
+      .post('/api/analysis/variant1')
+      .send({ sessionId: SESSION_ID, factorOrder: ['tier', 'channel'] });
+    analysisId = response.body.analysisId;
+  });
+
+  afterAll(() => {
+    sessionStorage.deleteSession(SESSION_ID);
+    console.log.mockRestore();
+  });
+
+  describe('POST /tree', () => {
+    it('exports a stored analysis by its IDs', async () => {
+      const response = await request(app)
+        .post('/api/export/tree')
+        .send({ sessionId: SESSION_ID, analysisId, format: 'json' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.format).toBe('json');
+
+      const download = await request(app).get(response.body.data.downloadUrl);
+      expect(download.status).toBe(200);
+      expect(download.body.exportInfo.mode).toBe('stored');
+      expect(download.body.analysisData.tree[0].factor).toBe('root');
+    });
+
+    it('rejects a posted payload without ad-hoc mode', async () => {
+      const response = await request(app)
+        .post('/api/export/tree')
+        .send({ sessionId: SESSION_ID, analysisId, analysisData: { tree: [] } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Unexpected payload');
+    });
+
+    it('exports a posted payload in ad-hoc mode', async () => {
+      const stored = await request(app)
+        .post('/api/export/tree')
+        .send({ sessionId: SESSION_ID, analysisId, format: 'json' });
+      const { analysisData } = (await request(app).get(stored.body.data.downloadUrl)).body;
+
+      const response = await request(app)
+        .post('/api/export/tree')
+        .send({ sessionId: SESSION_ID, mode: 'ad-hoc', analysisData, format: 'csv' });
+
+      expect(response.status).toBe(200);
+    });
+
+    it('returns 404 for an analysis the session does not hold', async () => {
+      const response = await request(app)
+        .post('/api/export/tree')
+        .send({ sessionId: SESSION_ID, analysisId: 'missing-analysis' });
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Analysis not found');
+    });
+
+    it('returns 404 for an unknown session', async () => {
+      const response = await request(app)
+        .post('/api/export/tree')
+        .send({ sessionId: 'missing-session', analysisId });
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Session not found');
+    });
+  });
+
+  describe('POST /report', () => {
+    it('reports the stored analyses of a session', async () => {
+      const response = await request(app)
+        .post('/api/export/report')
+        .send({ sessionId: SESSION_ID, format: 'json' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.reportSummary.totalAnalyses).toBeGreaterThanOrEqual(1);
+    });
+
+    it('rejects posted analyses without ad-hoc mode', async () => {
+      const response = await request(app)
+        .post('/api/export/report')
+        .send({ sessionId: SESSION_ID, analyses: [{ analysisType: 'user-priority' }] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Unexpected payload');
+    });
+
+    it('returns 404 for unknown analysis IDs', async () => {
+      const response = await request(app)
+        .post('/api/export/report')
+        .send({ sessionId: SESSION_ID, analysisIds: [analysisId, 'missing-analysis'] });
+
+      expect(response.status).toBe(404);
+      expect(response.body.message).toMatch(/missing-analysis/);
+    });
+  });
+
+  describe('POST /bridge', () => {
+    const downloadBridge = async body => {
+      const response = await request(app)
+        .post('/api/export/bridge')
+        .send({ sessionId: SESSION_ID, analysisId, format: 'json', ...body });
+      expect(response.status).toBe(200);
+      return (await request(app).get(response.body.data.downloadUrl)).body;
+    };
+
+    it('exports the root bridge from the previous to the current rate', async () => {
+      const bridge = await downloadBridge({});
+      const bars = bridge.bars;
+
+      expect(bridge.analysisId).toBe(analysisId);
+      expect(bars[0]).toMatchObject({ type: 'start', to: bridge.start });
+      expect(bars[bars.length - 1]).toMatchObject({ type: 'end', to: bridge.end });
+      expect(bars[bars.length - 2].to).toBeCloseTo(bridge.end, 9);
+    });
+
+    it('exports the bridge of a drilled segment', async () => {
+      const bridge = await downloadBridge({ path: [0], groupBy: 'component' });
+
+      expect(bridge.path).toEqual([0]);
+      expect(bridge.groupBy).toBe('component');
+      expect(bridge.start).toBe(0);
+      expect(bridge.bars[bridge.bars.length - 2].to).toBeCloseTo(bridge.end, 9);
+    });
+
+    it('exports the bridge as a sheet', async () => {
+      const response = await request(app)
+        .post('/api/export/bridge')
+        .send({ sessionId: SESSION_ID, analysisId, format: 'csv' });
+
+      expect(response.status).toBe(200);
+      const download = await request(app).get(response.body.data.downloadUrl);
+      expect(download.text.split('\n')[0]).toBe('Step,Segment,Component,Value (bps),From (bps),To (bps)');
+    });
+
+    it('returns 400 for a path outside the tree', async () => {
+      const response = await request(app)
+        .post('/api/export/bridge')
+        .send({ sessionId: SESSION_ID, analysisId, path: [0, 9] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid bridge request');
+      expect(response.body.message).toBe('No segment at position 0 → 9');
+    });
+
+    it('returns 404 for an analysis the session does not hold', async () => {
+      const response = await request(app)
+        .post('/api/export/bridge')
+        .send({ sessionId: SESSION_ID, analysisId: 'missing-analysis' });
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Analysis not found');
+    });
+  });
+});
@@ -0,0 +1,89 @@
+const express = require('express');
+const request = require('supertest');
+const XLSX = require('xlsx');
+const uploadRoutes = require('../upload');
+const dataProcessor = require('../../services/dataProcessor');
+const sessionStorage = require('../../services/sessionStorage');
+const missingValuePolicy = require('../../services/missingValuePolicy');
+
+const app = express();
+app.use(express.json());
+app.use('/api/upload', uploadRoutes);
+
+const SESSION_ID = 'upload-routes-test';
+
+// Rows as a CSV parser returns them; every fifth row has no rate and is rejected
+const createRawRows = (prefix, count) => Array.from({ length: count }, (_, index) => ({
+  'Application ID': `${prefix}-${index + 1}`,
+  'Loan Amount': String(10000 + index * 500),
+  ROI: index % 5 === 4 ? '' : String(0.1 + index / 1000),
+  Tier: `Tier ${(index % 3) + 1}`,
+  Branch: `Branch ${index}`
+}));
+
+describe('upload routes', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const parsedData = dataProcessor.buildPeriodResult([
+      { label: 'Jan', source: 'jan.csv', data: createRawRows('JAN', 20) },
+      { label: 'Feb', source: 'feb.csv', data: createRawRows('FEB', 10) }
+    ]);
+    sessionStorage.createSession(SESSION_ID, dataProcessor.prepareForAnalysis(parsedData));
+  });
+
+  afterAll(() => {
+    sessionStorage.deleteSession(SESSION_ID);
+    console.log.mockRestore();
+  });
+
+  describe('GET /:sessionId/rejections', () => {
+    it('keeps only where each rejected row was, not its values', () => {
+      const { rejectedRows } = sessionStorage.getSession(SESSION_ID).data;
+
+      expect(rejectedRows).toHaveLength(6);
+      expect(rejectedRows[0]).toEqual({ period: 'Jan', rowNumber: 5, loanId: 'JAN-5', column: 'roi', reason: 'empty' });
+    });
+
+    it('reports each rejected row with its reason and original columns', async () => {
+      const response = await request(app)
+        .get(`/api/upload/${SESSION_ID}/rejections`)
+        .query({ format: 'xlsx' })
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        });
+
+      expect(response.status).toBe(200);
+      const workbook = XLSX.read(response.body, { type: 'buffer' });
+      const rows = XLSX.utils.sheet_to_json(workbook.Sheets['Rejected Rows']);
+
+      expect(rows.map(row => row['Loan ID'])).toEqual(['JAN-5', 'JAN-10', 'JAN-15', 'JAN-20', 'FEB-5', 'FEB-10']);
+      expect(rows[4]).toMatchObject({
+        Period: 'Feb',
+        Row: 5,
+        'Reason Code': 'empty',
+        Column: 'roi',
+        'Application ID': 'FEB-5',
+        'Loan Amount': '12000',
+        Branch: 'Branch 4'
+      });
+      expect(rows[4].Reason).toBe(missingValuePolicy.describeRejection({ column: 'roi', reason: 'empty' }));
+    });
+
+    it('rejects an unsupported format', async () => {
+      const response = await request(app).get(`/api/upload/${SESSION_ID}/rejections`).query({ format: 'pdf' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Unsupported format');
+    });
+
+    it('returns 404 for an unknown session', async () => {
+      const response = await request(app).get('/api/upload/missing-session/rejections');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Session not found');
+    });
+  });
+});
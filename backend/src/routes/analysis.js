@@ -2,6 +2,8 @@ const express = require('express');
 const dataProcessor = require('../services/dataProcessor');
 const analysisEngine = require('../services/analysisEngine');
 const sessionStorage = require('../services/sessionStorage');
+const comparisonService = require('../services/comparisonService');
+const bridgeService = require('../services/bridgeService');
 const { v4: uuidv4 } = require('uuid');
 
 const router = express.Router();
@@ -38,7 +40,8 @@ router.post('/prepare', async (req, res) => {
       data: {
         summary: analysisData.summary,
         distinctValues: analysisData.distinctValues,
-        availableColumns: analysisData.availableColumns
+        availableColumns: analysisData.availableColumns,
+        numericColumns: analysisData.numericColumns
       }
     });
 
@@ -62,10 +65,24 @@ router.post('/variant1', async (req, res) => {
       sessionId: req.body?.sessionId,
       factorOrder: req.body?.factorOrder,
       targetVariable: req.body?.targetVariable,
+      metric: req.body?.metric,
       activeSessions: sessionStorage.getAllSessionIds()
     });
 
-    const { sessionId, factorOrder, targetVariable = 'roi' } = req.body;
+    const {
+      sessionId,
+      factorOrder,
+      targetVariable = 'roi',
+      metric,
+      decompositionMethod,
+      mixBasis,
+      otherMinAmountPct,
+      otherMinRows,
+      otherTopK,
+      confidenceLevel,
+      previousPeriod,
+      currentPeriod
+    } = req.body;
 
     if (!sessionId || !sessionStorage.hasSession(sessionId)) {
       console.log('❌ Session validation failed:', {
@@ -112,25 +129,58 @@ router.post('/variant1', async (req, res) => {
       });
     }
 
+    const targetError = metric
+      ? validateMetricDefinition(session, metric)
+      : validateTargetVariable(session, targetVariable);
+    if (targetError) {
+      return res.status(400).json(targetError);
+    }
+
+    // Small categories can be collapsed into an "Other" node; confidenceLevel sets each node's impact interval
+    const analysisOptions = { decompositionMethod, mixBasis, otherMinAmountPct, otherMinRows, otherTopK, confidenceLevel };
+    const optionsError = validateAnalysisOptions(analysisOptions, getRequestMetric(metric, targetVariable));
+    if (optionsError) {
+      return res.status(400).json(optionsError);
+    }
+
+    let periodPair;
+    try {
+      periodPair = dataProcessor.getPeriodPair(session.data, previousPeriod, currentPeriod);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid period',
+        message: error.message,
+        periods: session.data.periodLabels || []
+      });
+    }
+
     console.log(`🔄 Running User-Priority analysis for session ${sessionId} with factors: ${factorOrder.join(' → ')}`);
 
     // Perform analysis with impact decomposition
     console.log('📊 Using analysis with impact decomposition');
-    const analysisResult = analysisEngine.performUserPriorityAnalysisV2(
-      session.data,
-      factorOrder,
-      targetVariable
-    );
+    const analysisResult = {
+      ...analysisEngine.performUserPriorityAnalysisV2(
+        periodPair,
+        factorOrder,
+        targetVariable,
+        metric,
+        analysisOptions
+      ),
+      periods: {
+        previous: periodPair.previousPeriod,
+        current: periodPair.currentPeriod
+      }
+    };
 
     // Store analysis result
     const analysisId = uuidv4();
-    session.analyses[analysisId] = {
+    sessionStorage.saveAnalysis(sessionId, analysisId, {
       ...analysisResult,
       timestamp: new Date().toISOString()
-    };
+    });
 
     // Generate tabular export data
-    const tableData = analysisEngine.exportTreeToTable(analysisResult.tree, 'user-priority');
+    const tableData = analysisEngine.exportTreeToTable(analysisResult.tree, 'user-priority', analysisResult.metric);
 
     res.json({
       success: true,
@@ -159,7 +209,28 @@ router.post('/variant1', async (req, res) => {
  */
 router.post('/variant2', async (req, res) => {
   try {
-    const { sessionId, targetVariable = 'roi', availableFactors } = req.body;
+    const {
+      sessionId,
+      targetVariable = 'roi',
+      availableFactors,
+      numericFactors,
+      maxNumericBranches,
+      maxDepth,
+      minRows,
+      minAmountPct,
+      minImpactBps,
+      maxBranches,
+      otherMinAmountPct,
+      otherMinRows,
+      otherTopK,
+      mergeCategories,
+      confidenceLevel,
+      metric,
+      decompositionMethod,
+      mixBasis,
+      previousPeriod,
+      currentPeriod
+    } = req.body;
 
     if (!sessionId || !sessionStorage.hasSession(sessionId)) {
       return res.status(400).json({
@@ -189,25 +260,93 @@ router.post('/variant2', async (req, res) => {
       });
     }
 
+    const targetError = metric
+      ? validateMetricDefinition(session, metric)
+      : validateTargetVariable(session, targetVariable);
+    if (targetError) {
+      return res.status(400).json(targetError);
+    }
+
+    // Numeric columns are only split by range when requested: the loan amount and weight
+    // columns are numeric too, and splitting on them by default would crowd out real drivers
+    const numericColumns = session.data.bandableColumns || [];
+    const numericFactorsToAnalyze = Array.isArray(numericFactors) ? numericFactors : [];
+
+    const invalidNumericFactors = numericFactorsToAnalyze.filter(factor => !numericColumns.includes(factor));
+    if (invalidNumericFactors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid factors',
+        message: `The following numeric factors are not available: ${invalidNumericFactors.join(', ')}`,
+        numericFactors: numericColumns
+      });
+    }
+
+    const analysisOptions = {
+      decompositionMethod,
+      mixBasis,
+      numericFactors: numericFactorsToAnalyze,
+      maxNumericBranches,
+      // Stopping rules; any left out use the engine defaults
+      maxDepth,
+      minRows,
+      minAmountPct,
+      minImpactBps,
+      maxBranches,
+      // Small categories can be collapsed into an "Other" node
+      otherMinAmountPct,
+      otherMinRows,
+      otherTopK,
+      // Categories that behave alike can share a branch
+      mergeCategories,
+      // Width of each node's impact interval
+      confidenceLevel
+    };
+    const optionsError = validateAnalysisOptions(analysisOptions, getRequestMetric(metric, targetVariable));
+    if (optionsError) {
+      return res.status(400).json(optionsError);
+    }
+
+    let periodPair;
+    try {
+      periodPair = dataProcessor.getPeriodPair(session.data, previousPeriod, currentPeriod);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid period',
+        message: error.message,
+        periods: session.data.periodLabels || []
+      });
+    }
+
     console.log(`🤖 Running Auto-Max Split analysis for session ${sessionId} with factors: ${factorsToAnalyze.join(', ')}`);
+    if (numericFactorsToAnalyze.length > 0) {
+      console.log(`🔢 Numeric range splits on: ${numericFactorsToAnalyze.join(', ')}`);
+    }
 
     // Perform analysis with impact decomposition
     console.log('📊 Using analysis with impact decomposition');
-    const analysisResult = analysisEngine.performAutoMaxSplitAnalysisV2(
-      session.data,
-      targetVariable,
-      factorsToAnalyze
-    );
+    const analysisResult = {
+      ...analysisEngine.performAutoMaxSplitAnalysisV2(
+        periodPair,
+        targetVariable,
+        factorsToAnalyze,
+        metric,
+        analysisOptions
+      ),
+      periods: {
+        previous: periodPair.previousPeriod,
+        current: periodPair.currentPeriod
+      }
+    };
 
     // Store analysis result
     const analysisId = uuidv4();
-    session.analyses[analysisId] = {
+    sessionStorage.saveAnalysis(sessionId, analysisId, {
       ...analysisResult,
       timestamp: new Date().toISOString()
-    };
+    });
 
     // Generate tabular export data
-    const tableData = analysisEngine.exportTreeToTable(analysisResult.tree, 'auto-max-split');
+    const tableData = analysisEngine.exportTreeToTable(analysisResult.tree, 'auto-max-split', analysisResult.metric);
 
     res.json({
       success: true,
@@ -230,13 +369,162 @@ router.post('/variant2', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/analysis/trend
+ * Track how each segment's yield and mix impact evolved across all uploaded periods
+ */
+router.post('/trend', async (req, res) => {
+  try {
+    const { sessionId, factor, comparison = 'mom', targetVariable = 'roi', metric, decompositionMethod, mixBasis } = req.body;
+
+    if (!sessionId || !sessionStorage.hasSession(sessionId)) {
+      return res.status(400).json({
+        error: 'Invalid session',
+        message: 'Please upload data first to create a session'
+      });
+    }
+
+    const session = sessionStorage.getSession(sessionId);
+    const availableFactors = session.data.availableColumns;
+
+    if (!factor || !availableFactors.includes(factor)) {
+      return res.status(400).json({
+        error: 'Invalid factor',
+        message: `Factor "${factor}" is not available`,
+        availableFactors
+      });
+    }
+
+    const targetError = metric
+      ? validateMetricDefinition(session, metric)
+      : validateTargetVariable(session, targetVariable);
+    if (targetError) {
+      return res.status(400).json(targetError);
+    }
+
+    const analysisOptions = { decompositionMethod, mixBasis };
+    const optionsError = validateAnalysisOptions(analysisOptions, getRequestMetric(metric, targetVariable));
+    if (optionsError) {
+      return res.status(400).json(optionsError);
+    }
+
+    // Sessions created before multi-period uploads only hold the previous/current pair
+    const periods = session.data.periods || [
+      { label: 'Previous Month', data: session.data.previousMonth },
+      { label: 'Current Month', data: session.data.currentMonth }
+    ];
+
+    let trend;
+    try {
+      trend = analysisEngine.performTrendAnalysis(periods, factor, comparison, targetVariable, metric, analysisOptions);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid trend request',
+        message: error.message,
+        periods: periods.map(period => period.label)
+      });
+    }
+
+    res.json({
+      success: true,
+      sessionId,
+      message: 'Trend analysis completed successfully',
+      data: trend
+    });
+
+  } catch (error) {
+    console.error('Trend analysis error:', error);
+    res.status(500).json({
+      error: 'Trend analysis failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/analysis/attribution
+ * Order-independent (Shapley) attribution of the change to the selected factors
+ */
+router.post('/attribution', async (req, res) => {
+  try {
+    const { sessionId, factors, targetVariable = 'roi', metric, previousPeriod, currentPeriod } = req.body;
+
+    if (!sessionId || !sessionStorage.hasSession(sessionId)) {
+      return res.status(400).json({
+        error: 'Invalid session',
+        message: 'Please upload data first to create a session'
+      });
+    }
+
+    if (!Array.isArray(factors) || factors.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid factors',
+        message: 'Factors must be a non-empty array'
+      });
+    }
+
+    const session = sessionStorage.getSession(sessionId);
+    const availableFactors = session.data.availableColumns;
+    const invalidFactors = factors.filter(factor => !availableFactors.includes(factor));
+    if (invalidFactors.length > 0 || new Set(factors).size !== factors.length) {
+      return res.status(400).json({
+        error: 'Invalid factors',
+        message: invalidFactors.length > 0
+          ? `The following factors are not available: ${invalidFactors.join(', ')}`
+          : 'Each factor can only be listed once',
+        availableFactors
+      });
+    }
+
+    const targetError = metric
+      ? validateMetricDefinition(session, metric)
+      : validateTargetVariable(session, targetVariable);
+    if (targetError) {
+      return res.status(400).json(targetError);
+    }
+
+    let periodPair;
+    try {
+      periodPair = dataProcessor.getPeriodPair(session.data, previousPeriod, currentPeriod);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid period',
+        message: error.message,
+        periods: session.data.periodLabels || []
+      });
+    }
+
+    const attribution = analysisEngine.performShapleyAttribution(periodPair, factors, targetVariable, metric);
+
+    res.json({
+      success: true,
+      sessionId,
+      message: 'Factor attribution completed successfully',
+      data: {
+        ...attribution,
+        periods: {
+          previous: periodPair.previousPeriod,
+          current: periodPair.currentPeriod
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Factor attribution error:', error);
+    res.status(500).json({
+      error: 'Factor attribution failed',
+      message: error.message
+    });
+  }
+});
+
 /**
  * POST /api/analysis/compare
- * Compare results from both analysis variants
+ * Diff a User-Priority tree against an Auto-Max Split tree built on the same data
  */
 router.post('/compare', async (req, res) => {
   try {
-    const { sessionId, variant1AnalysisId, variant2AnalysisId } = req.body;
+    const { sessionId, variant1AnalysisId, variant2AnalysisId, topN } = req.body;
 
     if (!sessionId || !sessionStorage.hasSession(sessionId)) {
       return res.status(400).json({
@@ -257,27 +545,29 @@ router.post('/compare', async (req, res) => {
       });
     }
 
-    // Generate comparison insights
+    if (analysis1.analysisType !== 'user-priority' || analysis2.analysisType !== 'auto-max-split') {
+      return res.status(400).json({
+        error: 'Invalid analysis types',
+        message: 'Compare a User-Priority analysis (variant1AnalysisId) with an Auto-Max Split analysis (variant2AnalysisId)'
+      });
+    }
+
+    const comparabilityError = validateComparableAnalyses(analysis1, analysis2);
+    if (comparabilityError) {
+      return res.status(400).json(comparabilityError);
+    }
+
+    if (topN !== undefined && (!Number.isInteger(topN) || topN < 1)) {
+      return res.status(400).json({
+        error: 'Invalid comparison options',
+        message: 'topN must be a whole number of at least 1'
+      });
+    }
+
+    const diff = comparisonService.compare(analysis1, analysis2, { topN });
     const comparison = {
-      summary: {
-        userPriority: {
-          totalNodes: analysis1.metadata.totalNodes,
-          maxDepth: analysis1.metadata.maxDepth,
-          factorOrder: analysis1.factorOrder
-        },
-        autoMaxSplit: {
-          totalNodes: analysis2.metadata.totalNodes,
-          maxDepth: analysis2.metadata.maxDepth,
-          topFeatures: Object.keys(analysis2.featureImportance)
-            .sort((a, b) => analysis2.featureImportance[b] - analysis2.featureImportance[a])
-            .slice(0, 3)
-        }
-      },
-      differences: {
-        approachDifference: 'User-Priority follows predefined factor sequence, while Auto-Max Split optimizes for maximum variance reduction',
-        structuralDifference: `User-Priority created ${analysis1.metadata.totalNodes} nodes vs Auto-Max Split's ${analysis2.metadata.totalNodes} nodes`
-      },
-      recommendations: generateComparisonRecommendations(analysis1, analysis2)
+      ...diff,
+      recommendations: generateComparisonRecommendations(diff, analysis1.metric)
     };
 
     res.json({
@@ -285,11 +575,15 @@ router.post('/compare', async (req, res) => {
       message: 'Analysis comparison completed',
       data: {
         comparison,
+        metric: analysis1.metric,
+        periods: analysis1.periods,
         variant1: {
+          analysisId: variant1AnalysisId,
           analysisType: analysis1.analysisType,
           metadata: analysis1.metadata
         },
         variant2: {
+          analysisId: variant2AnalysisId,
           analysisType: analysis2.analysisType,
           metadata: analysis2.metadata,
           featureImportance: analysis2.featureImportance
@@ -306,6 +600,57 @@ router.post('/compare', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/analysis/bridge
+ * Waterfall from previous to current value for a stored tree, or for one of its segments
+ */
+router.post('/bridge', async (req, res) => {
+  try {
+    const { sessionId, analysisId, path = [], groupBy = 'segment' } = req.body;
+
+    if (!sessionId || !sessionStorage.hasSession(sessionId)) {
+      return res.status(400).json({
+        error: 'Invalid session',
+        message: 'Session not found'
+      });
+    }
+
+    const analysis = sessionStorage.getSession(sessionId).analyses[analysisId];
+    if (!analysis) {
+      return res.status(400).json({
+        error: 'Invalid analysis ID',
+        message: 'Analysis result not found'
+      });
+    }
+
+    let bridge;
+    try {
+      bridge = bridgeService.build(analysis, { path, groupBy });
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid bridge request',
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Bridge generated',
+      data: {
+        analysisId,
+        ...bridge
+      }
+    });
+
+  } catch (error) {
+    console.error('Bridge error:', error);
+    res.status(500).json({
+      error: 'Bridge failed',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/analysis/session/:sessionId
  * Get analysis session details
@@ -330,6 +675,7 @@ router.get('/session/:sessionId', (req, res) => {
         timestamp: session.timestamp,
         summary: session.data.summary,
         availableColumns: session.data.availableColumns,
+        periods: session.data.periodLabels || [],
         analysisCount: Object.keys(session.analyses).length,
         analyses: Object.keys(session.analyses).map(analysisId => ({
           analysisId,
@@ -381,13 +727,128 @@ router.delete('/session/:sessionId', (req, res) => {
 
 // Helper functions
 
-function generateComparisonRecommendations(analysis1, analysis2) {
-  return [
-    'Use User-Priority analysis when you have domain expertise about factor importance',
-    'Use Auto-Max Split analysis to discover unexpected patterns in your data',
-    'Compare both results to validate your business assumptions',
-    'Focus on drivers that appear significant in both analyses for highest confidence'
-  ];
+function validateTargetVariable(session, targetVariable) {
+  // Sessions created before numeric column detection only support ROI
+  const numericColumns = session.data.numericColumns || ['roi'];
+
+  if (typeof targetVariable !== 'string' || !numericColumns.includes(targetVariable)) {
+    return {
+      error: 'Invalid target variable',
+      message: `Target variable "${targetVariable}" is not a numeric column in the uploaded data`,
+      numericColumns
+    };
+  }
+
+  return null;
+}
+
+function validateMetricDefinition(session, metric) {
+  if (typeof metric !== 'object' || Array.isArray(metric)) {
+    return {
+      error: 'Invalid metric',
+      message: 'Metric must be an object with numerator, weight and aggregation'
+    };
+  }
+
+  const numeratorError = validateTargetVariable(session, metric.numerator);
+  if (numeratorError) return numeratorError;
+
+  if (metric.weight !== undefined && metric.weight !== null) {
+    const weightError = validateTargetVariable(session, metric.weight);
+    if (weightError) {
+      return {
+        ...weightError,
+        error: 'Invalid metric weight',
+        message: `Weight column "${metric.weight}" is not a numeric column in the uploaded data`
+      };
+    }
+  }
+
+  try {
+    analysisEngine.resolveMetric(metric);
+  } catch (error) {
+    return {
+      error: 'Invalid metric',
+      message: error.message
+    };
+  }
+
+  return null;
+}
+
+// The metric a request analyses, resolved the way the engine does: the metric definition when
+// one is sent, otherwise the target column
+function getRequestMetric(metric, targetVariable) {
+  return metric || targetVariable || 'roi';
+}
+
+function validateAnalysisOptions(options, metric) {
+  try {
+    analysisEngine.resolveAnalysisConfig(metric, options);
+  } catch (error) {
+    return {
+      error: 'Invalid analysis options',
+      message: error.message
+    };
+  }
+
+  return null;
+}
+
+// Trees are only comparable when they decompose the same metric over the same periods
+function validateComparableAnalyses(analysis1, analysis2) {
+  const metricKey = analysis => analysis.metric
+    ? [analysis.metric.numerator, analysis.metric.weight, analysis.metric.aggregation].join('|')
+    : analysis.targetVariable;
+  if (metricKey(analysis1) !== metricKey(analysis2)) {
+    return {
+      error: 'Incomparable analyses',
+      message: 'Both analyses must use the same metric; re-run one of them with the other\'s metric'
+    };
+  }
+
+  const periodKey = analysis => analysis.periods ? `${analysis.periods.previous}|${analysis.periods.current}` : '';
+  if (periodKey(analysis1) !== periodKey(analysis2)) {
+    return {
+      error: 'Incomparable analyses',
+      message: 'Both analyses must compare the same pair of periods'
+    };
+  }
+
+  return null;
+}
+
+function generateComparisonRecommendations(comparison, metric) {
+  const recommendations = [];
+  const unit = metric && metric.unit === 'units' ? '' : ' bps';
+  const formatImpact = value => `${value >= 0 ? '+' : ''}${value.toFixed(1)}${unit}`;
+
+  if (comparison.sharedTopDrivers.length > 0) {
+    const labels = comparison.sharedTopDrivers.slice(0, 3).map(driver => driver.label);
+    recommendations.push(`Both trees rank ${labels.join('; ')} among their top ${comparison.topN} drivers; these carry the highest confidence`);
+  } else {
+    recommendations.push(`The trees share none of their top ${comparison.topN} drivers, so the factor order decides which segments stand out; validate the User-Priority order before relying on it`);
+  }
+
+  comparison.ignoredFactors.slice(0, 2).forEach(({ factor, firstDepth, strongestSegment }) => {
+    recommendations.push(`Auto-Max Split splits on ${factor} (first at depth ${firstDepth}, up to ${formatImpact(strongestSegment.totalImpactBps)} for ${strongestSegment.label}) but the User-Priority order leaves it out; consider adding it`);
+  });
+
+  if (comparison.unusedFactors.length > 0) {
+    recommendations.push(`Auto-Max Split never splits on ${comparison.unusedFactors.join(', ')}; these factors separate the change less than the ones it chose`);
+  }
+
+  const firstLevel = {
+    userPriority: comparison.explainedByDepth.userPriority[0],
+    autoMaxSplit: comparison.explainedByDepth.autoMaxSplit[0]
+  };
+  if (firstLevel.userPriority && firstLevel.autoMaxSplit &&
+      firstLevel.userPriority.largestSegmentPct !== null && firstLevel.autoMaxSplit.largestSegmentPct !== null) {
+    const sharper = firstLevel.autoMaxSplit.largestSegmentPct >= firstLevel.userPriority.largestSegmentPct ? 'Auto-Max Split' : 'User-Priority';
+    recommendations.push(`At the first split the largest segment holds ${firstLevel.userPriority.largestSegmentPct.toFixed(0)}% of the gross impact in User-Priority vs ${firstLevel.autoMaxSplit.largestSegmentPct.toFixed(0)}% in Auto-Max Split; ${sharper} isolates its main driver sooner`);
+  }
+
+  return recommendations;
 }
 
 module.exports = router;
@@ -3,6 +3,10 @@ const path = require('path');
 const fs = require('fs-extra');
 const XLSX = require('xlsx');
 const { v4: uuidv4 } = require('uuid');
+const sessionStorage = require('../services/sessionStorage');
+const analysisEngine = require('../services/analysisEngine');
+const narrativeGenerator = require('../services/narrativeGenerator');
+const bridgeService = require('../services/bridgeService');
 
 const router = express.Router();
 
@@ -11,7 +15,9 @@ const exportSessions = new Map();
 
 /**
  * POST /api/export/tree
- * Export decision tree data to various formats
+ * Export decision tree data to various formats.
+ * By default the analysis is loaded from the session store by sessionId + analysisId.
+ * Client-posted analysisData/tableData/metadata are only accepted with mode: 'ad-hoc'.
  */
 router.post('/tree', async (req, res) => {
   try {
@@ -19,34 +25,32 @@ router.post('/tree', async (req, res) => {
       sessionId, 
       analysisId, 
       format = 'excel', 
+      mode = 'stored',
       includeTree = true, 
       includeTable = true,
       includeMetadata = true 
     } = req.body;
 
-    if (!sessionId || !analysisId) {
-      return res.status(400).json({
-        error: 'Missing parameters',
-        message: 'sessionId and analysisId are required'
-      });
-    }
-
-    // For this demo, we'll work with the provided data directly
-    const { analysisData, tableData, metadata } = req.body;
+    const payload = mode === 'ad-hoc'
+      ? resolveAdHocPayload(req.body)
+      : resolveStoredPayload(req.body);
 
-    if (!analysisData) {
-      return res.status(400).json({
-        error: 'Missing analysis data',
-        message: 'Analysis data is required for export'
+    if (payload.error) {
+      return res.status(payload.status).json({
+        error: payload.error,
+        message: payload.message
       });
     }
 
-    console.log(`📊 Exporting analysis data in ${format} format`);
+    const { analysisData, tableData, metadata } = payload;
+
+    console.log(`📊 Exporting ${mode} analysis data in ${format} format`);
 
     const exportData = {
       timestamp: new Date().toISOString(),
       sessionId,
       analysisId,
+      mode,
       analysisType: analysisData.analysisType || 'unknown'
     };
 
@@ -54,13 +58,13 @@ router.post('/tree', async (req, res) => {
 
     switch (format.toLowerCase()) {
       case 'excel':
-        exportResult = await this.exportToExcel(analysisData, tableData, metadata, exportData);
+        exportResult = await router.exportToExcel(analysisData, tableData, metadata, exportData);
         break;
       case 'csv':
-        exportResult = await this.exportToCSV(analysisData, tableData, exportData);
+        exportResult = await router.exportToCSV(analysisData, tableData, exportData);
         break;
       case 'json':
-        exportResult = await this.exportToJSON(analysisData, tableData, metadata, exportData);
+        exportResult = await router.exportToJSON(analysisData, tableData, metadata, exportData);
         break;
       default:
         return res.status(400).json({
@@ -98,6 +102,96 @@ router.post('/tree', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/export/bridge
+ * Export the bridge (waterfall) of a stored analysis, or of one of its segments
+ */
+router.post('/bridge', async (req, res) => {
+  try {
+    const { sessionId, analysisId, path = [], groupBy = 'segment', format = 'excel' } = req.body;
+
+    const payload = resolveStoredPayload({ sessionId, analysisId });
+    if (payload.error) {
+      return res.status(payload.status).json({
+        error: payload.error,
+        message: payload.message
+      });
+    }
+
+    let bridge;
+    try {
+      bridge = bridgeService.build(payload.analysisData, { path, groupBy });
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid bridge request',
+        message: error.message
+      });
+    }
+
+    console.log(`📊 Exporting bridge for ${bridge.node.label} in ${format} format`);
+
+    const rows = router.flattenBridge(bridge);
+    const baseName = `roi-bridge-${payload.analysisData.analysisType || 'analysis'}-${Date.now()}`;
+    let exportResult;
+
+    switch (format.toLowerCase()) {
+      case 'excel': {
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), 'Bridge');
+        const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+        exportResult = {
+          buffer,
+          filename: `${baseName}.xlsx`,
+          contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+          size: buffer.length
+        };
+        break;
+      }
+      case 'csv': {
+        const buffer = Buffer.from(XLSX.utils.sheet_to_csv(XLSX.utils.json_to_sheet(rows)), 'utf8');
+        exportResult = { buffer, filename: `${baseName}.csv`, contentType: 'text/csv', size: buffer.length };
+        break;
+      }
+      case 'json': {
+        const buffer = Buffer.from(JSON.stringify({ analysisId, ...bridge }, null, 2), 'utf8');
+        exportResult = { buffer, filename: `${baseName}.json`, contentType: 'application/json', size: buffer.length };
+        break;
+      }
+      default:
+        return res.status(400).json({
+          error: 'Unsupported format',
+          message: 'Supported formats: excel, csv, json'
+        });
+    }
+
+    const exportId = uuidv4();
+    exportSessions.set(exportId, {
+      ...exportResult,
+      timestamp: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + 3600000).toISOString()
+    });
+
+    res.json({
+      success: true,
+      exportId,
+      message: `Bridge exported successfully in ${format} format`,
+      data: {
+        filename: exportResult.filename,
+        size: exportResult.size,
+        format: format,
+        downloadUrl: `/api/export/download/${exportId}`
+      }
+    });
+
+  } catch (error) {
+    console.error('Bridge export error:', error);
+    res.status(500).json({
+      error: 'Export failed',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/export/download/:exportId
  * Download exported file
@@ -152,17 +246,52 @@ router.post('/report', async (req, res) => {
   try {
     const {
       sessionId,
-      analyses, // Array of analysis results
+      analysisIds, // Stored analyses to include (defaults to all in the session)
+      mode = 'stored',
       includeCharts = true,
       includeComparison = true,
       format = 'excel'
     } = req.body;
 
-    if (!sessionId || !analyses || analyses.length === 0) {
-      return res.status(400).json({
-        error: 'Missing data',
-        message: 'sessionId and analyses array are required'
-      });
+    let analyses;
+    if (mode === 'ad-hoc') {
+      // Client-posted analysis results
+      analyses = req.body.analyses;
+      if (!sessionId || !analyses || analyses.length === 0) {
+        return res.status(400).json({
+          error: 'Missing data',
+          message: 'sessionId and analyses array are required in ad-hoc mode'
+        });
+      }
+    } else {
+      if (req.body.analyses) {
+        return res.status(400).json({
+          error: 'Unexpected payload',
+          message: "Client-supplied analyses are only accepted with mode: 'ad-hoc'"
+        });
+      }
+
+      if (!sessionId || !sessionStorage.hasSession(sessionId)) {
+        return res.status(404).json({
+          error: 'Session not found',
+          message: 'The specified session does not exist or has expired'
+        });
+      }
+
+      const session = sessionStorage.getSession(sessionId);
+      const ids = analysisIds && analysisIds.length > 0 ? analysisIds : Object.keys(session.analyses);
+      const missingIds = ids.filter(id => !session.analyses[id]);
+
+      if (missingIds.length > 0 || ids.length === 0) {
+        return res.status(404).json({
+          error: 'Analysis not found',
+          message: ids.length === 0
+            ? 'The session has no stored analyses'
+            : `The following analyses were not found: ${missingIds.join(', ')}`
+        });
+      }
+
+      analyses = ids.map(id => withTableData(session.analyses[id]));
     }
 
     console.log(`📋 Generating comprehensive report for ${analyses.length} analyses`);
@@ -181,9 +310,9 @@ router.post('/report', async (req, res) => {
     let exportResult;
 
     if (format === 'excel') {
-      exportResult = await this.generateExcelReport(analyses, reportData);
+      exportResult = await router.generateExcelReport(analyses, reportData);
     } else if (format === 'json') {
-      exportResult = await this.generateJSONReport(analyses, reportData);
+      exportResult = await router.generateJSONReport(analyses, reportData);
     } else {
       return res.status(400).json({
         error: 'Unsupported format',
@@ -242,13 +371,21 @@ router.exportToExcel = async function(analysisData, tableData, metadata, exportI
   ];
 
   if (metadata) {
+    // totalROIChange is already scaled to the metric's display unit (bps for rates)
+    const unit = analysisData.metric?.unit || 'bps';
     summaryData.push(
+      ['Metric', analysisData.metric?.label || 'ROI'],
       ['Total Nodes', metadata.totalNodes || 'N/A'],
       ['Max Depth', metadata.maxDepth || 'N/A'],
-      ['Total ROI Change (bps)', metadata.totalROIChange ? (metadata.totalROIChange * 100).toFixed(2) : 'N/A']
+      [`Total Change (${unit})`, typeof metadata.totalROIChange === 'number' ? metadata.totalROIChange.toFixed(2) : 'N/A']
     );
   }
 
+  const narrative = router.getNarrative(analysisData);
+  if (narrative) {
+    summaryData.push([''], ['Commentary'], ...narrative.sentences.map(sentence => [sentence]));
+  }
+
   const summarySheet = XLSX.utils.aoa_to_sheet(summaryData);
   XLSX.utils.book_append_sheet(workbook, summarySheet, 'Summary');
 
@@ -260,7 +397,7 @@ router.exportToExcel = async function(analysisData, tableData, metadata, exportI
 
   // Tree Structure Sheet (simplified)
   if (analysisData.tree) {
-    const treeData = this.flattenTreeForExcel(analysisData.tree);
+    const treeData = router.flattenTreeForExcel(analysisData.tree, analysisData.metric?.unit);
     const treeSheet = XLSX.utils.json_to_sheet(treeData);
     XLSX.utils.book_append_sheet(workbook, treeSheet, 'Tree Structure');
   }
@@ -293,6 +430,13 @@ router.exportToCSV = async function(analysisData, tableData, exportInfo) {
   csvContent += 'ROI Change Driver Analysis Export\n';
   csvContent += `Generated At,${exportInfo.timestamp}\n`;
   csvContent += `Analysis Type,${exportInfo.analysisType}\n`;
+  if (analysisData.metric) {
+    csvContent += `Metric,${analysisData.metric.label}\n`;
+  }
+  const narrative = router.getNarrative(analysisData);
+  if (narrative) {
+    csvContent += `Commentary,"${narrative.text.replace(/"/g, '""')}"\n`;
+  }
   csvContent += '\n';
 
   // Table data
@@ -323,9 +467,12 @@ router.exportToJSON = async function(analysisData, tableData, metadata, exportIn
     analysisData: {
       analysisType: analysisData.analysisType,
       targetVariable: analysisData.targetVariable,
+      metric: analysisData.metric,
+      decomposition: analysisData.decomposition,
       factorOrder: analysisData.factorOrder,
       tree: analysisData.tree,
       featureImportance: analysisData.featureImportance,
+      narrative: router.getNarrative(analysisData),
       metadata: metadata
     },
     tableData,
@@ -361,6 +508,13 @@ router.generateExcelReport = async function(analyses, reportData) {
     summaryData.push([`Analysis ${index + 1}`, analysis.analysisType]);
   });
 
+  analyses.forEach((analysis, index) => {
+    const narrative = router.getNarrative(analysis);
+    if (narrative) {
+      summaryData.push([''], [`Analysis ${index + 1} Commentary`], ...narrative.sentences.map(sentence => [sentence]));
+    }
+  });
+
   const summarySheet = XLSX.utils.aoa_to_sheet(summaryData);
   XLSX.utils.book_append_sheet(workbook, summarySheet, 'Report Summary');
 
@@ -392,7 +546,8 @@ router.generateJSONReport = async function(analyses, reportData) {
       metadata: analysis.metadata,
       tree: analysis.tree,
       tableData: analysis.tableData,
-      featureImportance: analysis.featureImportance
+      featureImportance: analysis.featureImportance,
+      narrative: router.getNarrative(analysis)
     }))
   };
 
@@ -407,14 +562,38 @@ router.generateJSONReport = async function(analyses, reportData) {
   };
 };
 
-router.flattenTreeForExcel = function(tree) {
+/**
+ * Commentary for an analysis: the stored narrative, or one generated from a posted V2 tree
+ * @returns {Object|null} { headline, sentences, text }
+ */
+router.getNarrative = function(analysis) {
+  if (analysis.narrative) return analysis.narrative;
+  const root = (analysis.tree || [])[0];
+  if (!root || !root.metrics || typeof root.metrics.totalImpactBps !== 'number') return null;
+  return narrativeGenerator.generate(analysis);
+};
+
+router.flattenBridge = function(bridge) {
+  const unit = bridge.metric.unit || 'bps';
+  return bridge.bars.map(bar => ({
+    Step: bar.label,
+    Segment: bar.segment || '',
+    Component: bar.component || bar.type,
+    [`Value (${unit})`]: Number(bar.value.toFixed(4)),
+    [`From (${unit})`]: Number(bar.from.toFixed(4)),
+    [`To (${unit})`]: Number(bar.to.toFixed(4))
+  }));
+};
+
+router.flattenTreeForExcel = function(tree, unit = 'bps') {
   const flattened = [];
   
   const traverse = (nodes, depth = 0, parentPath = '') => {
     if (!nodes) return;
     
     nodes.forEach(node => {
-      const currentPath = parentPath ? `${parentPath} → ${node.factor}:${node.value}` : `${node.factor}:${node.value}`;
+      const nodeLabel = analysisEngine.getNodeLabel(node);
+      const currentPath = parentPath ? `${parentPath} → ${nodeLabel}` : nodeLabel;
       
       flattened.push({
         Depth: depth,
@@ -424,7 +603,12 @@ router.flattenTreeForExcel = function(tree) {
         'Previous ROI': node.metrics.previousROI?.toFixed(4) || '0.0000',
         'Current ROI': node.metrics.currentROI?.toFixed(4) || '0.0000',
         'ROI Change': node.metrics.roiChange?.toFixed(4) || '0.0000',
-        'ROI Change (bps)': node.metrics.roiChangeBps?.toFixed(2) || '0.00',
+        [`ROI Change (${unit})`]: node.metrics.roiChangeBps?.toFixed(2) || '0.00',
+        [`Total Impact (${unit})`]: node.metrics.totalImpactBps?.toFixed(2) || '0.00',
+        [`Impact Interval (${unit})`]: node.significance?.totalImpactBps
+          ? `${node.significance.totalImpactBps.low.toFixed(2)} to ${node.significance.totalImpactBps.high.toFixed(2)}`
+          : '',
+        Significant: node.significance ? (node.significance.significant ? 'Yes' : 'No') : '',
         'Previous Amount': node.metrics.previousAmount?.toLocaleString() || '0',
         'Current Amount': node.metrics.currentAmount?.toLocaleString() || '0'
       });
@@ -439,6 +623,85 @@ router.flattenTreeForExcel = function(tree) {
   return flattened;
 };
 
+/**
+ * Load an analysis from the session store and regenerate its table data
+ * @returns {Object} { analysisData, tableData, metadata } or { status, error, message }
+ */
+function resolveStoredPayload(body) {
+  const { sessionId, analysisId, analysisData, tableData, metadata } = body;
+
+  if (analysisData || tableData || metadata) {
+    return {
+      status: 400,
+      error: 'Unexpected payload',
+      message: "Client-supplied analysis data is only accepted with mode: 'ad-hoc'"
+    };
+  }
+
+  if (!sessionId || !analysisId) {
+    return {
+      status: 400,
+      error: 'Missing parameters',
+      message: 'sessionId and analysisId are required'
+    };
+  }
+
+  if (!sessionStorage.hasSession(sessionId)) {
+    return {
+      status: 404,
+      error: 'Session not found',
+      message: 'The specified session does not exist or has expired'
+    };
+  }
+
+  const analysis = sessionStorage.getSession(sessionId).analyses[analysisId];
+  if (!analysis) {
+    return {
+      status: 404,
+      error: 'Analysis not found',
+      message: `Analysis ${analysisId} does not exist in this session`
+    };
+  }
+
+  const stored = withTableData(analysis);
+  return {
+    analysisData: stored,
+    tableData: stored.tableData,
+    metadata: stored.metadata
+  };
+}
+
+/**
+ * Use the client-posted payload as-is (explicit ad-hoc mode only)
+ */
+function resolveAdHocPayload(body) {
+  const { analysisData, tableData, metadata } = body;
+
+  if (!analysisData) {
+    return {
+      status: 400,
+      error: 'Missing analysis data',
+      message: 'Analysis data is required for ad-hoc export'
+    };
+  }
+
+  return { analysisData, tableData, metadata: metadata || analysisData.metadata };
+}
+
+/**
+ * Attach freshly generated table data to a stored analysis
+ */
+function withTableData(analysis) {
+  return {
+    ...analysis,
+    tableData: analysisEngine.exportTreeToTable(
+      analysis.tree,
+      analysis.analysisType,
+      analysis.metric || analysis.targetVariable
+    )
+  };
+}
+
 /**
  * DELETE /api/export/cleanup
  * Clean up expired export sessions
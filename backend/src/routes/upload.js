@@ -1,10 +1,15 @@
 const express = require('express');
 const multer = require('multer');
+const XLSX = require('xlsx');
 const path = require('path');
 const fs = require('fs-extra');
 const { v4: uuidv4 } = require('uuid');
 const dataProcessor = require('../services/dataProcessor');
 const sessionStorage = require('../services/sessionStorage');
+const columnMapper = require('../services/columnMapper');
+const mappingProfiles = require('../services/mappingProfiles');
+const missingValuePolicy = require('../services/missingValuePolicy');
+const bandingService = require('../services/bandingService');
 
 const router = express.Router();
 
@@ -30,6 +35,54 @@ const fileFilter = (req, file, cb) => {
   }
 };
 
+// One file per period, e.g. two years of monthly extracts
+const MAX_PERIOD_FILES = 24;
+
+/**
+ * Upload payload describing the processed data; also returned after reprocessing
+ */
+const buildUploadResponse = (analysisReadyData) => ({
+  summary: analysisReadyData.summary,
+  distinctValues: analysisReadyData.distinctValues,
+  availableColumns: analysisReadyData.availableColumns,
+  numericColumns: analysisReadyData.numericColumns,
+  periods: analysisReadyData.periodLabels,
+  metadata: analysisReadyData.parseMetadata,
+  columnMapping: {
+    ...analysisReadyData.columnMapping,
+    fieldDefinitions: columnMapper.getFieldDefinitions()
+  },
+  missingValuePolicy: {
+    ...analysisReadyData.missingValuePolicy,
+    actions: missingValuePolicy.getActions()
+  },
+  rateUnit: analysisReadyData.rateUnit,
+  banding: {
+    definitions: analysisReadyData.bandDefinitions,
+    bandableColumns: analysisReadyData.bandableColumns,
+    methods: bandingService.getMethods()
+  },
+  dataPreview: {
+    previousMonth: analysisReadyData.previousMonth.slice(0, 5), // First 5 rows
+    currentMonth: analysisReadyData.currentMonth.slice(0, 5)
+  },
+  cleaningStats: analysisReadyData.cleaningStats, // Include cleaning statistics
+  rejectedRowCount: (analysisReadyData.rejectedRows || []).length
+});
+
+// Multipart form fields arrive as strings
+const parseJsonField = (value, name) => {
+  if (!value) return undefined;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`${name} must be a JSON object`);
+  }
+};
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
 const upload = multer({
   storage: storage,
   fileFilter: fileFilter,
@@ -40,21 +93,37 @@ const upload = multer({
 
 /**
  * POST /api/upload
- * Upload and parse CSV/Excel files
+ * Upload and parse CSV/Excel files. Accepts one CSV per period, one Excel file with a
+ * sheet per period, or a single long-format file plus a `periodColumn` form field.
+ * Optional `previousPeriod` / `currentPeriod` fields pick the default pair to compare; the pair
+ * can also be given by sheet name (`previousSheet` / `currentSheet`) or file name
+ * (`previousFile` / `currentFile`).
  */
-router.post('/', upload.array('files', 2), async (req, res) => {
+router.post('/', upload.array('files', MAX_PERIOD_FILES), async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
         error: 'No files uploaded',
-        message: 'Please upload either 1 Excel file with 2 sheets or 2 CSV files'
+        message: 'Please upload either 1 Excel file with one sheet per period or one CSV file per period'
       });
     }
 
     console.log(`📁 Processing ${req.files.length} file(s):`, req.files.map(f => f.originalname));
 
     // Parse the uploaded files (now they're in memory as buffers)
-    const parsedData = await dataProcessor.parseFiles(req.files);
+    const parsedData = await dataProcessor.parseFiles(req.files, {
+      periodColumn: req.body?.periodColumn,
+      previousPeriod: req.body?.previousPeriod,
+      currentPeriod: req.body?.currentPeriod,
+      previousSheet: req.body?.previousSheet,
+      currentSheet: req.body?.currentSheet,
+      previousFile: req.body?.previousFile,
+      currentFile: req.body?.currentFile,
+      columnMapping: parseJsonField(req.body?.columnMapping, 'columnMapping'),
+      missingValuePolicy: parseJsonField(req.body?.missingValuePolicy, 'missingValuePolicy'),
+      rateUnit: req.body?.rateUnit,
+      bands: parseJsonField(req.body?.bands, 'bands')
+    });
     
     // Prepare data for analysis
     const analysisReadyData = dataProcessor.prepareForAnalysis(parsedData);
@@ -65,6 +134,7 @@ router.post('/', upload.array('files', 2), async (req, res) => {
 
     console.log(`✅ Session ${sessionId} created with data:`, {
       availableColumns: analysisReadyData.availableColumns,
+      periods: analysisReadyData.periodLabels,
       previousMonthRows: analysisReadyData.previousMonth.length,
       currentMonthRows: analysisReadyData.currentMonth.length,
       totalSessions: sessionStorage.getSessionCount()
@@ -75,17 +145,7 @@ router.post('/', upload.array('files', 2), async (req, res) => {
     res.json({
       success: true,
       message: 'Files uploaded and processed successfully',
-      data: {
-        summary: analysisReadyData.summary,
-        distinctValues: analysisReadyData.distinctValues,
-        availableColumns: analysisReadyData.availableColumns,
-        metadata: parsedData.metadata,
-        dataPreview: {
-          previousMonth: analysisReadyData.previousMonth.slice(0, 5), // First 5 rows
-          currentMonth: analysisReadyData.currentMonth.slice(0, 5)
-        },
-        cleaningStats: analysisReadyData.cleaningStats // Include cleaning statistics
-      },
+      data: buildUploadResponse(analysisReadyData),
       sessionId: sessionId
     });
 
@@ -105,11 +165,243 @@ router.post('/', upload.array('files', 2), async (req, res) => {
   }
 });
 
+/**
+ * POST /api/upload/inspect
+ * List the sheets of a workbook, or the uploaded files, with row counts and a header preview
+ * so the user can confirm which are the previous and current period before processing
+ */
+router.post('/inspect', upload.array('files', MAX_PERIOD_FILES), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        error: 'No files uploaded',
+        message: 'Please upload files to inspect'
+      });
+    }
+
+    const inspection = await dataProcessor.inspectFiles(req.files);
+
+    res.json({
+      success: true,
+      data: inspection
+    });
+
+  } catch (error) {
+    console.error('File inspection error:', error);
+    res.status(400).json({
+      error: 'File inspection failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/upload/period-columns
+ * List the columns of a single long-format file that could hold the period, with their values,
+ * so the user can pick the period column and the previous/current values before uploading
+ */
+router.post('/period-columns', upload.array('files', 1), async (req, res) => {
+  try {
+    if (!req.files || req.files.length !== 1) {
+      return res.status(400).json({
+        error: 'No file uploaded',
+        message: 'Please upload a single CSV or Excel file'
+      });
+    }
+
+    const inspection = await dataProcessor.inspectPeriodColumns(req.files[0]);
+
+    if (inspection.columns.length === 0) {
+      return res.status(400).json({
+        error: 'No period column found',
+        message: 'No column has between 2 and 60 repeating values that could identify the period',
+        rowCount: inspection.rowCount
+      });
+    }
+
+    res.json({
+      success: true,
+      data: inspection
+    });
+
+  } catch (error) {
+    console.error('Period column inspection error:', error);
+    res.status(400).json({
+      error: 'File inspection failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/upload/mapping-profiles
+ * List saved column-mapping profiles
+ */
+router.get('/mapping-profiles', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      fields: columnMapper.getFieldDefinitions(),
+      profiles: mappingProfiles.list()
+    }
+  });
+});
+
+/**
+ * POST /api/upload/:sessionId/reprocess
+ * Re-map the uploaded columns, change the missing-value policy, the rate unit and/or the bands of
+ * numeric columns, rebuilding the session data from the original rows.
+ * Body: { columnMapping: { [field]: column | null }, missingValuePolicy: { [column]: action | { action, value } },
+ *         rateUnit: 'decimal' | 'percent' | 'bps', bands: { [column]: { method, edges, bins, labels } | null },
+ *         saveProfile, profileName }
+ * With saveProfile the mapping is stored and applied automatically to later uploads with the same headers.
+ */
+router.post('/:sessionId/reprocess', (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { columnMapping, missingValuePolicy: policy, rateUnit, bands, saveProfile = false, profileName } = req.body || {};
+
+    const session = sessionStorage.getSession(sessionId);
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: 'Please upload your data files first'
+      });
+    }
+
+    const objectOptions = [columnMapping, policy, bands].filter(Boolean);
+    if ((objectOptions.length === 0 && !rateUnit) || !objectOptions.every(isPlainObject)) {
+      return res.status(400).json({
+        error: 'Nothing to reprocess',
+        message: 'Provide columnMapping (field → column), missingValuePolicy (column → action), rateUnit and/or bands (column → definition)',
+        fields: columnMapper.getFieldDefinitions(),
+        actions: missingValuePolicy.getActions(),
+        bandingMethods: bandingService.getMethods()
+      });
+    }
+
+    let analysisReadyData;
+    try {
+      const parsedData = dataProcessor.reprocessPeriods(session.data, { columnMapping, missingValuePolicy: policy, rateUnit, bands });
+      analysisReadyData = dataProcessor.prepareForAnalysis(parsedData);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid reprocess options',
+        message: error.message
+      });
+    }
+
+    if (saveProfile) {
+      const { signature, headers, fields } = analysisReadyData.columnMapping;
+      const profile = mappingProfiles.save(signature, {
+        name: profileName,
+        headers,
+        mapping: columnMapper.toFieldColumns(fields)
+      });
+      analysisReadyData.columnMapping.profileName = profile.name;
+    }
+
+    // Stored analyses keep the results they were run with; new runs use the remapped data
+    sessionStorage.updateSession(sessionId, { data: analysisReadyData });
+    console.log(`🔁 Session ${sessionId} reprocessed with mapping:`, columnMapper.toFieldColumns(analysisReadyData.columnMapping.fields));
+
+    res.json({
+      success: true,
+      message: 'Data reprocessed',
+      data: buildUploadResponse(analysisReadyData),
+      sessionId
+    });
+
+  } catch (error) {
+    console.error('Reprocess error:', error);
+    res.status(500).json({
+      error: 'Reprocessing failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/upload/:sessionId/rejections?format=csv|xlsx
+ * Download the rows removed during cleaning, with the period, loan ID and reason for each,
+ * followed by the row's original columns
+ */
+router.get('/:sessionId/rejections', (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const format = (req.query.format || 'csv').toLowerCase();
+
+    const session = sessionStorage.getSession(sessionId);
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: 'Please upload your data files first'
+      });
+    }
+
+    if (!['csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({
+        error: 'Unsupported format',
+        message: 'Supported formats: csv, xlsx'
+      });
+    }
+
+    const rejectedRows = session.data.rejectedRows;
+    if (!rejectedRows) {
+      return res.status(400).json({
+        error: 'No rejection report',
+        message: 'This session was created before rejected rows were kept; please upload the files again'
+      });
+    }
+
+    // Rejections only hold where the row was; its values come from the upload as received
+    const rawRowsByPeriod = new Map((session.data.rawPeriods || []).map(period => [period.label, period.data]));
+    const rows = rejectedRows.map(rejection => ({
+      Period: rejection.period,
+      Row: rejection.rowNumber,
+      'Loan ID': rejection.loanId ?? '',
+      Reason: missingValuePolicy.describeRejection(rejection),
+      'Reason Code': rejection.reason,
+      Column: rejection.column,
+      ...(rawRowsByPeriod.get(rejection.period) || [])[rejection.rowNumber - 1]
+    }));
+    const sheet = rows.length > 0
+      ? XLSX.utils.json_to_sheet(rows)
+      : XLSX.utils.aoa_to_sheet([['Period', 'Row', 'Loan ID', 'Reason', 'Reason Code', 'Column']]);
+
+    let buffer;
+    let contentType;
+    if (format === 'xlsx') {
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, sheet, 'Rejected Rows');
+      buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+      contentType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+    } else {
+      buffer = Buffer.from(XLSX.utils.sheet_to_csv(sheet), 'utf8');
+      contentType = 'text/csv';
+    }
+
+    console.log(`📤 Rejection report for session ${sessionId}: ${rows.length} rows (${format})`);
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="rejected-rows-${sessionId.slice(0, 8)}.${format}"`);
+    res.setHeader('Content-Length', buffer.length);
+    res.send(buffer);
+
+  } catch (error) {
+    console.error('Rejection report error:', error);
+    res.status(500).json({
+      error: 'Rejection report failed',
+      message: error.message
+    });
+  }
+});
+
 /**
  * POST /api/upload/validate
  * Validate file format without processing
  */
-router.post('/validate', upload.array('files', 2), async (req, res) => {
+router.post('/validate', upload.array('files', MAX_PERIOD_FILES), async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
@@ -157,8 +449,8 @@ router.post('/validate', upload.array('files', 2), async (req, res) => {
       validationResults,
       recommendations: {
         fileCount: req.files.length === 1 ? 
-          'Single Excel file detected - ensure it has 2 sheets (Previous Month & Current Month)' :
-          'Two files detected - ensure they are CSV files with same column structure'
+          'Single Excel file detected - ensure it has one sheet per period (oldest first), or name the period column for a long-format file' :
+          `${req.files.length} files detected - ensure they are CSV files with same column structure, oldest period first`
       }
     });
 
@@ -185,12 +477,12 @@ router.get('/sample', (req, res) => {
   const sampleData = {
     requiredColumns: [
       'Total Loan Amount (or Amount, Loan Amount)',
-      'ROI (or Rate of Interest, Interest Rate)',
-      'Tier (or Credit Tier, Risk Tier)',
-      'V Score (or VScore, Credit Score)',
-      'Channel (or Channel Mapping, Source Channel)'
+      'ROI (or Rate of Interest, Interest Rate)'
     ],
     optionalColumns: [
+      'Tier (or Credit Tier, Risk Tier)',
+      'V Score (or VScore, Credit Score)',
+      'Channel (or Channel Mapping, Source Channel)',
       'Tenure (or Loan Tenure, Term)',
       'Product (or Product Type, Loan Product)'
     ],
@@ -216,20 +508,53 @@ router.get('/sample', (req, res) => {
     ],
     fileFormats: {
       excel: {
-        description: 'Single Excel file with 2 sheets',
+        description: 'Single Excel file with one sheet per period',
         sheetNames: ['Previous Month', 'Current Month'],
-        note: 'Each sheet should have the same column structure'
+        fields: { previousSheet: 'Previous Month', currentSheet: 'Current Month' },
+        note: 'Each sheet should have the same column structure; sheets without loan amount and rate columns are skipped. Without previousSheet/currentSheet the last two data sheets are compared'
       },
       csv: {
-        description: 'Two separate CSV files',
+        description: 'One CSV file per period',
         files: ['previous_month.csv', 'current_month.csv'],
-        note: 'Both files should have the same column structure'
+        fields: { previousFile: 'previous_month.csv', currentFile: 'current_month.csv' },
+        note: 'All files should have the same column structure. Without previousFile/currentFile the last two files in upload order are compared'
+      },
+      longFormat: {
+        description: 'Single CSV/Excel file with a period column',
+        fields: { periodColumn: 'month', previousPeriod: '2024-05', currentPeriod: '2024-06' },
+        note: 'Rows are split into periods by the periodColumn value, sorted chronologically; previousPeriod/currentPeriod default to the latest two'
       }
     },
+    columnMapping: {
+      description: 'Optional JSON form field overriding which column feeds each standard field',
+      example: { total_loan_amount: 'Disbursed Amount', roi: 'Yield %', v_score: null },
+      fields: columnMapper.getFieldDefinitions(),
+      note: 'Without it, columns are matched by name with a confidence score, or by a saved profile for the same headers'
+    },
+    missingValuePolicy: {
+      description: 'Optional JSON form field choosing what happens to empty cells, per normalized column',
+      example: { channel: 'unknown', tenure: { action: 'fill', value: 12 }, remarks: 'ignore', product: 'drop' },
+      actions: missingValuePolicy.getActions(),
+      note: 'Rows always need a non-zero loan amount and rate. By default empty text cells become "Unknown" and empty numeric cells are left empty'
+    },
+    rateUnit: {
+      description: 'Optional form field giving the unit of the rate column: decimal (0.105), percent (10.5) or bps (1050)',
+      note: 'Without it the unit is detected from the typical size of the values'
+    },
+    bands: {
+      description: 'Optional JSON form field turning numeric columns into named bands usable as factors',
+      example: {
+        tenure: { method: 'edges', edges: [12, 24, 36], labels: ['≤12m', '13-24m', '25-36m', '>36m'] },
+        total_loan_amount: { method: 'quantile', bins: 4 },
+        bureau_score: { method: 'equal-width', bins: 5 }
+      },
+      methods: bandingService.getMethods(),
+      note: 'Edges are inclusive upper bounds. Each band is added as <column>_band; V Score is banded at 10 and 14 by default'
+    },
     vScoreBanding: {
       'Low (≤V10)': 'V Score <= 10',
-      'Mid (V11-V14)': 'V Score 11-14',
-      'High (≥V15)': 'V Score >= 15'
+      'Mid (V11-V14)': 'V Score above 10 up to 14',
+      'High (≥V15)': 'V Score above 14'
     }
   };
 
@@ -0,0 +1,57 @@
+/**
+ * Seeded synthetic loan books for the service tests
+ */
+const TIERS = ['Tier 1', 'Tier 2', 'Tier 3'];
+const CHANNELS = ['Direct', 'Partner'];
+const PRODUCTS = ['Personal', 'Business', 'Home'];
+
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+    return state / 4294967296;
+  };
+};
+
+const pick = (random, values) => values[Math.floor(random() * values.length)];
+
+/**
+ * One month of loans. `shift` moves volume towards Direct and lifts rates, so two books with
+ * different shifts differ in both mix and yield.
+ * @param {Object} options - { count, seed, shift, idPrefix }
+ * @returns {Array} Rows with application_id, tier, channel, product, total_loan_amount, roi,
+ *   tenure (36 values) and income (continuous)
+ */
+const createLoanBook = ({ count = 400, seed = 1, shift = 0, idPrefix = `L${seed}` } = {}) => {
+  const random = createRandom(seed);
+  return Array.from({ length: count }, (unused, index) => {
+    const tier = pick(random, TIERS);
+    const channel = random() < 0.5 + shift ? 'Direct' : 'Partner';
+    return {
+      application_id: `${idPrefix}-${index}`,
+      tier,
+      channel,
+      product: pick(random, PRODUCTS),
+      total_loan_amount: Math.round(50000 + random() * 450000),
+      roi: 0.1 + TIERS.indexOf(tier) * 0.02 + (channel === 'Partner' ? 0.01 : 0) + shift * 0.05 + random() * 0.01,
+      tenure: 12 + Math.floor(random() * 36),
+      income: Math.round(200000 + random() * 1800000) / 100
+    };
+  });
+};
+
+/**
+ * The next month of a book: some loans run off, the rest continue at a repriced rate, and
+ * new loans are written
+ * @param {Array} previous - Previous month from createLoanBook
+ * @param {Object} options - { seed, runoffRate, repricing, newCount, shift }
+ */
+const rollLoanBook = (previous, { seed = 2, runoffRate = 0.25, repricing = 0.005, newCount = 150, shift = 0.1 } = {}) => {
+  const random = createRandom(seed);
+  const continuing = previous
+    .filter(() => random() >= runoffRate)
+    .map(row => ({ ...row, roi: row.roi + repricing * (row.channel === 'Direct' ? 1 : -0.5) }));
+  return [...continuing, ...createLoanBook({ count: newCount, seed, shift, idPrefix: `N${seed}` })];
+};
+
+module.exports = { createLoanBook, rollLoanBook };
@@ -0,0 +1,100 @@
+const aggregationCube = require('../aggregationCube');
+const analysisEngine = require('../analysisEngine');
+const { createLoanBook } = require('../__fixtures__/loanBook');
+
+const previousMonth = createLoanBook({ count: 600, seed: 21 });
+const currentMonth = createLoanBook({ count: 600, seed: 22, shift: 0.1 });
+const CATEGORICAL = ['tier', 'channel', 'product'];
+
+// Trees from rows and from cells differ only in floating-point summation order
+const roundNumbers = tree => JSON.parse(JSON.stringify(tree, (key, value) =>
+  typeof value === 'number' ? Math.round(value * 1e6) / 1e6 : value));
+
+const collectNodes = (nodes, list = []) => {
+  (nodes || []).forEach(node => {
+    list.push(node);
+    collectNodes(node.children, list);
+  });
+  return list;
+};
+
+describe('aggregation cube', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  it('summarizes cells to the same statistics as the rows they hold', () => {
+    const config = analysisEngine.resolveAnalysisConfig('roi');
+    const measure = analysisEngine.getRowMeasure(config.metric);
+    const cubes = analysisEngine.buildCubes(previousMonth, currentMonth, CATEGORICAL, config);
+    const fromRows = aggregationCube.summarize(previousMonth, measure);
+    const fromCells = aggregationCube.summarize([...cubes.previous], measure);
+
+    Object.keys(fromRows).forEach(key => {
+      expect(Math.abs(fromCells[key] - fromRows[key])).toBeLessThanOrEqual(1e-12 * Math.abs(fromRows[key]));
+    });
+    expect(cubes.previous.length).toBeLessThanOrEqual(18);
+  });
+
+  it.each(['two-way', 'three-way', 'midpoint'])('builds the same User-Priority tree from rows and cells (%s)', decompositionMethod => {
+    const config = analysisEngine.resolveAnalysisConfig('roi', { decompositionMethod });
+    const cubes = analysisEngine.buildCubes(previousMonth, currentMonth, CATEGORICAL, config);
+
+    const fromRows = analysisEngine.buildUserPriorityTreeV2(previousMonth, currentMonth, CATEGORICAL, config);
+    const fromCells = analysisEngine.buildUserPriorityTreeV2(cubes.previous, cubes.current, CATEGORICAL, config);
+
+    expect(roundNumbers(fromCells)).toEqual(roundNumbers(fromRows));
+  });
+
+  it('builds the same Auto-Max Split tree from rows and cells with a numeric factor kept exact', () => {
+    const config = analysisEngine.resolveAnalysisConfig('roi', { decompositionMethod: 'three-way', numericFactors: ['tenure'] });
+    const cubes = analysisEngine.buildCubes(previousMonth, currentMonth, CATEGORICAL, config);
+
+    const fromRows = analysisEngine.buildAutoMaxSplitTreeV2(previousMonth, currentMonth, config, 0, {}, CATEGORICAL);
+    const fromCells = analysisEngine.buildAutoMaxSplitTreeV2(cubes.previous, cubes.current, config, 0, {}, CATEGORICAL);
+
+    expect(aggregationCube.getNumericLevels([previousMonth, currentMonth], 'tenure')).toBeNull();
+    expect(roundNumbers(fromCells)).toEqual(roundNumbers(fromRows));
+  });
+
+  describe('numeric factors with more than MAX_NUMERIC_LEVELS values', () => {
+    const levels = aggregationCube.getNumericLevels([previousMonth, currentMonth], 'income');
+
+    it('rounds values up to at most 100 shared levels', () => {
+      expect(levels).not.toBeNull();
+      expect(levels.length).toBeLessThanOrEqual(100);
+      expect(levels).toEqual([...levels].sort((a, b) => a - b));
+
+      [...previousMonth, ...currentMonth].forEach(row => {
+        const level = aggregationCube.getNumericLevel(row.income, levels);
+        expect(level).toBeGreaterThanOrEqual(row.income);
+        expect(levels).toContain(level);
+      });
+    });
+
+    it('gives every node of a cube-built tree the statistics of the rows its filter selects', () => {
+      const result = analysisEngine.performAutoMaxSplitAnalysisV2(
+        { previousMonth, currentMonth }, 'roi', ['product'], null, { numericFactors: ['income'] }
+      );
+      const nodes = collectNodes(result.tree);
+      expect(nodes.some(node => node.factor === 'income')).toBe(true);
+
+      const metric = analysisEngine.resolveMetric('roi');
+      nodes.forEach(node => {
+        const previousRows = analysisEngine.filterData(previousMonth, node.filter);
+        const currentRows = analysisEngine.filterData(currentMonth, node.filter);
+
+        expect(node.metrics.previousCount).toBe(previousRows.length);
+        expect(node.metrics.currentCount).toBe(currentRows.length);
+        expect(node.metrics.previousAmount).toBeCloseTo(analysisEngine.getTotalAmount(previousRows), 4);
+        expect(node.metrics.currentAmount).toBeCloseTo(analysisEngine.getTotalAmount(currentRows), 4);
+        expect(node.metrics.previousROI).toBeCloseTo(analysisEngine.calculateWeightedROI(previousRows, metric), 10);
+        expect(node.metrics.currentROI).toBeCloseTo(analysisEngine.calculateWeightedROI(currentRows, metric), 10);
+      });
+    });
+  });
+});
@@ -0,0 +1,69 @@
+const bandingService = require('../bandingService');
+
+const bandCounts = (banding, values) => {
+  const rows = bandingService.apply(values.map(value => ({ tenure: value })), { tenure: banding });
+  return bandingService.countBands(rows, banding);
+};
+
+describe('banding service', () => {
+  it('treats edges as inclusive upper bounds and puts unreadable values in the missing band', () => {
+    const banding = bandingService.resolve('v_score', { method: 'edges', edges: [14, 10] }, [8, 12, 16]);
+
+    expect(banding.edges).toEqual([10, 14]);
+    expect(banding.bands.map(band => band.label)).toEqual(['≤ 10', '(10, 14]', '> 14']);
+    expect(['V10', 10.5, 'V14', '15', '', 'n/a'].map(value => bandingService.getBand(value, banding)))
+      .toEqual(['≤ 10', '(10, 14]', '(10, 14]', '> 14', 'Unknown', 'Unknown']);
+  });
+
+  it('splits distinct values into quantile bands of the same size', () => {
+    const values = [1, 2, 3, 4, 5, 6, 7, 8];
+    const banding = bandingService.resolve('tenure', { method: 'quantile', bins: 4, labels: ['Q1', 'Q2', 'Q3', 'Q4'] }, values);
+
+    expect(bandCounts(banding, values)).toEqual({ Q1: 2, Q2: 2, Q3: 2, Q4: 2 });
+  });
+
+  describe('when repeated values make quantile edges coincide', () => {
+    // The first two quartiles both fall on 12
+    const values = [12, 12, 12, 12, 12, 24, 30, 36];
+
+    it('resolves to fewer bands than bins', () => {
+      const banding = bandingService.resolve('tenure', { method: 'quantile', bins: 4 }, values);
+
+      expect(banding.edges).toEqual([12, 25.5]);
+      expect(bandCounts(banding, values)).toEqual({ '≤ 12': 5, '(12, 25.5]': 1, '> 25.5': 2 });
+    });
+
+    it('rejects one label per bin and says why', () => {
+      const definition = { method: 'quantile', bins: 4, labels: ['Q1', 'Q2', 'Q3', 'Q4'] };
+
+      expect(() => bandingService.resolve('tenure', definition, values))
+        .toThrow('tenure only splits into 3 of the 4 quantile bands because its values repeat; use 3 labels or fewer bins');
+    });
+
+    it('accepts a label per band that remains', () => {
+      const banding = bandingService.resolve('tenure', { method: 'quantile', bins: 4, labels: ['Short', 'Mid', 'Long'] }, values);
+
+      expect(bandCounts(banding, values)).toEqual({ Short: 5, Mid: 1, Long: 2 });
+    });
+  });
+
+  it('gives a constant column a single equal-width edge', () => {
+    expect(bandingService.resolve('tenure', { method: 'equal-width', bins: 3 }, [5, 5, 5]).edges).toEqual([5]);
+    expect(() => bandingService.resolve('tenure', { method: 'equal-width', bins: 3, labels: ['A', 'B', 'C'] }, [5, 5, 5]))
+      .toThrow(/only splits into 2 of the 3 equal-width bands/);
+  });
+
+  it.each([
+    [{ method: 'deciles' }, /Unknown banding method "deciles"/],
+    [{ method: 'edges', edges: [] }, /list of numeric cut points/],
+    [{ method: 'quantile', bins: 1 }, /between 2 and 20 bins/],
+    [{ method: 'edges', edges: [10], labels: ['Low', 'Mid', 'High'] }, /2 bands but 3 labels/],
+    [{ method: 'edges', edges: [10], labels: ['Low', 'Low'] }, /must be unique/]
+  ])('rejects %j', (definition, message) => {
+    expect(() => bandingService.resolve('tenure', definition, [6, 12, 24])).toThrow(message);
+  });
+
+  it('rejects a column without numeric values', () => {
+    expect(() => bandingService.resolve('tenure', { method: 'quantile' }, ['', null, 'n/a'])).toThrow(/no numeric values/);
+  });
+});
@@ -0,0 +1,116 @@
+const analysisEngine = require('../analysisEngine');
+const bridgeService = require('../bridgeService');
+const { createLoanBook } = require('../__fixtures__/loanBook');
+
+const data = {
+  previousMonth: createLoanBook({ count: 600, seed: 91 }),
+  currentMonth: createLoanBook({ count: 600, seed: 92, shift: 0.1 })
+};
+
+const analyse = decompositionMethod =>
+  analysisEngine.performUserPriorityAnalysisV2(data, ['tier', 'channel'], 'roi', null, { decompositionMethod });
+
+const steps = bridge => bridge.bars.filter(bar => bar.type === 'step');
+
+// Each step starts where the previous bar ended and the last one lands on the end bar
+const expectBarsToChain = bridge => {
+  let level = bridge.start;
+  steps(bridge).forEach(bar => {
+    expect(bar.from).toBeCloseTo(level, 9);
+    expect(bar.to).toBeCloseTo(bar.from + bar.value, 9);
+    level = bar.to;
+  });
+  expect(level).toBeCloseTo(bridge.end, 9);
+};
+
+describe('bridge service', () => {
+  let threeWay;
+  let twoWay;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    threeWay = analyse('three-way');
+    twoWay = analyse('two-way');
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  it('runs the root bridge from the previous to the current portfolio rate', () => {
+    const bridge = bridgeService.build(threeWay);
+    const root = threeWay.tree[0];
+
+    expect(bridge.start).toBeCloseTo(root.metrics.previousROI * 10000, 9);
+    expect(bridge.end).toBeCloseTo(root.metrics.currentROI * 10000, 9);
+    expect(bridge.bars[0]).toMatchObject({ type: 'start', label: 'Previous ROI', from: 0 });
+    expect(bridge.bars[bridge.bars.length - 1]).toMatchObject({ type: 'end', label: 'Current ROI', from: 0 });
+    expectBarsToChain(bridge);
+  });
+
+  it('bridges a drilled segment from zero to its total impact', () => {
+    const segment = threeWay.tree[0].children[1];
+    const bridge = bridgeService.build(threeWay, { path: [1] });
+
+    expect(bridge.node.label).toBe(`tier: ${segment.value}`);
+    expect(bridge.breadcrumbs.map(crumb => crumb.path)).toEqual([[], [1]]);
+    expect(bridge.start).toBe(0);
+    expect(bridge.end).toBeCloseTo(segment.metrics.totalImpactBps, 9);
+    expectBarsToChain(bridge);
+    // Channel leaves cannot be drilled further
+    steps(bridge).forEach(bar => expect(bar.path).toBeNull());
+  });
+
+  it('links each segment with children to its own bridge', () => {
+    const bridge = bridgeService.build(threeWay);
+
+    threeWay.tree[0].children.forEach((child, index) => {
+      const bar = steps(bridge).find(step => step.segment === `tier: ${child.value}`);
+      expect(bar.path).toEqual([index]);
+    });
+  });
+
+  it('has no remainder when the three-way decomposition explains the whole change', () => {
+    const bridge = bridgeService.build(threeWay);
+
+    expect(steps(bridge).map(bar => bar.component)).not.toContain('unattributed');
+    expect(bridge.components.yield + bridge.components.mix + bridge.components.interaction)
+      .toBeCloseTo(bridge.end - bridge.start, 9);
+  });
+
+  it('shows what two-way leaves out as one Unattributed step', () => {
+    const bridge = bridgeService.build(twoWay);
+    const unattributed = steps(bridge).filter(bar => bar.component === 'unattributed');
+
+    expect(bridge.components).not.toHaveProperty('interaction');
+    expect(unattributed).toHaveLength(1);
+    expect(unattributed[0]).toBe(steps(bridge)[steps(bridge).length - 1]);
+    expect(unattributed[0].value).toBeCloseTo(bridge.end - bridge.start - bridge.components.yield - bridge.components.mix, 9);
+    expectBarsToChain(bridge);
+  });
+
+  it('lists every segment\'s yield before any mix when grouped by component', () => {
+    const bySegment = bridgeService.build(threeWay);
+    const byComponent = bridgeService.build(threeWay, { groupBy: 'component' });
+    const components = steps(byComponent).map(bar => bar.component);
+
+    expect(components).toEqual([...components].sort((a, b) =>
+      ['yield', 'mix', 'interaction'].indexOf(a) - ['yield', 'mix', 'interaction'].indexOf(b)
+    ));
+    Object.entries(bySegment.components).forEach(([component, total]) => {
+      expect(byComponent.components[component]).toBeCloseTo(total, 9);
+    });
+    expect(byComponent.end).toBe(bySegment.end);
+    expectBarsToChain(byComponent);
+  });
+
+  it.each([
+    [{ path: [7] }, 'No segment at position 7'],
+    [{ path: [0, 5] }, 'No segment at position 0 → 5'],
+    [{ path: [0, 0] }, /has no segments below it to bridge/],
+    [{ path: ['0'] }, /path must be a list of child positions/],
+    [{ groupBy: 'factor' }, 'groupBy must be one of segment, component']
+  ])('rejects %j', (options, message) => {
+    expect(() => bridgeService.build(threeWay, options)).toThrow(message);
+  });
+});
@@ -0,0 +1,68 @@
+const analysisEngine = require('../analysisEngine');
+
+// Ten equal loans per region and period; the mix does not move, so each region's impact is
+// its rate change alone: A and C reprice up by 200 bps and 150 bps, B and D down by 200 bps
+const RATE_CHANGES = { A: 0.02, B: -0.02, C: 0.015, D: -0.02 };
+const createRegions = period => Object.entries(RATE_CHANGES).flatMap(([region, change]) =>
+  Array.from({ length: 10 }, (unused, index) => ({
+    application_id: `${region}-${index}`,
+    region,
+    total_loan_amount: 100000,
+    roi: 0.1 + (period === 'current' ? change : 0) + index * 0.0001
+  }))
+);
+const previousMonth = createRegions('previous');
+const currentMonth = createRegions('current');
+
+describe('category merging', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  it('merges the categories that moved the same way', () => {
+    const merge = analysisEngine.findBestCategoryMerge(previousMonth, currentMonth, 'region', { decompositionMethod: 'three-way' });
+
+    expect(merge.groups).toEqual([['A', 'C'], ['B', 'D']]);
+  });
+
+  it('keeps the grouping with the highest variance of all partitions', () => {
+    const config = analysisEngine.resolveAnalysisConfig('roi', { decompositionMethod: 'three-way' });
+    const merge = analysisEngine.findBestCategoryMerge(previousMonth, currentMonth, 'region', config);
+    const varianceOf = groups => analysisEngine.calculateTotalImpactVariance(previousMonth, currentMonth, 'region', config, groups);
+
+    // Every partition of four values into two or more groups
+    const partitions = [
+      [['A'], ['B'], ['C'], ['D']],
+      [['A', 'B'], ['C'], ['D']], [['A', 'C'], ['B'], ['D']], [['A', 'D'], ['B'], ['C']],
+      [['A'], ['B', 'C'], ['D']], [['A'], ['B', 'D'], ['C']], [['A'], ['B'], ['C', 'D']],
+      [['A', 'B'], ['C', 'D']], [['A', 'C'], ['B', 'D']], [['A', 'D'], ['B', 'C']],
+      [['A'], ['B', 'C', 'D']], [['B'], ['A', 'C', 'D']], [['C'], ['A', 'B', 'D']], [['D'], ['A', 'B', 'C']]
+    ];
+    const highest = Math.max(...partitions.map(varianceOf));
+
+    expect(merge.variance).toBeCloseTo(highest, 12);
+    expect(varianceOf(merge.groups)).toBeCloseTo(highest, 12);
+  });
+
+  it('stays within the maxBranches stopping rule', () => {
+    const merge = analysisEngine.findBestCategoryMerge(previousMonth, currentMonth, 'region', {
+      decompositionMethod: 'three-way',
+      maxBranches: 2
+    });
+
+    expect(merge.groups).toHaveLength(2);
+  });
+
+  it('splits the tree on the merged groups', () => {
+    const result = analysisEngine.performAutoMaxSplitAnalysisV2(
+      { previousMonth, currentMonth }, 'roi', ['region'], null, { decompositionMethod: 'three-way', mergeCategories: true }
+    );
+
+    // Children come largest |impact| first
+    expect(result.tree[0].children.map(child => child.values)).toEqual([['B', 'D'], ['A', 'C']]);
+  });
+});
@@ -0,0 +1,69 @@
+const columnMapper = require('../columnMapper');
+const mappingProfiles = require('../mappingProfiles');
+const dataProcessor = require('../dataProcessor');
+
+const proposedColumn = (field, headers) => columnMapper.proposeMapping(headers)[field].column;
+
+describe('column mapper', () => {
+  it.each(['V Score', 'v_score', 'VScore', 'V-Score'])('maps "%s" to the V score', header => {
+    expect(proposedColumn('v_score', ['Loan ID', 'Loan Amount', 'ROI', header])).toBe(header);
+  });
+
+  it.each(['Bureau Score', 'Credit Score', 'Score', 'V'])('does not map "%s" to the V score', header => {
+    expect(columnMapper.scoreHeader('v_score', header)).toBeLessThan(0.5);
+    expect(proposedColumn('v_score', ['Loan ID', 'Loan Amount', 'ROI', header])).toBeNull();
+  });
+
+  it('still prefers a V score column next to other scores', () => {
+    expect(proposedColumn('v_score', ['Bureau Score', 'V Score Value', 'ROI'])).toBe('V Score Value');
+  });
+
+  describe('saved profiles', () => {
+    const savedHeaders = ['Loan Amount', 'ROI', 'Tier'];
+    const profile = {
+      name: 'Monthly book',
+      headers: savedHeaders,
+      mapping: { total_loan_amount: 'Loan Amount', roi: 'ROI', v_score: null, application_id: null }
+    };
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('applies a profile to a re-export whose headers are formatted differently', () => {
+      const headers = ['tier', 'roi', 'loan_amount'];
+      expect(columnMapper.getHeaderSignature(headers)).toBe(columnMapper.getHeaderSignature(savedHeaders));
+      jest.spyOn(mappingProfiles, 'get').mockReturnValue(profile);
+
+      const result = dataProcessor.resolveColumnMapping(headers, []);
+
+      expect(result.source).toBe('profile');
+      expect(result.profileWarning).toBeNull();
+      expect(result.fields.total_loan_amount.column).toBe('loan_amount');
+      expect(result.fields.roi.column).toBe('roi');
+    });
+
+    it('falls back to the proposal with a warning when a profile column is missing', () => {
+      jest.spyOn(mappingProfiles, 'get').mockReturnValue({
+        ...profile,
+        mapping: { ...profile.mapping, total_loan_amount: 'Disbursed Amount' }
+      });
+
+      const result = dataProcessor.resolveColumnMapping(['Loan Amount', 'ROI', 'Tier'], []);
+
+      expect(result.source).toBe('auto');
+      expect(result.profileName).toBeNull();
+      expect(result.profileWarning).toMatch(/Disbursed Amount/);
+      expect(result.fields.total_loan_amount.column).toBe('Loan Amount');
+    });
+
+    it('matches profile columns on the normalized header', () => {
+      expect(columnMapper.matchProfileColumns(['LOAN-AMOUNT', 'roi'], { total_loan_amount: 'Loan Amount', roi: 'ROI', v_score: null }))
+        .toEqual({ mapping: { total_loan_amount: 'LOAN-AMOUNT', roi: 'roi', v_score: null }, missingColumns: [] });
+    });
+  });
+});
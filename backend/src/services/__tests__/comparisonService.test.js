@@ -0,0 +1,122 @@
+const analysisEngine = require('../analysisEngine');
+const comparisonService = require('../comparisonService');
+const { createLoanBook } = require('../__fixtures__/loanBook');
+
+const data = {
+  previousMonth: createLoanBook({ count: 600, seed: 81 }),
+  currentMonth: createLoanBook({ count: 600, seed: 82, shift: 0.1 })
+};
+
+// A hand-built analysis: nodes are [factor, condition, totalImpactBps, children]
+const buildAnalysis = (rootImpactBps, nodes, factorOrder = []) => {
+  let totalNodes = 1;
+  const build = (entries, parentFilter) => (entries.length > 0 ? entries.map(([factor, condition, totalImpactBps, children = []]) => {
+    totalNodes++;
+    const filter = { ...parentFilter, [factor]: condition };
+    return { factor, value: condition, filter, metrics: { totalImpactBps }, children: build(children, filter) };
+  }) : null);
+  const tree = [{ factor: 'root', filter: {}, metrics: { totalImpactBps: rootImpactBps }, children: build(nodes, {}) }];
+  return { tree, factorOrder, metadata: { totalNodes, maxDepth: 2 } };
+};
+
+describe('comparison service', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  describe('segment keys', () => {
+    it('ignore the order factors were split in', () => {
+      expect(comparisonService.getSegmentKey({ tier: 'Tier 1', channel: 'Direct' }))
+        .toBe(comparisonService.getSegmentKey({ channel: 'Direct', tier: 'Tier 1' }));
+      expect(comparisonService.getSegmentKey({ tier: 'Tier 1' })).not.toBe(comparisonService.getSegmentKey({ tier: 'Tier 2' }));
+    });
+
+    it('ignore the order of the values in Other and merged groups', () => {
+      expect(comparisonService.getSegmentKey({ product: { in: ['Home', 'Business'] }, tier: 'Tier 1' }))
+        .toBe(comparisonService.getSegmentKey({ tier: 'Tier 1', product: { in: ['Business', 'Home'] } }));
+      expect(comparisonService.getSegmentKey({ product: { in: ['Home', 'Business'] } }))
+        .not.toBe(comparisonService.getSegmentKey({ product: { in: ['Home', 'Personal'] } }));
+    });
+
+    it('treat a missing range bound as open', () => {
+      expect(comparisonService.getSegmentKey({ tenure: { min: 24, max: undefined } }))
+        .toBe(comparisonService.getSegmentKey({ tenure: { min: 24, max: null } }));
+    });
+  });
+
+  describe('comparing trees built on the same data', () => {
+    let comparison;
+    let userPriority;
+
+    beforeAll(() => {
+      const options = { decompositionMethod: 'three-way', maxDepth: 2 };
+      userPriority = analysisEngine.performUserPriorityAnalysisV2(data, ['channel', 'tier'], 'roi', null, options);
+      const autoMaxSplit = analysisEngine.performAutoMaxSplitAnalysisV2(data, 'roi', ['tier', 'channel', 'product'], null, options);
+      comparison = comparisonService.compare(userPriority, autoMaxSplit, { topN: 5 });
+    });
+
+    it('pairs each shared driver with the same segment in the other tree', () => {
+      expect(comparison.sharedTopDrivers.length).toBeGreaterThan(0);
+      comparison.sharedTopDrivers.forEach(pair => {
+        // Under three-way with absolute mix a segment's impact depends only on its own rows
+        expect(pair.autoMaxSplit.totalImpactBps).toBeCloseTo(pair.userPriority.totalImpactBps, 9);
+        expect(pair.differenceBps).toBeCloseTo(0, 9);
+      });
+    });
+
+    it('explains the whole change at every depth when impacts are additive', () => {
+      ['userPriority', 'autoMaxSplit'].forEach(tree => {
+        expect(comparison.explainedByDepth[tree].length).toBeGreaterThan(0);
+        comparison.explainedByDepth[tree].forEach(level => {
+          expect(level.explainedPct).toBeCloseTo(100, 8);
+        });
+      });
+      expect(comparison.explainedByDepth.userPriority.map(level => level.segments)).toEqual([2, 6]);
+    });
+
+    it('reports the factors only one tree used', () => {
+      expect(comparison.summary.userPriority.factorOrder).toEqual(['channel', 'tier']);
+      comparison.ignoredFactors.forEach(use => expect(userPriority.factorOrder).not.toContain(use.factor));
+    });
+  });
+
+  it('matches segments split in a different order, including Other and merged groups', () => {
+    const userPriority = buildAnalysis(100, [
+      ['tier', 'Tier 1', 60, [['product', 'Home', 45], ['product', { in: ['Personal', 'Business'] }, 15]]],
+      ['tier', { in: ['Tier 3', 'Tier 2'] }, 40]
+    ], ['tier', 'product']);
+    const autoMaxSplit = buildAnalysis(100, [
+      ['product', 'Home', 50, [['tier', 'Tier 1', 45], ['tier', { in: ['Tier 2', 'Tier 3'] }, 5]]],
+      ['product', { in: ['Business', 'Personal'] }, 50, [['tier', 'Tier 1', 15], ['tier', { in: ['Tier 2', 'Tier 3'] }, 35]]]
+    ]);
+
+    const comparison = comparisonService.compare(userPriority, autoMaxSplit, { topN: 10 });
+    const labels = comparison.sharedTopDrivers.map(pair => pair.label);
+
+    expect(labels).toEqual(['product = Home & tier = Tier 1', 'product ∈ {Personal, Business} & tier = Tier 1']);
+    expect(comparison.matchedSegments).toBe(2);
+    // The merged tier group is a leaf at depth 1 in one tree and only appears under product in the other
+    const tierGroup = comparison.segmentDifferences.find(pair => pair.label === 'tier ∈ {Tier 3, Tier 2}');
+    expect(tierGroup.autoMaxSplit).toBeNull();
+    expect(tierGroup.differenceBps).toBeNull();
+  });
+
+  it('carries leaves down to the deeper levels when measuring what each depth explains', () => {
+    const analysis = buildAnalysis(100, [
+      ['tier', 'Tier 1', 40],
+      ['tier', 'Tier 2', 50, [['channel', 'Direct', 20], ['channel', 'Partner', 25]]]
+    ]);
+
+    const levels = comparisonService.calculateExplainedByDepth(analysis.tree, comparisonService.collectSegments(analysis.tree));
+
+    expect(levels).toEqual([
+      { depth: 1, segments: 2, explainedBps: 90, explainedPct: 90, largestSegmentPct: (50 / 90) * 100 },
+      // Tier 1 stops at depth 1 and still counts at depth 2
+      { depth: 2, segments: 3, explainedBps: 85, explainedPct: 85, largestSegmentPct: (40 / 85) * 100 }
+    ]);
+  });
+});
@@ -0,0 +1,118 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const FileSessionStore = require('../sessionStores/fileSessionStore');
+const { createLoanBook } = require('../__fixtures__/loanBook');
+
+const SESSION_ID = 'file-store-test';
+
+// Upload data in which the selected pair is the same rows as two of the periods
+const createData = () => {
+  const periods = ['Jan', 'Feb', 'Mar'].map((label, index) => ({
+    label,
+    source: `${label}.csv`,
+    data: createLoanBook({ count: 50, seed: 61 + index, idPrefix: label })
+  }));
+  return {
+    previousMonth: periods[1].data,
+    currentMonth: periods[2].data,
+    previousPeriod: 'Feb',
+    currentPeriod: 'Mar',
+    periods,
+    periodLabels: periods.map(period => period.label),
+    availableColumns: ['tier', 'channel', 'product']
+  };
+};
+
+const createRecord = () => ({ data: createData(), timestamp: new Date().toISOString(), analyses: {} });
+
+describe('file session store', () => {
+  let directory;
+  let store;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'file-session-store-'));
+    store = new FileSessionStore({ directory });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.removeSync(directory);
+  });
+
+  it('writes each dataset once and restores the shared references', () => {
+    const record = createRecord();
+    store.create(SESSION_ID, record);
+
+    const stored = fs.readJsonSync(path.join(directory, SESSION_ID, 'data.json'));
+    // periods itself plus one array of rows per period
+    expect(stored.datasets).toHaveLength(4);
+    const periods = stored.datasets[stored.data.periods.$dataset];
+    expect(periods[1].data).toEqual(stored.data.previousMonth);
+    expect(periods[2].data).toEqual(stored.data.currentMonth);
+
+    const { data } = new FileSessionStore({ directory }).get(SESSION_ID);
+    expect(data).toEqual(record.data);
+    expect(data.previousMonth).toBe(data.periods[1].data);
+    expect(data.currentMonth).toBe(data.periods[2].data);
+  });
+
+  it('parses data.json once until it changes on disk', () => {
+    store.create(SESSION_ID, createRecord());
+    const reader = new FileSessionStore({ directory });
+    const readJson = jest.spyOn(reader, 'readJson');
+
+    const first = reader.get(SESSION_ID).data;
+    const second = reader.get(SESSION_ID).data;
+    const dataReads = () => readJson.mock.calls.filter(([filePath]) => filePath.endsWith('data.json')).length;
+    expect(second).toBe(first);
+    expect(dataReads()).toBe(1);
+
+    // Another instance sharing the directory replaces the data
+    const updated = { ...createRecord(), data: { ...createData(), availableColumns: ['tier'] } };
+    store.update(SESSION_ID, updated);
+
+    expect(reader.get(SESSION_ID).data.availableColumns).toEqual(['tier']);
+    expect(dataReads()).toBe(2);
+  });
+
+  it('reads analyses only when they are accessed', () => {
+    store.create(SESSION_ID, createRecord());
+    store.saveAnalysis(SESSION_ID, 'analysis-1', { analysisType: 'variant1', tree: [] });
+    store.saveAnalysis(SESSION_ID, 'analysis-2', { analysisType: 'variant2', tree: [] });
+    const reader = new FileSessionStore({ directory });
+    const readJson = jest.spyOn(reader, 'readJson');
+    const analysisReads = () => readJson.mock.calls.filter(([filePath]) => filePath.includes(`${path.sep}analyses${path.sep}`)).length;
+
+    const session = reader.get(SESSION_ID);
+    expect(Object.keys(session.analyses).sort()).toEqual(['analysis-1', 'analysis-2']);
+    expect(analysisReads()).toBe(0);
+
+    expect(session.analyses['analysis-2'].analysisType).toBe('variant2');
+    expect(analysisReads()).toBe(1);
+  });
+
+  it('only rewrites analyses that changed when a session is updated', () => {
+    store.create(SESSION_ID, createRecord());
+    store.saveAnalysis(SESSION_ID, 'analysis-1', { analysisType: 'variant1' });
+    const writeJsonAtomic = jest.spyOn(store, 'writeJsonAtomic');
+
+    const session = store.get(SESSION_ID);
+    session.analyses['analysis-2'] = { analysisType: 'variant2' };
+    store.update(SESSION_ID, session);
+
+    const written = writeJsonAtomic.mock.calls.map(([filePath]) => path.basename(filePath));
+    expect(written).toEqual(['data.json', 'analysis-2.json', 'meta.json']);
+    expect(new FileSessionStore({ directory }).get(SESSION_ID).analyses['analysis-1'].analysisType).toBe('variant1');
+  });
+
+  it('forgets cached files when a session is deleted', () => {
+    store.create(SESSION_ID, createRecord());
+    store.get(SESSION_ID);
+
+    expect(store.delete(SESSION_ID)).toBe(true);
+    expect(store.get(SESSION_ID)).toBeNull();
+    expect(store.keys()).toEqual([]);
+    expect(store.cache.size).toBe(0);
+  });
+});
@@ -0,0 +1,111 @@
+const analysisEngine = require('../analysisEngine');
+const { createLoanBook } = require('../__fixtures__/loanBook');
+
+const data = {
+  previousMonth: createLoanBook({ count: 600, seed: 11 }),
+  currentMonth: createLoanBook({ count: 600, seed: 12, shift: 0.1 })
+};
+
+const amountOf = rows => rows.reduce((sum, row) => sum + row.total_loan_amount, 0);
+const weightedRate = rows => rows.reduce((sum, row) => sum + row.total_loan_amount * row.roi, 0) / amountOf(rows);
+
+// Amount shares and weighted rates of one tier in both periods
+const describeSegment = tier => {
+  const inSegment = rows => rows.filter(row => row.tier === tier);
+  return {
+    previousWeight: amountOf(inSegment(data.previousMonth)) / amountOf(data.previousMonth),
+    currentWeight: amountOf(inSegment(data.currentMonth)) / amountOf(data.currentMonth),
+    previousRate: weightedRate(inSegment(data.previousMonth)),
+    currentRate: weightedRate(inSegment(data.currentMonth))
+  };
+};
+
+const forEachNode = (nodes, visit) => (nodes || []).forEach(node => {
+  visit(node);
+  forEachNode(node.children, visit);
+});
+
+const runTrees = options => [
+  analysisEngine.performUserPriorityAnalysisV2(data, ['tier', 'channel', 'product'], 'roi', null, options),
+  analysisEngine.performAutoMaxSplitAnalysisV2(data, 'roi', ['tier', 'channel', 'product'], null, options)
+];
+
+describe('impact decomposition', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  const portfolioChangeBps = (weightedRate(data.currentMonth) - weightedRate(data.previousMonth)) * 10000;
+
+  describe.each([
+    ['three-way', 'absolute'],
+    ['three-way', 'parent-relative'],
+    ['midpoint', 'absolute'],
+    ['midpoint', 'parent-relative']
+  ])('%s decomposition with %s mix', (decompositionMethod, mixBasis) => {
+    let results;
+
+    beforeAll(() => {
+      results = runTrees({ decompositionMethod, mixBasis });
+    });
+
+    it('explains the whole portfolio change at the root', () => {
+      results.forEach(result => {
+        expect(result.tree[0].metrics.totalImpactBps).toBeCloseTo(portfolioChangeBps, 8);
+        expect(result.metadata.totalROIChange).toBeCloseTo(portfolioChangeBps, 8);
+      });
+    });
+
+    it('splits every node into yield, mix and interaction', () => {
+      results.forEach(result => forEachNode(result.tree, ({ metrics }) => {
+        expect(metrics.yieldImpact + metrics.distributionImpact + metrics.interactionImpact)
+          .toBeCloseTo(metrics.totalImpact, 12);
+        if (decompositionMethod === 'midpoint') expect(metrics.interactionImpact).toBe(0);
+      }));
+    });
+
+    it('reconciles every node with its children', () => {
+      results.forEach(result => {
+        forEachNode(result.tree, node => {
+          if (!node.children || node.children.length === 0) return;
+          const childrenTotal = node.children.reduce((sum, child) => sum + child.metrics.totalImpact, 0);
+          const expected = node.metrics.totalImpact - (mixBasis === 'parent-relative' ? node.metrics.distributionImpact : 0);
+          expect(childrenTotal).toBeCloseTo(expected, 12);
+        });
+        expect(result.metadata.reconciliation.reconciles).toBe(true);
+        expect(result.metadata.reconciliation.checkedNodes).toBeGreaterThan(0);
+      });
+    });
+  });
+
+  it('matches the three-way formulas for a first-level segment', () => {
+    const [result] = runTrees({ decompositionMethod: 'three-way' });
+    const segment = result.tree[0].children.find(child => child.value === 'Tier 3');
+    const { previousWeight, currentWeight, previousRate, currentRate } = describeSegment('Tier 3');
+
+    expect(segment.metrics.yieldImpact).toBeCloseTo((currentRate - previousRate) * previousWeight, 12);
+    expect(segment.metrics.distributionImpact).toBeCloseTo(previousRate * (currentWeight - previousWeight), 12);
+    expect(segment.metrics.interactionImpact).toBeCloseTo((currentRate - previousRate) * (currentWeight - previousWeight), 12);
+  });
+
+  it('measures mix against the parent rate under parent-relative', () => {
+    const [result] = runTrees({ decompositionMethod: 'three-way', mixBasis: 'parent-relative' });
+    const segment = result.tree[0].children.find(child => child.value === 'Tier 3');
+    const { previousWeight, currentWeight, previousRate, currentRate } = describeSegment('Tier 3');
+    const parentRate = weightedRate(data.previousMonth);
+
+    expect(segment.metrics.yieldImpact).toBeCloseTo((currentRate - previousRate) * previousWeight, 12);
+    expect(segment.metrics.distributionImpact).toBeCloseTo((previousRate - parentRate) * (currentWeight - previousWeight), 12);
+    expect(segment.metrics.interactionImpact).toBeCloseTo((currentRate - previousRate) * (currentWeight - previousWeight), 12);
+  });
+
+  it('leaves the mix of a weight shift unreconciled under two-way', () => {
+    const [result] = runTrees({ decompositionMethod: 'two-way' });
+
+    expect(result.metadata.reconciliation.reconciles).toBe(false);
+  });
+});
@@ -0,0 +1,107 @@
+const analysisEngine = require('../analysisEngine');
+const dataProcessor = require('../dataProcessor');
+const { createLoanBook, rollLoanBook } = require('../__fixtures__/loanBook');
+
+const previousMonth = createLoanBook({ count: 500, seed: 41 });
+const currentMonth = rollLoanBook(previousMonth, { seed: 42 });
+const data = { previousMonth, currentMonth };
+
+const weightedRate = rows =>
+  rows.reduce((sum, row) => sum + row.total_loan_amount * row.roi, 0) / rows.reduce((sum, row) => sum + row.total_loan_amount, 0);
+
+const forEachNode = (nodes, visit) => (nodes || []).forEach(node => {
+  visit(node);
+  forEachNode(node.children, visit);
+});
+
+const expectSplitToAddUp = split => {
+  expect(split.newBusinessBps + split.runoffBps + split.repricingBps).toBeCloseTo(split.totalBps, 9);
+};
+
+describe('loan matching', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  it('splits the portfolio change into new business, run-off and repricing', () => {
+    const summary = analysisEngine.summarizeLoanMatching(previousMonth, currentMonth);
+    const currentIds = new Set(currentMonth.map(row => row.application_id));
+    const previousIds = new Set(previousMonth.map(row => row.application_id));
+    const previousContinuing = previousMonth.filter(row => currentIds.has(row.application_id));
+    const currentContinuing = currentMonth.filter(row => previousIds.has(row.application_id));
+
+    const previousRate = weightedRate(previousMonth);
+    const currentRate = weightedRate(currentMonth);
+
+    expectSplitToAddUp(summary);
+    expect(summary.totalBps).toBeCloseTo((currentRate - previousRate) * 10000, 9);
+    expect(summary.runoffBps).toBeCloseTo((weightedRate(previousContinuing) - previousRate) * 10000, 9);
+    expect(summary.repricingBps).toBeCloseTo((weightedRate(currentContinuing) - weightedRate(previousContinuing)) * 10000, 9);
+    expect(summary.newBusinessBps).toBeCloseTo((currentRate - weightedRate(currentContinuing)) * 10000, 9);
+
+    expect(summary.loans.continuing).toBe(previousContinuing.length);
+    expect(summary.loans.runoff + summary.loans.continuing).toBe(previousMonth.length);
+    expect(summary.loans.new + summary.loans.continuing).toBe(currentMonth.length);
+  });
+
+  it('gives the upload summary the same split as the engine', () => {
+    const { loanMatching } = dataProcessor.getSummaryStats({ previousMonth, currentMonth });
+
+    expect(loanMatching).toEqual(analysisEngine.summarizeLoanMatching(previousMonth, currentMonth));
+  });
+
+  it.each(['two-way', 'three-way', 'midpoint'])('adds up to the total change at every node of both trees (%s)', decompositionMethod => {
+    const results = [
+      analysisEngine.performUserPriorityAnalysisV2(data, ['tier', 'channel'], 'roi', null, { decompositionMethod }),
+      analysisEngine.performAutoMaxSplitAnalysisV2(data, 'roi', ['tier', 'channel', 'product'], null, { decompositionMethod })
+    ];
+
+    results.forEach(result => {
+      expectSplitToAddUp(result.loanMatching);
+      forEachNode(result.tree, node => {
+        expectSplitToAddUp(node.loanMatching);
+        // Each node's steps add up to its full contribution w₁r₁ − w₀r₀
+        if (decompositionMethod !== 'two-way') {
+          expect(node.loanMatching.totalBps).toBeCloseTo(node.metrics.totalImpactBps, 9);
+        }
+        if (node.children && node.children.length > 0) {
+          ['newBusinessBps', 'runoffBps', 'repricingBps'].forEach(step => {
+            const childrenTotal = node.children.reduce((sum, child) => sum + child.loanMatching[step], 0);
+            expect(childrenTotal).toBeCloseTo(node.loanMatching[step], 9);
+          });
+        }
+      });
+    });
+  });
+
+  it('adds up for sum metrics', () => {
+    const metric = { numerator: 'total_loan_amount', aggregation: 'sum' };
+    const summary = analysisEngine.summarizeLoanMatching(previousMonth, currentMonth, metric);
+    const amount = rows => rows.reduce((sum, row) => sum + row.total_loan_amount, 0);
+
+    expectSplitToAddUp(summary);
+    expect(summary.totalBps).toBeCloseTo(amount(currentMonth) - amount(previousMonth), 4);
+  });
+
+  it('counts loans without an ID as run-off and new business', () => {
+    const withoutIds = rows => rows.map((row, index) => (index % 10 === 0 ? { ...row, application_id: ' ' } : row));
+    const summary = analysisEngine.summarizeLoanMatching(withoutIds(previousMonth), withoutIds(currentMonth));
+
+    expect(summary.unidentified.previous).toBe(50);
+    expect(summary.unidentified.current).toBeGreaterThan(0);
+    expectSplitToAddUp(summary);
+  });
+
+  it('is not available when a period has no loan IDs', () => {
+    const anonymous = currentMonth.map(({ application_id: id, ...row }) => row);
+
+    expect(analysisEngine.summarizeLoanMatching(previousMonth, anonymous)).toBeNull();
+    expect(analysisEngine.performUserPriorityAnalysisV2(
+      { previousMonth, currentMonth: anonymous }, ['tier'], 'roi'
+    ).loanMatching).toBeNull();
+  });
+});
@@ -0,0 +1,36 @@
+const analysisEngine = require('../analysisEngine');
+const narrativeGenerator = require('../narrativeGenerator');
+
+describe('metric units', () => {
+  it.each([
+    ['roi', 'bps', 10000],
+    [{ numerator: 'roi', aggregation: 'mean' }, 'bps', 10000],
+    [{ numerator: 'npa_amount', weight: 'total_loan_amount', aggregation: 'ratio' }, 'bps', 10000],
+    ['tenure', 'units', 1],
+    [{ numerator: 'v_score', aggregation: 'mean' }, 'units', 1],
+    [{ numerator: 'total_loan_amount', aggregation: 'sum' }, 'units', 1],
+    [{ numerator: 'roi', aggregation: 'sum' }, 'units', 1],
+    [{ numerator: 'delinquency', unit: 'bps' }, 'bps', 10000],
+    [{ numerator: 'roi', unit: 'units' }, 'units', 1]
+  ])('reports %j in %s', (definition, unit, scale) => {
+    const metric = analysisEngine.resolveMetric(definition);
+
+    expect(metric.unit).toBe(unit);
+    expect(metric.scale).toBe(scale);
+  });
+
+  it('rejects unknown units and sums in basis points', () => {
+    expect(() => analysisEngine.resolveMetric({ numerator: 'tenure', unit: 'pct' })).toThrow(/Unsupported unit/);
+    expect(() => analysisEngine.resolveMetric({ numerator: 'tenure', aggregation: 'sum', unit: 'bps' })).toThrow(/own units/);
+  });
+
+  it('formats rate levels as percentages and other targets as plain numbers', () => {
+    const rate = narrativeGenerator.getFormatter(analysisEngine.resolveMetric('roi'));
+    const tenure = narrativeGenerator.getFormatter(analysisEngine.resolveMetric('tenure'));
+
+    expect(rate.rate(0.1234)).toBe('12.34%');
+    expect(rate.signed(-18.2)).toBe('−18 bps');
+    expect(tenure.rate(36)).toBe('36');
+    expect(tenure.signed(0.25)).toBe('+0.25');
+  });
+});
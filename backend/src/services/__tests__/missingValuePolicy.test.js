@@ -0,0 +1,94 @@
+const missingValuePolicy = require('../missingValuePolicy');
+
+const COLUMNS = {
+  total_loan_amount: { numeric: true },
+  roi: { numeric: true },
+  v_score: { numeric: true },
+  tenure: { numeric: true },
+  channel: { numeric: false }
+};
+
+const ROW = { total_loan_amount: 10000, roi: 0.105, v_score: 'V12', tenure: 36, channel: 'Direct' };
+
+describe('missing value policy', () => {
+  it('drops rows missing a required column and defaults optional columns by type', () => {
+    const policy = missingValuePolicy.resolve(COLUMNS);
+
+    expect(policy.total_loan_amount).toEqual({ action: 'drop', value: null, required: true, numeric: true });
+    expect(policy.roi.action).toBe('drop');
+    expect(policy.tenure.action).toBe('ignore');
+    expect(policy.channel.action).toBe('unknown');
+  });
+
+  describe('required columns', () => {
+    it('accept drop', () => {
+      expect(missingValuePolicy.resolve(COLUMNS, { roi: 'drop' }).roi.action).toBe('drop');
+    });
+
+    it.each(['fill', 'unknown', 'ignore'])('reject %s', action => {
+      expect(() => missingValuePolicy.resolve(COLUMNS, { roi: { action, value: 0.1 } }))
+        .toThrow(`Rows without roi are always dropped; it cannot use "${action}"`);
+    });
+
+    it.each([
+      [{ roi: '' }, { column: 'roi', reason: 'empty' }],
+      [{ total_loan_amount: null }, { column: 'total_loan_amount', reason: 'empty' }],
+      [{ roi: 'n/a' }, { column: 'roi', reason: 'not_numeric' }],
+      [{ total_loan_amount: 0 }, { column: 'total_loan_amount', reason: 'zero' }],
+      [{ v_score: 'high' }, { column: 'v_score', reason: 'unparseable' }]
+    ])('reject a row with %j', (cells, rejection) => {
+      const policy = missingValuePolicy.resolve(COLUMNS);
+
+      expect(missingValuePolicy.apply({ ...ROW, ...cells }, policy)).toEqual({ row: { ...ROW, ...cells }, rejection, filled: [] });
+    });
+
+    it('are checked before optional columns are dropped', () => {
+      const policy = missingValuePolicy.resolve(COLUMNS, { channel: 'drop' });
+
+      expect(missingValuePolicy.apply({ ...ROW, roi: '', channel: '' }, policy).rejection).toEqual({ column: 'roi', reason: 'empty' });
+    });
+  });
+
+  describe('optional columns', () => {
+    it('drop rows with an empty cell when asked to', () => {
+      const policy = missingValuePolicy.resolve(COLUMNS, { channel: 'drop' });
+
+      expect(missingValuePolicy.apply({ ...ROW, channel: ' ' }, policy).rejection).toEqual({ column: 'channel', reason: 'empty' });
+      expect(missingValuePolicy.describeRejection({ column: 'channel', reason: 'empty' })).toBe('Empty cell in channel');
+    });
+
+    it('fill empty cells with a value of the column type', () => {
+      const policy = missingValuePolicy.resolve(COLUMNS, { tenure: { action: 'fill', value: '12' }, channel: { action: 'fill', value: 'Branch' } });
+
+      expect(policy.tenure.value).toBe(12);
+      expect(missingValuePolicy.apply({ ...ROW, tenure: null, channel: '' }, policy)).toEqual({
+        row: { ...ROW, tenure: 12, channel: 'Branch' },
+        rejection: null,
+        filled: ['tenure', 'channel']
+      });
+    });
+
+    it('give empty cells an "Unknown" category, or leave them empty', () => {
+      const policy = missingValuePolicy.resolve(COLUMNS, { channel: 'unknown', tenure: 'ignore' });
+
+      expect(missingValuePolicy.apply({ ...ROW, tenure: '', channel: '' }, policy)).toEqual({
+        row: { ...ROW, tenure: null, channel: 'Unknown' },
+        rejection: null,
+        filled: ['channel']
+      });
+    });
+
+    it.each([
+      [{ tenure: { action: 'fill' } }, 'A fill value is required for tenure'],
+      [{ tenure: { action: 'fill', value: 'long' } }, 'Fill value for numeric column tenure must be a number'],
+      [{ channel: 'impute' }, /Unknown missing-value action "impute" for channel/]
+    ])('reject %j', (overrides, message) => {
+      expect(() => missingValuePolicy.resolve(COLUMNS, overrides)).toThrow(message);
+    });
+  });
+
+  it('rejects overrides for columns missing from the upload unless carried over', () => {
+    expect(() => missingValuePolicy.resolve(COLUMNS, { branch: 'unknown' })).toThrow('Column(s) not found in the upload: branch');
+    expect(missingValuePolicy.resolve(COLUMNS, { branch: 'unknown' }, false)).not.toHaveProperty('branch');
+  });
+});
@@ -0,0 +1,93 @@
+const analysisEngine = require('../analysisEngine');
+const { createLoanBook } = require('../__fixtures__/loanBook');
+
+// Six in ten loans are booked at the main branch and one in ten at each of four small ones
+const withBranch = rows => rows.map((row, index) => ({ ...row, branch: index % 10 < 6 ? 'Main' : `Branch ${index % 10}` }));
+const SMALL_BRANCHES = ['Branch 6', 'Branch 7', 'Branch 8', 'Branch 9'];
+const GROUPING = { otherMinAmountPct: 15 };
+
+const data = {
+  previousMonth: withBranch(createLoanBook({ count: 600, seed: 31 })),
+  currentMonth: withBranch(createLoanBook({ count: 600, seed: 32, shift: 0.1 }))
+};
+
+// The same data with the small branches already labelled "Other"
+const relabel = rows => rows.map(row => (SMALL_BRANCHES.includes(row.branch) ? { ...row, branch: 'Other' } : row));
+const relabelled = { previousMonth: relabel(data.previousMonth), currentMonth: relabel(data.currentMonth) };
+
+const forEachNode = (nodes, visit) => (nodes || []).forEach(node => {
+  visit(node);
+  forEachNode(node.children, visit);
+});
+
+const findOther = tree => tree[0].children.find(child => child.value === 'Other');
+
+const NODE_METRICS = [
+  'previousROI', 'currentROI', 'roiChangeBps', 'yieldImpactBps', 'distributionImpactBps',
+  'interactionImpactBps', 'totalImpactBps', 'previousAmount', 'currentAmount', 'previousCount', 'currentCount'
+];
+
+describe('grouping small segments into Other', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  describe.each(['absolute', 'parent-relative'])('with %s mix', mixBasis => {
+    const options = { decompositionMethod: 'three-way', mixBasis };
+    let other;
+    let expected;
+
+    beforeAll(() => {
+      const grouped = analysisEngine.performUserPriorityAnalysisV2(data, ['branch', 'tier'], 'roi', null, { ...options, ...GROUPING });
+      const ungrouped = analysisEngine.performUserPriorityAnalysisV2(relabelled, ['branch', 'tier'], 'roi', null, options);
+      other = findOther(grouped.tree);
+      expected = findOther(ungrouped.tree);
+    });
+
+    it('groups only the segments below the threshold, and lists them as members', () => {
+      expect(other.filter.branch).toEqual({ in: SMALL_BRANCHES });
+      expect(other.members.map(member => member.value)).toEqual(SMALL_BRANCHES);
+    });
+
+    it('computes the Other node on the combined rows of its members', () => {
+      NODE_METRICS.forEach(metric => {
+        expect(other.metrics[metric]).toBeCloseTo(expected.metrics[metric], 9);
+      });
+      expect(other.children.map(child => child.value)).toEqual(expected.children.map(child => child.value));
+      other.children.forEach((child, index) => {
+        expect(child.metrics.totalImpactBps).toBeCloseTo(expected.children[index].metrics.totalImpactBps, 9);
+      });
+    });
+  });
+
+  it('adds the members up to the Other node when impacts are additive', () => {
+    const result = analysisEngine.performUserPriorityAnalysisV2(data, ['branch'], 'roi', null, { decompositionMethod: 'three-way', ...GROUPING });
+    const other = findOther(result.tree);
+
+    const membersTotal = other.members.reduce((sum, member) => sum + member.totalImpactBps, 0);
+    expect(membersTotal).toBeCloseTo(other.metrics.totalImpactBps, 9);
+  });
+
+  it.each(['three-way', 'midpoint'])('keeps every node reconciled under parent-relative mix (%s)', decompositionMethod => {
+    const options = { decompositionMethod, mixBasis: 'parent-relative', ...GROUPING };
+    const results = [
+      analysisEngine.performUserPriorityAnalysisV2(data, ['branch', 'tier', 'channel'], 'roi', null, options),
+      analysisEngine.performAutoMaxSplitAnalysisV2(data, 'roi', ['branch', 'tier', 'channel'], null, options)
+    ];
+
+    results.forEach(result => {
+      expect(result.metadata.reconciliation.reconciles).toBe(true);
+      expect(result.metadata.reconciliation.checkedNodes).toBeGreaterThan(0);
+      let others = 0;
+      forEachNode(result.tree, node => {
+        if (node.members) others++;
+        if (node.reconciliation) expect(node.reconciliation.reconciles).toBe(true);
+      });
+      expect(others).toBeGreaterThan(0);
+    });
+  });
+});
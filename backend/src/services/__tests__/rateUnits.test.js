@@ -0,0 +1,68 @@
+const dataProcessor = require('../dataProcessor');
+
+const buildWithRates = (rates, options) => {
+  const rows = rates.map((rate, index) => ({ 'Loan Amount': '1000', ROI: rate, Tier: `Tier ${index % 2}` }));
+  return dataProcessor.buildPeriodResult([
+    { label: 'Jan', source: 'jan.csv', data: rows },
+    { label: 'Feb', source: 'feb.csv', data: rows }
+  ], {}, options);
+};
+
+describe('rate units', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  it.each([
+    [[0.085, 0.105, 0.999], 'decimal'],
+    [[1, 10.5, 24], 'percent'],
+    [[8.5, 10.5, 100], 'percent'],
+    [[100.5, 1050, 2400], 'bps'],
+    [['0.105', '0.12', '0.09'], 'decimal'],
+    [['1050', '1200', '900'], 'bps']
+  ])('detects %j as %s', (values, unit) => {
+    const detected = dataProcessor.detectRateUnit(values);
+
+    expect(detected.unit).toBe(unit);
+    expect(detected.confidence).toBe(1);
+  });
+
+  it('goes by the median and reports the share of values in its range', () => {
+    const detected = dataProcessor.detectRateUnit([0.1, 10.5, 11, 12, 1200]);
+
+    expect(detected).toEqual({ unit: 'percent', confidence: 0.6, median: 11 });
+  });
+
+  it('ignores zero, negative and missing rates, and defaults to percent without any', () => {
+    expect(dataProcessor.detectRateUnit([0, -5, '', null, 0.1, 0.12]).unit).toBe('decimal');
+    expect(dataProcessor.detectRateUnit([0, '', null])).toEqual({ unit: 'percent', confidence: 0, median: null });
+  });
+
+  it('prefers a manual unit and keeps the detected one', () => {
+    const rateUnit = dataProcessor.resolveRateUnit([0.1, 0.12], 'percent');
+
+    expect(rateUnit).toMatchObject({ unit: 'percent', detectedUnit: 'decimal', source: 'manual', confidence: 1 });
+    expect(Object.keys(rateUnit.units)).toEqual(['decimal', 'percent', 'bps']);
+    expect(dataProcessor.resolveRateUnit([0.1, 0.12])).toMatchObject({ unit: 'decimal', source: 'auto' });
+  });
+
+  it('rejects an unknown manual unit', () => {
+    expect(() => dataProcessor.resolveRateUnit([0.1], 'permille')).toThrow(/Unknown rate unit "permille"/);
+  });
+
+  it.each([
+    [['10.5', '12'], undefined, 0.105],
+    [['1050', '1200'], undefined, 0.105],
+    [['0.105', '0.12'], undefined, 0.105],
+    [['10.5', '12'], 'bps', 0.00105]
+  ])('stores %j as decimals (manual unit %s)', (rates, rateUnit, expected) => {
+    const parsedData = buildWithRates(rates, { rateUnit });
+
+    expect(parsedData.rateUnit.source).toBe(rateUnit ? 'manual' : 'auto');
+    expect(parsedData.currentMonth[0].roi).toBeCloseTo(expected, 10);
+  });
+});
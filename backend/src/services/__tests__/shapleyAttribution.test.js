@@ -0,0 +1,84 @@
+const analysisEngine = require('../analysisEngine');
+
+// [tier, channel, loans, amount per loan, roi]
+const buildRows = (spec) => spec.flatMap(([tier, channel, count, amount, roi]) =>
+  Array.from({ length: count }, () => ({ tier, channel, total_loan_amount: amount, roi })));
+
+const attribute = (previousMonth, currentMonth, factors, metricDefinition = null) =>
+  analysisEngine.performShapleyAttribution({ previousMonth, currentMonth }, factors, 'roi', metricDefinition);
+
+const shareOf = (result, factor) => result.factors.find(item => item.factor === factor).share;
+
+describe('Shapley attribution', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  // Volume moves from tier B to tier A, but both tiers earn the same blended rate; the change
+  // comes from web loans repricing from 10% to 11%
+  const previousMonth = buildRows([
+    ['A', 'web', 10, 100, 0.10], ['A', 'branch', 10, 100, 0.12],
+    ['B', 'web', 10, 100, 0.10], ['B', 'branch', 10, 100, 0.12]
+  ]);
+  const currentMonth = buildRows([
+    ['A', 'web', 30, 100, 0.11], ['A', 'branch', 30, 100, 0.12],
+    ['B', 'web', 5, 100, 0.11], ['B', 'branch', 5, 100, 0.12]
+  ]);
+
+  it('gives no credit to a factor whose segments only shifted volume', () => {
+    const result = attribute(previousMonth, currentMonth, ['tier', 'channel']);
+
+    expect(result.totalChangeBps).toBeCloseTo(50, 6);
+    expect(shareOf(result, 'channel')).toBeCloseTo(1, 6);
+    expect(shareOf(result, 'tier')).toBeCloseTo(0, 6);
+    expect(result.summary).toMatch(/^channel explains 100%/);
+  });
+
+  it('explains nothing when volume shifts between segments earning the same rate', () => {
+    const result = attribute(previousMonth, currentMonth, ['tier']);
+
+    expect(result.explainedBps).toBeCloseTo(0, 9);
+    expect(result.summary).toMatch(/None of the factors/);
+  });
+
+  it('returns no attribution when the portfolio did not change', () => {
+    const result = attribute(previousMonth, previousMonth.map(row => ({ ...row })), ['tier', 'channel']);
+
+    expect(result.method).toBe('none');
+    expect(result.factors).toEqual([]);
+    expect(result.explainedBps).toBe(0);
+    expect(result.summary).toMatch(/no change to attribute/);
+  });
+
+  it('returns no attribution when offsetting segment moves leave the portfolio unchanged', () => {
+    const previous = buildRows([['A', 'web', 10, 100, 0.10], ['B', 'web', 10, 100, 0.12]]);
+    const current = buildRows([['A', 'web', 10, 100, 0.11], ['B', 'web', 10, 100, 0.11]]);
+    const result = attribute(previous, current, ['tier']);
+
+    expect(result.factors).toEqual([]);
+  });
+
+  it('adds contributions up to what all factors explain together', () => {
+    const exact = attribute(previousMonth, currentMonth, ['tier', 'channel']);
+    const total = exact.factors.reduce((sum, factor) => sum + factor.contributionBps, 0);
+
+    expect(exact.method).toBe('exact');
+    expect(total).toBeCloseTo(exact.explainedBps, 9);
+    expect(exact.factors.every(factor => factor.contributionBps >= -1e-9)).toBe(true);
+  });
+
+  it('attributes sum metrics against each segment\'s previous share of the change', () => {
+    const result = attribute(previousMonth, currentMonth, ['tier', 'channel'], {
+      numerator: 'total_loan_amount',
+      aggregation: 'sum'
+    });
+
+    expect(result.totalChangeBps).toBeCloseTo(3000, 6);
+    expect(shareOf(result, 'tier')).toBeCloseTo(1, 6);
+    expect(shareOf(result, 'channel')).toBeCloseTo(0, 6);
+  });
+});
@@ -0,0 +1,91 @@
+const analysisEngine = require('../analysisEngine');
+const { createLoanBook } = require('../__fixtures__/loanBook');
+
+const data = {
+  previousMonth: createLoanBook({ count: 500, seed: 31 }),
+  currentMonth: createLoanBook({ count: 500, seed: 32, shift: 0.05 })
+};
+
+const amountOf = rows => rows.reduce((sum, row) => sum + row.total_loan_amount, 0);
+
+// Amount-weighted rate and its linearised sampling variance, computed from the rows directly
+const describeRows = rows => {
+  const weight = amountOf(rows);
+  const rate = rows.reduce((sum, row) => sum + row.total_loan_amount * row.roi, 0) / weight;
+  const residualSquares = rows.reduce((sum, row) => sum + (row.total_loan_amount * (row.roi - rate)) ** 2, 0);
+  return { weight, rate, variance: (rows.length / (rows.length - 1)) * residualSquares / (weight * weight) };
+};
+
+const analyse = (options = {}, input = data) =>
+  analysisEngine.performUserPriorityAnalysisV2(input, ['tier', 'channel'], 'roi', null, { decompositionMethod: 'three-way', ...options });
+
+describe('impact significance', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  it('puts the root interval around the portfolio change using both periods\' rate variance', () => {
+    const root = analyse().tree[0];
+    const previous = describeRows(data.previousMonth);
+    const current = describeRows(data.currentMonth);
+    const change = (current.rate - previous.rate) * 10000;
+    const halfWidth = 1.96 * Math.sqrt(previous.variance + current.variance) * 10000;
+
+    expect(root.significance.confidenceLevel).toBe(0.95);
+    expect(root.significance.totalImpactBps.low).toBeCloseTo(change - halfWidth, 8);
+    expect(root.significance.totalImpactBps.high).toBeCloseTo(change + halfWidth, 8);
+    expect(root.significance.yieldImpactBps).toEqual(root.significance.totalImpactBps);
+  });
+
+  it('weights a segment\'s rate variance by its share of the portfolio', () => {
+    const segment = analyse().tree[0].children.find(child => child.value === 'Tier 2');
+    const inSegment = rows => rows.filter(row => row.tier === 'Tier 2');
+    const previous = describeRows(inSegment(data.previousMonth));
+    const current = describeRows(inSegment(data.currentMonth));
+    const previousShare = previous.weight / amountOf(data.previousMonth);
+    const currentShare = current.weight / amountOf(data.currentMonth);
+
+    const totalSE = Math.sqrt(previousShare ** 2 * previous.variance + currentShare ** 2 * current.variance) * 10000;
+    const yieldSE = previousShare * Math.sqrt(previous.variance + current.variance) * 10000;
+
+    expect(segment.significance.totalImpactBps.low).toBeCloseTo(segment.metrics.totalImpactBps - 1.96 * totalSE, 8);
+    expect(segment.significance.totalImpactBps.high).toBeCloseTo(segment.metrics.totalImpactBps + 1.96 * totalSE, 8);
+    expect(segment.significance.yieldImpactBps.low).toBeCloseTo(segment.metrics.yieldImpactBps - 1.96 * yieldSE, 8);
+    expect(segment.significance.significant).toBe(
+      segment.significance.totalImpactBps.low > 0 || segment.significance.totalImpactBps.high < 0
+    );
+  });
+
+  it('widens the intervals with the confidence level', () => {
+    const widths = [0.8, 0.9, 0.95, 0.99].map(confidenceLevel => {
+      const { totalImpactBps } = analyse({ confidenceLevel }).tree[0].significance;
+      return totalImpactBps.high - totalImpactBps.low;
+    });
+
+    expect(widths[1] / widths[0]).toBeCloseTo(1.6449 / 1.2816, 6);
+    expect(widths[3] / widths[2]).toBeCloseTo(2.5758 / 1.96, 6);
+  });
+
+  it('has no interval for a segment with a single loan in a period', () => {
+    const previousMonth = [...data.previousMonth, { ...data.previousMonth[0], tier: 'Tier 4' }];
+    const currentMonth = [
+      ...data.currentMonth,
+      { ...data.currentMonth[0], tier: 'Tier 4' },
+      { ...data.currentMonth[1], tier: 'Tier 4' }
+    ];
+    const result = analyse({}, { previousMonth, currentMonth });
+    const segment = result.tree[0].children.find(child => child.value === 'Tier 4');
+
+    expect(segment.significance.totalImpactBps).toBeNull();
+    expect(segment.significance.significant).toBe(false);
+    expect(result.metadata.significance.insignificantNodes).toBeGreaterThan(0);
+  });
+
+  it('rejects unsupported confidence levels', () => {
+    expect(() => analysisEngine.resolveAnalysisConfig('roi', { confidenceLevel: 0.5 })).toThrow(/confidenceLevel/);
+  });
+});
@@ -0,0 +1,182 @@
+const _ = require('lodash');
+const bandingService = require('./bandingService');
+
+/**
+ * Pre-aggregates loan rows into cells, one per distinct combination of the analysis factors,
+ * so trees are built from sufficient statistics instead of individual rows.
+ *
+ * A cell carries its factor values like a row does, so filters and group-bys work on cells
+ * and rows alike, plus the statistics of the rows it holds:
+ *   count, weight, numerator        - enough for any metric's rate (numerator / weight)
+ *   numeratorSquares, crossProducts,
+ *   weightSquares                   - enough for the rate's sampling variance
+ *   amount                          - Σ total_loan_amount
+ * A measure function turns a row into { weight, numerator, amount } for the metric being
+ * analysed, so a cube is only valid for the metric it was built with.
+ *
+ * Numeric columns split by range keep up to MAX_NUMERIC_LEVELS distinct values. Beyond that
+ * each value is replaced by the top of its quantile bucket; range splits cut at these
+ * levels, so a cell falls on the same side of a cut point as every row in it.
+ */
+const MAX_NUMERIC_LEVELS = 100;
+// Levels are rounded up to 4 decimals so range labels stay readable
+const LEVEL_PRECISION = 10000;
+const STATS = Symbol('cellStats');
+
+class AggregationCube {
+  emptyStats() {
+    return { count: 0, weight: 0, numerator: 0, numeratorSquares: 0, crossProducts: 0, weightSquares: 0, amount: 0 };
+  }
+
+  /**
+   * Add one measured row to a set of statistics, in place
+   */
+  addRow(stats, { weight, numerator, amount }) {
+    stats.count += 1;
+    stats.weight += weight;
+    stats.numerator += numerator;
+    stats.numeratorSquares += numerator * numerator;
+    stats.crossProducts += numerator * weight;
+    stats.weightSquares += weight * weight;
+    stats.amount += amount;
+    return stats;
+  }
+
+  /**
+   * Add statistics to a set of statistics, in place
+   */
+  addStats(stats, other) {
+    stats.count += other.count;
+    stats.weight += other.weight;
+    stats.numerator += other.numerator;
+    stats.numeratorSquares += other.numeratorSquares;
+    stats.crossProducts += other.crossProducts;
+    stats.weightSquares += other.weightSquares;
+    stats.amount += other.amount;
+    return stats;
+  }
+
+  combine(...statsList) {
+    return statsList.reduce((total, stats) => this.addStats(total, stats), this.emptyStats());
+  }
+
+  subtract(stats, other) {
+    return _.mapValues(stats, (value, key) => value - other[key]);
+  }
+
+  /**
+   * Statistics of a cell or a whole cube, or null for plain rows
+   */
+  getStats(item) {
+    return item[STATS] || null;
+  }
+
+  /**
+   * Add a row or a cell to a set of statistics, in place
+   * @param {Function} measure - row => { weight, numerator, amount }
+   */
+  addItem(stats, item, measure) {
+    const cellStats = item[STATS];
+    return cellStats ? this.addStats(stats, cellStats) : this.addRow(stats, measure(item));
+  }
+
+  /**
+   * Statistics of a dataset of rows, cells or a mix of both. A whole cube carries its
+   * totals, so summarizing the portfolio does not walk its cells again.
+   * @param {Array} data - Rows or cells
+   * @param {Function} measure - row => { weight, numerator, amount }
+   */
+  summarize(data, measure) {
+    if (data && data[STATS]) return { ...data[STATS] };
+    const stats = this.emptyStats();
+    (data || []).forEach(item => this.addItem(stats, item, measure));
+    return stats;
+  }
+
+  /**
+   * Number of loans in a dataset of rows or cells
+   */
+  countRows(data) {
+    if (data && data[STATS]) return data[STATS].count;
+    return (data || []).reduce((count, item) => count + (item[STATS] ? item[STATS].count : 1), 0);
+  }
+
+  /**
+   * Group rows or cells by a factor's value in one pass
+   * @returns {Map} value → items
+   */
+  groupBy(data, factor) {
+    const groups = new Map();
+    (data || []).forEach(item => {
+      const value = item[factor];
+      if (!groups.has(value)) groups.set(value, []);
+      groups.get(value).push(item);
+    });
+    return groups;
+  }
+
+  /**
+   * Values a numeric column is rounded up to, shared by every dataset cubed with them
+   * @param {Array} datasets - Row arrays, e.g. both periods
+   * @param {string} column - Numeric column
+   * @returns {Array|null} Sorted bucket maxima, or null when the column has few enough
+   *   distinct values to keep as they are
+   */
+  getNumericLevels(datasets, column) {
+    const values = _.flatMap(datasets, rows => rows.map(row => bandingService.parseValue(row[column])))
+      .filter(value => value !== null)
+      .sort((a, b) => a - b);
+    if (_.sortedUniq(values).length <= MAX_NUMERIC_LEVELS) return null;
+
+    // Rounding a level up keeps every value of its bucket at or below it
+    return _.sortedUniq(_.range(1, MAX_NUMERIC_LEVELS + 1).map(level =>
+      Math.ceil(values[Math.ceil((values.length * level) / MAX_NUMERIC_LEVELS) - 1] * LEVEL_PRECISION) / LEVEL_PRECISION
+    ));
+  }
+
+  /**
+   * Collapse rows into cells
+   * @param {Array} rows - Dataset
+   * @param {Array} dimensions - Categorical factors kept as they are
+   * @param {Object} numericDimensions - { [column]: levels } for numeric factors; levels from
+   *   getNumericLevels, or null to keep exact values. Values are stored as numbers, null when missing.
+   * @param {Function} measure - row => { weight, numerator, amount }
+   * @returns {Array} Cells: { [factor]: value, ... } with their statistics attached, and the
+   *   statistics of all of them attached to the array
+   */
+  build(rows, dimensions, numericDimensions, measure) {
+    const numericColumns = Object.keys(numericDimensions || {});
+    const cells = new Map();
+    const totals = this.emptyStats();
+
+    rows.forEach(row => {
+      const values = [
+        ...dimensions.map(factor => row[factor]),
+        ...numericColumns.map(column => this.getNumericLevel(row[column], numericDimensions[column]))
+      ];
+      const key = JSON.stringify(values);
+
+      let cell = cells.get(key);
+      if (!cell) {
+        cell = _.zipObject([...dimensions, ...numericColumns], values);
+        cell[STATS] = this.emptyStats();
+        cells.set(key, cell);
+      }
+      const measured = measure(row);
+      this.addRow(cell[STATS], measured);
+      this.addRow(totals, measured);
+    });
+
+    const cube = [...cells.values()];
+    cube[STATS] = totals;
+    return cube;
+  }
+
+  getNumericLevel(value, levels) {
+    const number = bandingService.parseValue(value);
+    if (number === null || !levels) return number;
+    return levels[Math.min(_.sortedIndex(levels, number), levels.length - 1)];
+  }
+}
+
+module.exports = new AggregationCube();
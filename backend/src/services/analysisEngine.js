@@ -1,4 +1,42 @@
 const _ = require('lodash');
+const bandingService = require('./bandingService');
+const aggregationCube = require('./aggregationCube');
+const narrativeGenerator = require('./narrativeGenerator');
+const loanMatching = require('./loanMatching');
+
+const METRIC_AGGREGATIONS = ['weighted-mean', 'mean', 'sum', 'ratio'];
+const DEFAULT_WEIGHT_COLUMN = 'total_loan_amount';
+// The rate column holds decimal rates, so its averages read in basis points, as do ratios of
+// sums; other averages and sums are reported in the target's own units
+const RATE_COLUMN = 'roi';
+const METRIC_UNITS = { bps: 10000, units: 1 };
+const DECOMPOSITION_METHODS = ['two-way', 'three-way', 'midpoint'];
+const MIX_BASES = ['absolute', 'parent-relative'];
+// Relative reconciliation gap treated as floating point noise rather than a real mismatch
+const RECONCILIATION_TOLERANCE = 1e-9;
+// Trend comparisons expressed as a step between periods in the uploaded sequence
+const TREND_COMPARISONS = { mom: 1, qoq: 3, yoy: 12 };
+// Numeric splits pick their cut points from this many quantiles of the segment being split
+const NUMERIC_SPLIT_CANDIDATES = 10;
+const DEFAULT_NUMERIC_BRANCHES = 3;
+const MAX_NUMERIC_BRANCHES = 5;
+// When Auto-Max Split stops growing a branch. maxBranches null means a split may have any number of children
+const DEFAULT_STOPPING_RULES = { maxDepth: 4, minRows: 10, minAmountPct: 0, minImpactBps: 0, maxBranches: null };
+const MAX_TREE_DEPTH = 8;
+// Children too small for their own node are collapsed into one node with this value
+const OTHER_GROUP_LABEL = 'Other';
+const DEFAULT_GROUPING = { otherMinAmountPct: 0, otherMinRows: 0, otherTopK: null };
+// Two-sided normal quantiles for the confidence levels a node's impact interval can use
+const CONFIDENCE_Z = { 0.8: 1.2816, 0.9: 1.6449, 0.95: 1.96, 0.99: 2.5758 };
+const DEFAULT_CONFIDENCE_LEVEL = 0.95;
+// Shapley attribution averages over every factor ordering up to this many factors, and over
+// sampled orderings beyond it; the fixed seed keeps a sampled attribution the same across runs
+const MAX_EXACT_SHAPLEY_FACTORS = 8;
+const SHAPLEY_SAMPLED_ORDERINGS = 200;
+const SHAPLEY_SEED = 1;
+// Portfolio changes and explained impacts smaller than this (in the metric's display unit) are
+// treated as nothing to attribute
+const MIN_ATTRIBUTABLE_CHANGE = 0.01;
 
 class AnalysisEngine {
 
@@ -7,144 +45,499 @@ class AnalysisEngine {
    * Helper method to filter data based on conditions
    */
   filterData(data, filter) {
+    const conditions = Object.entries(filter);
+    if (conditions.length === 0) return data;
     return data.filter(row => {
-      return Object.entries(filter).every(([key, value]) => {
-        return row[key] === value;
+      return conditions.every(([key, value]) => {
+        return this.matchesCondition(row[key], value);
       });
     });
   }
 
   /**
-   * Get distinct values for a specific factor
+   * A filter condition is an exact category value, a list of categories { in: [...] }
+   * (an "Other" group), or a numeric range { min, max } (min exclusive, max inclusive,
+   * null for an open end). The range { missing: true } matches cells without a number.
    */
-  getDistinctValuesForFactor(data, factor) {
-    console.log(`🔍 getDistinctValuesForFactor: Factor="${factor}", Data length=${data.length}`);
-    
-    const values = data.map(row => row[factor]);
-    const filteredValues = values.filter(value => value !== null && value !== undefined);
-    const uniqueValues = [...new Set(filteredValues)].sort();
-    
-    console.log(`  - Total values: ${values.length}`);
-    console.log(`  - Non-null values: ${filteredValues.length}`);
-    console.log(`  - Unique values found: ${uniqueValues.length}`);
-    console.log(`  - Values: ${uniqueValues.join(', ')}`);
-    
-    // Sample first few raw values to understand data
-    if (values.length > 0) {
-      console.log(`  - Sample raw values (first 5): ${values.slice(0, 5).map(v => `"${v}"`).join(', ')}`);
+  isRangeCondition(condition) {
+    return _.isPlainObject(condition) && !condition.in;
+  }
+
+  matchesCondition(value, condition) {
+    if (condition === null || typeof condition !== 'object') return value === condition;
+    if (condition.in) return condition.in.includes(value);
+
+    const number = bandingService.parseValue(value);
+    if (condition.missing) return number === null;
+    return number !== null &&
+      (condition.min === null || condition.min === undefined || number > condition.min) &&
+      (condition.max === null || condition.max === undefined || number <= condition.max);
+  }
+
+  /**
+   * Add a condition to a filter. A range on a column that is already range-filtered is
+   * intersected with the existing range, so re-splitting a column narrows it further.
+   */
+  addFilterCondition(filter, factor, condition) {
+    const existing = filter[factor];
+    if (!this.isRangeCondition(condition) || !this.isRangeCondition(existing) || condition.missing || existing.missing) {
+      return { ...filter, [factor]: condition };
     }
-    
-    return uniqueValues;
+
+    const bound = (values, pick) => {
+      const defined = values.filter(value => value !== null && value !== undefined);
+      return defined.length > 0 ? pick(...defined) : null;
+    };
+    return {
+      ...filter,
+      [factor]: {
+        min: bound([existing.min, condition.min], Math.max),
+        max: bound([existing.max, condition.max], Math.min)
+      }
+    };
   }
 
   /**
-   * Calculate weighted ROI for a dataset
+   * Node fields for a range condition: the range as the value, e.g. "(24, 36]", and a
+   * readable label such as "tenure ∈ (24, 36]"
    */
-  calculateWeightedROI(data) {
-    if (!data || data.length === 0) {
-      console.log('🔍 calculateWeightedROI: No data provided, returning 0');
-      return 0;
+  describeRangeCondition(factor, condition) {
+    if (condition.missing) {
+      const value = bandingService.getMissingBand();
+      return { value, range: condition, label: `${factor}: ${value}` };
     }
 
-    console.log(`\n🔍 === WEIGHTED ROI CALCULATION START ===`);
-    console.log(`🔍 Processing ${data.length} records`);
-    
-    // Group data by categories to understand segments
-    const segments = {};
+    const { min, max } = condition;
+    const value = bandingService.formatRange(min === null ? -Infinity : min, max === null ? Infinity : max);
+    let label = `${factor} ∈ ${value}`;
+    if (min === null) label = `${factor} ≤ ${max}`;
+    if (max === null) label = `${factor} > ${min}`;
+    return { value, range: { min, max }, label };
+  }
+
+  /**
+   * Path segment for a node, e.g. "channel:Online" or "tenure ∈ (24, 36]"
+   */
+  getNodeLabel(node) {
+    return node.range ? node.label : `${node.factor}:${node.value}`;
+  }
+
+  /**
+   * Get distinct values for a specific factor
+   */
+  getDistinctValuesForFactor(data, factor) {
+    const values = new Set();
     data.forEach(row => {
-      // Try to identify segments by contract_type or other categorical fields
-      const segmentKey = row.contract_type || row.tier || row.product || 'unknown';
-      if (!segments[segmentKey]) {
-        segments[segmentKey] = {
-          count: 0,
-          totalAmount: 0,
-          weightedROI: 0,
-          avgROI: 0
-        };
-      }
-      segments[segmentKey].count++;
-      segments[segmentKey].totalAmount += row.total_loan_amount || 0;
-      segments[segmentKey].weightedROI += (row.total_loan_amount || 0) * (row.roi || 0);
+      const value = row[factor];
+      if (value !== null && value !== undefined) values.add(value);
     });
+    return [...values].sort();
+  }
 
-    // Calculate average ROI for each segment
-    Object.keys(segments).forEach(key => {
-      if (segments[key].totalAmount > 0) {
-        segments[key].avgROI = segments[key].weightedROI / segments[key].totalAmount;
-      }
-    });
+  /**
+   * Read a numeric column from a row, treating missing or non-numeric values as 0
+   */
+  getNumericValue(row, column) {
+    const value = row[column];
+    return typeof value === 'number' && !isNaN(value) ? value : 0;
+  }
 
-    console.log('🔍 Data Segments Found:');
-    Object.entries(segments).forEach(([key, seg]) => {
-      console.log(`  📊 ${key}: ${seg.count} records, Amount: ${seg.totalAmount.toFixed(2)}, Avg ROI: ${(seg.avgROI * 100).toFixed(4)}%`);
-    });
+  /**
+   * Resolve a metric definition into a normalized form used throughout the engine.
+   * Accepts a bare column name (weighted by total_loan_amount, as before) or an
+   * object of the form { numerator, weight, aggregation, label }.
+   *
+   * Aggregations:
+   *  - weighted-mean: Σ(weight × numerator) / Σ weight
+   *  - mean:          Σ numerator / row count
+   *  - sum:           Σ numerator (segments are weighted by absolute weight, not share)
+   *  - ratio:         Σ numerator / Σ weight (e.g. NPA amount / book)
+   *
+   * Averages of the rate column and ratios are reported in basis points (scale 10000); sums
+   * and averages of any other column (tenure, V score, ...) in the column's own units
+   * (scale 1). A definition can set unit: 'bps' for another decimal rate column, or
+   * unit: 'units' to opt out.
+   * @param {string|Object} metric - Column name or metric definition
+   * @returns {Object} Resolved metric definition
+   */
+  resolveMetric(metric = 'roi') {
+    if (metric && metric.resolved) return metric;
 
-    // Sample first few records to understand data format
-    const sampleRecords = data.slice(0, 3);
-    console.log('🔍 Sample records:', sampleRecords.map(row => ({
-      total_loan_amount: row.total_loan_amount,
-      roi: row.roi,
-      roi_type: typeof row.roi,
-      roi_as_percent: (row.roi * 100).toFixed(4) + '%'
-    })));
-
-    // Calculate with detailed logging
-    let runningTotal = 0;
-    let detailedLog = [];
-    
-    const totalWeightedROI = data.reduce((sum, row, index) => {
-      const amount = row.total_loan_amount || 0;
-      const roi = row.roi || 0;
-      const weighted = amount * roi;
-      runningTotal = sum + weighted;
-      
-      if (index < 10) { // Log first 10 calculations
-        detailedLog.push({
-          index,
-          amount: amount.toFixed(2),
-          roi: roi.toFixed(6),
-          roi_percent: (roi * 100).toFixed(4) + '%',
-          weighted: weighted.toFixed(2),
-          runningTotal: runningTotal.toFixed(2)
-        });
+    const definition = typeof metric === 'string' ? { numerator: metric } : (metric || {});
+    const numerator = definition.numerator || 'roi';
+    const aggregation = definition.aggregation || 'weighted-mean';
+
+    if (!METRIC_AGGREGATIONS.includes(aggregation)) {
+      throw new Error(`Unsupported aggregation "${aggregation}"`);
+    }
+
+    // Simple means are always row-weighted; everything else defaults to loan amount
+    let weight = definition.weight === undefined ? DEFAULT_WEIGHT_COLUMN : definition.weight;
+    if (aggregation === 'mean') weight = null;
+    if (aggregation === 'ratio' && !weight) {
+      throw new Error('Ratio metrics require a denominator column');
+    }
+
+    const isSum = aggregation === 'sum';
+    let unit = aggregation === 'ratio' || (!isSum && numerator === RATE_COLUMN) ? 'bps' : 'units';
+    if (definition.unit !== undefined && definition.unit !== null) {
+      if (!METRIC_UNITS[definition.unit]) {
+        throw new Error(`Unsupported unit "${definition.unit}"`);
       }
-      
-      return runningTotal;
-    }, 0);
+      if (isSum && definition.unit === 'bps') {
+        throw new Error('Sum metrics are reported in their own units');
+      }
+      unit = definition.unit;
+    }
 
-    console.log('🔍 First 10 detailed calculations:');
-    console.table(detailedLog);
+    return {
+      resolved: true,
+      numerator,
+      weight,
+      aggregation,
+      label: definition.label || this.getMetricLabel(numerator, weight, aggregation),
+      scale: METRIC_UNITS[unit],
+      unit
+    };
+  }
 
-    const totalAmount = data.reduce((sum, row) => {
-      return sum + (row.total_loan_amount || 0);
-    }, 0);
+  /**
+   * Default display label for a metric definition
+   */
+  getMetricLabel(numerator, weight, aggregation) {
+    const name = numerator === 'roi' ? 'ROI' : _.startCase(numerator);
+    switch (aggregation) {
+      case 'mean':
+        return `Avg ${name}`;
+      case 'sum':
+        return `Total ${name}`;
+      case 'ratio':
+        return `${name} / ${_.startCase(weight)}`;
+      default:
+        return weight === DEFAULT_WEIGHT_COLUMN || !weight ? name : `${name} (by ${_.startCase(weight)})`;
+    }
+  }
+
+  /**
+   * Resolve the settings shared by every node of a tree build
+   * @param {string|Object} metric - Column name or metric definition
+   * @param {Object} options - { decompositionMethod, mixBasis, numericFactors, maxNumericBranches, mergeCategories,
+   *   confidenceLevel }
+   *   numericFactors are numeric columns Auto-Max Split may split on by range; maxNumericBranches
+   *   caps the ranges a single numeric split creates (rows without a value come on top).
+   *   Auto-Max Split stopping rules and "Other" grouping are also read from here, see
+   *   resolveStoppingRules and resolveGrouping
+   *   confidenceLevel (0.8, 0.9, 0.95 or 0.99) sets the width of each node's impact intervals
+   * @returns {Object} { metric, decomposition, numericSplits, stoppingRules, grouping, categoryMerging, significance }
+   */
+  resolveAnalysisConfig(metric = 'roi', options = {}) {
+    if (metric && metric.resolved && metric.decomposition) return metric;
+
+    const method = options.decompositionMethod || 'two-way';
+    if (!DECOMPOSITION_METHODS.includes(method)) {
+      throw new Error(`Unsupported decomposition method "${method}"`);
+    }
+
+    const mixBasis = options.mixBasis || 'absolute';
+    if (!MIX_BASES.includes(mixBasis)) {
+      throw new Error(`Unsupported mix basis "${mixBasis}"`);
+    }
+
+    const resolvedMetric = this.resolveMetric(metric);
+    if (mixBasis === 'parent-relative' && resolvedMetric.aggregation === 'sum') {
+      // Sum metrics weight segments by absolute size, so sibling weight changes don't net to zero
+      throw new Error('Parent-relative mix is only available for share-weighted metrics');
+    }
+
+    const numericFactors = options.numericFactors || [];
+    if (!Array.isArray(numericFactors) || numericFactors.some(factor => typeof factor !== 'string')) {
+      throw new Error('numericFactors must be a list of column names');
+    }
+    if (numericFactors.includes(resolvedMetric.numerator)) {
+      throw new Error(`Cannot split on the analysed column ${resolvedMetric.numerator}`);
+    }
+
+    const maxBranches = options.maxNumericBranches === undefined || options.maxNumericBranches === null
+      ? DEFAULT_NUMERIC_BRANCHES
+      : Number(options.maxNumericBranches);
+    if (!Number.isInteger(maxBranches) || maxBranches < 2 || maxBranches > MAX_NUMERIC_BRANCHES) {
+      throw new Error(`maxNumericBranches must be a whole number between 2 and ${MAX_NUMERIC_BRANCHES}`);
+    }
+
+    if (options.mergeCategories !== undefined && options.mergeCategories !== null && typeof options.mergeCategories !== 'boolean') {
+      throw new Error('mergeCategories must be true or false');
+    }
+
+    const hasConfidenceLevel = options.confidenceLevel !== undefined && options.confidenceLevel !== null && options.confidenceLevel !== '';
+    const confidenceLevel = hasConfidenceLevel ? Number(options.confidenceLevel) : DEFAULT_CONFIDENCE_LEVEL;
+    if (!CONFIDENCE_Z[confidenceLevel]) {
+      throw new Error(`confidenceLevel must be one of ${Object.keys(CONFIDENCE_Z).join(', ')}`);
+    }
+
+    return {
+      resolved: true,
+      metric: resolvedMetric,
+      decomposition: {
+        method,
+        mixBasis,
+        formula: this.describeDecomposition(method, mixBasis)
+      },
+      numericSplits: {
+        factors: numericFactors,
+        maxBranches
+      },
+      stoppingRules: this.resolveStoppingRules(options),
+      grouping: this.resolveGrouping(options),
+      // Auto-Max Split merges categories that behave alike instead of splitting on every value
+      categoryMerging: { enabled: options.mergeCategories === true },
+      significance: { confidenceLevel, z: CONFIDENCE_Z[confidenceLevel] }
+    };
+  }
+
+  /**
+   * Resolve when the children of a categorical split are collapsed into an "Other" node:
+   *   otherMinAmountPct - children with less than this share of the parent's loan amount, in %
+   *   otherMinRows      - children with fewer rows across both periods
+   *   otherTopK         - children beyond the top K by |total impact|
+   * Every threshold is off by default.
+   * @param {Object} options - Any of the thresholds above
+   * @returns {Object} { minAmountPct, minRows, topK }
+   */
+  resolveGrouping(options = {}) {
+    const settings = _.mapValues(DEFAULT_GROUPING, (defaultValue, key) =>
+      options[key] === undefined || options[key] === null || options[key] === '' ? defaultValue : Number(options[key])
+    );
+
+    if (isNaN(settings.otherMinAmountPct) || settings.otherMinAmountPct < 0 || settings.otherMinAmountPct > 100) {
+      throw new Error('otherMinAmountPct must be a percentage between 0 and 100');
+    }
+    if (!Number.isInteger(settings.otherMinRows) || settings.otherMinRows < 0) {
+      throw new Error('otherMinRows must be a whole number of at least 0');
+    }
+    if (settings.otherTopK !== null && (!Number.isInteger(settings.otherTopK) || settings.otherTopK < 1)) {
+      throw new Error('otherTopK must be a whole number of at least 1');
+    }
+
+    return {
+      minAmountPct: settings.otherMinAmountPct,
+      minRows: settings.otherMinRows,
+      topK: settings.otherTopK
+    };
+  }
+
+  /**
+   * Resolve the rules that stop Auto-Max Split from splitting a node:
+   *   maxDepth     - levels below the root
+   *   minRows      - rows the node needs in each period
+   *   minAmountPct - node's share of the loan amount across both periods, in %
+   *   minImpactBps - node's |total impact| (in the metric's unit for sum metrics)
+   *   maxBranches  - most children one split may create; splits with more are not considered
+   * @param {Object} options - Any of the rules above; missing ones use the defaults
+   * @returns {Object} Resolved rules
+   */
+  resolveStoppingRules(options = {}) {
+    const rules = _.mapValues(DEFAULT_STOPPING_RULES, (defaultValue, rule) =>
+      options[rule] === undefined || options[rule] === null || options[rule] === '' ? defaultValue : Number(options[rule])
+    );
+
+    if (!Number.isInteger(rules.maxDepth) || rules.maxDepth < 1 || rules.maxDepth > MAX_TREE_DEPTH) {
+      throw new Error(`maxDepth must be a whole number between 1 and ${MAX_TREE_DEPTH}`);
+    }
+    if (!Number.isInteger(rules.minRows) || rules.minRows < 1) {
+      throw new Error('minRows must be a whole number of at least 1');
+    }
+    if (isNaN(rules.minAmountPct) || rules.minAmountPct < 0 || rules.minAmountPct > 100) {
+      throw new Error('minAmountPct must be a percentage between 0 and 100');
+    }
+    if (isNaN(rules.minImpactBps) || rules.minImpactBps < 0) {
+      throw new Error('minImpactBps must be zero or more');
+    }
+    if (rules.maxBranches !== null && (!Number.isInteger(rules.maxBranches) || rules.maxBranches < 2)) {
+      throw new Error('maxBranches must be a whole number of at least 2');
+    }
+
+    return rules;
+  }
+
+  /**
+   * Human-readable formulas for a decomposition method and mix basis
+   */
+  describeDecomposition(method = 'two-way', mixBasis = 'absolute') {
+    const midpoint = method === 'midpoint';
+    const rate = midpoint ? 'Avg Rate' : 'Prev Rate';
+    const mix = mixBasis === 'parent-relative'
+      ? `(${rate} − Parent ${rate}) × ΔWeight`
+      : `${rate} × ΔWeight`;
+
+    return {
+      yield: midpoint ? 'ΔRate × Avg Weight' : 'ΔRate × Prev Weight',
+      mix,
+      interaction: method === 'three-way' ? 'ΔRate × ΔWeight' : null,
+      text: [
+        `Yield = ${midpoint ? 'ΔRate × Avg Weight' : 'ΔRate × Prev Weight'}`,
+        `Mix = ${mix}`,
+        ...(method === 'three-way' ? ['Interaction = ΔRate × ΔWeight'] : [])
+      ].join('; ')
+    };
+  }
+
+  /**
+   * Decomposition options for the children of a segment. Under the parent-relative
+   * mix basis the segment's own rate (previous, or midpoint for the midpoint method)
+   * becomes the reference its children's mix is measured against.
+   * @param {Array} parentPrevious - Previous period data for the parent segment
+   * @param {Array} parentCurrent - Current period data for the parent segment
+   * @param {Object} config - Analysis config
+   * @returns {Object} Options for calculateImpactDecomposition
+   */
+  getMixOptions(parentPrevious, parentCurrent, config) {
+    const { metric, decomposition } = config;
+    if (decomposition.mixBasis !== 'parent-relative') {
+      return decomposition;
+    }
+
+    const prevRate = this.summarizeMetric(parentPrevious, metric).rate;
+    const currRate = this.summarizeMetric(parentCurrent, metric).rate;
 
-    const finalROI = totalAmount > 0 ? totalWeightedROI / totalAmount : 0;
+    return {
+      ...decomposition,
+      referenceRate: decomposition.method === 'midpoint' ? (prevRate + currRate) / 2 : prevRate
+    };
+  }
+
+  /**
+   * Weight a single row contributes to a metric (row count when no weight column)
+   */
+  getRowWeight(row, metric) {
+    return metric.weight ? this.getNumericValue(row, metric.weight) : 1;
+  }
+
+  /**
+   * What a row contributes to a metric's statistics: its weight, its numerator (weight × value
+   * for weighted means) and its loan amount
+   * @returns {Function} row => { weight, numerator, amount }
+   */
+  getRowMeasure(metric = 'roi') {
+    const metricDef = this.resolveMetric(metric);
+    const weightedNumerator = metricDef.aggregation === 'weighted-mean';
+
+    return row => {
+      const weight = this.getRowWeight(row, metricDef);
+      const value = this.getNumericValue(row, metricDef.numerator);
+      return {
+        weight,
+        numerator: weightedNumerator ? weight * value : value,
+        amount: row.total_loan_amount || 0
+      };
+    };
+  }
 
-    console.log(`\n🔍 === FINAL CALCULATION ===`);
-    console.log(`  - Total Weighted ROI (Σ amount × roi): ${totalWeightedROI.toFixed(4)}`);
-    console.log(`  - Total Amount (Σ amount): ${totalAmount.toFixed(2)}`);
-    console.log(`  - Final ROI (weighted/total): ${finalROI.toFixed(6)}`);
-    console.log(`  - Final ROI (as %): ${(finalROI * 100).toFixed(4)}%`);
-    console.log(`  - Final ROI (as basis points): ${(finalROI * 10000).toFixed(2)} bps`);
-    console.log(`🔍 === WEIGHTED ROI CALCULATION END ===\n`);
+  /**
+   * Aggregate a dataset into the sufficient statistics for a metric.
+   * `rate` is always numerator / weight, so a portfolio value decomposes as
+   * Σ share × rate (or Σ weight × rate for sums).
+   * @param {Array} data - Dataset of rows or aggregation cube cells
+   * @param {string|Object} metric - Metric definition
+   * @returns {Object} { count, weight, numerator, rate, value, rateVariance }
+   */
+  summarizeMetric(data, metric = 'roi') {
+    return this.describeStats(aggregationCube.summarize(data, this.getRowMeasure(metric)), metric);
+  }
+
+  /**
+   * Metric values for a set of aggregation cube statistics (see summarizeMetric).
+   * `rateVariance` is the sampling variance of the rate, treating rows as a sample and
+   * linearising the ratio: n / (n − 1) × Σ (numeratorᵢ − rate × weightᵢ)² / weight².
+   * It is null with fewer than two rows.
+   */
+  describeStats(stats, metric = 'roi') {
+    const metricDef = this.resolveMetric(metric);
+    const { count, weight, numerator, numeratorSquares, crossProducts, weightSquares } = stats;
+    const rate = weight > 0 ? numerator / weight : 0;
+    const residualSquares = numeratorSquares - 2 * rate * crossProducts + rate * rate * weightSquares;
 
-    return finalROI;
+    return {
+      count,
+      weight,
+      numerator,
+      rate,
+      value: metricDef.aggregation === 'sum' ? numerator : rate,
+      rateVariance: count > 1 && weight > 0
+        ? (count / (count - 1)) * Math.max(0, residualSquares) / (weight * weight)
+        : null
+    };
+  }
+
+  /**
+   * Pre-aggregate both periods into aggregation cube cells over the factors a tree can split on.
+   * Numeric factors are rounded to levels shared by both periods, so a range means the same
+   * in each.
+   * @param {Array} previousData - Previous period rows
+   * @param {Array} currentData - Current period rows
+   * @param {Array} factors - Categorical factors
+   * @param {Object} config - Analysis config; its numeric split factors are also kept
+   * @returns {Object} { previous, current } cells
+   */
+  buildCubes(previousData, currentData, factors, config) {
+    const numericFactors = config.numericSplits.factors;
+    const numericDimensions = _.zipObject(
+      numericFactors,
+      numericFactors.map(column => aggregationCube.getNumericLevels([previousData, currentData], column))
+    );
+    const categorical = _.uniq(factors).filter(factor => !numericFactors.includes(factor));
+    const measure = this.getRowMeasure(config.metric);
+
+    const cubes = {
+      previous: aggregationCube.build(previousData, categorical, numericDimensions, measure),
+      current: aggregationCube.build(currentData, categorical, numericDimensions, measure)
+    };
+    console.log(`🧊 Aggregated ${previousData.length + currentData.length} rows into ${cubes.previous.length + cubes.current.length} cells`);
+    return cubes;
+  }
+
+  /**
+   * Calculate the value of a metric for a dataset (amount-weighted by default)
+   * @param {Array} data - Dataset
+   * @param {string|Object} metric - Column name or metric definition (defaults to roi)
+   * @returns {number} Aggregated metric value
+   */
+  calculateWeightedROI(data, metric = 'roi') {
+    if (!data || data.length === 0) return 0;
+    return this.summarizeMetric(data, metric).value;
   }
 
   /**
    * Get total amount for a dataset
    */
   getTotalAmount(data) {
-    return data.reduce((sum, row) => sum + (row.total_loan_amount || 0), 0);
+    const totals = aggregationCube.getStats(data);
+    if (totals) return totals.amount;
+    return data.reduce((sum, row) => {
+      const stats = aggregationCube.getStats(row);
+      return sum + (stats ? stats.amount : row.total_loan_amount || 0);
+    }, 0);
   }
 
   /**
-   * Calculate total ROI change between datasets
+   * Number of loans in a dataset of rows or aggregation cube cells
    */
-  calculateTotalROIChange(previousData, currentData) {
-    const prevROI = this.calculateWeightedROI(previousData);
-    const currentROI = this.calculateWeightedROI(currentData);
+  countRows(data) {
+    return aggregationCube.countRows(data);
+  }
+
+  /**
+   * Label for the root node of a tree analysing the given metric
+   */
+  getRootLabel(metric = 'roi') {
+    return `Portfolio ${this.resolveMetric(metric).label}`;
+  }
+
+  /**
+   * Calculate total change in the metric between datasets
+   */
+  calculateTotalROIChange(previousData, currentData, metric = 'roi') {
+    const prevROI = this.calculateWeightedROI(previousData, metric);
+    const currentROI = this.calculateWeightedROI(currentData, metric);
     return currentROI - prevROI;
   }
 
@@ -194,24 +587,46 @@ class AnalysisEngine {
   /**
    * Export tree data to tabular format
    */
-  exportTreeToTable(tree, analysisType) {
+  exportTreeToTable(tree, analysisType, metric = 'roi') {
+    const metricDef = this.resolveMetric(metric);
     const rows = [];
     
     const traverse = (nodes, path = [], depth = 0) => {
       if (!nodes) return;
       
       nodes.forEach(node => {
-        const currentPath = [...path, `${node.factor}:${node.value}`];
+        const currentPath = [...path, this.getNodeLabel(node)];
         
         rows.push({
           depth,
           path: currentPath.join(' → '),
           factor: node.factor,
           value: node.value,
+          // Bounds of a numeric range split: rangeMin < value ≤ rangeMax
+          rangeMin: node.range?.min ?? '',
+          rangeMax: node.range?.max ?? '',
           previousROI: node.metrics.previousROI?.toFixed(4) || '0.0000',
           currentROI: node.metrics.currentROI?.toFixed(4) || '0.0000',
           roiChange: node.metrics.roiChange?.toFixed(4) || '0.0000',
           roiChangeBps: node.metrics.roiChangeBps?.toFixed(2) || '0.00',
+          yieldImpactBps: node.metrics.yieldImpactBps?.toFixed(2) || '0.00',
+          distributionImpactBps: node.metrics.distributionImpactBps?.toFixed(2) || '0.00',
+          interactionImpactBps: node.metrics.interactionImpactBps?.toFixed(2) || '0.00',
+          totalImpactBps: node.metrics.totalImpactBps?.toFixed(2) || '0.00',
+          // Confidence interval of the total impact; empty when it cannot be estimated
+          totalImpactLowBps: node.significance?.totalImpactBps?.low.toFixed(2) ?? '',
+          totalImpactHighBps: node.significance?.totalImpactBps?.high.toFixed(2) ?? '',
+          significant: node.significance ? node.significance.significant : '',
+          childrenReconcile: node.reconciliation ? node.reconciliation.reconciles : '',
+          // Loan-level split when loans were matched across periods
+          newBusinessBps: node.loanMatching?.newBusinessBps.toFixed(2) ?? '',
+          runoffBps: node.loanMatching?.runoffBps.toFixed(2) ?? '',
+          repricingBps: node.loanMatching?.repricingBps.toFixed(2) ?? '',
+          stopReason: node.stopReason || '',
+          // Categories collapsed into an "Other" node or merged into one group
+          members: node.members
+            ? node.members.map(member => member.value).join(', ')
+            : (node.values || []).join(', '),
           previousAmount: node.metrics.previousAmount?.toLocaleString() || '0',
           currentAmount: node.metrics.currentAmount?.toLocaleString() || '0',
           previousCount: node.metrics.previousCount || 0,
@@ -228,6 +643,8 @@ class AnalysisEngine {
     
     return {
       analysisType,
+      targetVariable: metricDef.numerator,
+      metric: metricDef,
       timestamp: new Date().toISOString(),
       data: rows
     };
@@ -242,36 +659,58 @@ class AnalysisEngine {
    * @param {Object} data - Processed data
    * @param {Array} factorOrder - User-defined factor order
    * @param {string} targetVariable - Target variable for analysis
+   * @param {Object} metricDefinition - Optional { numerator, weight, aggregation, label } overriding targetVariable
+   * @param {Object} options - Optional { decompositionMethod: 'two-way' | 'three-way' | 'midpoint', mixBasis: 'absolute' | 'parent-relative' }
    * @returns {Object} Enhanced analysis results with yield/distribution impact
    */
-  performUserPriorityAnalysisV2(data, factorOrder, targetVariable = 'roi') {
+  performUserPriorityAnalysisV2(data, factorOrder, targetVariable = 'roi', metricDefinition = null, options = {}) {
     const { previousMonth, currentMonth } = data;
     
     try {
+      const config = this.resolveAnalysisConfig(metricDefinition || targetVariable, options);
+      const { metric } = config;
+
       console.log('🚀 Starting V2 User-Priority Analysis with Impact Decomposition');
-      
+
+      // The tree is built from cells pre-aggregated over the chosen factors, and over loan status
+      // when loans can be matched across the periods
+      const matched = loanMatching.match(previousMonth, currentMonth);
+      const cubes = matched
+        ? this.buildCubes(matched.previous, matched.current, [...factorOrder, loanMatching.statusColumn], config)
+        : this.buildCubes(previousMonth, currentMonth, factorOrder, config);
+
       // Build enhanced tree with impact decomposition
       const tree = this.buildUserPriorityTreeV2(
-        previousMonth, 
-        currentMonth, 
+        cubes.previous,
+        cubes.current,
         factorOrder, 
-        targetVariable
+        config
       );
+      const reconciliation = this.attachReconciliation(tree, config);
+      const loanMatchingSummary = matched ? this.attachLoanMatching(tree, cubes, matched, config) : null;
 
       // Calculate impact summary
-      const impactSummary = this.calculateImpactSummaryV2(tree);
+      const impactSummary = this.calculateImpactSummaryV2(tree, config);
+      console.log(`✅ V2 User-Priority Analysis built ${this.countNodes(tree)} nodes, depth ${this.getTreeDepth(tree)}`);
 
       return {
         analysisType: 'user-priority',
         version: 'v2',
-        targetVariable,
+        targetVariable: metric.numerator,
+        metric,
+        decomposition: config.decomposition,
         factorOrder,
         tree,
         impactSummary,
+        narrative: narrativeGenerator.generate({ tree, impactSummary, metric }),
+        loanMatching: loanMatchingSummary,
         metadata: {
           totalNodes: this.countNodes(tree),
           maxDepth: this.getTreeDepth(tree),
-          totalROIChange: this.calculateTotalROIChange(previousMonth, currentMonth) * 10000,
+          totalROIChange: this.calculateTotalROIChange(previousMonth, currentMonth, metric) * metric.scale,
+          reconciliation,
+          grouping: config.grouping,
+          significance: this.summarizeSignificance(tree, config),
           algorithm: 'enhanced-impact-decomposition'
         }
       };
@@ -285,45 +724,73 @@ class AnalysisEngine {
    * @param {Object} data - Processed data
    * @param {string} targetVariable - Target variable for analysis
    * @param {Array} availableFactors - Optional array of factors to restrict analysis to
+   * @param {Object} metricDefinition - Optional { numerator, weight, aggregation, label } overriding targetVariable
+   * @param {Object} options - Optional { decompositionMethod: 'two-way' | 'three-way' | 'midpoint', mixBasis: 'absolute' | 'parent-relative' }
    * @returns {Object} Enhanced analysis results with impact decomposition
    */
-  performAutoMaxSplitAnalysisV2(data, targetVariable = 'roi', availableFactors = null) {
+  performAutoMaxSplitAnalysisV2(data, targetVariable = 'roi', availableFactors = null, metricDefinition = null, options = {}) {
     const { previousMonth, currentMonth } = data;
     
     try {
+      const config = this.resolveAnalysisConfig(metricDefinition || targetVariable, options);
+      const { metric } = config;
+
       console.log('🚀 Starting V2 Auto-Max Split Analysis with Impact Decomposition');
+
+      // The tree is built from cells pre-aggregated over every factor it may split on, and over
+      // loan status when loans can be matched across the periods
+      const { categorical } = this.getSplitCandidates(previousMonth, currentMonth, availableFactors, config);
+      const matched = loanMatching.match(previousMonth, currentMonth);
+      const cubes = matched
+        ? this.buildCubes(matched.previous, matched.current, [...categorical, loanMatching.statusColumn], config)
+        : this.buildCubes(previousMonth, currentMonth, categorical, config);
       
       // Build enhanced tree using total impact variance for factor selection
       const tree = this.buildAutoMaxSplitTreeV2(
-        previousMonth, 
-        currentMonth, 
-        targetVariable, 
+        cubes.previous,
+        cubes.current,
+        config, 
         0, 
         {}, 
-        availableFactors
+        categorical
       );
+      const reconciliation = this.attachReconciliation(tree, config);
+      const loanMatchingSummary = matched ? this.attachLoanMatching(tree, cubes, matched, config) : null;
 
       // Calculate enhanced feature importance based on total impact
       const featureImportance = this.calculateTotalImpactFeatureImportance(
-        previousMonth, 
-        currentMonth, 
-        availableFactors
+        cubes.previous,
+        cubes.current,
+        categorical,
+        config
       );
 
       // Calculate impact summary
-      const impactSummary = this.calculateImpactSummaryV2(tree);
+      const impactSummary = this.calculateImpactSummaryV2(tree, config);
+      console.log(`✅ V2 Auto-Max Split Analysis built ${this.countNodes(tree)} nodes, depth ${this.getTreeDepth(tree)}`);
 
       return {
         analysisType: 'auto-max-split',
         version: 'v2',
-        targetVariable,
+        targetVariable: metric.numerator,
+        metric,
+        decomposition: config.decomposition,
+        numericSplits: config.numericSplits,
         tree,
         featureImportance,
         impactSummary,
+        narrative: narrativeGenerator.generate({ tree, impactSummary, metric }),
+        loanMatching: loanMatchingSummary,
         metadata: {
           totalNodes: this.countNodes(tree),
           maxDepth: this.getTreeDepth(tree),
-          totalROIChange: this.calculateTotalROIChange(previousMonth, currentMonth) * 10000,
+          totalROIChange: this.calculateTotalROIChange(previousMonth, currentMonth, metric) * metric.scale,
+          reconciliation,
+          stoppingRules: config.stoppingRules,
+          leafStops: this.summarizeLeafStops(tree),
+          grouping: config.grouping,
+          categoryMerging: config.categoryMerging.enabled,
+          significance: this.summarizeSignificance(tree, config),
           algorithm: 'total-impact-variance-maximization'
         }
       };
@@ -332,73 +799,332 @@ class AnalysisEngine {
     }
   }
 
+  /**
+   * Attach each node's new business / runoff / repricing split (see loanMatching.splitChange)
+   * as `loanMatching`
+   * @param {Array} tree - V2 tree
+   * @param {Object} cubes - { previous, current } cells that include the loan status column
+   * @param {Object} matched - Result of loanMatching.match
+   * @param {Object} config - Analysis config
+   * @returns {Object} Portfolio summary (see loanMatching.describe)
+   */
+  attachLoanMatching(tree, cubes, matched, config = {}) {
+    const { metric } = this.resolveAnalysisConfig(config);
+    const measure = this.getRowMeasure(metric);
+    const portfolio = loanMatching.getStatusStats(cubes.previous, cubes.current, measure);
+
+    const traverse = (nodes) => (nodes || []).forEach(node => {
+      const filter = node.filter || {};
+      node.loanMatching = loanMatching.splitChange(
+        loanMatching.getStatusStats(this.filterData(cubes.previous, filter), this.filterData(cubes.current, filter), measure),
+        portfolio,
+        metric
+      );
+      traverse(node.children);
+    });
+    traverse(tree);
+
+    return loanMatching.describe(portfolio, matched.unidentified, metric);
+  }
+
+  /**
+   * Portfolio-level new business / runoff / repricing split for any metric
+   * @param {Array} previousData - Previous period rows
+   * @param {Array} currentData - Current period rows
+   * @param {string|Object} metric - Metric (defaults to roi)
+   * @returns {Object|null} See loanMatching.describe; null when loans cannot be matched
+   */
+  summarizeLoanMatching(previousData, currentData, metric = 'roi') {
+    const metricDef = this.resolveMetric(metric);
+    return loanMatching.summarize(previousData, currentData, metricDef, this.getRowMeasure(metricDef));
+  }
+
+  /**
+   * Which stopping rule ended each branch of an Auto-Max Split tree
+   * @param {Array} tree - V2 tree
+   * @returns {Object} { byRule: { [rule]: leaf count }, leaves: [{ path, stopReason }] }
+   */
+  summarizeLeafStops(tree) {
+    const leaves = [];
+    const traverse = (nodes, path = []) => {
+      (nodes || []).forEach(node => {
+        const nodePath = [...path, this.getNodeLabel(node)];
+        if (node.children) {
+          traverse(node.children, nodePath);
+        } else {
+          leaves.push({ path: nodePath.join(' → '), stopReason: node.stopReason });
+        }
+      });
+    };
+    traverse(tree);
+
+    return {
+      byRule: _.countBy(leaves, leaf => leaf.stopReason),
+      leaves
+    };
+  }
+
   /**
    * Calculate impact decomposition for a segment
-   * Yield Impact = (Current Weighted ROI - Previous Weighted ROI) × Previous Distribution Weight
-   * Distribution Impact = Previous Weighted ROI × (Current Distribution Weight - Previous Distribution Weight)
+   *
+   * two-way (default):
+   *   Yield Impact = (Current Segment Rate - Previous Segment Rate) × Previous Distribution Weight
+   *   Distribution Impact = Previous Segment Rate × (Current Distribution Weight - Previous Distribution Weight)
+   *   The cross term ΔRate × ΔWeight is dropped, so segments do not add up exactly to the parent.
+   * three-way: as two-way, plus Interaction Impact = ΔRate × ΔWeight reported separately.
+   * midpoint: symmetric (Shapley) split using the average of both periods:
+   *   Yield Impact = ΔRate × avg(Weight), Distribution Impact = avg(Rate) × ΔWeight
+   * three-way and midpoint both satisfy Total = Current Rate × Current Weight - Previous Rate × Previous Weight.
+   *
+   * With mixBasis 'parent-relative' the rate in the distribution term is measured against the parent's
+   * rate (options.referenceRate), i.e. (Segment Rate − Parent Rate) × ΔWeight, so a segment only shows
+   * mix impact when it is above or below its parent's average.
+   *
+   * Rates and weights come from the metric definition: the segment rate is Σ numerator / Σ weight and the
+   * distribution weight is the segment's share of portfolio weight (or its absolute weight for sum metrics).
    * @param {Array} prevData - Previous period data for segment
    * @param {Array} currData - Current period data for segment
    * @param {Array} totalPrevData - Total previous period data
    * @param {Array} totalCurrData - Total current period data
+   * @param {string|Object} metric - Metric being decomposed
+   * @param {Object} options - Optional { method, mixBasis: 'absolute' | 'parent-relative', referenceRate }
+   * @returns {Object} Impact decomposition metrics
+   */
+  calculateImpactDecomposition(prevData, currData, totalPrevData, totalCurrData, metric = 'roi', options = {}) {
+    const measure = this.getRowMeasure(metric);
+    return this.calculateImpactFromStats(
+      aggregationCube.summarize(prevData, measure),
+      aggregationCube.summarize(currData, measure),
+      aggregationCube.summarize(totalPrevData, measure),
+      aggregationCube.summarize(totalCurrData, measure),
+      metric,
+      options
+    );
+  }
+
+  /**
+   * Impact decomposition from aggregation cube statistics rather than rows, for split searches
+   * that combine the statistics of many candidate segments (see calculateImpactDecomposition)
+   * @param {Object} prevStats - Previous period statistics for the segment
+   * @param {Object} currStats - Current period statistics for the segment
+   * @param {Object} totalPrevStats - Previous period statistics for the total
+   * @param {Object} totalCurrStats - Current period statistics for the total
    * @returns {Object} Impact decomposition metrics
    */
-  calculateImpactDecomposition(prevData, currData, totalPrevData, totalCurrData) {
-    // Calculate weighted ROIs for the segment
-    const prevSegmentROI = this.calculateWeightedROI(prevData);
-    const currSegmentROI = this.calculateWeightedROI(currData);
+  calculateImpactFromStats(prevStats, currStats, totalPrevStats, totalCurrStats, metric = 'roi', options = {}) {
+    const metricDef = this.resolveMetric(metric);
+    const method = options.method || 'two-way';
+    const referenceRate = options.mixBasis === 'parent-relative' ? (options.referenceRate || 0) : 0;
+
+    // Segment sufficient statistics
+    const prevSegment = this.describeStats(prevStats, metricDef);
+    const currSegment = this.describeStats(currStats, metricDef);
+    const prevSegmentROI = prevSegment.rate;
+    const currSegmentROI = currSegment.rate;
     
     // Calculate distribution weights (proportion of total portfolio)
-    const prevTotalAmount = this.getTotalAmount(totalPrevData);
-    const currTotalAmount = this.getTotalAmount(totalCurrData);
-    const prevSegmentAmount = this.getTotalAmount(prevData);
-    const currSegmentAmount = this.getTotalAmount(currData);
-    
-    const prevDistWeight = prevTotalAmount > 0 ? prevSegmentAmount / prevTotalAmount : 0;
-    const currDistWeight = currTotalAmount > 0 ? currSegmentAmount / currTotalAmount : 0;
+    let prevDistWeight = prevSegment.weight;
+    let currDistWeight = currSegment.weight;
+    if (metricDef.aggregation !== 'sum') {
+      prevDistWeight = totalPrevStats.weight > 0 ? prevSegment.weight / totalPrevStats.weight : 0;
+      currDistWeight = totalCurrStats.weight > 0 ? currSegment.weight / totalCurrStats.weight : 0;
+    }
     
     // Impact decomposition
-    const yieldImpact = (currSegmentROI - prevSegmentROI) * prevDistWeight;
-    const distributionImpact = prevSegmentROI * (currDistWeight - prevDistWeight);
-    const totalImpact = yieldImpact + distributionImpact;
-    
-    console.log(`📊 Impact Decomposition:
-      Segment Previous ROI: ${(prevSegmentROI * 100).toFixed(4)}%
-      Segment Current ROI: ${(currSegmentROI * 100).toFixed(4)}%
-      Previous Distribution Weight: ${(prevDistWeight * 100).toFixed(2)}%
-      Current Distribution Weight: ${(currDistWeight * 100).toFixed(2)}%
-      Yield Impact: ${(yieldImpact * 10000).toFixed(2)} bps
-      Distribution Impact: ${(distributionImpact * 10000).toFixed(2)} bps
-      Total Impact: ${(totalImpact * 10000).toFixed(2)} bps`);
-    
+    const { yieldImpact, distributionImpact, interactionImpact, totalImpact } = this.decomposeChange(
+      prevSegmentROI,
+      currSegmentROI,
+      prevDistWeight,
+      currDistWeight,
+      method,
+      referenceRate
+    );
+    const { scale } = metricDef;
+
+    // Standard errors come from the sampling variance of the two segment rates; distribution
+    // weights and the reference rate are taken as given
+    const coefficients = this.getRateCoefficients(prevDistWeight, currDistWeight, method);
+    const standardError = (component) => this.combineStandardErrors([
+      [coefficients[component].previous, prevSegment.rateVariance],
+      [coefficients[component].current, currSegment.rateVariance]
+    ]);
+    const yieldImpactSE = standardError('yieldImpact');
+    const totalImpactSE = standardError('totalImpact');
+
     return {
       yieldImpact,
       distributionImpact,
+      interactionImpact,
       totalImpact,
-      yieldImpactBps: yieldImpact * 10000,
-      distributionImpactBps: distributionImpact * 10000,
-      totalImpactBps: totalImpact * 10000,
+      yieldImpactBps: yieldImpact * scale,
+      distributionImpactBps: distributionImpact * scale,
+      interactionImpactBps: interactionImpact * scale,
+      totalImpactBps: totalImpact * scale,
+      yieldImpactSE,
+      totalImpactSE,
       prevDistWeight,
       currDistWeight
     };
   }
 
+  /**
+   * Split a segment's contribution to the portfolio change into yield, distribution and
+   * interaction terms (see calculateImpactDecomposition for the formulas)
+   * @returns {Object} { yieldImpact, distributionImpact, interactionImpact, totalImpact }
+   */
+  decomposeChange(prevRate, currRate, prevDistWeight, currDistWeight, method = 'two-way', referenceRate = 0) {
+    const rateChange = currRate - prevRate;
+    const weightChange = currDistWeight - prevDistWeight;
+    let yieldImpact;
+    let distributionImpact;
+    let interactionImpact = 0;
+
+    switch (method) {
+      case 'midpoint':
+        yieldImpact = rateChange * (prevDistWeight + currDistWeight) / 2;
+        distributionImpact = ((prevRate + currRate) / 2 - referenceRate) * weightChange;
+        break;
+      case 'three-way':
+        yieldImpact = rateChange * prevDistWeight;
+        distributionImpact = (prevRate - referenceRate) * weightChange;
+        interactionImpact = rateChange * weightChange;
+        break;
+      default:
+        yieldImpact = rateChange * prevDistWeight;
+        distributionImpact = (prevRate - referenceRate) * weightChange;
+    }
+
+    return {
+      yieldImpact,
+      distributionImpact,
+      interactionImpact,
+      totalImpact: yieldImpact + distributionImpact + interactionImpact
+    };
+  }
+
+  /**
+   * How much the yield and total impact move per unit change in each period's segment rate.
+   * Both are linear in the rates: the total is Current Rate × Current Weight − Previous Rate ×
+   * Previous Weight under three-way and midpoint, and drops the ΔRate × ΔWeight term under two-way.
+   * @returns {Object} { yieldImpact: { previous, current }, totalImpact: { previous, current } }
+   */
+  getRateCoefficients(prevDistWeight, currDistWeight, method = 'two-way') {
+    const yieldWeight = method === 'midpoint' ? (prevDistWeight + currDistWeight) / 2 : prevDistWeight;
+    return {
+      yieldImpact: { previous: -yieldWeight, current: yieldWeight },
+      totalImpact: method === 'two-way'
+        ? { previous: currDistWeight - 2 * prevDistWeight, current: prevDistWeight }
+        : { previous: -prevDistWeight, current: currDistWeight }
+    };
+  }
+
+  /**
+   * Standard error of a linear combination of independent rates
+   * @param {Array} terms - [[coefficient, variance]]; a variance of null means it is unknown
+   * @returns {number|null} null when a rate that contributes has an unknown variance
+   */
+  combineStandardErrors(terms) {
+    let variance = 0;
+    for (const [coefficient, termVariance] of terms) {
+      if (coefficient === 0) continue;
+      if (termVariance === null) return null;
+      variance += coefficient * coefficient * termVariance;
+    }
+    return Math.sqrt(variance);
+  }
+
+  /**
+   * Confidence intervals for a node's yield and total impact, and whether each is
+   * distinguishable from zero. Intervals are null when a period has too few rows to estimate
+   * the spread, and such nodes count as not significant.
+   * @param {Object} impacts - Result of calculateImpactDecomposition
+   * @param {Object} config - Analysis config
+   * @returns {Object} { confidenceLevel, yieldImpactBps: { low, high }, totalImpactBps: { low, high },
+   *   yieldSignificant, significant }
+   */
+  describeSignificance(impacts, config) {
+    const { metric, significance } = config;
+    const interval = (value, standardError) => standardError === null ? null : {
+      low: (value - significance.z * standardError) * metric.scale,
+      high: (value + significance.z * standardError) * metric.scale
+    };
+    const excludesZero = range => range !== null && (range.low > 0 || range.high < 0);
+
+    const yieldImpactBps = interval(impacts.yieldImpact, impacts.yieldImpactSE);
+    const totalImpactBps = interval(impacts.totalImpact, impacts.totalImpactSE);
+
+    return {
+      confidenceLevel: significance.confidenceLevel,
+      yieldImpactBps,
+      totalImpactBps,
+      yieldSignificant: excludesZero(yieldImpactBps),
+      significant: excludesZero(totalImpactBps)
+    };
+  }
+
+  /**
+   * Significance of the root's change. Its yield and total impact are both the whole change,
+   * which the three-way decomposition of the portfolio against itself gives exactly.
+   */
+  describeRootSignificance(previousData, currentData, config) {
+    const impacts = this.calculateImpactDecomposition(
+      previousData,
+      currentData,
+      previousData,
+      currentData,
+      config.metric,
+      { method: 'three-way' }
+    );
+    return this.describeSignificance({
+      ...impacts,
+      yieldImpact: impacts.totalImpact,
+      yieldImpactSE: impacts.totalImpactSE
+    }, config);
+  }
+
+  /**
+   * Count the nodes whose total impact is not significant
+   * @param {Array} tree - V2 tree
+   * @returns {Object} { confidenceLevel, checkedNodes, insignificantNodes }
+   */
+  summarizeSignificance(tree, config) {
+    let checkedNodes = 0;
+    let insignificantNodes = 0;
+    const traverse = (nodes) => {
+      (nodes || []).forEach(node => {
+        if (node.significance) {
+          checkedNodes++;
+          if (!node.significance.significant) insignificantNodes++;
+        }
+        traverse(node.children);
+      });
+    };
+    traverse(tree);
+
+    return {
+      confidenceLevel: config.significance.confidenceLevel,
+      checkedNodes,
+      insignificantNodes
+    };
+  }
+
   /**
    * Build V2 User-Priority tree with impact decomposition
    */
-  buildUserPriorityTreeV2(previousData, currentData, factorOrder, targetVariable, depth = 0, parentFilter = {}) {
+  buildUserPriorityTreeV2(previousData, currentData, factorOrder, config, depth = 0, parentFilter = {}) {
+    config = this.resolveAnalysisConfig(config);
+
     // Create root node if at depth 0
     if (depth === 0) {
-      console.log('🔍 Building V2 ROOT node with Impact Decomposition');
-      
-      const rootPreviousROI = this.calculateWeightedROI(previousData);
-      const rootCurrentROI = this.calculateWeightedROI(currentData);
+      const rootPreviousROI = this.calculateWeightedROI(previousData, config.metric);
+      const rootCurrentROI = this.calculateWeightedROI(currentData, config.metric);
       const rootROIChange = rootCurrentROI - rootPreviousROI;
-      const rootROIChangeBps = rootROIChange * 10000;
+      const rootROIChangeBps = rootROIChange * config.metric.scale;
       
       // For root, total impact = ROI change (no decomposition needed)
       const rootNode = {
         factor: 'root',
-        value: 'Portfolio ROI',
+        value: this.getRootLabel(config.metric),
         filter: {},
         metrics: {
           previousROI: rootPreviousROI,
@@ -408,23 +1134,26 @@ class AnalysisEngine {
           // Impact decomposition for root
           yieldImpact: rootROIChange,
           distributionImpact: 0, // No distribution impact at root
+          interactionImpact: 0,
           totalImpact: rootROIChange,
           yieldImpactBps: rootROIChangeBps,
           distributionImpactBps: 0,
+          interactionImpactBps: 0,
           totalImpactBps: rootROIChangeBps,
           percentOnParent: null, // Root has no parent
           percentOnRoot: 100, // Root is 100% of itself
           // Existing metrics
           previousAmount: this.getTotalAmount(previousData),
           currentAmount: this.getTotalAmount(currentData),
-          previousCount: previousData.length,
-          currentCount: currentData.length
+          previousCount: this.countRows(previousData),
+          currentCount: this.countRows(currentData)
         },
+        significance: this.describeRootSignificance(previousData, currentData, config),
         children: this.buildUserPriorityTreeLevelV2(
           previousData, 
           currentData, 
           factorOrder, 
-          targetVariable, 
+          config, 
           0, 
           {},
           rootROIChange // Pass root impact for percentage calculations
@@ -440,7 +1169,7 @@ class AnalysisEngine {
   /**
    * Build V2 tree levels recursively with impact decomposition
    */
-  buildUserPriorityTreeLevelV2(previousData, currentData, factorOrder, targetVariable, depth = 0, parentFilter = {}, rootImpact = 0, parentTotalImpact = null) {
+  buildUserPriorityTreeLevelV2(previousData, currentData, factorOrder, config, depth = 0, parentFilter = {}, rootImpact = 0, parentTotalImpact = null) {
     if (depth >= factorOrder.length) {
       return null;
     }
@@ -450,6 +1179,7 @@ class AnalysisEngine {
     // Filter data based on parent conditions
     const filteredPrevious = this.filterData(previousData, parentFilter);
     const filteredCurrent = this.filterData(currentData, parentFilter);
+    const mixOptions = this.getMixOptions(filteredPrevious, filteredCurrent, config);
 
     // Calculate parent impact if not provided (for percentage calculations)
     if (parentTotalImpact === null) {
@@ -458,44 +1188,47 @@ class AnalysisEngine {
         filteredPrevious,
         filteredCurrent,
         previousData, // Use full data for root-level distribution
-        currentData
+        currentData,
+        config.metric,
+        config.decomposition
       );
       parentTotalImpact = parentImpacts.totalImpact;
     }
 
-    // Get distinct values for current factor
-    const distinctValues = this.getDistinctValuesForFactor(
-      [...filteredPrevious, ...filteredCurrent], 
-      currentFactor
+    // One segment per distinct value of the current factor, with small ones grouped into "Other"
+    const segments = this.groupSmallSegments(
+      this.getSplitSegments(filteredPrevious, filteredCurrent, { factor: currentFactor }),
+      previousData,
+      currentData,
+      config,
+      mixOptions
     );
 
     const children = [];
 
-    distinctValues.forEach(value => {
-      const childFilter = { ...parentFilter, [currentFactor]: value };
-      
-      const childPrevious = this.filterData(filteredPrevious, { [currentFactor]: value });
-      const childCurrent = this.filterData(filteredCurrent, { [currentFactor]: value });
+    segments.forEach(({ condition, previous: childPrevious, current: childCurrent, members }) => {
+      const childFilter = this.addFilterCondition(parentFilter, currentFactor, condition);
+      const nodeValue = members ? { value: OTHER_GROUP_LABEL, members } : { value: condition };
 
       if (childPrevious.length > 0 || childCurrent.length > 0) {
-        console.log(`🔍 Building V2 child node: ${currentFactor}=${value}`);
-        
         // Calculate impact decomposition for this specific segment
         const impacts = this.calculateImpactDecomposition(
           childPrevious,
           childCurrent,
           previousData, // Use full portfolio data for distribution weights
-          currentData
+          currentData,
+          config.metric,
+          mixOptions
         );
         
-        const prevROI = this.calculateWeightedROI(childPrevious);
-        const currentROI = this.calculateWeightedROI(childCurrent);
+        const prevROI = this.calculateWeightedROI(childPrevious, config.metric);
+        const currentROI = this.calculateWeightedROI(childCurrent, config.metric);
         const roiChange = currentROI - prevROI;
-        const roiChangeBps = roiChange * 10000;
+        const roiChangeBps = roiChange * config.metric.scale;
 
         const child = {
           factor: currentFactor,
-          value: value,
+          ...nodeValue,
           filter: childFilter,
           metrics: {
             previousROI: prevROI,
@@ -505,9 +1238,11 @@ class AnalysisEngine {
             // Impact decomposition metrics - each node has its own independent calculation
             yieldImpact: impacts.yieldImpact,
             distributionImpact: impacts.distributionImpact,
+            interactionImpact: impacts.interactionImpact,
             totalImpact: impacts.totalImpact,
             yieldImpactBps: impacts.yieldImpactBps,
             distributionImpactBps: impacts.distributionImpactBps,
+            interactionImpactBps: impacts.interactionImpactBps,
             totalImpactBps: impacts.totalImpactBps,
             // Hierarchical impact percentages
             percentOnParent: parentTotalImpact !== 0 ? (impacts.totalImpact / parentTotalImpact) * 100 : 0,
@@ -515,14 +1250,15 @@ class AnalysisEngine {
             // Existing metrics
             previousAmount: this.getTotalAmount(childPrevious),
             currentAmount: this.getTotalAmount(childCurrent),
-            previousCount: childPrevious.length,
-            currentCount: childCurrent.length
+            previousCount: this.countRows(childPrevious),
+            currentCount: this.countRows(childCurrent)
           },
+          significance: this.describeSignificance(impacts, config),
           children: this.buildUserPriorityTreeLevelV2(
             previousData, 
             currentData, 
             factorOrder, 
-            targetVariable, 
+            config, 
             depth + 1, 
             childFilter,
             rootImpact,
@@ -531,38 +1267,108 @@ class AnalysisEngine {
         };
 
         children.push(child);
-        
-        console.log(`📊 Impact metrics for ${child.factor}=${child.value}:
-          Total Impact: ${child.metrics.totalImpactBps.toFixed(2)} bps
-          Yield Impact: ${child.metrics.yieldImpactBps.toFixed(2)} bps
-          Distribution Impact: ${child.metrics.distributionImpactBps.toFixed(2)} bps
-          % on Parent: ${child.metrics.percentOnParent.toFixed(2)}%
-          % on Root: ${child.metrics.percentOnRoot.toFixed(2)}%`);
       }
     });
 
-    // Sort children by absolute total impact
-    children.sort((a, b) => Math.abs(b.metrics.totalImpactBps) - Math.abs(a.metrics.totalImpactBps));
+    this.sortChildrenByImpact(children);
 
     return children.length > 0 ? children : null;
   }
 
+  /**
+   * Order children by absolute total impact, with an "Other" node always last
+   */
+  sortChildrenByImpact(children) {
+    return children.sort((a, b) =>
+      Number(!!a.members) - Number(!!b.members) ||
+      Math.abs(b.metrics.totalImpactBps) - Math.abs(a.metrics.totalImpactBps)
+    );
+  }
+
+  /**
+   * Collapse the small segments of a categorical split into one "Other" segment, following
+   * config.grouping. A segment is small when it is below the amount share or row count
+   * threshold, or falls outside the top K by |total impact|. The Other segment holds the rows
+   * of all its members, so its metrics are computed on the combined rows rather than summed,
+   * and it lists each member with its own metrics for drilling in. Nothing is grouped unless
+   * at least two segments qualify.
+   * @param {Array} segments - [{ condition, previous, current }] from getSplitSegments
+   * @param {Array} totalPrevious - Full previous period data, for distribution weights
+   * @param {Array} totalCurrent - Full current period data
+   * @param {Object} config - Analysis config
+   * @param {Object} mixOptions - Decomposition options for this parent
+   * @returns {Array} Kept segments followed by the Other segment ({ condition: { in }, members })
+   */
+  groupSmallSegments(segments, totalPrevious, totalCurrent, config, mixOptions) {
+    const { minAmountPct, minRows, topK } = config.grouping;
+    if (!minAmountPct && !minRows && !topK) return segments;
+
+    const measure = this.getRowMeasure(config.metric);
+    const portfolioPrevious = aggregationCube.summarize(totalPrevious, measure);
+    const portfolioCurrent = aggregationCube.summarize(totalCurrent, measure);
+    const segmentAmount = segment => this.getTotalAmount(segment.previous) + this.getTotalAmount(segment.current);
+    const parentAmount = _.sumBy(segments, segmentAmount);
+    const scored = segments.map(segment => ({
+      segment,
+      impacts: this.calculateImpactFromStats(
+        aggregationCube.summarize(segment.previous, measure),
+        aggregationCube.summarize(segment.current, measure),
+        portfolioPrevious,
+        portfolioCurrent,
+        config.metric,
+        mixOptions
+      ),
+      amountPct: parentAmount > 0 ? (segmentAmount(segment) / parentAmount) * 100 : 0,
+      rows: this.countRows(segment.previous) + this.countRows(segment.current)
+    }));
+
+    const largeEnough = scored.filter(entry => entry.amountPct >= minAmountPct && entry.rows >= minRows);
+    const kept = new Set(
+      _.orderBy(largeEnough, entry => Math.abs(entry.impacts.totalImpact), 'desc')
+        .slice(0, topK || largeEnough.length)
+        .map(entry => entry.segment)
+    );
+    const grouped = scored.filter(entry => !kept.has(entry.segment));
+    if (grouped.length < 2) return segments;
+
+    return [
+      ...segments.filter(segment => kept.has(segment)),
+      {
+        // Merged groups contribute each of their values
+        condition: { in: _.flatMap(grouped, entry => entry.segment.condition?.in || [entry.segment.condition]) },
+        previous: _.flatMap(grouped, entry => entry.segment.previous),
+        current: _.flatMap(grouped, entry => entry.segment.current),
+        members: grouped.map(({ segment, impacts, amountPct }) => ({
+          value: segment.label || segment.condition,
+          previousROI: this.calculateWeightedROI(segment.previous, config.metric),
+          currentROI: this.calculateWeightedROI(segment.current, config.metric),
+          totalImpactBps: impacts.totalImpactBps,
+          amountPct,
+          previousAmount: this.getTotalAmount(segment.previous),
+          currentAmount: this.getTotalAmount(segment.current),
+          previousCount: this.countRows(segment.previous),
+          currentCount: this.countRows(segment.current)
+        }))
+      }
+    ];
+  }
+
   /**
    * Build V2 Auto-Max Split tree using total impact variance for factor selection
    */
-  buildAutoMaxSplitTreeV2(previousData, currentData, targetVariable, depth = 0, parentFilter = {}, availableFactors = null) {
+  buildAutoMaxSplitTreeV2(previousData, currentData, config, depth = 0, parentFilter = {}, availableFactors = null) {
+    config = this.resolveAnalysisConfig(config);
+
     // Create root node if at depth 0
     if (depth === 0) {
-      console.log('🔍 Building V2 AUTO ROOT node with Impact Decomposition');
-      
-      const rootPreviousROI = this.calculateWeightedROI(previousData);
-      const rootCurrentROI = this.calculateWeightedROI(currentData);
+      const rootPreviousROI = this.calculateWeightedROI(previousData, config.metric);
+      const rootCurrentROI = this.calculateWeightedROI(currentData, config.metric);
       const rootROIChange = rootCurrentROI - rootPreviousROI;
-      const rootROIChangeBps = rootROIChange * 10000;
+      const rootROIChangeBps = rootROIChange * config.metric.scale;
 
       const rootNode = {
         factor: 'root',
-        value: 'Portfolio ROI',
+        value: this.getRootLabel(config.metric),
         filter: {},
         metrics: {
           previousROI: rootPreviousROI,
@@ -572,22 +1378,25 @@ class AnalysisEngine {
           // Impact decomposition for root
           yieldImpact: rootROIChange,
           distributionImpact: 0,
+          interactionImpact: 0,
           totalImpact: rootROIChange,
           yieldImpactBps: rootROIChangeBps,
           distributionImpactBps: 0,
+          interactionImpactBps: 0,
           totalImpactBps: rootROIChangeBps,
           percentOnParent: null,
           percentOnRoot: 100,
           // Existing metrics
           previousAmount: this.getTotalAmount(previousData),
           currentAmount: this.getTotalAmount(currentData),
-          previousCount: previousData.length,
-          currentCount: currentData.length
+          previousCount: this.countRows(previousData),
+          currentCount: this.countRows(currentData)
         },
-        children: this.buildAutoMaxSplitTreeLevelV2(
+        significance: this.describeRootSignificance(previousData, currentData, config),
+        ...this.buildAutoMaxSplitTreeLevelV2(
           previousData, 
           currentData, 
-          targetVariable, 
+          config, 
           0, 
           {}, 
           availableFactors,
@@ -603,15 +1412,30 @@ class AnalysisEngine {
 
   /**
    * Build V2 auto-max split tree levels with total impact variance selection
+   * @returns {Object} { children, stopReason }: children is null for a leaf, and stopReason names
+   *   the stopping rule that ended the branch (maxDepth, minRows, minAmountPct, minImpactBps,
+   *   maxBranches) or 'noSplit' when no factor separates the segment
    */
-  buildAutoMaxSplitTreeLevelV2(previousData, currentData, targetVariable, depth = 0, parentFilter = {}, availableFactors = null, rootImpact = 0, parentTotalImpact = null) {
-    if (depth >= 4) return null; // Max depth limit
+  buildAutoMaxSplitTreeLevelV2(previousData, currentData, config, depth = 0, parentFilter = {}, availableFactors = null, rootImpact = 0, parentTotalImpact = null) {
+    const rules = config.stoppingRules;
+    const stop = stopReason => ({ children: null, stopReason });
+
+    if (depth >= rules.maxDepth) return stop('maxDepth');
 
     // Filter data based on parent conditions
     const filteredPrevious = this.filterData(previousData, parentFilter);
     const filteredCurrent = this.filterData(currentData, parentFilter);
+    const mixOptions = this.getMixOptions(filteredPrevious, filteredCurrent, config);
 
-    if (filteredPrevious.length < 10 || filteredCurrent.length < 10) return null; // Min samples
+    if (this.countRows(filteredPrevious) < rules.minRows || this.countRows(filteredCurrent) < rules.minRows) return stop('minRows');
+
+    // The root is always split; the share and impact rules apply to segments
+    if (depth > 0) {
+      const portfolioAmount = this.getTotalAmount(previousData) + this.getTotalAmount(currentData);
+      const segmentAmount = this.getTotalAmount(filteredPrevious) + this.getTotalAmount(filteredCurrent);
+      const amountPct = portfolioAmount > 0 ? (segmentAmount / portfolioAmount) * 100 : 0;
+      if (amountPct < rules.minAmountPct) return stop('minAmountPct');
+    }
 
     // Calculate parent impact if not provided (for percentage calculations)
     if (parentTotalImpact === null) {
@@ -620,52 +1444,64 @@ class AnalysisEngine {
         filteredPrevious,
         filteredCurrent,
         previousData, // Use full data for root-level distribution
-        currentData
+        currentData,
+        config.metric,
+        config.decomposition
       );
       parentTotalImpact = parentImpacts.totalImpact;
     }
 
+    if (depth > 0 && Math.abs(parentTotalImpact * config.metric.scale) < rules.minImpactBps) return stop('minImpactBps');
+
     // Find best factor based on total impact variance
     const bestSplit = this.findBestSplitByTotalImpact(
       filteredPrevious, 
       filteredCurrent, 
-      availableFactors
+      availableFactors,
+      config
     );
     
-    if (!bestSplit) return null;
+    if (!bestSplit) return stop(this.getNoSplitReason(filteredPrevious, filteredCurrent, availableFactors, config));
 
     const children = [];
-    const distinctValues = this.getDistinctValuesForFactor(
-      [...filteredPrevious, ...filteredCurrent], 
-      bestSplit.factor
-    );
-
-    distinctValues.forEach(value => {
-      const childFilter = { ...parentFilter, [bestSplit.factor]: value };
-      
-      const childPrevious = this.filterData(filteredPrevious, { [bestSplit.factor]: value });
-      const childCurrent = this.filterData(filteredCurrent, { [bestSplit.factor]: value });
+    const splitSegments = this.getSplitSegments(filteredPrevious, filteredCurrent, bestSplit);
+    // Range splits already have few children; only categorical splits are grouped into "Other"
+    const segments = bestSplit.edges
+      ? splitSegments
+      : this.groupSmallSegments(splitSegments, previousData, currentData, config, mixOptions);
+
+    segments.forEach(({ condition, label, previous: childPrevious, current: childCurrent, members }) => {
+      const childFilter = this.addFilterCondition(parentFilter, bestSplit.factor, condition);
+      // Range splits show the node's effective range, narrowed by any range on the same column above it
+      let nodeValue = { value: condition };
+      if (bestSplit.edges) {
+        nodeValue = this.describeRangeCondition(bestSplit.factor, childFilter[bestSplit.factor]);
+      } else if (members) {
+        nodeValue = { value: OTHER_GROUP_LABEL, members };
+      } else if (label) {
+        nodeValue = { value: label, values: condition.in };
+      }
 
       if (childPrevious.length > 0 || childCurrent.length > 0) {
-        console.log(`🔍 Building V2 Auto-Max child node: ${bestSplit.factor}=${value}`);
-        
         // Calculate impact decomposition for this specific segment
         // Use full portfolio data for distribution weights (same as User-Priority fix)
         const impacts = this.calculateImpactDecomposition(
           childPrevious,
           childCurrent,
           previousData, // Use full portfolio data for distribution weights
-          currentData
+          currentData,
+          config.metric,
+          mixOptions
         );
         
-        const prevROI = this.calculateWeightedROI(childPrevious);
-        const currentROI = this.calculateWeightedROI(childCurrent);
+        const prevROI = this.calculateWeightedROI(childPrevious, config.metric);
+        const currentROI = this.calculateWeightedROI(childCurrent, config.metric);
         const roiChange = currentROI - prevROI;
-        const roiChangeBps = roiChange * 10000;
+        const roiChangeBps = roiChange * config.metric.scale;
 
         const child = {
           factor: bestSplit.factor,
-          value: value,
+          ...nodeValue,
           filter: childFilter,
           metrics: {
             previousROI: prevROI,
@@ -675,9 +1511,11 @@ class AnalysisEngine {
             // Impact decomposition metrics - each node has its own independent calculation
             yieldImpact: impacts.yieldImpact,
             distributionImpact: impacts.distributionImpact,
+            interactionImpact: impacts.interactionImpact,
             totalImpact: impacts.totalImpact,
             yieldImpactBps: impacts.yieldImpactBps,
             distributionImpactBps: impacts.distributionImpactBps,
+            interactionImpactBps: impacts.interactionImpactBps,
             totalImpactBps: impacts.totalImpactBps,
             // Hierarchical impact percentages
             percentOnParent: parentTotalImpact !== 0 ? (impacts.totalImpact / parentTotalImpact) * 100 : 0,
@@ -685,13 +1523,15 @@ class AnalysisEngine {
             // Existing metrics
             previousAmount: this.getTotalAmount(childPrevious),
             currentAmount: this.getTotalAmount(childCurrent),
-            previousCount: childPrevious.length,
-            currentCount: childCurrent.length
+            previousCount: this.countRows(childPrevious),
+            currentCount: this.countRows(childCurrent)
           },
-          children: this.buildAutoMaxSplitTreeLevelV2(
+          significance: this.describeSignificance(impacts, config),
+          // children, plus the stopping rule that made this node a leaf
+          ...this.buildAutoMaxSplitTreeLevelV2(
             previousData, 
             currentData, 
-            targetVariable, 
+            config, 
             depth + 1, 
             childFilter,
             availableFactors,
@@ -701,74 +1541,367 @@ class AnalysisEngine {
         };
 
         children.push(child);
-        
-        console.log(`📊 Auto-Max impact metrics for ${child.factor}=${child.value}:
-          Total Impact: ${child.metrics.totalImpactBps.toFixed(2)} bps
-          Yield Impact: ${child.metrics.yieldImpactBps.toFixed(2)} bps
-          Distribution Impact: ${child.metrics.distributionImpactBps.toFixed(2)} bps
-          % on Parent: ${child.metrics.percentOnParent.toFixed(2)}%
-          % on Root: ${child.metrics.percentOnRoot.toFixed(2)}%`);
       }
     });
 
-    // Sort children by absolute total impact
-    children.sort((a, b) => Math.abs(b.metrics.totalImpactBps) - Math.abs(a.metrics.totalImpactBps));
+    this.sortChildrenByImpact(children);
 
-    return children.length > 0 ? children : null;
+    return children.length > 0 ? { children, stopReason: null } : stop('noSplit');
+  }
+
+  /**
+   * Find the best split based on total impact variance. Categorical factors split on every
+   * value, or with category merging on, into the best groups of values (see
+   * findBestCategoryMerge); the configured numeric factors split into ranges (see
+   * findBestNumericSplit). Splits with more children than the maxBranches stopping rule
+   * are not considered.
+   * @returns {Object|null} { factor, variance }, plus `groups` for merged categories or `edges`
+   *   for a numeric split
+   */
+  findBestSplitByTotalImpact(previousData, currentData, availableFactors = null, config = {}) {
+    config = this.resolveAnalysisConfig(config);
+    const { categorical, numeric } = this.getSplitCandidates(previousData, currentData, availableFactors, config);
+
+    let bestSplit = null;
+    let bestVariance = 0;
+
+    categorical.forEach(factor => {
+      const split = this.findBestCategoricalSplit(previousData, currentData, factor, config);
+      if (split && split.variance > bestVariance) {
+        bestVariance = split.variance;
+        bestSplit = split;
+      }
+    });
+
+    numeric.forEach(factor => {
+      const split = this.findBestNumericSplit(previousData, currentData, factor, config);
+      if (split && split.variance > bestVariance) {
+        bestVariance = split.variance;
+        bestSplit = split;
+      }
+    });
+
+    return bestSplit;
   }
 
   /**
-   * Find the best split based on total impact variance
+   * Best split on a categorical factor: one child per value, or merged groups of values when
+   * category merging is on
+   * @returns {Object|null} { factor, variance } or { factor, variance, groups }
    */
-  findBestSplitByTotalImpact(previousData, currentData, availableFactors = null) {
+  findBestCategoricalSplit(previousData, currentData, factor, config) {
+    if (config.categoryMerging.enabled) {
+      return this.findBestCategoryMerge(previousData, currentData, factor, config);
+    }
+    if (this.exceedsBranchLimit(previousData, currentData, factor, config)) return null;
+    return { factor, variance: this.calculateTotalImpactVariance(previousData, currentData, factor, config) };
+  }
+
+  /**
+   * Merge a factor's categories into the groups that maximise total impact variance
+   * (CHAID-style). Starting from one group per value, the two groups whose merge gives the
+   * highest variance are merged repeatedly down to two groups, and the best grouping seen
+   * along the way is kept. Merged impacts are recomputed on the combined rows, as impacts only
+   * add up exactly under the three-way and midpoint methods. Groupings with more groups than
+   * the maxBranches stopping rule allows are skipped.
+   * @returns {Object|null} { factor, variance, groups: [[value, ...], ...] }
+   */
+  findBestCategoryMerge(previousData, currentData, factor, config = {}) {
+    config = this.resolveAnalysisConfig(config);
+    const mixOptions = this.getMixOptions(previousData, currentData, config);
+    const measure = this.getRowMeasure(config.metric);
+    const totalPrevious = aggregationCube.summarize(previousData, measure);
+    const totalCurrent = aggregationCube.summarize(currentData, measure);
+    const { maxBranches } = config.stoppingRules;
+    const impactOf = group => this.calculateImpactFromStats(
+      group.previous,
+      group.current,
+      totalPrevious,
+      totalCurrent,
+      config.metric,
+      mixOptions
+    ).totalImpact;
+
+    const segments = this.getSplitSegments(previousData, currentData, { factor });
+    if (segments.length < 2) return null;
+
+    // Merged groups list their values in the factor's own order
+    const order = new Map(segments.map((segment, index) => [segment.condition, index]));
+    let groups = segments.map(segment => {
+      const group = {
+        values: [segment.condition],
+        previous: aggregationCube.summarize(segment.previous, measure),
+        current: aggregationCube.summarize(segment.current, measure)
+      };
+      return { ...group, impact: impactOf(group) };
+    });
+
+    let best = null;
+    const considerGrouping = () => {
+      if (maxBranches !== null && groups.length > maxBranches) return;
+      const variance = this.getVariance(groups.map(group => group.impact));
+      if (!best || variance > best.variance) {
+        best = { variance, groups: groups.map(group => group.values) };
+      }
+    };
+
+    considerGrouping();
+    while (groups.length > 2) {
+      let bestMerge = null;
+      for (let i = 0; i < groups.length; i++) {
+        for (let j = i + 1; j < groups.length; j++) {
+          const merged = {
+            values: _.sortBy([...groups[i].values, ...groups[j].values], value => order.get(value)),
+            previous: aggregationCube.combine(groups[i].previous, groups[j].previous),
+            current: aggregationCube.combine(groups[i].current, groups[j].current)
+          };
+          merged.impact = impactOf(merged);
+          const remaining = groups.filter((group, index) => index !== i && index !== j);
+          const variance = this.getVariance([...remaining.map(group => group.impact), merged.impact]);
+          if (!bestMerge || variance > bestMerge.variance) {
+            bestMerge = { variance, groups: [...remaining, merged] };
+          }
+        }
+      }
+      groups = _.sortBy(bestMerge.groups, group => order.get(group.values[0]));
+      considerGrouping();
+    }
+
+    return best && best.variance > 0 ? { factor, variance: best.variance, groups: best.groups } : null;
+  }
+
+  /**
+   * Factors a segment can be split on: categorical ones split by value and numeric ones by range
+   * @returns {Object} { categorical, numeric }
+   */
+  getSplitCandidates(previousData, currentData, availableFactors, config) {
+    const { metric, numericSplits } = config;
+
     // Auto-detect available factors if not provided
     if (!availableFactors) {
       const combinedData = [...previousData, ...currentData];
-      if (combinedData.length === 0) return null;
+      if (combinedData.length === 0) return { categorical: [], numeric: [] };
 
-      const excludeColumns = ['total_loan_amount', 'roi', 'v_score'];
+      const excludeColumns = ['total_loan_amount', 'roi', 'v_score', metric.numerator, metric.weight, ...numericSplits.factors];
       availableFactors = Object.keys(combinedData[0]).filter(factor => 
         !excludeColumns.includes(factor) && 
         combinedData.some(row => row[factor] !== undefined && row[factor] !== null)
       );
     }
 
-    let bestSplit = null;
-    let bestVariance = 0;
+    return {
+      // Columns split by range are not also split on their exact values
+      categorical: availableFactors.filter(factor => !numericSplits.factors.includes(factor)),
+      numeric: numericSplits.factors
+    };
+  }
+
+  /**
+   * Whether splitting on a categorical factor would create more children than maxBranches allows
+   */
+  exceedsBranchLimit(previousData, currentData, factor, config) {
+    const { maxBranches } = config.stoppingRules;
+    if (maxBranches === null) return false;
+
+    const values = new Set([...previousData, ...currentData]
+      .map(row => row[factor])
+      .filter(value => value !== null && value !== undefined));
+    return values.size > maxBranches;
+  }
 
-    availableFactors.forEach(factor => {
-      const variance = this.calculateTotalImpactVariance(previousData, currentData, factor);
-      if (variance > bestVariance) {
-        bestVariance = variance;
-        bestSplit = { factor, variance };
+  /**
+   * Why a segment was left unsplit when no split was found: 'maxBranches' when a split that
+   * would explain variance was only ruled out by the branch limit, otherwise 'noSplit'
+   */
+  getNoSplitReason(previousData, currentData, availableFactors, config) {
+    // Merged categories always fit within the branch limit
+    if (config.stoppingRules.maxBranches === null || config.categoryMerging.enabled) return 'noSplit';
+
+    const { categorical } = this.getSplitCandidates(previousData, currentData, availableFactors, config);
+    const blocked = categorical.some(factor =>
+      this.exceedsBranchLimit(previousData, currentData, factor, config) &&
+      this.calculateTotalImpactVariance(previousData, currentData, factor, config) > 0
+    );
+    return blocked ? 'maxBranches' : 'noSplit';
+  }
+
+  /**
+   * Find the cut points on a numeric column that maximise total impact variance.
+   * Candidates are quantiles of the segment's values. Cut points are added one at a time,
+   * keeping the candidate that raises the variance most, until the split has maxBranches
+   * ranges or no candidate improves it. Rows without a value form a segment of their own.
+   * @returns {Object|null} { factor, variance, edges }, or null when no cut point helps
+   */
+  findBestNumericSplit(previousData, currentData, factor, config = {}) {
+    config = this.resolveAnalysisConfig(config);
+    const mixOptions = this.getMixOptions(previousData, currentData, config);
+    const measure = this.getRowMeasure(config.metric);
+    const totalPrevious = aggregationCube.summarize(previousData, measure);
+    const totalCurrent = aggregationCube.summarize(currentData, measure);
+
+    // Statistics per distinct value, so any range is a difference of running totals
+    const byValue = new Map();
+    const missing = { previous: aggregationCube.emptyStats(), current: aggregationCube.emptyStats() };
+    const collect = (data, period) => data.forEach(item => {
+      const number = bandingService.parseValue(item[factor]);
+      let entry = missing;
+      if (number !== null) {
+        if (!byValue.has(number)) {
+          byValue.set(number, { previous: aggregationCube.emptyStats(), current: aggregationCube.emptyStats() });
+        }
+        entry = byValue.get(number);
       }
+      aggregationCube.addItem(entry[period], item, measure);
     });
+    collect(previousData, 'previous');
+    collect(currentData, 'current');
+
+    const values = [...byValue.keys()].sort((a, b) => a - b);
+    if (values.length === 0) return null;
+
+    const running = { previous: aggregationCube.emptyStats(), current: aggregationCube.emptyStats() };
+    const cumulative = values.map(value => ({
+      previous: { ...aggregationCube.addStats(running.previous, byValue.get(value).previous) },
+      current: { ...aggregationCube.addStats(running.current, byValue.get(value).current) }
+    }));
+    const upTo = edge => cumulative[_.sortedIndexOf(values, edge)];
+
+    // Cut points are values in the data at evenly spaced ranks; one at the maximum would leave
+    // the top range empty
+    const rowCount = cumulative[cumulative.length - 1].previous.count + cumulative[cumulative.length - 1].current.count;
+    const candidates = _.sortedUniq(_.range(1, NUMERIC_SPLIT_CANDIDATES).map(step => {
+      const rank = Math.ceil((rowCount * step) / NUMERIC_SPLIT_CANDIDATES);
+      return values[cumulative.findIndex(entry => entry.previous.count + entry.current.count >= rank)];
+    })).filter(edge => edge < values[values.length - 1]);
+
+    // Rows without a value take one of the branches the maxBranches stopping rule allows
+    const hasMissing = missing.previous.count + missing.current.count > 0;
+    const { maxBranches } = config.stoppingRules;
+    const maxRanges = maxBranches === null
+      ? config.numericSplits.maxBranches
+      : Math.min(config.numericSplits.maxBranches, maxBranches - (hasMissing ? 1 : 0));
+
+    const splitVariance = trialEdges => {
+      const bounds = [null, ...trialEdges, values[values.length - 1]];
+      const ranges = trialEdges.concat(null).map((edge, index) => {
+        const below = bounds[index] === null ? null : upTo(bounds[index]);
+        const top = upTo(bounds[index + 1]);
+        return {
+          previous: below ? aggregationCube.subtract(top.previous, below.previous) : top.previous,
+          current: below ? aggregationCube.subtract(top.current, below.current) : top.current
+        };
+      });
+      const impacts = [...ranges, missing]
+        .filter(segment => segment.previous.count > 0 || segment.current.count > 0)
+        .map(segment => this.calculateImpactFromStats(
+          segment.previous,
+          segment.current,
+          totalPrevious,
+          totalCurrent,
+          config.metric,
+          mixOptions
+        ).totalImpact);
+      return this.getVariance(impacts);
+    };
 
-    return bestSplit;
+    let edges = [];
+    let bestVariance = 0;
+    while (edges.length < maxRanges - 1) {
+      let bestEdges = null;
+      candidates.filter(candidate => !edges.includes(candidate)).forEach(candidate => {
+        const trialEdges = [...edges, candidate].sort((a, b) => a - b);
+        const variance = splitVariance(trialEdges);
+        if (variance > bestVariance) {
+          bestVariance = variance;
+          bestEdges = trialEdges;
+        }
+      });
+      if (!bestEdges) break;
+      edges = bestEdges;
+    }
+
+    return edges.length > 0 ? { factor, variance: bestVariance, edges } : null;
+  }
+
+
+  /**
+   * Segments a split produces: one per distinct value of a categorical factor, one per group
+   * of merged values, or one per range between a numeric split's edges plus one for rows
+   * without a value
+   * @param {Array} previousData - Previous period data
+   * @param {Array} currentData - Current period data
+   * @param {Object} split - { factor }, { factor, groups } or { factor, edges }
+   * @returns {Array} [{ condition, previous, current }] for the non-empty segments; merged
+   *   groups also carry a `label` such as "t1 + t2"
+   */
+  getSplitSegments(previousData, currentData, split) {
+    const { factor, edges, groups } = split;
+    let conditions;
+    if (edges) {
+      conditions = [
+        ...[...edges, null].map((max, index) => ({ min: index === 0 ? null : edges[index - 1], max })),
+        { missing: true }
+      ];
+    } else if (groups) {
+      conditions = groups.map(values => values.length === 1 ? values[0] : { in: values });
+    } else {
+      conditions = this.getDistinctValuesForFactor([...previousData, ...currentData], factor);
+    }
+
+    // Category values are looked up in one pass over each period; ranges are filtered
+    const previousByValue = aggregationCube.groupBy(previousData, factor);
+    const currentByValue = aggregationCube.groupBy(currentData, factor);
+    const select = (data, byValue, condition) => {
+      if (!_.isPlainObject(condition)) return byValue.get(condition) || [];
+      if (condition.in) return _.flatMap(condition.in, value => byValue.get(value) || []);
+      return data.filter(row => this.matchesCondition(row[factor], condition));
+    };
+
+    return conditions
+      .map(condition => ({
+        condition,
+        ...(condition && condition.in ? { label: condition.in.join(' + ') } : {}),
+        previous: select(previousData, previousByValue, condition),
+        current: select(currentData, currentByValue, condition)
+      }))
+      .filter(segment => segment.previous.length > 0 || segment.current.length > 0);
   }
 
   /**
    * Calculate total impact variance for a factor
+   * @param {Array} groups - Optional merged groups of values, e.g. [['t1', 't2'], ['t3']]
    */
-  calculateTotalImpactVariance(previousData, currentData, factor) {
-    const distinctValues = this.getDistinctValuesForFactor([...previousData, ...currentData], factor);
-    const impacts = [];
-    
-    distinctValues.forEach(value => {
-      const prevSubset = previousData.filter(row => row[factor] === value);
-      const currSubset = currentData.filter(row => row[factor] === value);
-      
-      if (prevSubset.length > 0 || currSubset.length > 0) {
-        const impactDecomp = this.calculateImpactDecomposition(
-          prevSubset,
-          currSubset,
-          previousData,
-          currentData
-        );
-        impacts.push(impactDecomp.totalImpact);
-      }
-    });
+  calculateTotalImpactVariance(previousData, currentData, factor, config = {}, groups = null) {
+    return this.calculateSplitVariance(previousData, currentData, groups ? { factor, groups } : { factor }, config);
+  }
+
+  /**
+   * Variance of the total impacts of the segments a split produces
+   */
+  calculateSplitVariance(previousData, currentData, split, config = {}) {
+    config = this.resolveAnalysisConfig(config);
+    const mixOptions = this.getMixOptions(previousData, currentData, config);
+    const measure = this.getRowMeasure(config.metric);
+    const totalPrevious = aggregationCube.summarize(previousData, measure);
+    const totalCurrent = aggregationCube.summarize(currentData, measure);
+    const impacts = this.getSplitSegments(previousData, currentData, split).map(segment =>
+      this.calculateImpactFromStats(
+        aggregationCube.summarize(segment.previous, measure),
+        aggregationCube.summarize(segment.current, measure),
+        totalPrevious,
+        totalCurrent,
+        config.metric,
+        mixOptions
+      ).totalImpact
+    );
     
+    return this.getVariance(impacts);
+  }
+
+  /**
+   * Population variance of a list of impacts (0 when empty)
+   */
+  getVariance(impacts) {
     if (impacts.length === 0) return 0;
     
     // Calculate variance of total impacts
@@ -784,7 +1917,7 @@ class AnalysisEngine {
   /**
    * Calculate feature importance based on total impact
    */
-  calculateTotalImpactFeatureImportance(previousData, currentData, availableFactors = null) {
+  calculateTotalImpactFeatureImportance(previousData, currentData, availableFactors = null, config = {}) {
     // Use provided factors or auto-detect available ones
     if (!availableFactors) {
       const combinedData = [...previousData, ...currentData];
@@ -793,22 +1926,35 @@ class AnalysisEngine {
       }
       
       // Auto-detect factors from data, excluding numeric columns
-      const excludeColumns = ['total_loan_amount', 'roi', 'v_score'];
+      const { metric, numericSplits } = this.resolveAnalysisConfig(config);
+      const excludeColumns = ['total_loan_amount', 'roi', 'v_score', metric.numerator, metric.weight, ...numericSplits.factors];
       availableFactors = Object.keys(combinedData[0]).filter(factor => 
         !excludeColumns.includes(factor) && 
         combinedData.some(row => row[factor] !== undefined && row[factor] !== null)
       );
     }
 
+    config = this.resolveAnalysisConfig(config);
+    const { numericSplits } = config;
     const importance = {};
     let totalImportance = 0;
 
-    availableFactors.forEach(factor => {
-      const variance = this.calculateTotalImpactVariance(previousData, currentData, factor);
+    availableFactors.filter(factor => !numericSplits.factors.includes(factor)).forEach(factor => {
+      // With category merging, a factor is scored by its best grouping
+      const variance = config.categoryMerging.enabled
+        ? (this.findBestCategoryMerge(previousData, currentData, factor, config)?.variance || 0)
+        : this.calculateTotalImpactVariance(previousData, currentData, factor, config);
       importance[factor] = Math.max(0, variance);
       totalImportance += importance[factor];
     });
 
+    // Numeric factors are scored by their best range split
+    numericSplits.factors.forEach(factor => {
+      const split = this.findBestNumericSplit(previousData, currentData, factor, config);
+      importance[factor] = split ? split.variance : 0;
+      totalImportance += importance[factor];
+    });
+
     // Normalize to sum to 1
     if (totalImportance > 0) {
       Object.keys(importance).forEach(key => {
@@ -816,8 +1962,8 @@ class AnalysisEngine {
       });
     } else {
       // Fallback if no variance
-      const equalWeight = 1 / availableFactors.length;
-      availableFactors.forEach(factor => {
+      const equalWeight = 1 / Object.keys(importance).length;
+      Object.keys(importance).forEach(factor => {
         importance[factor] = equalWeight;
       });
     }
@@ -825,12 +1971,269 @@ class AnalysisEngine {
     return importance;
   }
 
+  /**
+   * Order-independent share of the portfolio change each factor explains: the Shapley value of
+   * the factors, averaging each factor's marginal explained impact over all orderings in which
+   * it can join the others (over SHAPLEY_SAMPLED_ORDERINGS random orderings when there are more
+   * than MAX_EXACT_SHAPLEY_FACTORS factors).
+   *
+   * The impact a set of factors explains is how far the change is from being spread evenly
+   * across the segments they form together: Σ |segment impact − segment share × portfolio
+   * change|, in the metric's display unit. Segment impacts are measured against the parent
+   * rate, w₁(r₁ − R₀) − w₀(r₀ − R₀), so they add up to the portfolio change and a segment
+   * only counts when its rate differs from the portfolio's; a shift in volume between segments
+   * earning the same rate explains nothing. With the current share w₁ as the even share each
+   * term is w₁(r₁ − R₁) − w₀(r₀ − R₀). Sums compare each segment's change with its previous
+   * share of the portfolio change.
+   * No factors explain nothing, and a finer segmentation never explains less, so every
+   * contribution is at least zero and they add up to what all factors explain together.
+   * A portfolio that did not change (within MIN_ATTRIBUTABLE_CHANGE) gets no attribution.
+   * @param {Array} previousData - Previous period rows or cube cells
+   * @param {Array} currentData - Current period rows or cube cells
+   * @param {Array} factors - Categorical factors, in the user's order
+   * @param {Object} config - Analysis config
+   * @returns {Object} { method, orderings, coalitionsEvaluated, totalChangeBps, explainedBps, factors, summary }
+   */
+  calculateShapleyAttribution(previousData, currentData, factors, config = {}) {
+    if (!factors || factors.length === 0) {
+      throw new Error('Attribution needs at least one factor');
+    }
+
+    config = this.resolveAnalysisConfig(config);
+    const { metric } = config;
+    const measure = this.getRowMeasure(metric);
+    const totals = {
+      previous: aggregationCube.summarize(previousData, measure),
+      current: aggregationCube.summarize(currentData, measure)
+    };
+    const totalChangeBps = this.calculateImpactFromStats(
+      totals.previous, totals.current, totals.previous, totals.current, metric, { method: 'three-way' }
+    ).totalImpactBps;
+
+    if (Math.abs(totalChangeBps) < MIN_ATTRIBUTABLE_CHANGE) {
+      return {
+        method: 'none',
+        orderings: 0,
+        coalitionsEvaluated: 0,
+        totalChangeBps,
+        explainedBps: 0,
+        factors: [],
+        summary: 'There is no change to attribute: the portfolio value is the same in both periods.'
+      };
+    }
+
+    const values = new Map();
+    const explained = (coalition) => {
+      const key = [...coalition].sort().join('|');
+      if (!values.has(key)) {
+        values.set(key, this.calculateExplainedImpact(previousData, currentData, coalition, totals, totalChangeBps, metric));
+      }
+      return values.get(key);
+    };
+
+    const n = factors.length;
+    const sampled = n > MAX_EXACT_SHAPLEY_FACTORS;
+    const marginals = factors.map(() => []);
+
+    if (sampled) {
+      const random = this.createRandom(SHAPLEY_SEED);
+      for (let sample = 0; sample < SHAPLEY_SAMPLED_ORDERINGS; sample++) {
+        const ordering = _.range(n);
+        // Fisher-Yates shuffle
+        for (let i = n - 1; i > 0; i--) {
+          const j = Math.floor(random() * (i + 1));
+          [ordering[i], ordering[j]] = [ordering[j], ordering[i]];
+        }
+        const coalition = [];
+        let previousValue = 0;
+        ordering.forEach(index => {
+          coalition.push(factors[index]);
+          const value = explained(coalition);
+          marginals[index].push({ weight: 1 / SHAPLEY_SAMPLED_ORDERINGS, value: value - previousValue });
+          previousValue = value;
+        });
+      }
+    } else {
+      // Each coalition S without the factor is weighted by the share of orderings in which the
+      // factor joins right after S: |S|! (n - |S| - 1)! / n!
+      const factorials = _.range(n + 1).reduce((list, k) => [...list, k === 0 ? 1 : list[k - 1] * k], []);
+      factors.forEach((factor, index) => {
+        const others = factors.filter(other => other !== factor);
+        for (let mask = 0; mask < (1 << others.length); mask++) {
+          const coalition = others.filter((other, bit) => mask & (1 << bit));
+          marginals[index].push({
+            weight: factorials[coalition.length] * factorials[n - coalition.length - 1] / factorials[n],
+            value: explained([...coalition, factor]) - explained(coalition)
+          });
+        }
+      });
+    }
+
+    const explainedBps = explained(factors);
+    // Below the threshold what is left is rounding noise, not a share worth reporting
+    const attributable = explainedBps >= MIN_ATTRIBUTABLE_CHANGE;
+    let orderedBase = 0;
+    const results = factors.map((factor, index) => {
+      const contributionBps = _.sumBy(marginals[index], marginal => marginal.weight * marginal.value);
+      // Marginal impact when factors are added in the user's order, as the User-Priority tree does
+      const orderedBps = explained(factors.slice(0, index + 1)) - orderedBase;
+      orderedBase += orderedBps;
+
+      return {
+        factor,
+        contributionBps,
+        share: attributable ? contributionBps / explainedBps : 0,
+        standaloneBps: explained([factor]),
+        orderedBps,
+        orderedShare: attributable ? orderedBps / explainedBps : 0,
+        // Sampling error of the contribution; exact attributions have none
+        standardErrorBps: sampled
+          ? Math.sqrt(this.getVariance(marginals[index].map(marginal => marginal.value)) / SHAPLEY_SAMPLED_ORDERINGS)
+          : 0
+      };
+    });
+    const ranked = _.orderBy(results, 'contributionBps', 'desc');
+
+    return {
+      method: sampled ? 'sampled' : 'exact',
+      orderings: sampled ? SHAPLEY_SAMPLED_ORDERINGS : _.range(1, n + 1).reduce((product, k) => product * k, 1),
+      coalitionsEvaluated: values.size,
+      totalChangeBps,
+      explainedBps,
+      factors: ranked,
+      summary: this.describeAttribution(ranked, explainedBps)
+    };
+  }
+
+  /**
+   * Impact a set of factors explains: Σ over the segments they form of |segment impact against
+   * the parent rate − segment share × portfolio change| (see calculateShapleyAttribution)
+   */
+  calculateExplainedImpact(previousData, currentData, coalition, totals, totalChangeBps, metric) {
+    if (coalition.length === 0) return 0;
+
+    const measure = this.getRowMeasure(metric);
+    const segments = new Map();
+    const addCells = (data, period) => data.forEach(item => {
+      const key = JSON.stringify(coalition.map(factor => item[factor]));
+      if (!segments.has(key)) {
+        segments.set(key, { previous: aggregationCube.emptyStats(), current: aggregationCube.emptyStats() });
+      }
+      aggregationCube.addItem(segments.get(key)[period], item, measure);
+    });
+    addCells(previousData, 'previous');
+    addCells(currentData, 'current');
+
+    const isSum = this.resolveMetric(metric).aggregation === 'sum';
+    const referenceRate = this.describeStats(totals.previous, metric).rate;
+    let explained = 0;
+    segments.forEach(segment => {
+      const { totalImpactBps, currDistWeight } = this.calculateImpactFromStats(
+        segment.previous, segment.current, totals.previous, totals.current, metric,
+        { method: 'three-way', mixBasis: isSum ? 'absolute' : 'parent-relative', referenceRate }
+      );
+      let evenShare = currDistWeight;
+      if (isSum) {
+        evenShare = totals.previous.numerator !== 0
+          ? segment.previous.numerator / totals.previous.numerator
+          : segment.current.numerator / totals.current.numerator;
+      }
+      explained += Math.abs(totalImpactBps - evenShare * totalChangeBps);
+    });
+    return explained;
+  }
+
+  /**
+   * "channel explains 40%, tier 35% and product 25%"
+   */
+  describeAttribution(factors, explainedBps) {
+    if (!(explainedBps >= MIN_ATTRIBUTABLE_CHANGE)) {
+      return 'None of the factors explains the change: it is spread evenly across their segments.';
+    }
+    const parts = factors.map((factor, index) =>
+      `${factor.factor}${index === 0 ? ' explains' : ''} ${Math.round(factor.share * 100)}%`);
+    return parts.length > 1 ? `${parts.slice(0, -1).join(', ')} and ${_.last(parts)}` : parts[0];
+  }
+
+  /**
+   * Seeded pseudo-random generator (mulberry32) returning numbers in [0, 1)
+   */
+  createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Attach a reconciliation check to every node: the sum of its children's impacts
+   * versus the node's own impact. Leaves carry `reconciliation: null`.
+   * Only the three-way and midpoint methods are expected to reconcile exactly. Under the
+   * parent-relative mix basis the node's own mix is netted out of what its children explain,
+   * so the expected children total is the node's impact less its distribution impact.
+   * @param {Array} tree - V2 tree
+   * @param {Object} config - Analysis config
+   * @returns {Object} Tree-wide reconciliation stats
+   */
+  attachReconciliation(tree, config = {}) {
+    const { metric, decomposition } = this.resolveAnalysisConfig(config);
+    const parentRelative = decomposition.mixBasis === 'parent-relative';
+    const stats = { checkedNodes: 0, failedNodes: 0, maxDifferenceBps: 0 };
+
+    const traverse = (nodes) => {
+      if (!nodes) return;
+
+      nodes.forEach(node => {
+        if (!node.children || node.children.length === 0) {
+          node.reconciliation = null;
+          return;
+        }
+
+        const childrenTotalImpact = node.children.reduce((sum, child) => sum + (child.metrics.totalImpact || 0), 0);
+        const expectedImpact = (node.metrics.totalImpact || 0)
+          - (parentRelative ? node.metrics.distributionImpact || 0 : 0);
+        const difference = childrenTotalImpact - expectedImpact;
+        const reconciles = Math.abs(difference) <= RECONCILIATION_TOLERANCE * Math.max(1, Math.abs(expectedImpact));
+
+        node.reconciliation = {
+          childrenTotalImpact,
+          expectedImpact,
+          difference,
+          childrenTotalImpactBps: childrenTotalImpact * metric.scale,
+          expectedImpactBps: expectedImpact * metric.scale,
+          differenceBps: difference * metric.scale,
+          reconciles
+        };
+
+        stats.checkedNodes++;
+        if (!reconciles) stats.failedNodes++;
+        stats.maxDifferenceBps = Math.max(stats.maxDifferenceBps, Math.abs(difference * metric.scale));
+
+        traverse(node.children);
+      });
+    };
+
+    traverse(tree);
+
+    return {
+      ...stats,
+      reconciles: stats.failedNodes === 0
+    };
+  }
+
   /**
    * Calculate impact summary for V2 tree
    */
-  calculateImpactSummaryV2(tree) {
+  calculateImpactSummaryV2(tree, config = {}) {
+    const { metric, decomposition } = this.resolveAnalysisConfig(config);
+    const { scale } = metric;
     let totalYieldImpact = 0;
     let totalDistributionImpact = 0;
+    let totalInteractionImpact = 0;
     const factorContributions = {};
     
     const traverse = (nodes) => {
@@ -841,18 +2244,21 @@ class AnalysisEngine {
           // Sum up impacts
           totalYieldImpact += node.metrics.yieldImpact || 0;
           totalDistributionImpact += node.metrics.distributionImpact || 0;
+          totalInteractionImpact += node.metrics.interactionImpact || 0;
           
           // Track factor contributions
           if (!factorContributions[node.factor]) {
             factorContributions[node.factor] = {
               yieldImpact: 0,
               distributionImpact: 0,
+              interactionImpact: 0,
               totalImpact: 0
             };
           }
           
           factorContributions[node.factor].yieldImpact += node.metrics.yieldImpact || 0;
           factorContributions[node.factor].distributionImpact += node.metrics.distributionImpact || 0;
+          factorContributions[node.factor].interactionImpact += node.metrics.interactionImpact || 0;
           factorContributions[node.factor].totalImpact += node.metrics.totalImpact || 0;
         }
         
@@ -865,16 +2271,131 @@ class AnalysisEngine {
     traverse(tree);
     
     return {
+      decompositionMethod: decomposition.method,
+      mixBasis: decomposition.mixBasis,
+      formula: decomposition.formula.text,
       totalYieldImpact,
       totalDistributionImpact,
-      totalImpact: totalYieldImpact + totalDistributionImpact,
-      totalYieldImpactBps: totalYieldImpact * 10000,
-      totalDistributionImpactBps: totalDistributionImpact * 10000,
-      totalImpactBps: (totalYieldImpact + totalDistributionImpact) * 10000,
+      totalInteractionImpact,
+      totalImpact: totalYieldImpact + totalDistributionImpact + totalInteractionImpact,
+      totalYieldImpactBps: totalYieldImpact * scale,
+      totalDistributionImpactBps: totalDistributionImpact * scale,
+      totalInteractionImpactBps: totalInteractionImpact * scale,
+      totalImpactBps: (totalYieldImpact + totalDistributionImpact + totalInteractionImpact) * scale,
       factorContributions
     };
   }
 
+  /**
+   * Order-independent attribution of the change in a metric to the selected factors
+   * (see calculateShapleyAttribution)
+   * @param {Object} data - Processed data
+   * @param {Array} factors - Factors to attribute the change to, in the user's order
+   * @param {string} targetVariable - Target variable for analysis
+   * @param {Object} metricDefinition - Optional { numerator, weight, aggregation, label } overriding targetVariable
+   * @returns {Object} Each factor's Shapley contribution and share of the explained impact
+   */
+  performShapleyAttribution(data, factors, targetVariable = 'roi', metricDefinition = null) {
+    const { previousMonth, currentMonth } = data;
+    const config = this.resolveAnalysisConfig(metricDefinition || targetVariable);
+    const { metric } = config;
+
+    console.log(`⚖️ Shapley attribution across ${factors.length} factors: ${factors.join(', ')}`);
+
+    const cubes = this.buildCubes(previousMonth, currentMonth, factors, config);
+    const attribution = this.calculateShapleyAttribution(cubes.previous, cubes.current, factors, config);
+
+    return {
+      analysisType: 'shapley',
+      targetVariable: metric.numerator,
+      metric,
+      factorOrder: factors,
+      ...attribution,
+      previousValue: this.calculateWeightedROI(cubes.previous, metric),
+      currentValue: this.calculateWeightedROI(cubes.current, metric)
+    };
+  }
+
+  /**
+   * Trend of segment-level impacts across a sequence of periods.
+   * Each point compares period i - step with period i (step 1/3/12 for MoM/QoQ/YoY) and
+   * decomposes the portfolio change across the values of a single factor, using the same
+   * decomposition method and mix basis as the driver tree.
+   * @param {Array} periods - [{ label, data }] in chronological order
+   * @param {string} factor - Factor whose segments are tracked
+   * @param {string} comparison - 'mom' | 'qoq' | 'yoy'
+   * @param {string} targetVariable - Target variable for analysis
+   * @param {Object} metricDefinition - Optional { numerator, weight, aggregation, label } overriding targetVariable
+   * @param {Object} options - Optional { decompositionMethod, mixBasis }
+   * @returns {Object} Trend points with per-segment yield, mix, interaction and total impact
+   */
+  performTrendAnalysis(periods, factor, comparison = 'mom', targetVariable = 'roi', metricDefinition = null, options = {}) {
+    const step = TREND_COMPARISONS[comparison];
+    if (!step) {
+      throw new Error(`Unknown comparison "${comparison}". Supported: ${Object.keys(TREND_COMPARISONS).join(', ')}`);
+    }
+    if (!periods || periods.length <= step) {
+      throw new Error(`${comparison.toUpperCase()} trend needs more than ${step} period(s); ${periods ? periods.length : 0} uploaded`);
+    }
+
+    const config = this.resolveAnalysisConfig(metricDefinition || targetVariable, options);
+    const { metric } = config;
+    const segments = this.getDistinctValuesForFactor(_.flatMap(periods, period => period.data), factor);
+
+    console.log(`📈 Trend analysis: ${factor} (${comparison}, ${periods.length} periods)`);
+
+    const points = [];
+    for (let i = step; i < periods.length; i++) {
+      const previous = periods[i - step];
+      const current = periods[i];
+      const mixOptions = this.getMixOptions(previous.data, current.data, config);
+      const previousValue = this.calculateWeightedROI(previous.data, metric);
+      const currentValue = this.calculateWeightedROI(current.data, metric);
+
+      const segmentImpacts = {};
+      segments.forEach(value => {
+        const impacts = this.calculateImpactDecomposition(
+          this.filterData(previous.data, { [factor]: value }),
+          this.filterData(current.data, { [factor]: value }),
+          previous.data,
+          current.data,
+          metric,
+          mixOptions
+        );
+        segmentImpacts[value] = {
+          yieldImpactBps: impacts.yieldImpactBps,
+          distributionImpactBps: impacts.distributionImpactBps,
+          interactionImpactBps: impacts.interactionImpactBps,
+          totalImpactBps: impacts.totalImpactBps,
+          previousShare: impacts.prevDistWeight,
+          currentShare: impacts.currDistWeight
+        };
+      });
+
+      points.push({
+        previousPeriod: previous.label,
+        currentPeriod: current.label,
+        previousValue,
+        currentValue,
+        totalChangeBps: (currentValue - previousValue) * metric.scale,
+        segments: segmentImpacts
+      });
+    }
+
+    return {
+      analysisType: 'trend',
+      targetVariable: metric.numerator,
+      metric,
+      decomposition: config.decomposition,
+      factor,
+      comparison,
+      step,
+      periods: periods.map(period => period.label),
+      segments,
+      points
+    };
+  }
+
   // ===============================================================
   // V2 METHODS WITH IMPACT DECOMPOSITION - END
   // ===============================================================
@@ -0,0 +1,254 @@
+const _ = require('lodash');
+
+/**
+ * Turns numeric columns into ordered, named bands that can be used as analysis factors.
+ *
+ * A band definition is { method, edges, bins, labels }:
+ *   edges       - explicit cut points, e.g. [12, 24, 36]
+ *   quantile    - `bins` groups holding roughly the same number of loans
+ *   equal-width - `bins` groups of the same width between the column's min and max
+ * Cut points are inclusive upper bounds, so [10, 14] gives ≤ 10, (10, 14] and > 14 and
+ * every value lands in exactly one band. Values that are missing or not numeric go to
+ * MISSING_BAND.
+ */
+const METHODS = ['edges', 'quantile', 'equal-width'];
+const DEFAULT_BINS = 4;
+const MAX_BINS = 20;
+const MISSING_BAND = 'Unknown';
+
+// V scores were banded before bands were configurable; the same cut points are the default
+const DEFAULT_DEFINITIONS = {
+  v_score: {
+    method: 'edges',
+    edges: [10, 14],
+    labels: ['Low (≤V10)', 'Mid (V11-V14)', 'High (≥V15)']
+  }
+};
+
+class BandingService {
+  getMethods() {
+    return METHODS;
+  }
+
+  getDefaultDefinitions(columns) {
+    return _.pick(DEFAULT_DEFINITIONS, columns);
+  }
+
+  /**
+   * Column a band is written to, e.g. tenure → tenure_band
+   */
+  getBandColumn(column) {
+    return `${column}_band`;
+  }
+
+  /**
+   * Band given to rows without a numeric value
+   */
+  getMissingBand() {
+    return MISSING_BAND;
+  }
+
+  /**
+   * Read a number from a cell; V score codes such as "V12" are accepted
+   * @returns {number|null} Parsed value, or null when missing or not numeric
+   */
+  parseValue(value) {
+    if (typeof value === 'number') return isNaN(value) ? null : value;
+    if (value === null || value === undefined) return null;
+
+    const cleaned = String(value).trim().replace(/^v\s*/i, '').replace(/,/g, '');
+    if (cleaned === '' || isNaN(cleaned)) return null;
+    return parseFloat(cleaned);
+  }
+
+  /**
+   * Resolve a band definition against a column's values
+   * @param {string} column - Numeric column
+   * @param {Object} definition - { method, edges, bins, labels }
+   * @param {Array} values - Column values across every period, so bands are comparable over time
+   * @returns {Object} { column, bandColumn, method, edges, bins, labels, bands: [{ label, min, max }] }
+   */
+  resolve(column, definition, values) {
+    const method = definition.method || 'edges';
+    if (!METHODS.includes(method)) {
+      throw new Error(`Unknown banding method "${method}" for ${column}. Supported: ${METHODS.join(', ')}`);
+    }
+
+    const numbers = values.map(value => this.parseValue(value)).filter(value => value !== null).sort((a, b) => a - b);
+    if (numbers.length === 0) {
+      throw new Error(`Column ${column} has no numeric values to band`);
+    }
+
+    let edges;
+    let bins = null;
+    if (method === 'edges') {
+      edges = (definition.edges || []).map(Number);
+      if (edges.length === 0 || edges.some(isNaN)) {
+        throw new Error(`Banding ${column} by edges needs a list of numeric cut points`);
+      }
+    } else {
+      bins = Number(definition.bins || DEFAULT_BINS);
+      if (!Number.isInteger(bins) || bins < 2 || bins > MAX_BINS) {
+        throw new Error(`Banding ${column} needs between 2 and ${MAX_BINS} bins`);
+      }
+      edges = method === 'quantile'
+        ? this.getQuantileEdges(numbers, bins)
+        : this.getEqualWidthEdges(numbers, bins);
+    }
+    edges = _.sortedUniq([...edges].sort((a, b) => a - b));
+
+    const labels = definition.labels && definition.labels.length > 0 ? definition.labels.map(String) : null;
+    if (labels && labels.length !== edges.length + 1) {
+      // Repeated values can make quantile (or, for a constant column, equal-width) cut points
+      // coincide, leaving fewer bands than bins
+      if (bins && edges.length + 1 < bins) {
+        throw new Error(
+          `${column} only splits into ${edges.length + 1} of the ${bins} ${method} bands because its values repeat; ` +
+          `use ${edges.length + 1} labels or fewer bins`
+        );
+      }
+      throw new Error(`${column} has ${edges.length + 1} bands but ${labels.length} labels`);
+    }
+    if (labels && _.uniq(labels).length !== labels.length) {
+      throw new Error(`Band labels for ${column} must be unique`);
+    }
+
+    const bands = [...edges, Infinity].map((max, index) => {
+      const min = index === 0 ? -Infinity : edges[index - 1];
+      return {
+        label: labels ? labels[index] : this.formatRange(min, max),
+        min: isFinite(min) ? min : null,
+        max: isFinite(max) ? max : null
+      };
+    });
+
+    return {
+      column,
+      bandColumn: this.getBandColumn(column),
+      method,
+      edges,
+      bins,
+      labels,
+      bands
+    };
+  }
+
+  /**
+   * Resolve every definition; each needs its column among the bandable columns
+   * @param {Object} definitions - { [column]: definition }
+   * @param {Array} rows - Rows across every period
+   * @param {Array} bandableColumns - Columns that can be banded
+   * @param {Array} strictColumns - Columns whose definitions are rejected when the column cannot be
+   *   banded (all by default); others are skipped, e.g. definitions carried over to reprocessed data
+   * @returns {Object} { [column]: resolved banding }
+   */
+  resolveAll(definitions, rows, bandableColumns, strictColumns = null) {
+    const resolved = {};
+    Object.entries(definitions || {}).forEach(([column, definition]) => {
+      if (!definition) return;
+      if (!bandableColumns.includes(column)) {
+        if (!strictColumns || strictColumns.includes(column)) {
+          throw new Error(`Column ${column} is not a numeric column in the uploaded data`);
+        }
+        return;
+      }
+      resolved[column] = this.resolve(column, definition, rows.map(row => row[column]));
+    });
+    return resolved;
+  }
+
+  /**
+   * Columns whose values are (nearly) all numbers, including V score codes like "V12"
+   * @param {Array} rows - Dataset
+   * @returns {Array} Column names that can be banded
+   */
+  getBandableColumns(rows) {
+    if (rows.length === 0) return [];
+
+    return Object.keys(rows[0]).filter(column => {
+      if (column.endsWith('_band')) return false;
+      const values = rows.map(row => row[column]).filter(value => value !== null && value !== undefined && value !== '');
+      if (values.length === 0) return false;
+      const numeric = values.filter(value => this.parseValue(value) !== null).length;
+      return numeric / values.length >= 0.9;
+    });
+  }
+
+  /**
+   * Label of the band a value falls in
+   */
+  getBand(value, banding) {
+    const number = this.parseValue(value);
+    if (number === null) return MISSING_BAND;
+    const index = _.sortedIndex(banding.edges, number);
+    // sortedIndex puts a value equal to an edge below it, matching the inclusive upper bounds
+    return banding.bands[index].label;
+  }
+
+  /**
+   * Add a band column for every resolved banding
+   * @param {Array} rows - Dataset
+   * @param {Object} bandings - { [column]: resolved banding }
+   * @returns {Array} Rows with band columns added
+   */
+  apply(rows, bandings) {
+    const entries = Object.values(bandings || {});
+    if (entries.length === 0) return rows;
+
+    return rows.map(row => {
+      const banded = { ...row };
+      entries.forEach(banding => {
+        banded[banding.bandColumn] = this.getBand(row[banding.column], banding);
+      });
+      return banded;
+    });
+  }
+
+  /**
+   * Band labels in band order, followed by MISSING_BAND when some rows have no value
+   */
+  getBandValues(rows, banding) {
+    const present = new Set(rows.map(row => row[banding.bandColumn]));
+    const labels = banding.bands.map(band => band.label).filter(label => present.has(label));
+    return present.has(MISSING_BAND) && !labels.includes(MISSING_BAND) ? [...labels, MISSING_BAND] : labels;
+  }
+
+  /**
+   * Loan count per band, used to show how a definition splits the book
+   */
+  countBands(rows, banding) {
+    return _.countBy(rows, row => row[banding.bandColumn]);
+  }
+
+  getQuantileEdges(sortedValues, bins) {
+    const edges = [];
+    for (let i = 1; i < bins; i++) {
+      const position = (sortedValues.length - 1) * (i / bins);
+      const lower = Math.floor(position);
+      const fraction = position - lower;
+      const upper = Math.min(lower + 1, sortedValues.length - 1);
+      edges.push(this.round(sortedValues[lower] + fraction * (sortedValues[upper] - sortedValues[lower])));
+    }
+    return edges;
+  }
+
+  getEqualWidthEdges(sortedValues, bins) {
+    const min = sortedValues[0];
+    const max = sortedValues[sortedValues.length - 1];
+    const width = (max - min) / bins;
+    if (width === 0) return [min];
+    return _.range(1, bins).map(i => this.round(min + width * i));
+  }
+
+  round(value) {
+    return Math.round(value * 10000) / 10000;
+  }
+
+  formatRange(min, max) {
+    if (!isFinite(min)) return `≤ ${max}`;
+    if (!isFinite(max)) return `> ${min}`;
+    return `(${min}, ${max}]`;
+  }
+}
+
+module.exports = new BandingService();
@@ -0,0 +1,131 @@
+const _ = require('lodash');
+
+/**
+ * Bridge (waterfall) from the previous to the current value of a V2 tree node, with one step
+ * per child segment and impact component.
+ *
+ * The root bridge runs from the previous to the current portfolio rate. Drilling into a
+ * segment bridges its total impact instead, starting from zero, because a segment's children
+ * split its contribution to the portfolio change rather than its own rate change. Whatever the
+ * steps do not account for (the two-way cross term, or the parent's mix under a parent-relative
+ * mix basis) is shown as one "Unattributed" step, so every bridge lands on its end value.
+ *
+ * Values are in the metric's display unit (bps of a rate, or units for sums), including the
+ * start and end levels of the root bridge.
+ */
+const GROUP_BY_OPTIONS = ['segment', 'component'];
+const COMPONENTS = [
+  { key: 'yield', label: 'Yield', impact: 'yieldImpactBps' },
+  { key: 'mix', label: 'Mix', impact: 'distributionImpactBps' },
+  { key: 'interaction', label: 'Interaction', impact: 'interactionImpactBps' }
+];
+// Steps smaller than this (in display units) are rounding noise and left out
+const MIN_STEP = 1e-6;
+
+class BridgeService {
+  getGroupByOptions() {
+    return GROUP_BY_OPTIONS;
+  }
+
+  /**
+   * @param {Object} analysis - Stored V2 analysis
+   * @param {Object} options - { path: child indices from the root, e.g. [2, 0], groupBy: 'segment' | 'component' }
+   * @returns {Object} { path, breadcrumbs, node, groupBy, metric, start, end, bars, components }
+   */
+  build(analysis, { path = [], groupBy = 'segment' } = {}) {
+    if (!GROUP_BY_OPTIONS.includes(groupBy)) {
+      throw new Error(`groupBy must be one of ${GROUP_BY_OPTIONS.join(', ')}`);
+    }
+    if (!Array.isArray(path) || !path.every(index => Number.isInteger(index) && index >= 0)) {
+      throw new Error('path must be a list of child positions, e.g. [0, 2]');
+    }
+
+    const root = (analysis.tree || [])[0];
+    if (!root || !root.metrics || typeof root.metrics.totalImpactBps !== 'number') {
+      throw new Error('Bridges need a V2 tree with impact decomposition');
+    }
+
+    const breadcrumbs = [{ label: root.value, path: [] }];
+    const node = path.reduce((parent, index, depth) => {
+      const child = (parent.children || [])[index];
+      if (!child) throw new Error(`No segment at position ${path.slice(0, depth + 1).join(' → ')}`);
+      breadcrumbs.push({ label: this.getNodeLabel(child), path: path.slice(0, depth + 1) });
+      return child;
+    }, root);
+
+    if (!node.children || node.children.length === 0) {
+      throw new Error(`${this.getNodeLabel(node)} has no segments below it to bridge`);
+    }
+
+    const metric = analysis.metric || {};
+    const scale = metric.scale || 10000;
+    const isRoot = path.length === 0;
+    const start = isRoot ? node.metrics.previousROI * scale : 0;
+    const end = isRoot ? node.metrics.currentROI * scale : node.metrics.totalImpactBps;
+    const components = this.getComponents(analysis);
+
+    const steps = this.orderSteps(
+      _.flatMap(node.children, (child, index) => components.map(component => ({
+        label: `${this.getNodeLabel(child)} ${component.label.toLowerCase()}`,
+        segment: this.getNodeLabel(child),
+        component: component.key,
+        value: child.metrics[component.impact] || 0,
+        // Segments with children of their own can be bridged in turn
+        path: child.children && child.children.length > 0 ? [...path, index] : null
+      }))),
+      groupBy
+    ).filter(step => Math.abs(step.value) >= MIN_STEP);
+
+    const unattributed = end - start - _.sumBy(steps, 'value');
+    if (Math.abs(unattributed) >= MIN_STEP) {
+      steps.push({ label: 'Unattributed', segment: null, component: 'unattributed', value: unattributed, path: null });
+    }
+
+    let level = start;
+    const bars = [
+      { type: 'start', label: isRoot ? `Previous ${metric.label || 'ROI'}` : 'Start', value: start, from: 0, to: start },
+      ...steps.map(step => {
+        const bar = { type: 'step', ...step, from: level, to: level + step.value };
+        level += step.value;
+        return bar;
+      }),
+      { type: 'end', label: isRoot ? `Current ${metric.label || 'ROI'}` : `${this.getNodeLabel(node)} total`, value: end, from: 0, to: end }
+    ];
+
+    return {
+      path,
+      breadcrumbs,
+      node: { label: this.getNodeLabel(node), factor: node.factor },
+      groupBy,
+      metric: _.pick(metric, ['label', 'unit', 'scale']),
+      start,
+      end,
+      bars,
+      components: _.mapValues(_.keyBy(components, 'key'), component => _.sumBy(steps.filter(step => step.component === component.key), 'value'))
+    };
+  }
+
+  /**
+   * Interaction only has its own step when the decomposition reports it
+   */
+  getComponents(analysis) {
+    const method = analysis.decomposition && analysis.decomposition.method;
+    return method === 'three-way' ? COMPONENTS : COMPONENTS.filter(component => component.key !== 'interaction');
+  }
+
+  /**
+   * 'segment' keeps each segment's components together; 'component' lists every segment's
+   * yield first, then every segment's mix
+   */
+  orderSteps(steps, groupBy) {
+    if (groupBy === 'segment') return steps;
+    return _.sortBy(steps, step => COMPONENTS.findIndex(component => component.key === step.component));
+  }
+
+  getNodeLabel(node) {
+    if (node.factor === 'root') return node.value;
+    return node.range ? node.label : `${node.factor}: ${node.value}`;
+  }
+}
+
+module.exports = new BridgeService();
@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const _ = require('lodash');
+
+/**
+ * Standard fields the analysis relies on. Source headers are matched against the aliases on
+ * whole words, so "Processing Fee Rate" is not mistaken for the interest rate and a header
+ * merely containing the letter "v" is not a V score. Aliases must be specific enough that a
+ * header containing them is the field: a bare "score" would claim "Bureau Score".
+ *   aliases - header spellings, matched exactly or as a subset of the header's words
+ *   exclude - words that make a header an unlikely match (e.g. "fee" for the rate)
+ *   numeric - candidate columns must hold numbers in the sampled rows
+ */
+const MAPPING_FIELDS = {
+  total_loan_amount: {
+    label: 'Loan Amount',
+    required: true,
+    numeric: true,
+    aliases: ['total loan amount', 'loan amount', 'amount', 'total amount', 'loan amt', 'amt', 'disbursed amount', 'disbursal amount', 'sanctioned amount', 'principal'],
+    exclude: ['fee', 'emi', 'count', 'date', 'charges', 'tax']
+  },
+  roi: {
+    label: 'Rate (ROI)',
+    required: true,
+    numeric: true,
+    aliases: ['roi', 'rate of interest', 'interest rate', 'rate', 'yield', 'int rate'],
+    exclude: ['fee', 'processing', 'penalty', 'penal', 'date', 'tax', 'exchange', 'conversion', 'delinquency', 'default', 'approval', 'bounce']
+  },
+  v_score: {
+    label: 'V Score',
+    required: false,
+    numeric: false,
+    aliases: ['v score', 'vscore'],
+    exclude: ['date', 'band']
+  },
+  application_id: {
+    label: 'Loan ID',
+    required: false,
+    numeric: false,
+    aliases: ['application id', 'app id', 'loan id', 'loan number', 'loan no', 'account id', 'account number', 'account no', 'application no', 'application number'],
+    exclude: ['date']
+  }
+};
+
+// Proposals below this confidence are left unmapped for the user to pick
+const MIN_CONFIDENCE = 0.5;
+const MAX_CANDIDATES = 3;
+
+class ColumnMapper {
+  /**
+   * Lower-case a header and collapse non-alphanumerics to underscores
+   */
+  normalizeHeader(header) {
+    return String(header || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  }
+
+  /**
+   * Field definitions without the matching internals, for clients rendering the mapping step
+   */
+  getFieldDefinitions() {
+    return _.mapValues(MAPPING_FIELDS, ({ label, required }) => ({ label, required }));
+  }
+
+  /**
+   * Stable key for a set of headers, used to find saved mapping profiles
+   * @param {Array} headers - Source headers
+   * @returns {string} Hex signature independent of header order and formatting
+   */
+  getHeaderSignature(headers) {
+    const normalized = _.uniq(headers.map(header => this.normalizeHeader(header))).sort();
+    return crypto.createHash('sha1').update(normalized.join('|')).digest('hex');
+  }
+
+  /**
+   * Confidence (0-1) that a header holds a field
+   * @param {string} field - Standard field name
+   * @param {string} header - Source header
+   * @param {Array} sampleRows - Optional raw rows used to check the values are numeric
+   * @returns {number} Confidence score
+   */
+  scoreHeader(field, header, sampleRows = []) {
+    const definition = MAPPING_FIELDS[field];
+    const normalized = this.normalizeHeader(header);
+    const tokens = normalized.split('_').filter(Boolean);
+    if (tokens.length === 0) return 0;
+
+    let score = 0;
+    definition.aliases.forEach(alias => {
+      const aliasTokens = this.normalizeHeader(alias).split('_');
+      if (normalized === aliasTokens.join('_') || tokens.join('') === aliasTokens.join('')) {
+        score = Math.max(score, 1);
+      } else if (alias.length > 2 && aliasTokens.every(token => tokens.includes(token))) {
+        // Every alias word is present; extra words in the header lower the confidence
+        score = Math.max(score, 0.6 + 0.3 * (aliasTokens.length / tokens.length));
+      }
+    });
+
+    if (score > 0 && definition.exclude.some(token => tokens.includes(token))) {
+      score *= 0.2;
+    }
+
+    if (score > 0 && definition.numeric && sampleRows.length > 0) {
+      const values = sampleRows
+        .map(row => row[header])
+        .filter(value => value !== null && value !== undefined && String(value).trim() !== '');
+      const numeric = values.filter(value => !isNaN(String(value).replace(/[,$%\s]/g, '')));
+      if (values.length > 0 && numeric.length / values.length < 0.9) {
+        score *= 0.3;
+      }
+    }
+
+    return Math.round(score * 100) / 100;
+  }
+
+  /**
+   * Propose a source column for every standard field. Each header is used at most once;
+   * the highest-confidence pairs are assigned first.
+   * @param {Array} headers - Source headers
+   * @param {Array} sampleRows - Optional raw rows for value checks
+   * @returns {Object} { [field]: { label, required, column, confidence, candidates } }
+   */
+  proposeMapping(headers, sampleRows = []) {
+    const scores = [];
+    const fields = {};
+
+    Object.entries(MAPPING_FIELDS).forEach(([field, { label, required }]) => {
+      const candidates = headers
+        .map(column => ({ column, confidence: this.scoreHeader(field, column, sampleRows) }))
+        .filter(candidate => candidate.confidence > 0)
+        .sort((a, b) => b.confidence - a.confidence);
+
+      fields[field] = { label, required, column: null, confidence: 0, candidates: candidates.slice(0, MAX_CANDIDATES) };
+      candidates.forEach(candidate => scores.push({ field, ...candidate }));
+    });
+
+    const usedColumns = new Set();
+    _.orderBy(scores, ['confidence'], ['desc']).forEach(({ field, column, confidence }) => {
+      if (confidence < MIN_CONFIDENCE || fields[field].column || usedColumns.has(column)) return;
+      fields[field].column = column;
+      fields[field].confidence = confidence;
+      usedColumns.add(column);
+    });
+
+    return fields;
+  }
+
+  /**
+   * Translate a saved profile's columns to this upload's headers. Profiles are found by a
+   * signature that ignores case, punctuation and column order, so a profile saved with
+   * "Loan Amount" also applies to a re-export headed "loan_amount".
+   * @param {Array} headers - Source headers
+   * @param {Object} mapping - Profile mapping { [field]: header | null }
+   * @returns {Object} { mapping, missingColumns } - missingColumns have no matching header
+   */
+  matchProfileColumns(headers, mapping = {}) {
+    const headersByKey = {};
+    headers.forEach(header => {
+      const key = this.normalizeHeader(header);
+      if (!(key in headersByKey)) headersByKey[key] = header;
+    });
+
+    const missingColumns = [];
+    const matched = _.mapValues(mapping, column => {
+      if (!column) return null;
+      if (headers.includes(column)) return column;
+      const header = headersByKey[this.normalizeHeader(column)];
+      if (header === undefined) {
+        missingColumns.push(column);
+        return null;
+      }
+      return header;
+    });
+
+    return { mapping: matched, missingColumns };
+  }
+
+  /**
+   * Build a mapping from explicit field → header choices (from the user or a saved profile).
+   * Fields that are not mentioned keep the proposed column.
+   * @param {Array} headers - Source headers
+   * @param {Array} sampleRows - Raw rows for the proposal of unmentioned fields
+   * @param {Object} overrides - { [field]: header | null }
+   * @returns {Object} Field mapping in the proposeMapping format
+   */
+  applyOverrides(headers, sampleRows, overrides = {}) {
+    const unknownFields = Object.keys(overrides).filter(field => !MAPPING_FIELDS[field]);
+    if (unknownFields.length > 0) {
+      throw new Error(`Unknown mapping field(s): ${unknownFields.join(', ')}. Expected: ${Object.keys(MAPPING_FIELDS).join(', ')}`);
+    }
+
+    const unknownColumns = Object.values(overrides).filter(column => column && !headers.includes(column));
+    if (unknownColumns.length > 0) {
+      throw new Error(`Column(s) not found in the upload: ${unknownColumns.join(', ')}`);
+    }
+
+    const fields = this.proposeMapping(headers, sampleRows);
+    Object.entries(overrides).forEach(([field, column]) => {
+      fields[field] = { ...fields[field], column: column || null, confidence: column ? 1 : 0 };
+    });
+
+    // An overridden column can no longer also serve as another field's proposal
+    Object.entries(fields).forEach(([field, mapping]) => {
+      if (field in overrides || !mapping.column) return;
+      if (Object.keys(overrides).some(other => overrides[other] === mapping.column)) {
+        fields[field] = { ...mapping, column: null, confidence: 0 };
+      }
+    });
+
+    const columns = Object.values(fields).map(mapping => mapping.column).filter(Boolean);
+    const duplicates = _.uniq(columns.filter((column, index) => columns.indexOf(column) !== index));
+    if (duplicates.length > 0) {
+      throw new Error(`Column(s) mapped to more than one field: ${duplicates.join(', ')}`);
+    }
+
+    return fields;
+  }
+
+  /**
+   * Required fields that have no source column
+   */
+  getMissingRequired(fields) {
+    return Object.keys(fields).filter(field => fields[field].required && !fields[field].column);
+  }
+
+  /**
+   * Header → field lookup used while normalizing rows
+   */
+  toColumnMap(fields) {
+    const columnMap = {};
+    Object.entries(fields).forEach(([field, { column }]) => {
+      if (column) columnMap[column] = field;
+    });
+    return columnMap;
+  }
+
+  /**
+   * Field → header lookup, the form saved in mapping profiles
+   */
+  toFieldColumns(fields) {
+    return _.mapValues(fields, mapping => mapping.column || null);
+  }
+
+  /**
+   * Column name a source header gets in normalized rows: its mapped field, otherwise the
+   * normalized header. An unmapped header that would collide with a standard field name
+   * (e.g. an "ROI" column when another column was chosen as the rate) gets a "_source" suffix.
+   * @param {string} header - Source header
+   * @param {Object} columnMap - Header → field lookup
+   * @returns {string} Normalized column name
+   */
+  resolveColumnName(header, columnMap = {}) {
+    if (columnMap[header]) return columnMap[header];
+
+    const normalized = this.normalizeHeader(header) || 'unknown_column';
+    return MAPPING_FIELDS[normalized] ? `${normalized}_source` : normalized;
+  }
+}
+
+module.exports = new ColumnMapper();
@@ -0,0 +1,209 @@
+const _ = require('lodash');
+const analysisEngine = require('./analysisEngine');
+
+/**
+ * Structural diff between a User-Priority tree and an Auto-Max Split tree built on the
+ * same data.
+ *
+ * Nodes are matched by the segment they describe, i.e. their filter, not by their position:
+ * tier=T1 → channel=Online in one tree is the same segment as channel=Online → tier=T1 in
+ * the other. Root nodes describe the whole portfolio and are not segments.
+ */
+const DEFAULT_TOP_DRIVERS = 10;
+
+class ComparisonService {
+  /**
+   * Compare two stored analyses
+   * @param {Object} userPriority - Stored User-Priority analysis
+   * @param {Object} autoMaxSplit - Stored Auto-Max Split analysis
+   * @param {Object} options - Optional { topN } drivers taken from each tree
+   * @returns {Object} { summary, sharedTopDrivers, segmentDifferences, ignoredFactors, unusedFactors, explainedByDepth }
+   */
+  compare(userPriority, autoMaxSplit, options = {}) {
+    const topN = options.topN || DEFAULT_TOP_DRIVERS;
+    const userSegments = this.collectSegments(userPriority.tree);
+    const autoSegments = this.collectSegments(autoMaxSplit.tree);
+    const userByKey = _.keyBy(userSegments, 'key');
+    const autoByKey = _.keyBy(autoSegments, 'key');
+
+    const userTop = this.rankDrivers(userSegments).slice(0, topN);
+    const autoTop = this.rankDrivers(autoSegments).slice(0, topN);
+    const autoTopKeys = new Set(autoTop.map(segment => segment.key));
+
+    // Every top driver of either tree, with what the other tree says about the same segment
+    const segmentDifferences = _.uniqBy([...userTop, ...autoTop], 'key')
+      .map(segment => this.pairSegments(userByKey[segment.key], autoByKey[segment.key]))
+      .sort((a, b) => this.getLargestImpact(b) - this.getLargestImpact(a));
+
+    const autoFactors = _.uniq(autoSegments.map(segment => segment.factor));
+    const factorOrder = userPriority.factorOrder || [];
+    const featureImportance = autoMaxSplit.featureImportance || {};
+
+    return {
+      summary: {
+        userPriority: {
+          ...this.summarizeTree(userPriority),
+          factorOrder
+        },
+        autoMaxSplit: {
+          ...this.summarizeTree(autoMaxSplit),
+          topFeatures: Object.keys(featureImportance)
+            .sort((a, b) => featureImportance[b] - featureImportance[a])
+            .slice(0, 3)
+        }
+      },
+      topN,
+      sharedTopDrivers: userTop
+        .filter(segment => autoTopKeys.has(segment.key))
+        .map(segment => this.pairSegments(segment, autoByKey[segment.key])),
+      segmentDifferences,
+      matchedSegments: userSegments.filter(segment => autoByKey[segment.key]).length,
+      ignoredFactors: autoFactors
+        .filter(factor => !factorOrder.includes(factor))
+        .map(factor => this.describeFactorUse(factor, autoSegments, featureImportance))
+        .sort((a, b) => a.firstDepth - b.firstDepth || Math.abs(b.strongestSegment.totalImpactBps) - Math.abs(a.strongestSegment.totalImpactBps)),
+      unusedFactors: factorOrder.filter(factor => !autoFactors.includes(factor)),
+      explainedByDepth: {
+        userPriority: this.calculateExplainedByDepth(userPriority.tree, userSegments),
+        autoMaxSplit: this.calculateExplainedByDepth(autoMaxSplit.tree, autoSegments)
+      }
+    };
+  }
+
+  /**
+   * Every non-root node of a tree as a segment keyed by its filter
+   */
+  collectSegments(tree) {
+    const segments = [];
+    const traverse = (nodes, depth) => {
+      (nodes || []).forEach(node => {
+        if (depth > 0) {
+          segments.push({
+            key: this.getSegmentKey(node.filter || {}),
+            label: this.describeFilter(node.filter || {}),
+            factor: node.factor,
+            depth,
+            leaf: !node.children || node.children.length === 0,
+            metrics: _.pick(node.metrics, ['totalImpactBps', 'yieldImpactBps', 'distributionImpactBps', 'interactionImpactBps']),
+            significant: node.significance ? node.significance.significant : null
+          });
+        }
+        traverse(node.children, depth + 1);
+      });
+    };
+    traverse(tree, 0);
+    return segments;
+  }
+
+  /**
+   * Order-independent key for a filter; "Other" groups match whatever order their members are in
+   */
+  getSegmentKey(filter) {
+    return JSON.stringify(Object.keys(filter).sort().map(factor => [factor, this.normalizeCondition(filter[factor])]));
+  }
+
+  normalizeCondition(condition) {
+    if (!analysisEngine.isRangeCondition(condition)) {
+      return condition && condition.in ? { in: condition.in.map(String).sort() } : condition;
+    }
+    if (condition.missing) return { missing: true };
+    return { min: _.isNil(condition.min) ? null : condition.min, max: _.isNil(condition.max) ? null : condition.max };
+  }
+
+  /**
+   * Readable segment name, the same in both trees, e.g. "channel = Online & tenure > 24"
+   */
+  describeFilter(filter) {
+    return Object.keys(filter).sort().map(factor => {
+      const condition = filter[factor];
+      if (analysisEngine.isRangeCondition(condition)) return analysisEngine.describeRangeCondition(factor, condition).label;
+      if (condition && condition.in) return `${factor} ∈ {${condition.in.join(', ')}}`;
+      return `${factor} = ${condition}`;
+    }).join(' & ');
+  }
+
+  rankDrivers(segments) {
+    return _.orderBy(segments, segment => Math.abs(segment.metrics.totalImpactBps || 0), 'desc');
+  }
+
+  /**
+   * One segment as seen by both trees; a side is null when that tree never isolates the segment
+   */
+  pairSegments(userSegment, autoSegment) {
+    const segment = userSegment || autoSegment;
+    const describe = side => side ? { depth: side.depth, significant: side.significant, ...side.metrics } : null;
+    return {
+      label: segment.label,
+      userPriority: describe(userSegment),
+      autoMaxSplit: describe(autoSegment),
+      differenceBps: userSegment && autoSegment
+        ? (autoSegment.metrics.totalImpactBps || 0) - (userSegment.metrics.totalImpactBps || 0)
+        : null
+    };
+  }
+
+  getLargestImpact(pair) {
+    return Math.max(
+      Math.abs(pair.userPriority ? pair.userPriority.totalImpactBps || 0 : 0),
+      Math.abs(pair.autoMaxSplit ? pair.autoMaxSplit.totalImpactBps || 0 : 0)
+    );
+  }
+
+  /**
+   * Where and how strongly the Auto-Max Split tree split on a factor
+   */
+  describeFactorUse(factor, segments, featureImportance) {
+    const nodes = segments.filter(segment => segment.factor === factor);
+    const strongest = this.rankDrivers(nodes)[0];
+    return {
+      factor,
+      nodeCount: nodes.length,
+      firstDepth: _.min(nodes.map(node => node.depth)),
+      importance: _.isNil(featureImportance[factor]) ? null : featureImportance[factor],
+      strongestSegment: { label: strongest.label, totalImpactBps: strongest.metrics.totalImpactBps || 0 }
+    };
+  }
+
+  summarizeTree(analysis) {
+    const root = (analysis.tree || [])[0];
+    return {
+      totalNodes: analysis.metadata.totalNodes,
+      maxDepth: analysis.metadata.maxDepth,
+      decomposition: analysis.decomposition ? _.pick(analysis.decomposition, ['method', 'mixBasis']) : null,
+      totalChangeBps: root ? root.metrics.totalImpactBps : 0
+    };
+  }
+
+  /**
+   * How much of the portfolio change each level of a tree accounts for. A level's segments
+   * are its nodes plus the leaves above it, so together they always cover the portfolio.
+   *   explainedPct      - Σ segment total impact as % of the root change; off 100% when the
+   *                       decomposition drops the cross term (two-way) or measures mix against
+   *                       the parent
+   *   largestSegmentPct - share of the level's gross |impact| held by its largest segment, i.e.
+   *                       how sharply the level isolates one driver
+   */
+  calculateExplainedByDepth(tree, segments) {
+    const root = (tree || [])[0];
+    const rootImpact = root ? root.metrics.totalImpactBps : 0;
+    const maxDepth = _.max(segments.map(segment => segment.depth)) || 0;
+
+    return _.range(1, maxDepth + 1).map(depth => {
+      const level = segments.filter(segment => segment.depth === depth || (segment.leaf && segment.depth < depth));
+      const impacts = level.map(segment => segment.metrics.totalImpactBps || 0);
+      const explainedBps = _.sum(impacts);
+      const grossImpact = _.sum(impacts.map(Math.abs));
+      const largest = _.max(impacts.map(Math.abs)) || 0;
+
+      return {
+        depth,
+        segments: level.length,
+        explainedBps,
+        explainedPct: rootImpact !== 0 ? (explainedBps / rootImpact) * 100 : null,
+        largestSegmentPct: grossImpact > 0 ? (largest / grossImpact) * 100 : null
+      };
+    });
+  }
+}
+
+module.exports = new ComparisonService();
@@ -2,92 +2,601 @@ const XLSX = require('xlsx');
 const csv = require('csv-parser');
 const fs = require('fs');
 const _ = require('lodash');
+const columnMapper = require('./columnMapper');
+const mappingProfiles = require('./mappingProfiles');
+const missingValuePolicy = require('./missingValuePolicy');
+const bandingService = require('./bandingService');
+const loanMatching = require('./loanMatching');
+
+// A long-format period column has few distinct values; more than this is treated as a regular field
+const MAX_PERIOD_VALUES = 60;
+const PERIOD_COLUMN_PATTERN = /month|period|date|quarter|year|snapshot|as_?of|cycle/i;
+const SOURCE_PREVIEW_ROWS = 3;
+// Rows per period sampled when checking that proposed amount/rate columns hold numbers
+const MAPPING_SAMPLE_ROWS = 50;
+// Units the rate column can be stored in; rates are converted to decimals (10.5% → 0.105)
+const RATE_UNITS = {
+  decimal: { label: 'Decimal (0.105)', divisor: 1 },
+  percent: { label: 'Percent (10.5)', divisor: 100 },
+  bps: { label: 'Basis points (1050)', divisor: 10000 }
+};
 
 class DataProcessor {
   /**
-   * Parse uploaded files (CSV or Excel)
+   * Parse uploaded files (CSV or Excel) into an ordered list of periods
+   * - N CSV files: one period per file, in upload order
+   * - 1 Excel file: one period per non-empty sheet, in workbook order
+   * - 1 file + options.periodColumn: long format, one period per distinct value of that column
+   * The last two periods become the default previous/current pair unless
+   * options.previousPeriod / options.currentPeriod name other periods.
    * @param {Array} files - Array of uploaded files
-   * @returns {Object} Parsed data with previous and current month data
+   * @param {Object} options - Optional { periodColumn, previousPeriod, currentPeriod } (or previousSheet/currentSheet,
+   *   previousFile/currentFile), { columnMapping: { [field]: header } } overriding the proposed column mapping
+   *   { missingValuePolicy: { [column]: action | { action, value } } } for empty cells
+   *   { rateUnit: 'decimal' | 'percent' | 'bps' } overriding the detected rate unit
+   *   and { bands: { [column]: { method, edges, bins, labels } } } banding numeric columns
+   * @returns {Object} Parsed data with periods plus previous and current month data
    */
-  async parseFiles(files) {
+  async parseFiles(files, options = {}) {
     try {
-      if (files.length === 1) {
+      let parsedData;
+      if (options.periodColumn) {
+        if (files.length !== 1) {
+          throw new Error('Long-format upload expects a single file containing the period column');
+        }
+        parsedData = await this.parseLongFormatFile(files[0], options.periodColumn, options);
+      } else if (files.length === 1) {
         // Single Excel file with multiple sheets
-        return await this.parseExcelFile(files[0]);
-      } else if (files.length === 2) {
-        // Two separate CSV files
-        return await this.parseCSVFiles(files);
+        parsedData = await this.parseExcelFile(files[0], options);
+      } else if (files.length >= 2) {
+        // One CSV file per period
+        parsedData = await this.parseCSVFiles(files, options);
       } else {
-        throw new Error('Please upload either 1 Excel file with 2 sheets or 2 CSV files');
+        throw new Error('Please upload either 1 Excel file with one sheet per period or at least 2 CSV files');
       }
+
+      // The pair can be named by period label, sheet name or file name
+      const previousPeriod = options.previousPeriod || options.previousSheet || options.previousFile;
+      const currentPeriod = options.currentPeriod || options.currentSheet || options.currentFile;
+      if (previousPeriod || currentPeriod) {
+        parsedData = this.selectPeriodPair(parsedData, previousPeriod, currentPeriod);
+      }
+
+      return parsedData;
     } catch (error) {
       throw new Error(`File parsing failed: ${error.message}`);
     }
   }
 
   /**
-   * Parse Excel file with multiple sheets
+   * Parse Excel file with one sheet per period
    * @param {Object} file - Excel file object
+   * @param {Object} options - Optional { columnMapping }
    * @returns {Object} Parsed data
    */
-  async parseExcelFile(file) {
+  async parseExcelFile(file, options = {}) {
     try {
       console.log(`📊 Parsing Excel file: ${file.originalname}`);
       
-      // Handle both file path and buffer
-      const workbook = file.buffer ? 
-        XLSX.read(file.buffer, { type: 'buffer' }) : 
-        XLSX.readFile(file.path);
-      const sheetNames = workbook.SheetNames;
+      const sheets = this.readSheets(this.readWorkbook(file));
       
-      console.log(`📋 Found ${sheetNames.length} sheets:`, sheetNames);
+      console.log(`📋 Found ${sheets.length} sheets:`, sheets.map(sheet => sheet.name));
 
-      if (sheetNames.length < 2) {
-        throw new Error(`Excel file must contain at least 2 sheets. Found only ${sheetNames.length} sheet(s): ${sheetNames.join(', ')}`);
+      if (sheets.length < 2) {
+        throw new Error(`Excel file must contain at least 2 sheets. Found only ${sheets.length} sheet(s): ${sheets.map(sheet => sheet.name).join(', ')}`);
       }
 
-      const previousData = XLSX.utils.sheet_to_json(workbook.Sheets[sheetNames[0]], { 
+      const periods = [];
+      sheets.forEach(sheet => {
+        console.log(`📊 Sheet "${sheet.name}" has ${sheet.rawRowCount} rows, ${sheet.rows.length} objects`);
+
+        // Cover, notes or lookup sheets carry no loan data and are not periods
+        if (sheet.rows.length === 0 || !this.hasRequiredColumns(sheet.headers, sheet.rows)) {
+          console.log(`⚠️ Skipping sheet "${sheet.name}" - no loan amount/rate data`);
+          return;
+        }
+
+        periods.push({ label: sheet.name, source: sheet.name, data: sheet.rows });
+      });
+
+      if (periods.length < 2) {
+        throw new Error('At least 2 sheets must contain loan amount and rate columns with data rows');
+      }
+
+      // Log first row sample to debug column detection
+      console.log(`🔍 Sample columns from first period:`, Object.keys(periods[0].data[0]));
+
+      return this.buildPeriodResult(periods, {
+        sourceType: 'sheet',
+        fileName: file.originalname,
+        totalSheets: sheets.length,
+        sources: sheets.map(sheet => this.describeSource(sheet.name, sheet.headers, sheet.rows))
+      }, options);
+    } catch (error) {
+      console.error(`❌ Excel parsing error for ${file.originalname}:`, error.message);
+      throw new Error(`Excel file parsing failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read every sheet of a workbook as row objects
+   * @param {Object} workbook - XLSX workbook
+   * @returns {Array} [{ name, rawRowCount, headers, rows }]
+   */
+  readSheets(workbook) {
+    return workbook.SheetNames.map(name => {
+      const rawData = XLSX.utils.sheet_to_json(workbook.Sheets[name], { 
         header: 1,
         defval: ''
       });
-      const currentData = XLSX.utils.sheet_to_json(workbook.Sheets[sheetNames[1]], { 
+      return {
+        name,
+        rawRowCount: rawData.length,
+        headers: (rawData[0] || []).map(header => header.toString().trim()).filter(Boolean),
+        rows: this.convertToObjects(rawData)
+      };
+    });
+  }
+
+  /**
+   * List the sheets (single workbook) or files of an upload with row counts and a header
+   * preview, so the user can confirm which ones are the previous and current period
+   * @param {Array} files - Uploaded files
+   * @returns {Promise<Object>} { sourceType: 'sheet' | 'file', sources: [...] }
+   */
+  async inspectFiles(files) {
+    if (files.length === 1 && this.isExcelFile(files[0])) {
+      const sheets = this.readSheets(this.readWorkbook(files[0]));
+      return {
+        sourceType: 'sheet',
+        fileName: files[0].originalname,
+        sources: sheets.map(sheet => this.describeSource(sheet.name, sheet.headers, sheet.rows))
+      };
+    }
+
+    const fileRows = await Promise.all(files.map(file => this.readFileRows(file)));
+    return {
+      sourceType: 'file',
+      sources: files.map((file, index) => this.describeSource(
+        file.originalname,
+        Object.keys(fileRows[index][0] || {}),
+        fileRows[index]
+      ))
+    };
+  }
+
+  /**
+   * Summary of one sheet or file for the upload confirmation step
+   */
+  describeSource(name, headers, rows) {
+    return {
+      name,
+      rowCount: rows.length,
+      headers,
+      preview: rows.slice(0, SOURCE_PREVIEW_ROWS),
+      hasRequiredColumns: this.hasRequiredColumns(headers, rows)
+    };
+  }
+
+  /**
+   * Whether a header row has a confident match for the loan amount and rate columns every analysis needs
+   */
+  hasRequiredColumns(headers, sampleRows = []) {
+    const fields = columnMapper.proposeMapping(headers, sampleRows.slice(0, MAPPING_SAMPLE_ROWS));
+    return columnMapper.getMissingRequired(fields).length === 0;
+  }
+
+  /**
+   * Parse a single long-format file (CSV or the first Excel sheet) and split it into
+   * periods using the values of a period column
+   * @param {Object} file - Uploaded file
+   * @param {string} periodColumn - Header of the column holding the period
+   * @param {Object} options - Optional { columnMapping }
+   * @returns {Object} Parsed data
+   */
+  async parseLongFormatFile(file, periodColumn, options = {}) {
+    const rows = await this.readFileRows(file);
+    if (rows.length === 0) {
+      throw new Error(`${file.originalname} has no data rows`);
+    }
+
+    // Match the header loosely so "Month", "month" and " month " all work
+    const target = this.normalizeHeader(periodColumn);
+    const header = Object.keys(rows[0]).find(key => this.normalizeHeader(key) === target);
+    if (!header) {
+      throw new Error(`Period column "${periodColumn}" not found in ${file.originalname}`);
+    }
+
+    const groups = _.groupBy(
+      rows.filter(row => row[header] !== null && row[header] !== undefined && String(row[header]).trim() !== ''),
+      row => String(row[header]).trim()
+    );
+    const labels = this.sortPeriodLabels(Object.keys(groups));
+
+    if (labels.length < 2) {
+      throw new Error(`Period column "${header}" must contain at least 2 distinct values`);
+    }
+
+    console.log(`📅 Long-format file split on "${header}" into ${labels.length} periods:`, labels);
+
+    // The period column is constant within a period, so it is dropped rather than offered as a factor
+    const periods = labels.map(label => ({
+      label,
+      data: groups[label].map(row => _.omit(row, header))
+    }));
+
+    return this.buildPeriodResult(periods, {
+      sourceType: 'column',
+      fileName: file.originalname,
+      periodColumn: header
+    }, options);
+  }
+
+  /**
+   * Read an uploaded file into row objects: CSV rows, or the first sheet of a workbook
+   * @param {Object} file - Uploaded file
+   * @returns {Promise<Array>} Row objects keyed by header
+   */
+  async readFileRows(file) {
+    if (this.isExcelFile(file)) {
+      const workbook = this.readWorkbook(file);
+      const rawData = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], {
         header: 1,
         defval: ''
       });
+      return this.convertToObjects(rawData);
+    }
 
-      console.log(`📊 Sheet "${sheetNames[0]}" has ${previousData.length} rows`);
-      console.log(`📊 Sheet "${sheetNames[1]}" has ${currentData.length} rows`);
+    const parsed = await this.parseCSVFile(file);
+    return parsed.data;
+  }
 
-      // Convert header-based format to object format
-      const previousObjects = this.convertToObjects(previousData);
-      const currentObjects = this.convertToObjects(currentData);
+  isExcelFile(file) {
+    return /\.xlsx?$/i.test(file.originalname || '');
+  }
 
-      console.log(`✅ Converted to ${previousObjects.length} and ${currentObjects.length} objects`);
+  /**
+   * Load a workbook from either a buffer or a file path
+   */
+  readWorkbook(file) {
+    return file.buffer ? 
+      XLSX.read(file.buffer, { type: 'buffer' }) : 
+      XLSX.readFile(file.path);
+  }
 
-      if (previousObjects.length === 0 || currentObjects.length === 0) {
-        throw new Error('One or both sheets appear to be empty or have no valid data rows');
-      }
+  /**
+   * Lower-case a header and collapse non-alphanumerics for loose matching
+   */
+  normalizeHeader(header) {
+    return String(header || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  }
 
-      // Log first row sample to debug column detection
-      if (previousObjects.length > 0) {
-        console.log(`🔍 Sample columns from previous month:`, Object.keys(previousObjects[0]));
+  /**
+   * Sort period labels chronologically: numerically when every label is a number
+   * (e.g. 202401), by date when every label parses as a date, otherwise as text
+   * @param {Array} labels - Distinct period labels
+   * @returns {Array} Sorted labels
+   */
+  sortPeriodLabels(labels) {
+    if (labels.every(label => label !== '' && !isNaN(label))) {
+      return [...labels].sort((a, b) => parseFloat(a) - parseFloat(b));
+    }
+    if (labels.every(label => !isNaN(Date.parse(label)))) {
+      return [...labels].sort((a, b) => Date.parse(a) - Date.parse(b));
+    }
+    return [...labels].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  }
+
+  /**
+   * Make two named periods the previous/current pair of parsed data
+   * @param {Object} parsedData - Result of buildPeriodResult
+   * @param {string} previousPeriod - Previous period label, sheet name or file name
+   * @param {string} currentPeriod - Current period label, sheet name or file name
+   * @returns {Object} Parsed data with the pair replaced
+   */
+  selectPeriodPair(parsedData, previousPeriod, currentPeriod) {
+    const pair = this.getPeriodPair(parsedData, previousPeriod, currentPeriod);
+    console.log(`📅 Using periods: ${pair.previousPeriod} → ${pair.currentPeriod}`);
+
+    const byLabel = label => parsedData.periods.find(period => period.label === label);
+
+    return {
+      ...parsedData,
+      ...pair,
+      metadata: {
+        ...parsedData.metadata,
+        ...this.describePeriodPair(parsedData.metadata, byLabel(pair.previousPeriod), byLabel(pair.currentPeriod))
       }
+    };
+  }
+
+  /**
+   * Find columns of a long-format file that could hold the period: at least two and at most
+   * MAX_PERIOD_VALUES distinct values, each repeated across rows
+   * @param {Object} file - Uploaded file
+   * @returns {Promise<Object>} { rowCount, columns: [{ name, values, rowCounts }] }
+   */
+  async inspectPeriodColumns(file) {
+    const rows = await this.readFileRows(file);
+    if (rows.length === 0) {
+      throw new Error(`${file.originalname} has no data rows`);
+    }
+
+    const columns = Object.keys(rows[0]).map(name => {
+      const counts = _.countBy(
+        rows.filter(row => row[name] !== null && row[name] !== undefined && String(row[name]).trim() !== ''),
+        row => String(row[name]).trim()
+      );
+      const values = Object.keys(counts);
+      return { name, values, counts };
+    })
+      .filter(({ values }) => values.length >= 2 && values.length <= MAX_PERIOD_VALUES && values.length < rows.length)
+      .map(({ name, values, counts }) => {
+        const sorted = this.sortPeriodLabels(values);
+        return {
+          name,
+          values: sorted,
+          rowCounts: sorted.map(value => counts[value]),
+          // Columns named like a period are listed first
+          likelyPeriod: PERIOD_COLUMN_PATTERN.test(name)
+        };
+      })
+      .sort((a, b) => Number(b.likelyPeriod) - Number(a.likelyPeriod));
 
+    return { fileName: file.originalname, rowCount: rows.length, columns };
+  }
+
+  /**
+   * Map columns, normalize every period and expose the last two as previous/current month.
+   * The raw rows are kept alongside so the upload can be reprocessed with a different mapping.
+   * @param {Array} periods - [{ label, source, data }] with raw row objects, in chronological order
+   * @param {Object} metadata - Source-specific metadata
+   * @param {Object} options - Optional { columnMapping, missingValuePolicy, strictPolicy, rateUnit, bands, strictBandColumns }
+   * @returns {Object} Parsed data
+   */
+  buildPeriodResult(periods, metadata = {}, options = {}) {
+    // Labels identify periods in later requests, so duplicates (e.g. two "export.csv") get a suffix
+    const seen = {};
+    const rawPeriods = periods.map(period => {
+      seen[period.label] = (seen[period.label] || 0) + 1;
       return {
-        previousMonth: this.normalizeData(previousObjects),
-        currentMonth: this.normalizeData(currentObjects),
-        metadata: {
-          previousSheetName: sheetNames[0],
-          currentSheetName: sheetNames[1],
-          totalSheets: sheetNames.length,
-          originalPreviousRows: previousData.length,
-          originalCurrentRows: currentData.length
-        }
+        ...period,
+        label: seen[period.label] > 1 ? `${period.label} (${seen[period.label]})` : period.label
       };
-    } catch (error) {
-      console.error(`❌ Excel parsing error for ${file.originalname}:`, error.message);
-      throw new Error(`Excel file parsing failed: ${error.message}`);
+    });
+
+    const headers = _.uniq(_.flatMap(rawPeriods, period => Object.keys(period.data[0] || {})));
+    const sampleRows = _.flatMap(rawPeriods, period => period.data.slice(0, MAPPING_SAMPLE_ROWS));
+    const columnMapping = this.resolveColumnMapping(headers, sampleRows, options.columnMapping);
+    const columnMap = columnMapper.toColumnMap(columnMapping.fields);
+    const policyOverrides = options.missingValuePolicy || {};
+    const policy = this.resolveMissingValuePolicy(headers, sampleRows, columnMap, policyOverrides, options.strictPolicy !== false);
+    const rateColumn = columnMapping.fields.roi && columnMapping.fields.roi.column;
+    const rateUnit = this.resolveRateUnit(
+      rateColumn ? _.flatMap(rawPeriods, period => period.data.map(row => row[rateColumn])) : [],
+      options.rateUnit
+    );
+
+    const normalizedPeriods = rawPeriods.map(period => ({
+      label: period.label,
+      source: period.source,
+      data: this.normalizeData(period.data, columnMap, policy, rateUnit.unit)
+    }));
+    const previous = normalizedPeriods[normalizedPeriods.length - 2];
+    const current = normalizedPeriods[normalizedPeriods.length - 1];
+
+    return {
+      periods: normalizedPeriods,
+      rawPeriods,
+      columnMapping,
+      missingValuePolicy: { columns: policy, overrides: _.pick(policyOverrides, Object.keys(policy)) },
+      rateUnit,
+      // Bands are applied in prepareForAnalysis, once every period is cleaned
+      bands: options.bands,
+      strictBandColumns: options.strictBandColumns,
+      previousMonth: previous.data,
+      currentMonth: current.data,
+      previousPeriod: previous.label,
+      currentPeriod: current.label,
+      metadata: {
+        ...metadata,
+        periodLabels: normalizedPeriods.map(period => period.label),
+        ...this.describePeriodPair(metadata, previous, current)
+      }
+    };
+  }
+
+  /**
+   * Decide which source column feeds each standard field: explicit overrides first, then a
+   * profile saved for the same headers, otherwise the confidence-scored proposal
+   * @param {Array} headers - Source headers
+   * @param {Array} sampleRows - Raw rows for value checks
+   * @param {Object} overrides - Optional { [field]: header | null }
+   * @returns {Object} { signature, source, profileName, profileWarning, headers, fields, missingRequired }
+   */
+  resolveColumnMapping(headers, sampleRows, overrides = null) {
+    const signature = columnMapper.getHeaderSignature(headers);
+    const profile = overrides ? null : mappingProfiles.get(signature);
+
+    let fields;
+    let source = 'auto';
+    let profileWarning = null;
+    if (overrides) {
+      fields = columnMapper.applyOverrides(headers, sampleRows, overrides);
+      source = 'manual';
+    } else if (profile) {
+      // The signature ignores header formatting, so profile columns are matched the same way;
+      // a profile that still does not fit falls back to the proposal instead of failing the upload
+      const { mapping, missingColumns } = columnMapper.matchProfileColumns(headers, profile.mapping);
+      try {
+        if (missingColumns.length > 0) {
+          throw new Error(`Column(s) not found in the upload: ${missingColumns.join(', ')}`);
+        }
+        fields = columnMapper.applyOverrides(headers, sampleRows, mapping);
+        source = 'profile';
+        console.log(`📎 Applying saved mapping profile "${profile.name}"`);
+      } catch (error) {
+        profileWarning = `Saved profile "${profile.name}" was not applied: ${error.message}`;
+        console.log(`⚠️ ${profileWarning}`);
+        fields = columnMapper.proposeMapping(headers, sampleRows);
+      }
+    } else {
+      fields = columnMapper.proposeMapping(headers, sampleRows);
+    }
+
+    const missingRequired = columnMapper.getMissingRequired(fields);
+    console.log(`🧭 Column mapping (${source}):`, _.mapValues(fields, field => `${field.column} (${field.confidence})`));
+    if (missingRequired.length > 0) {
+      console.log(`⚠️ No source column for required field(s): ${missingRequired.join(', ')}`);
     }
+
+    return {
+      signature,
+      source,
+      profileName: source === 'profile' ? profile.name : null,
+      profileWarning,
+      headers,
+      fields,
+      missingRequired
+    };
+  }
+
+  /**
+   * Missing-value policy for the normalized columns of an upload
+   * @param {Array} headers - Source headers
+   * @param {Array} sampleRows - Raw rows used to tell numeric columns from text ones
+   * @param {Object} columnMap - Source header → standard field
+   * @param {Object} overrides - { [column]: action | { action, value } }, keyed by normalized column
+   * @param {boolean} strict - Reject overrides for columns that are not in the upload
+   * @returns {Object} Resolved policy
+   */
+  resolveMissingValuePolicy(headers, sampleRows, columnMap, overrides = {}, strict = true) {
+    const columns = {};
+    headers.forEach(header => {
+      const column = this.normalizeColumnName(header, columnMap);
+      if (columns[column]) return;
+
+      const values = sampleRows
+        .map(row => this.normalizeValue(row[header]))
+        .filter(value => !missingValuePolicy.isMissing(value));
+      const numericCount = values.filter(value => typeof value === 'number').length;
+      columns[column] = { numeric: values.length > 0 && numericCount / values.length >= 0.9 };
+    });
+
+    return missingValuePolicy.resolve(columns, overrides, strict);
+  }
+
+  /**
+   * Guess the unit of the rate column from the typical size of its values: under 1 is a
+   * decimal (0.105), up to 100 a percent (10.5), above that basis points (1050)
+   * @param {Array} values - Raw rate values
+   * @returns {Object} { unit, confidence, median } - confidence is the share of values in the unit's range
+   */
+  detectRateUnit(values) {
+    const rates = values
+      .map(value => this.normalizeValue(value))
+      .filter(value => typeof value === 'number' && !isNaN(value) && value > 0)
+      .sort((a, b) => a - b);
+
+    if (rates.length === 0) {
+      // Nothing to go on; loan files have historically stored the rate as a percent
+      return { unit: 'percent', confidence: 0, median: null };
+    }
+
+    const unitOf = rate => (rate < 1 ? 'decimal' : rate <= 100 ? 'percent' : 'bps');
+    const median = rates[Math.floor(rates.length / 2)];
+    const unit = unitOf(median);
+    const confidence = rates.filter(rate => unitOf(rate) === unit).length / rates.length;
+
+    return { unit, confidence: Math.round(confidence * 100) / 100, median };
+  }
+
+  /**
+   * Rate unit for an upload: the user's choice when given, otherwise the detected one
+   * @param {Array} values - Raw rate values
+   * @param {string} override - Optional 'decimal' | 'percent' | 'bps'
+   * @returns {Object} { unit, detectedUnit, source, confidence, median, units }
+   */
+  resolveRateUnit(values, override = null) {
+    if (override && !RATE_UNITS[override]) {
+      throw new Error(`Unknown rate unit "${override}". Supported: ${Object.keys(RATE_UNITS).join(', ')}`);
+    }
+
+    const detected = this.detectRateUnit(values);
+    const unit = override || detected.unit;
+    console.log(`📐 Rate unit: ${unit} (${override ? 'manual' : `detected, median ${detected.median}, confidence ${detected.confidence}`})`);
+
+    return {
+      unit,
+      detectedUnit: detected.unit,
+      source: override ? 'manual' : 'auto',
+      confidence: detected.confidence,
+      median: detected.median,
+      units: _.mapValues(RATE_UNITS, ({ label }) => label)
+    };
+  }
+
+  /**
+   * Re-run column mapping and cleaning on the raw rows kept in a session. Whatever is not
+   * given keeps the session's current choice.
+   * @param {Object} sessionData - Analysis-ready session data with rawPeriods
+   * @param {Object} options - { columnMapping: { [field]: header | null }, missingValuePolicy, rateUnit,
+   *   bands: { [column]: definition | null } - merged into the session's bands, null removes one }
+   * @returns {Object} Parsed data, keeping the session's previous/current pair
+   */
+  reprocessPeriods(sessionData, options = {}) {
+    if (!sessionData.rawPeriods) {
+      throw new Error('This session does not keep the original rows; please upload the files again');
+    }
+
+    const currentMapping = sessionData.columnMapping;
+    const columnMapping = options.columnMapping ||
+      (currentMapping && currentMapping.source !== 'auto' ? columnMapper.toFieldColumns(currentMapping.fields) : undefined);
+    const parsedData = this.buildPeriodResult(sessionData.rawPeriods, sessionData.parseMetadata || {}, {
+      columnMapping,
+      missingValuePolicy: options.missingValuePolicy || sessionData.missingValuePolicy?.overrides,
+      // Column names can change with a new mapping, so a carried-over policy skips columns that no longer exist
+      strictPolicy: !!options.missingValuePolicy,
+      rateUnit: options.rateUnit || (sessionData.rateUnit?.source === 'manual' ? sessionData.rateUnit.unit : undefined),
+      bands: {
+        // Default bands the user removed stay removed
+        ..._.mapValues(bandingService.getDefaultDefinitions(sessionData.bandableColumns || []), () => null),
+        ..._.mapValues(sessionData.bandDefinitions || {}, ({ method, edges, bins, labels }) => (
+          method === 'edges' ? { method, edges, labels } : { method, bins, labels }
+        )),
+        ...(options.bands || {})
+      },
+      // Only newly given bands must match a column; carried-over ones are dropped if their column is gone
+      strictBandColumns: Object.keys(options.bands || {})
+    });
+
+    // A kept mapping is reported as it was chosen, not as a manual override
+    if (!options.columnMapping && currentMapping) {
+      parsedData.columnMapping.source = currentMapping.source;
+      parsedData.columnMapping.profileName = currentMapping.profileName;
+    }
+
+    return this.selectPeriodPair(parsedData, sessionData.previousPeriod, sessionData.currentPeriod);
+  }
+
+  /**
+   * Metadata naming the previous/current pair by label and by sheet or file name
+   */
+  describePeriodPair(metadata, previous, current) {
+    const pair = {
+      previousPeriod: previous.label,
+      currentPeriod: current.label
+    };
+
+    if (metadata.sourceType === 'sheet') {
+      pair.previousSheetName = previous.source;
+      pair.currentSheetName = current.source;
+    } else if (metadata.sourceType === 'file') {
+      pair.previousFileName = previous.source;
+      pair.currentFileName = current.source;
+    }
+
+    return pair;
   }
 
   /**
@@ -105,7 +614,8 @@ class DataProcessor {
       const obj = {};
       headers.forEach((header, index) => {
         if (header && header.toString().trim()) {
-          obj[header.toString().trim()] = row[index] || '';
+          // Keep zeros: a zero rate is reported differently from an empty cell
+          obj[header.toString().trim()] = row[index] ?? '';
         }
       });
       return obj;
@@ -113,24 +623,27 @@ class DataProcessor {
   }
 
   /**
-   * Parse two separate CSV files
+   * Parse one CSV file per period, in upload order
    * @param {Array} files - Array of CSV files
+   * @param {Object} options - Optional { columnMapping }
    * @returns {Object} Parsed data
    */
-  async parseCSVFiles(files) {
+  async parseCSVFiles(files, options = {}) {
     const parsedFiles = await Promise.all(
       files.map(file => this.parseCSVFile(file))
     );
 
-    // Determine which file is previous/current based on filename or let user decide
-    return {
-      previousMonth: this.normalizeData(parsedFiles[0].data),
-      currentMonth: this.normalizeData(parsedFiles[1].data),
-      metadata: {
-        previousFileName: parsedFiles[0].filename,
-        currentFileName: parsedFiles[1].filename
-      }
-    };
+    // Upload order is only the default; the user can assign previous/current by file name
+    const periods = parsedFiles.map(parsed => ({
+      label: parsed.filename.replace(/\.[^.]+$/, ''),
+      source: parsed.filename,
+      data: parsed.data
+    }));
+
+    return this.buildPeriodResult(periods, {
+      sourceType: 'file',
+      sources: parsedFiles.map(parsed => this.describeSource(parsed.filename, Object.keys(parsed.data[0] || {}), parsed.data))
+    }, options);
   }
 
   /**
@@ -163,14 +676,22 @@ class DataProcessor {
   }
 
   /**
-   * Normalize data - standardize column names and data types
+   * Normalize data - standardize column names and data types, then clean empty cells
    * @param {Array} data - Raw data array
+   * @param {Object} columnMap - Source header → standard field, from the column mapping
+   * @param {Object} policy - Resolved missing-value policy; defaults are used when omitted
+   * @param {string} rateUnit - Unit of the rate column; detected from the data when omitted
    * @returns {Object} Normalized data with cleaning statistics
    */
-  normalizeData(data) {
+  normalizeData(data, columnMap = {}, policy = null, rateUnit = null) {
     const originalCount = data.length;
     let removedCount = 0;
     let standardizedCount = 0;
+    const emptyByColumn = {};
+    const removedByColumn = {};
+    const removedByReason = {};
+    const filledByColumn = {};
+    const rejectedRows = [];
     
     // First pass: normalize and clean data
     let cleanedData = data.map(row => {
@@ -178,41 +699,66 @@ class DataProcessor {
       
       // Standardize common column names
       Object.keys(row).forEach(key => {
-        const normalizedKey = this.normalizeColumnName(key);
-        // Skip date columns that might be incorrectly mapped to roi
-        if (normalizedKey === 'roi' && key.toLowerCase().includes('date')) {
-          console.log(`⚠️ Skipping date column "${key}" - not an ROI column`);
-          normalizedRow[key.toLowerCase().replace(/[^a-z0-9]/g, '_')] = row[key];
-        } else if (normalizedKey in normalizedRow) {
-          // If the key already exists, keep the first valid ROI value
+        const normalizedKey = this.normalizeColumnName(key, columnMap);
+        if (normalizedKey in normalizedRow) {
+          // Two headers normalize to the same name (e.g. "Tier" and "tier") - keep the first
           console.log(`⚠️ Duplicate mapping to "${normalizedKey}" - keeping existing value`);
         } else {
-          // Pass the original column name to normalizeValue for context-specific processing
-          normalizedRow[normalizedKey] = this.normalizeValue(row[key], key);
+          normalizedRow[normalizedKey] = this.normalizeValue(row[key]);
         }
       });
 
       return normalizedRow;
     });
 
-    // Second pass: remove rows with ANY empty cells
-    cleanedData = cleanedData.filter(row => {
-      // Check if ANY cell in the row is empty
-      const hasEmptyCell = Object.values(row).some(value => 
-        value === null || value === undefined || value === '' || 
-        (typeof value === 'string' && value.trim() === '')
-      );
-      
-      // Also ensure critical fields are not empty or zero
-      const criticalFieldsEmpty = !row.total_loan_amount || !row.roi || row.roi === 0;
-      
-      if (hasEmptyCell || criticalFieldsEmpty) {
+    // Rates are stored as decimals whatever unit the file uses
+    const rateDivisor = RATE_UNITS[rateUnit || this.detectRateUnit(cleanedData.map(row => row.roi)).unit].divisor;
+    if (rateDivisor !== 1) {
+      cleanedData.forEach(row => {
+        if (typeof row.roi === 'number') row.roi = row.roi / rateDivisor;
+      });
+    }
+
+    const cleaningPolicy = policy || this.resolveMissingValuePolicy(
+      Object.keys(data[0] || {}),
+      data.slice(0, MAPPING_SAMPLE_ROWS),
+      columnMap
+    );
+
+    // Second pass: apply the missing-value policy; only amount and rate are always required
+    cleanedData = cleanedData.reduce((rows, row, index) => {
+      Object.keys(cleaningPolicy).forEach(column => {
+        if (missingValuePolicy.isMissing(row[column])) {
+          emptyByColumn[column] = (emptyByColumn[column] || 0) + 1;
+        }
+      });
+
+      const { row: cleanedRow, rejection, filled } = missingValuePolicy.apply(row, cleaningPolicy);
+
+      if (rejection) {
         removedCount++;
-        console.log(`🗑️ Removing row with empty cells or missing critical fields`);
-        return false;
+        removedByColumn[rejection.column] = removedByColumn[rejection.column] || {};
+        removedByColumn[rejection.column][rejection.reason] = (removedByColumn[rejection.column][rejection.reason] || 0) + 1;
+        removedByReason[rejection.reason] = (removedByReason[rejection.reason] || 0) + 1;
+        rejectedRows.push({
+          rowNumber: index + 1,
+          loanId: row.application_id ?? null,
+          column: rejection.column,
+          reason: rejection.reason
+        });
+        return rows;
       }
-      return true;
-    });
+
+      filled.forEach(column => {
+        filledByColumn[column] = (filledByColumn[column] || 0) + 1;
+      });
+      rows.push(cleanedRow);
+      return rows;
+    }, []);
+
+    if (removedCount > 0) {
+      console.log(`🗑️ Removed ${removedCount} of ${originalCount} rows:`, removedByColumn);
+    }
 
     // Third pass: dynamically standardize categorical values
     // Identify categorical columns (exclude numeric columns)
@@ -240,10 +786,17 @@ class DataProcessor {
     cleanedData._cleaningStats = {
       originalCount,
       removedCount,
+      emptyByColumn,
+      removedByColumn,
+      removedByReason,
+      filledByColumn,
       standardizedCount,
       cleanCount: cleanedData.length,
-      qualityScore: ((cleanedData.length / originalCount) * 100).toFixed(1)
+      qualityScore: originalCount > 0 ? ((cleanedData.length / originalCount) * 100).toFixed(1) : '0.0'
     };
+    // Kept for the rejection report, which reads the rows' values from rawPeriods; taken off
+    // the array in prepareForAnalysis like the stats
+    cleanedData._rejectedRows = rejectedRows;
 
     return cleanedData;
   }
@@ -283,46 +836,24 @@ class DataProcessor {
   }
 
   /**
-   * Normalize column names to standard format with better fuzzy matching
+   * Normalize a column name: mapped headers become their standard field, everything else
+   * is lower-cased with non-alphanumerics collapsed to underscores
    * @param {string} columnName - Original column name
+   * @param {Object} columnMap - Source header → standard field
    * @returns {string} Normalized column name
    */
-  normalizeColumnName(columnName) {
+  normalizeColumnName(columnName, columnMap = {}) {
     if (!columnName) return 'unknown_column';
-    
-    // Only map the required columns - everything else is auto-detected
-    const requiredMappings = {
-      'total_loan_amount': ['total loan amount', 'loan amount', 'amount', 'total_amount', 'loan_amt', 'amt'],
-      'roi': ['roi', 'rate of interest', 'interest rate', 'rate', 'yield', 'interest_rate'],
-      'v_score': ['v score', 'V score', 'V Score', 'vscore', 'VScore', 'v_score', 'V_score', 'V_Score', 'score', 'v', 'V']
-    };
-
-    const original = columnName.toString().trim();
-    const normalized = original.toLowerCase().replace(/[^a-z0-9]/g, '_').replace(/_+/g, '_').replace(/^_|_$/g, '');
-    
-    // Check if this column matches any of our required column mappings
-    for (const [standard, variants] of Object.entries(requiredMappings)) {
-      for (const variant of variants) {
-        const variantNormalized = variant.toLowerCase().replace(/[^a-z0-9]/g, '_').replace(/_+/g, '_').replace(/^_|_$/g, '');
-        if (normalized === variantNormalized || normalized.includes(variantNormalized) || variantNormalized.includes(normalized)) {
-       //   console.log(`🔄 Required column mapping: "${original}" → "${standard}"`);
-          return standard;
-        }
-      }
-    }
-
-    // Return original normalized name - all other columns are kept as-is for dynamic detection
-   // console.log(`📋 Column auto-detected: "${original}" → "${normalized}"`);
-    return normalized;
+    return columnMapper.resolveColumnName(columnName.toString().trim(), columnMap);
   }
 
   /**
-   * Normalize values - convert strings to appropriate types
+   * Normalize values - convert numeric strings to numbers. Units are not touched here;
+   * the rate column is scaled separately from its detected or chosen unit.
    * @param {*} value - Raw value
-   * @param {string} columnName - Column name for context-specific processing
    * @returns {*} Normalized value
    */
-  normalizeValue(value, columnName = '') {
+  normalizeValue(value) {
     if (value === null || value === undefined || value === '') {
       return null;
     }
@@ -332,31 +863,11 @@ class DataProcessor {
       // Remove commas and currency symbols
       const cleanedValue = value.replace(/[,$%]/g, '');
       
-      if (!isNaN(cleanedValue) && cleanedValue !== '') {
-        const numericValue = parseFloat(cleanedValue);
-        
-        // ROI values in Excel are stored as percentages (10.5 = 10.5%)
-        // Convert to decimal for calculations (10.5% → 0.105)
-        if (columnName.toLowerCase().includes('roi') || 
-            columnName.toLowerCase().includes('rate') ||
-            columnName.toLowerCase().includes('interest')) {
-       //   console.log(`📊 ROI conversion: ${value} (${numericValue}%) → ${numericValue / 100}`);
-          return numericValue / 100;
-        }
-        
-        return numericValue;
+      if (!isNaN(cleanedValue) && cleanedValue.trim() !== '') {
+        return parseFloat(cleanedValue);
       }
     }
 
-    // Handle numeric values that might also be percentages for ROI columns
-    if (typeof value === 'number' && (
-        columnName.toLowerCase().includes('roi') || 
-        columnName.toLowerCase().includes('rate') ||
-        columnName.toLowerCase().includes('interest'))) {
-    //  console.log(`📊 ROI conversion: ${value}% → ${value / 100}`);
-      return value / 100;
-    }
-
     return value;
   }
 
@@ -449,67 +960,16 @@ class DataProcessor {
   }
 
   /**
-   * Apply V Score banding
+   * Get numeric columns that can be used as analysis target variables
    * @param {Array} data - Dataset
-   * @returns {Array} Data with V Score bands added
+   * @returns {Array} Column names whose non-empty values are all numeric
    */
-  applyVScoreBanding(data) {
-    console.log(`🎯 Starting V Score banding for ${data.length} records`);
-    
-    return data.map((row, index) => {
-      const vScore = row.v_score;
-      let vScoreBand = 'Unknown';
-      let numericVScore = null;
-
-      // Debug logging for first few records
-      if (index < 5) {
-        console.log(`🔍 Row ${index + 1}: v_score = ${vScore} (type: ${typeof vScore})`);
-      }
+  getNumericColumns(data) {
+    if (data.length === 0) return [];
 
-      if (vScore !== null && vScore !== undefined && vScore !== '') {
-        // Try to parse V Score values that might have "V" prefix
-        if (typeof vScore === 'string') {
-          // Remove "V" prefix if present and parse as number
-          const cleanValue = vScore.toString().replace(/^v/i, '').trim();
-          numericVScore = parseFloat(cleanValue);
-          if (index < 5) {
-            console.log(`🔄 String V Score: "${vScore}" → cleaned: "${cleanValue}" → numeric: ${numericVScore}`);
-          }
-        } else if (typeof vScore === 'number') {
-          numericVScore = vScore;
-          if (index < 5) {
-            console.log(`🔢 Numeric V Score: ${numericVScore}`);
-          }
-        }
-
-        // Apply banding based on numeric value
-        if (!isNaN(numericVScore) && numericVScore !== null) {
-          if (numericVScore <= 10) {
-            vScoreBand = 'Low (≤V10)';
-          } else if (numericVScore >= 11 && numericVScore <= 14) {
-            vScoreBand = 'Mid (V11-V14)';
-          } else if (numericVScore >= 15) {
-            vScoreBand = 'High (≥V15)';
-          }
-          
-          if (index < 5) {
-            console.log(`✅ V Score ${numericVScore} → Band: ${vScoreBand}`);
-          }
-        } else {
-          if (index < 5) {
-            console.log(`❌ Could not parse V Score: ${vScore}`);
-          }
-        }
-      } else {
-        if (index < 5) {
-          console.log(`⚠️ Missing V Score value`);
-        }
-      }
-
-      return {
-        ...row,
-        v_score_band: vScoreBand
-      };
+    return Object.keys(data[0]).filter(column => {
+      const values = data.map(row => row[column]).filter(v => v !== null && v !== undefined && v !== '');
+      return values.length > 0 && values.every(v => typeof v === 'number' && !isNaN(v));
     });
   }
 
@@ -538,93 +998,190 @@ class DataProcessor {
       },
       change: {
         roiChange: roiChange,
-        roiChangeBps: roiChange * 100, // Convert to basis points
+        roiChangeBps: roiChange * 10000, // Rates are stored as decimals, so 1 bp = 0.0001
         percentageChange: prevROI !== 0 ? (roiChange / prevROI) * 100 : 0
+      },
+      // New business / runoff / repricing split of the ROI change; null without loan IDs
+      loanMatching: loanMatching.summarize(previousMonth, currentMonth)
+    };
+  }
+
+  /**
+   * Summary row for each period, used for the multi-period overview
+   * @param {Array} periods - [{ label, data }]
+   * @returns {Array} [{ label, recordCount, totalAmount, weightedROI }]
+   */
+  getPeriodSummary(periods) {
+    return periods.map(({ label, data }) => ({
+      label,
+      recordCount: data.length,
+      totalAmount: data.reduce((sum, row) => sum + (row.total_loan_amount || 0), 0),
+      weightedROI: this.calculateWeightedROI(data)
+    }));
+  }
+
+  /**
+   * Resolve the previous/current pair an analysis should run on
+   * @param {Object} sessionData - Analysis-ready session data
+   * @param {string} previousPeriod - Optional previous period label (defaults to the stored pair)
+   * @param {string} currentPeriod - Optional current period label (defaults to the stored pair)
+   * @returns {Object} { previousMonth, currentMonth, previousPeriod, currentPeriod }
+   */
+  getPeriodPair(sessionData, previousPeriod, currentPeriod) {
+    const periods = sessionData.periods || [];
+
+    if (!previousPeriod && !currentPeriod) {
+      return {
+        previousMonth: sessionData.previousMonth,
+        currentMonth: sessionData.currentMonth,
+        previousPeriod: sessionData.previousPeriod || null,
+        currentPeriod: sessionData.currentPeriod || null
+      };
+    }
+
+    const labels = periods.map(period => period.label);
+    // Periods can be named by label or by the sheet/file they came from
+    const find = (label) => {
+      const period = periods.find(p => p.label === String(label))
+        || periods.find(p => p.source && p.source === String(label));
+      if (!period) {
+        throw new Error(`Unknown period "${label}". Available periods: ${labels.join(', ')}`);
       }
+      return period;
+    };
+
+    const previous = find(previousPeriod || sessionData.previousPeriod);
+    const current = find(currentPeriod || sessionData.currentPeriod);
+    if (previous.label === current.label) {
+      throw new Error('Previous and current period must be different');
+    }
+
+    return {
+      previousMonth: previous.data,
+      currentMonth: current.data,
+      previousPeriod: previous.label,
+      currentPeriod: current.label
     };
   }
 
   /**
    * Prepare data for analysis by filling missing values and aligning datasets
-   * @param {Object} parsedData - Parsed data
+   * @param {Object} parsedData - Parsed data; `periods` is optional and defaults to the previous/current pair
    * @returns {Object} Analysis-ready data
    */
   prepareForAnalysis(parsedData) {
-    let { previousMonth, currentMonth } = parsedData;
+    const periods = parsedData.periods || [
+      { label: 'Previous Month', data: parsedData.previousMonth },
+      { label: 'Current Month', data: parsedData.currentMonth }
+    ];
 
     // Extract cleaning statistics before further processing
-    const cleaningStats = {
-      previous: previousMonth._cleaningStats || {
-        originalCount: previousMonth.length,
-        removedCount: 0,
-        standardizedCount: 0,
-        cleanCount: previousMonth.length,
-        qualityScore: '100.0'
-      },
-      current: currentMonth._cleaningStats || {
-        originalCount: currentMonth.length,
+    const periodCleaningStats = periods.map(({ label, data }) => {
+      const stats = data._cleaningStats || {
+        originalCount: data.length,
         removedCount: 0,
+        emptyByColumn: {},
+        removedByColumn: {},
+        removedByReason: {},
+        filledByColumn: {},
         standardizedCount: 0,
-        cleanCount: currentMonth.length,
+        cleanCount: data.length,
         qualityScore: '100.0'
-      }
+      };
+      // Remove the _cleaningStats property from the arrays
+      delete data._cleaningStats;
+      return { label, ...stats };
+    });
+    const rejectedRows = _.flatMap(periods, ({ label, data }) => {
+      const rows = (data._rejectedRows || []).map(rejection => ({ period: label, ...rejection }));
+      delete data._rejectedRows;
+      return rows;
+    });
+    const statsFor = (label, fallbackIndex) => _.omit(
+      periodCleaningStats.find(stats => stats.label === label) || periodCleaningStats[fallbackIndex],
+      'label'
+    );
+    const cleaningStats = {
+      previous: statsFor(parsedData.previousPeriod, periodCleaningStats.length - 2),
+      current: statsFor(parsedData.currentPeriod, periodCleaningStats.length - 1),
+      periods: periodCleaningStats
     };
 
-    // Remove the _cleaningStats property from the arrays
-    delete previousMonth._cleaningStats;
-    delete currentMonth._cleaningStats;
-
-    console.log(`🔍 Checking for v_score column...`);
-    const hasVScore = previousMonth.length > 0 && previousMonth[0].hasOwnProperty('v_score');
+    const firstRows = periods[0].data;
+    const hasVScore = firstRows.length > 0 && firstRows[0].hasOwnProperty('v_score');
     console.log(`📊 Has V Score: ${hasVScore}`);
-    
-    if (previousMonth.length > 0) {
-      const sampleColumns = Object.keys(previousMonth[0]);
-      console.log(`📋 All columns in data:`, sampleColumns);
-      console.log(`🔍 Looking for v_score in columns:`, sampleColumns.includes('v_score'));
-      
-      // Log first few v_score values
-      const sampleVScores = previousMonth.slice(0, 3).map(row => row.v_score);
-      console.log(`📊 Sample V Score values:`, sampleVScores);
-    }
 
-    // Apply V Score banding only if V Score column exists
-    if (hasVScore) {
-      console.log(`✅ Applying V Score banding...`);
-      previousMonth = this.applyVScoreBanding(previousMonth);
-      currentMonth = this.applyVScoreBanding(currentMonth);
-    } else {
-      console.log(`⚠️ No V Score column found, skipping banding`);
+    // Band numeric columns. Edges are resolved over every period so a band means the same range in each
+    const allRows = _.flatMap(periods, period => period.data);
+    const bandableColumns = bandingService.getBandableColumns(allRows);
+    const bandings = bandingService.resolveAll(
+      { ...bandingService.getDefaultDefinitions(bandableColumns), ...(parsedData.bands || {}) },
+      allRows,
+      bandableColumns,
+      parsedData.bands ? parsedData.strictBandColumns : []
+    );
+    const preparedPeriods = periods.map(period => ({
+      ...period,
+      data: bandingService.apply(period.data, bandings)
+    }));
+    if (Object.keys(bandings).length > 0) {
+      console.log(`📊 Banded columns:`, _.mapValues(bandings, banding => banding.bands.map(band => band.label)));
     }
 
-    // Auto-detect all categorical columns across both datasets
-    const combinedData = [...previousMonth, ...currentMonth];
+    // The pair chosen at parse time, or the latest two periods
+    const previous = preparedPeriods.find(period => period.label === parsedData.previousPeriod)
+      || preparedPeriods[preparedPeriods.length - 2];
+    const current = preparedPeriods.find(period => period.label === parsedData.currentPeriod)
+      || preparedPeriods[preparedPeriods.length - 1];
+    const previousMonth = previous.data;
+    const currentMonth = current.data;
+
+    // Auto-detect all categorical columns across every period
+    const combinedData = _.flatMap(preparedPeriods, period => period.data);
     const distinctValues = this.getDistinctValues(combinedData);
 
-    // If V Score banding was applied, make sure v_score_band is included in distinct values
-    if (hasVScore && combinedData.length > 0 && combinedData[0].hasOwnProperty('v_score_band')) {
-      console.log(`📊 Adding v_score_band to categorical columns`);
-      const vScoreBandValues = [...new Set(
-        combinedData
-          .map(row => row.v_score_band)
-          .filter(value => value !== null && value !== undefined && value !== '')
-      )].sort();
-      distinctValues.v_score_band = vScoreBandValues;
-      console.log(`✅ V Score Band values:`, vScoreBandValues);
-    }
+    // Bands replace their source column as a factor and keep their natural order
+    Object.values(bandings).forEach(banding => {
+      delete distinctValues[banding.column];
+      distinctValues[banding.bandColumn] = bandingService.getBandValues(combinedData, banding);
+    });
 
     // Get available categorical columns for user selection
     const availableColumns = Object.keys(distinctValues);
     console.log(`📋 Final available columns for analysis:`, availableColumns);
 
+    // Numeric columns can be selected as the analysis target (ROI, delinquency %, NIM, ...)
+    const numericColumns = this.getNumericColumns(combinedData);
+    console.log(`🔢 Numeric target columns:`, numericColumns);
+
     return {
       previousMonth,
       currentMonth,
+      previousPeriod: previous.label,
+      currentPeriod: current.label,
+      periods: preparedPeriods,
+      periodLabels: preparedPeriods.map(period => period.label),
       distinctValues,
-      summary: this.getSummaryStats({ previousMonth, currentMonth }),
+      summary: {
+        ...this.getSummaryStats({ previousMonth, currentMonth }),
+        periods: this.getPeriodSummary(preparedPeriods)
+      },
       availableColumns,
+      numericColumns,
       hasVScore,
-      cleaningStats // Include cleaning statistics
+      bandableColumns,
+      bandDefinitions: _.mapValues(bandings, banding => ({
+        ...banding,
+        counts: bandingService.countBands(combinedData, banding)
+      })),
+      cleaningStats, // Include cleaning statistics
+      // Kept so the upload can be reprocessed with a different column mapping
+      rawPeriods: parsedData.rawPeriods,
+      columnMapping: parsedData.columnMapping,
+      missingValuePolicy: parsedData.missingValuePolicy,
+      rateUnit: parsedData.rateUnit,
+      rejectedRows,
+      parseMetadata: parsedData.metadata
     };
   }
 }
@@ -0,0 +1,167 @@
+const _ = require('lodash');
+const aggregationCube = require('./aggregationCube');
+
+/**
+ * Matches loans across two periods and splits the change in a metric into new business,
+ * run-off and repricing. Used by the analysis engine for every tree node and by the data
+ * processor for the upload summary.
+ *
+ * Metrics are passed resolved ({ aggregation, scale }, see analysisEngine.resolveMetric)
+ * together with a measure function (row => { weight, numerator, amount }, see
+ * analysisEngine.getRowMeasure). Without them the split is of the loan-amount weighted
+ * ROI in basis points.
+ */
+// Loans are matched across periods on this column; matched rows carry their status (new,
+// runoff or continuing) in LOAN_STATUS_COLUMN, which is never offered as a split
+const LOAN_ID_COLUMN = 'application_id';
+const LOAN_STATUS_COLUMN = '_loanStatus';
+const LOAN_STATUSES = { previous: ['continuing', 'runoff'], current: ['continuing', 'new'] };
+
+const ROI_METRIC = { aggregation: 'weighted-mean', scale: 10000 };
+const numericValue = value => (typeof value === 'number' && !isNaN(value) ? value : 0);
+const roiMeasure = row => {
+  const amount = numericValue(row.total_loan_amount);
+  return { weight: amount, numerator: amount * numericValue(row.roi), amount: row.total_loan_amount || 0 };
+};
+
+class LoanMatching {
+  constructor() {
+    this.idColumn = LOAN_ID_COLUMN;
+    this.statusColumn = LOAN_STATUS_COLUMN;
+  }
+
+  /**
+   * Match loans across the two periods on LOAN_ID_COLUMN. Previous-period loans missing from
+   * the current period have run off, current-period loans missing from the previous one are
+   * new business, and loans in both are continuing. Rows without an ID cannot be matched and
+   * count as runoff or new business.
+   * @param {Array} previousData - Previous period rows
+   * @param {Array} currentData - Current period rows
+   * @returns {Object|null} { previous, current, unidentified } with copies of the rows tagged
+   *   with their status, or null when either period has no loan IDs
+   */
+  match(previousData, currentData) {
+    const getIds = rows => new Set(rows.map(row => this.getLoanId(row)).filter(id => id !== null));
+    const previousIds = getIds(previousData);
+    const currentIds = getIds(currentData);
+    if (previousIds.size === 0 || currentIds.size === 0) return null;
+
+    const tag = (rows, otherIds, unmatchedStatus) => rows.map(row => {
+      const id = this.getLoanId(row);
+      return { ...row, [LOAN_STATUS_COLUMN]: id !== null && otherIds.has(id) ? 'continuing' : unmatchedStatus };
+    });
+    const countUnidentified = rows => rows.filter(row => this.getLoanId(row) === null).length;
+
+    return {
+      previous: tag(previousData, currentIds, 'runoff'),
+      current: tag(currentData, previousIds, 'new'),
+      unidentified: { previous: countUnidentified(previousData), current: countUnidentified(currentData) }
+    };
+  }
+
+  getLoanId(row) {
+    const value = row[LOAN_ID_COLUMN];
+    if (value === undefined || value === null) return null;
+    const id = String(value).trim();
+    return id === '' ? null : id;
+  }
+
+  /**
+   * Statistics of both periods' tagged rows or cells by loan status
+   * @returns {Object} { previous: { continuing, runoff }, current: { continuing, new } }
+   */
+  getStatusStats(previousData, currentData, measure = roiMeasure) {
+    const byStatus = (data, statuses) => {
+      const groups = aggregationCube.groupBy(data, LOAN_STATUS_COLUMN);
+      return _.zipObject(statuses, statuses.map(status => aggregationCube.summarize(groups.get(status) || [], measure)));
+    };
+    return {
+      previous: byStatus(previousData, LOAN_STATUSES.previous),
+      current: byStatus(currentData, LOAN_STATUSES.current)
+    };
+  }
+
+  /**
+   * Split a segment's contribution to the portfolio change by what happened to its loans,
+   * stepping the portfolio from its previous to its current value:
+   *   runoff      - dropping the loans that closed: R₀(continuing) − R₀
+   *   repricing   - moving the continuing loans to their current rate and balance: R₁(continuing) − R₀(continuing)
+   *   newBusiness - adding the new loans: R₁ − R₁(continuing)
+   * A segment's share of each step is its numerator over the portfolio weight of that step
+   * (its numerator itself for sum metrics), so segments add up to the portfolio and each
+   * segment's three steps add up to its full contribution w₁r₁ − w₀r₀.
+   * @param {Object} segment - Statistics of the segment (see getStatusStats)
+   * @param {Object} portfolio - The same for the whole portfolio
+   * @param {Object} metric - Resolved metric { aggregation, scale }
+   * @returns {Object} { newBusinessBps, runoffBps, repricingBps, totalBps, loans, amounts }
+   */
+  splitChange(segment, portfolio, metric = ROI_METRIC) {
+    const level = (stats, total) => {
+      if (metric.aggregation === 'sum') return stats.numerator;
+      return total.weight > 0 ? stats.numerator / total.weight : 0;
+    };
+    const all = period => aggregationCube.combine(...Object.values(period));
+
+    const previous = level(all(segment.previous), all(portfolio.previous));
+    const previousContinuing = level(segment.previous.continuing, portfolio.previous.continuing);
+    const currentContinuing = level(segment.current.continuing, portfolio.current.continuing);
+    const current = level(all(segment.current), all(portfolio.current));
+
+    return {
+      newBusinessBps: (current - currentContinuing) * metric.scale,
+      runoffBps: (previousContinuing - previous) * metric.scale,
+      repricingBps: (currentContinuing - previousContinuing) * metric.scale,
+      totalBps: (current - previous) * metric.scale,
+      loans: {
+        new: segment.current.new.count,
+        runoff: segment.previous.runoff.count,
+        continuing: segment.current.continuing.count
+      },
+      amounts: {
+        new: segment.current.new.amount,
+        runoff: segment.previous.runoff.amount,
+        continuingPrevious: segment.previous.continuing.amount,
+        continuingCurrent: segment.current.continuing.amount
+      }
+    };
+  }
+
+  /**
+   * Portfolio-level answer to "did we reprice or did the book change?"
+   * @param {Array} previousData - Previous period rows
+   * @param {Array} currentData - Current period rows
+   * @param {Object} metric - Resolved metric (defaults to ROI)
+   * @param {Function} measure - Row measure for the metric
+   * @returns {Object|null} See describe; null when loans cannot be matched
+   */
+  summarize(previousData, currentData, metric = ROI_METRIC, measure = roiMeasure) {
+    const matched = this.match(previousData, currentData);
+    if (!matched) return null;
+
+    return this.describe(this.getStatusStats(matched.previous, matched.current, measure), matched.unidentified, metric);
+  }
+
+  /**
+   * @returns {Object} { idColumn, newBusinessBps, runoffBps, repricingBps, totalBps, loans,
+   *   amounts, rates: { new, runoff, continuingPrevious, continuingCurrent }, unidentified }
+   */
+  describe(portfolio, unidentified, metric = ROI_METRIC) {
+    const value = ({ weight, numerator }) => {
+      if (metric.aggregation === 'sum') return numerator;
+      return weight > 0 ? numerator / weight : 0;
+    };
+    return {
+      idColumn: LOAN_ID_COLUMN,
+      ...this.splitChange(portfolio, portfolio, metric),
+      rates: {
+        new: value(portfolio.current.new),
+        runoff: value(portfolio.previous.runoff),
+        continuingPrevious: value(portfolio.previous.continuing),
+        continuingCurrent: value(portfolio.current.continuing)
+      },
+      unidentified
+    };
+  }
+}
+
+module.exports = new LoanMatching();
@@ -0,0 +1,80 @@
+// Saved column-mapping profiles, reused on later uploads with the same headers.
+// One JSON file per header signature under MAPPING_PROFILE_DIR (default backend/data/mapping-profiles,
+// which unlike the OS temp directory is kept across restarts and reboots).
+const path = require('path');
+const fs = require('fs-extra');
+
+// Signatures are SHA-1 hex digests and become file names
+const SIGNATURE_PATTERN = /^[a-f0-9]{40}$/;
+
+class MappingProfileStore {
+  constructor({ directory }) {
+    this.directory = directory;
+  }
+
+  getProfilePath(signature) {
+    if (typeof signature !== 'string' || !SIGNATURE_PATTERN.test(signature)) {
+      throw new Error(`Invalid header signature "${signature}"`);
+    }
+    return path.join(this.directory, `${signature}.json`);
+  }
+
+  /**
+   * Get the profile saved for a header signature
+   * @returns {Object|null} { signature, name, headers, mapping, savedAt } or null
+   */
+  get(signature) {
+    try {
+      return fs.readJsonSync(this.getProfilePath(signature));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Save (or replace) the profile for a header signature
+   * @param {string} signature - Header signature
+   * @param {Object} profile - { name, headers, mapping: { [field]: header | null } }
+   * @returns {Object} Stored profile
+   */
+  save(signature, profile) {
+    const filePath = this.getProfilePath(signature);
+    const stored = {
+      signature,
+      name: profile.name || `Profile ${signature.slice(0, 8)}`,
+      headers: profile.headers,
+      mapping: profile.mapping,
+      savedAt: new Date().toISOString()
+    };
+
+    fs.ensureDirSync(this.directory);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(stored, null, 2));
+    fs.renameSync(tempPath, filePath);
+    console.log(`💾 Mapping profile saved: ${stored.name} (${signature.slice(0, 8)})`);
+
+    return stored;
+  }
+
+  delete(signature) {
+    const filePath = this.getProfilePath(signature);
+    if (!fs.existsSync(filePath)) return false;
+    fs.removeSync(filePath);
+    return true;
+  }
+
+  list() {
+    if (!fs.existsSync(this.directory)) return [];
+
+    return fs.readdirSync(this.directory)
+      .filter(file => file.endsWith('.json') && SIGNATURE_PATTERN.test(path.basename(file, '.json')))
+      .map(file => this.get(path.basename(file, '.json')))
+      .filter(Boolean)
+      .sort((a, b) => (b.savedAt || '').localeCompare(a.savedAt || ''));
+  }
+}
+
+module.exports = new MappingProfileStore({
+  directory: process.env.MAPPING_PROFILE_DIR || path.join(__dirname, '../../data/mapping-profiles')
+});
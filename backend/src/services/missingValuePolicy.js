@@ -0,0 +1,165 @@
+const _ = require('lodash');
+
+/**
+ * What to do with a row whose cell in a column is empty:
+ *   drop    - remove the row
+ *   fill    - replace the empty cell with a constant
+ *   unknown - replace the empty cell with "Unknown", so it shows up as its own category
+ *   ignore  - keep the row and leave the cell empty (numeric columns then count as 0)
+ */
+const ACTIONS = ['drop', 'fill', 'unknown', 'ignore'];
+
+// Every analysis weights the rate by the amount, so these are always required
+const REQUIRED_COLUMNS = ['total_loan_amount', 'roi'];
+
+const UNKNOWN_VALUE = 'Unknown';
+
+// Optional columns whose values must parse when present: V scores may carry a "V" prefix (V12)
+const PARSED_COLUMNS = {
+  v_score: value => typeof value === 'number' || !isNaN(parseFloat(String(value).trim().replace(/^v/i, '')))
+};
+
+const COLUMN_LABELS = {
+  total_loan_amount: 'amount',
+  roi: 'ROI',
+  v_score: 'V score'
+};
+
+class MissingValuePolicy {
+  isMissing(value) {
+    return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+  }
+
+  getActions() {
+    return ACTIONS;
+  }
+
+  /**
+   * Default action for a column: required columns are dropped, numeric ones ignored,
+   * text columns get an "Unknown" category
+   */
+  getDefaultAction(column, numeric) {
+    if (REQUIRED_COLUMNS.includes(column)) return 'drop';
+    return numeric ? 'ignore' : 'unknown';
+  }
+
+  /**
+   * Build the policy for a set of columns, applying user overrides on top of the defaults
+   * @param {Object} columns - { [column]: { numeric } } for the normalized columns
+   * @param {Object} overrides - { [column]: action | { action, value } }
+   * @param {boolean} strict - Reject overrides for columns that are not in the upload; off when
+   *   carrying a policy over to a re-mapped upload whose column names may have changed
+   * @returns {Object} { [column]: { action, value, required, numeric } }
+   */
+  resolve(columns, overrides = {}, strict = true) {
+    const unknownColumns = Object.keys(overrides).filter(column => !columns[column]);
+    if (strict && unknownColumns.length > 0) {
+      throw new Error(`Column(s) not found in the upload: ${unknownColumns.join(', ')}`);
+    }
+
+    return _.mapValues(columns, ({ numeric }, column) => {
+      const required = REQUIRED_COLUMNS.includes(column);
+      const override = overrides[column];
+      const { action, value } = typeof override === 'string' ? { action: override } : (override || {});
+
+      if (!action) {
+        return { action: this.getDefaultAction(column, numeric), value: null, required, numeric };
+      }
+      if (!ACTIONS.includes(action)) {
+        throw new Error(`Unknown missing-value action "${action}" for ${column}. Supported: ${ACTIONS.join(', ')}`);
+      }
+      if (required && action !== 'drop') {
+        throw new Error(`Rows without ${column} are always dropped; it cannot use "${action}"`);
+      }
+      if (action === 'fill') {
+        if (this.isMissing(value)) {
+          throw new Error(`A fill value is required for ${column}`);
+        }
+        const fillValue = numeric ? Number(value) : String(value);
+        if (numeric && isNaN(fillValue)) {
+          throw new Error(`Fill value for numeric column ${column} must be a number`);
+        }
+        return { action, value: fillValue, required, numeric };
+      }
+
+      return { action, value: null, required, numeric };
+    });
+  }
+
+  /**
+   * Apply the policy to one normalized row
+   * @param {Object} row - Normalized row
+   * @param {Object} policy - Resolved policy
+   * @returns {Object} { row, rejection: { column, reason } | null, filled: [column] }
+   *   The rejection names the first failing column, required columns first, so each removed
+   *   row is counted against exactly one column and reason
+   */
+  apply(row, policy) {
+    const rejection = this.checkRequired(row) || this.checkParsed(row);
+    if (rejection) return { row, rejection, filled: [] };
+
+    const cleanedRow = { ...row };
+    const filled = [];
+    for (const [column, { action, value }] of Object.entries(policy)) {
+      if (!this.isMissing(cleanedRow[column])) continue;
+
+      if (action === 'drop') {
+        return { row, rejection: { column, reason: 'empty' }, filled: [] };
+      }
+      if (action === 'fill' || action === 'unknown') {
+        cleanedRow[column] = action === 'fill' ? value : UNKNOWN_VALUE;
+        filled.push(column);
+      } else {
+        cleanedRow[column] = null;
+      }
+    }
+
+    return { row: cleanedRow, rejection: null, filled };
+  }
+
+  /**
+   * Amount and rate must be present, numeric and non-zero
+   */
+  checkRequired(row) {
+    for (const column of REQUIRED_COLUMNS) {
+      const value = row[column];
+      if (this.isMissing(value)) return { column, reason: 'empty' };
+      if (typeof value !== 'number' || isNaN(value)) return { column, reason: 'not_numeric' };
+      if (value === 0) return { column, reason: 'zero' };
+    }
+    return null;
+  }
+
+  /**
+   * Values in columns such as the V score must be readable, otherwise the row would
+   * silently land in an "Unknown" band
+   */
+  checkParsed(row) {
+    for (const [column, isParsable] of Object.entries(PARSED_COLUMNS)) {
+      const value = row[column];
+      if (!this.isMissing(value) && !isParsable(value)) return { column, reason: 'unparseable' };
+    }
+    return null;
+  }
+
+  /**
+   * Human-readable reason for a rejection, e.g. "Zero ROI" or "Empty cell in channel"
+   */
+  describeRejection({ column, reason }) {
+    const label = COLUMN_LABELS[column] || column;
+    switch (reason) {
+      case 'empty':
+        return REQUIRED_COLUMNS.includes(column) ? `Missing ${label}` : `Empty cell in ${column}`;
+      case 'zero':
+        return `Zero ${label}`;
+      case 'not_numeric':
+        return `Non-numeric ${label}`;
+      case 'unparseable':
+        return `Unparseable ${label}`;
+      default:
+        return `${reason} (${column})`;
+    }
+  }
+}
+
+module.exports = new MissingValuePolicy();
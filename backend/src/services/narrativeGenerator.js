@@ -0,0 +1,218 @@
+const _ = require('lodash');
+
+/**
+ * Plain-language commentary for a V2 driver tree, built from fixed sentence templates so the
+ * same tree always reads the same way, e.g.
+ *   "Portfolio ROI fell 18 bps, from 12.40% to 12.22%; 70% is explained by mix shift toward
+ *    Tier 3 in the Partner channel, where yields held flat."
+ *
+ * The main driver is found by walking down from the root, always into the child with the
+ * largest impact in the direction of the portfolio change, for as long as that child still
+ * explains at least MIN_DRIVER_SHARE of the change, down to MAX_DRIVER_DEPTH. When offsetting
+ * segments make the driver larger than the net change, it is reported in bps rather than as a
+ * share. A driver is mix-led when its distribution impact outweighs its yield impact.
+ */
+const MIN_DRIVER_SHARE = 0.5;
+// Deeper drivers make sentences too long to read
+const MAX_DRIVER_DEPTH = 3;
+// A segment's rate "held flat", or an unattributed remainder is left unmentioned, when it is
+// smaller than this share of the portfolio change
+const FLAT_SHARE = 0.1;
+const MAX_CONTRIBUTORS = 3;
+// Portfolio changes smaller than this (in the metric's display unit) read as unchanged
+const UNCHANGED_CHANGE = 0.05;
+
+class NarrativeGenerator {
+  /**
+   * @param {Object} analysis - { tree, impactSummary, metric } of a V2 analysis
+   * @returns {Object} { headline, sentences, text }
+   */
+  generate({ tree, impactSummary, metric }) {
+    const root = (tree || [])[0];
+    if (!root) return { headline: '', sentences: [], text: '' };
+
+    const format = this.getFormatter(metric);
+    const change = root.metrics.totalImpactBps;
+    const children = root.children || [];
+    const sentences = [];
+
+    if (Math.abs(change) < UNCHANGED_CHANGE) {
+      sentences.push(`${root.value} was unchanged at ${format.rate(root.metrics.currentROI)}.`);
+      const moves = children.filter(child => Math.abs(child.metrics.totalImpactBps) >= UNCHANGED_CHANGE);
+      if (moves.length > 0) sentences.push(this.describeContributors(moves, format, 'Underneath, the largest moves were'));
+      return this.compose(sentences);
+    }
+
+    const headline = `${root.value} ${change > 0 ? 'rose' : 'fell'} ${format.change(change)}, ` +
+      `from ${format.rate(root.metrics.previousROI)} to ${format.rate(root.metrics.currentROI)}`;
+    const driverPath = this.findDriverPath(root);
+
+    if (driverPath.length > 0) {
+      const driver = _.last(driverPath);
+      const share = driver.metrics.totalImpactBps / change;
+      const explanation = this.describeDriver(driverPath, root, format);
+      sentences.push(share <= 1
+        ? `${headline}; ${Math.round(share * 100)}% is explained by ${explanation}.`
+        : `${headline}, driven by ${explanation} (${format.signed(driver.metrics.totalImpactBps)}, more than the whole change).`);
+
+      const offset = _.maxBy(
+        children.filter(child => Math.sign(child.metrics.totalImpactBps) === -Math.sign(change)),
+        child => Math.abs(child.metrics.totalImpactBps)
+      );
+      if (offset) {
+        sentences.push(`This was partly offset by ${this.describeSegment([offset])} (${format.signed(offset.metrics.totalImpactBps)}, mostly ${this.isMixLed(offset) ? 'mix' : format.rateTerm}).`);
+      }
+    } else {
+      sentences.push(`${headline}.`);
+      if (children.length > 0) sentences.push(this.describeContributors(children, format, 'No single segment explains most of it; the largest contributors were'));
+    }
+
+    if (children.length > 0) sentences.push(this.describeFirstSplit(root, impactSummary, format));
+
+    const caveat = this.describeSignificance(root, driverPath);
+    if (caveat) sentences.push(caveat);
+
+    return this.compose(sentences);
+  }
+
+  compose(sentences) {
+    return { headline: sentences[0] || '', sentences, text: sentences.join(' ') };
+  }
+
+  /**
+   * Number formatting in the metric's display unit: bps and percentages for rates, plain
+   * numbers for sums and for targets such as tenure that are not rates
+   */
+  getFormatter(metric = {}) {
+    const inUnits = metric.unit === 'units';
+    const amount = value => {
+      const magnitude = Math.abs(value);
+      if (inUnits) return magnitude.toLocaleString('en-US', { maximumFractionDigits: magnitude >= 10 ? 1 : 2 });
+      return `${magnitude >= 10 ? Math.round(magnitude) : magnitude.toFixed(1)} bps`;
+    };
+
+    return {
+      change: amount,
+      signed: value => `${value >= 0 ? '+' : '−'}${amount(value)}`,
+      rate: value => inUnits
+        ? value.toLocaleString('en-US', { maximumFractionDigits: 2 })
+        : `${(value * 100).toFixed(2)}%`,
+      rateTerm: !metric.numerator || metric.numerator === 'roi' ? 'yields' : metric.label
+    };
+  }
+
+  findDriverPath(root) {
+    const change = root.metrics.totalImpactBps;
+    const path = [];
+    let node = root;
+
+    while (node.children && node.children.length > 0 && path.length < MAX_DRIVER_DEPTH) {
+      const candidate = _.maxBy(
+        node.children.filter(child => Math.sign(child.metrics.totalImpactBps) === Math.sign(change)),
+        child => Math.abs(child.metrics.totalImpactBps)
+      );
+      if (!candidate || candidate.metrics.totalImpactBps / change < MIN_DRIVER_SHARE) break;
+      path.push(candidate);
+      node = candidate;
+    }
+
+    return path;
+  }
+
+  isMixLed(node) {
+    return Math.abs(node.metrics.distributionImpactBps || 0) > Math.abs(node.metrics.yieldImpactBps || 0);
+  }
+
+  /**
+   * "mix shift toward X, where yields held flat" or "lower yields in X (down 25 bps)"
+   */
+  describeDriver(path, root, format) {
+    const driver = _.last(path);
+    const segment = this.describeSegment(path);
+    const rateChange = driver.metrics.roiChangeBps;
+    const rateFlat = Math.abs(rateChange) < FLAT_SHARE * Math.abs(root.metrics.totalImpactBps);
+
+    if (this.isMixLed(driver)) {
+      const direction = this.getShareChange(driver, root) >= 0 ? 'toward' : 'away from';
+      const rateClause = rateFlat
+        ? `where ${format.rateTerm} held flat`
+        : `where ${format.rateTerm} ${rateChange > 0 ? 'rose' : 'fell'} ${format.change(rateChange)}`;
+      return `mix shift ${direction} ${segment}, ${rateClause}`;
+    }
+
+    const mixImpact = driver.metrics.distributionImpactBps || 0;
+    const mixClause = Math.abs(mixImpact) < FLAT_SHARE * Math.abs(root.metrics.totalImpactBps)
+      ? ''
+      : `, while its share of the book ${this.getShareChange(driver, root) >= 0 ? 'grew' : 'shrank'}`;
+    return `${rateChange > 0 ? 'higher' : 'lower'} ${format.rateTerm} in ${segment} (${rateChange > 0 ? 'up' : 'down'} ${format.change(rateChange)})${mixClause}`;
+  }
+
+  /**
+   * Change in a segment's share of the portfolio amount between the two periods
+   */
+  getShareChange(node, root) {
+    const share = (amount, total) => total > 0 ? amount / total : 0;
+    return share(node.metrics.currentAmount, root.metrics.currentAmount) -
+      share(node.metrics.previousAmount, root.metrics.previousAmount);
+  }
+
+  /**
+   * A path of nodes as a phrase, innermost first: "Tier 3 in the Partner channel". A column
+   * split more than once appears once, with its innermost (narrowest) range.
+   */
+  describeSegment(path) {
+    return _.uniqBy([...path].reverse(), 'factor').map(node => {
+      if (node.range) return `the ${node.label} band`;
+      const factor = _.lowerCase(node.factor);
+      const value = String(node.value);
+      return value.toLowerCase().includes(factor) ? value : `the ${value} ${factor}`;
+    }).join(' in ');
+  }
+
+  describeContributors(children, format, lead) {
+    const contributors = _.orderBy(children, child => Math.abs(child.metrics.totalImpactBps), 'desc')
+      .slice(0, MAX_CONTRIBUTORS)
+      .map(child => `${this.describeSegment([child])} (${format.signed(child.metrics.totalImpactBps)})`);
+    const list = contributors.length > 1
+      ? `${contributors.slice(0, -1).join(', ')} and ${_.last(contributors)}`
+      : contributors[0];
+    return `${lead} ${list}.`;
+  }
+
+  /**
+   * Yield / mix split of the change across the first split's segments
+   */
+  describeFirstSplit(root, impactSummary, format) {
+    const children = root.children;
+    const sum = key => _.sumBy(children, child => child.metrics[key] || 0);
+    const yieldImpact = sum('yieldImpactBps');
+    const mixImpact = sum('distributionImpactBps');
+    const interactionImpact = sum('interactionImpactBps');
+    const factor = _.lowerCase(children[0].factor);
+
+    let sentence = `Across ${factor} segments, changes in ${format.rateTerm} contributed ${format.signed(yieldImpact)} and mix shifts ${format.signed(mixImpact)}`;
+    if (impactSummary && impactSummary.decompositionMethod === 'three-way') {
+      sentence += `, with ${format.signed(interactionImpact)} from their interaction`;
+    }
+
+    const unattributed = root.metrics.totalImpactBps - (yieldImpact + mixImpact + interactionImpact);
+    if (Math.abs(unattributed) >= FLAT_SHARE * Math.abs(root.metrics.totalImpactBps)) {
+      sentence += `; the remaining ${format.signed(unattributed)} is not attributed at this level`;
+    }
+    return `${sentence}.`;
+  }
+
+  describeSignificance(root, driverPath) {
+    if (root.significance && root.significance.significant === false) {
+      return `The portfolio change is within sampling noise at ${root.significance.confidenceLevel * 100}% confidence, so treat it with caution.`;
+    }
+
+    const driver = _.last(driverPath);
+    if (driver && driver.significance && driver.significance.significant === false) {
+      return `The impact of ${this.describeSegment(driverPath)} is not statistically significant at ${driver.significance.confidenceLevel * 100}% confidence.`;
+    }
+    return null;
+  }
+}
+
+module.exports = new NarrativeGenerator();
@@ -1,21 +1,32 @@
-// Shared in-memory session storage for upload and analysis endpoints
-// In production, this should be replaced with Redis or database storage
+// Shared session storage for upload and analysis endpoints.
+// The backend is chosen per deployment:
+//   SESSION_STORE=memory (default) - in-process Map, lost on restart
+//   SESSION_STORE=file             - JSON files under SESSION_STORE_DIR, survives restarts
+//   SESSION_TTL_MINUTES            - session lifetime (default 30)
+const os = require('os');
+const path = require('path');
+const { createSessionStore } = require('./sessionStores');
 
-// Session timeout for Vercel deployment (30 minutes)
-const SESSION_TIMEOUT = 30 * 60 * 1000;
+const DEFAULT_TTL_MINUTES = 30;
+const SWEEP_INTERVAL = 5 * 60 * 1000;
 
 class SessionStorage {
-  constructor() {
-    this.sessions = new Map();
-    
-    // Auto-cleanup old sessions for memory management in serverless
-    setInterval(() => {
-      this.clearExpiredSessions(0.5); // Clear sessions older than 30 minutes
-    }, 5 * 60 * 1000); // Check every 5 minutes
+  constructor(config = {}) {
+    this.ttlMinutes = config.ttlMinutes || DEFAULT_TTL_MINUTES;
+    this.storeType = config.storeType || 'memory';
+    this.store = createSessionStore(this.storeType, { directory: config.directory });
+    console.log(`🗄️ Session store: ${this.storeType} (TTL ${this.ttlMinutes} minutes)`);
+
+    // Auto-cleanup expired sessions; unref so the timer never keeps the process alive
+    const sweepInterval = Math.min(SWEEP_INTERVAL, this.ttlMinutes * 60 * 1000);
+    this.sweepTimer = setInterval(() => {
+      this.clearExpiredSessions(this.ttlMinutes / 60);
+    }, sweepInterval);
+    if (this.sweepTimer.unref) this.sweepTimer.unref();
   }
 
   createSession(sessionId, data) {
-    this.sessions.set(sessionId, {
+    this.store.create(sessionId, {
       data,
       timestamp: new Date().toISOString(),
       analyses: {}
@@ -24,42 +35,62 @@ class SessionStorage {
     return sessionId;
   }
 
+  /**
+   * Get a session record. Expired sessions are treated as missing even if the
+   * sweep has not removed them yet.
+   */
   getSession(sessionId) {
-    return this.sessions.get(sessionId);
+    if (!this.hasSession(sessionId)) return undefined;
+    return this.store.get(sessionId) || undefined;
   }
 
   hasSession(sessionId) {
-    return this.sessions.has(sessionId);
+    if (!sessionId || !this.store.has(sessionId)) return false;
+    return !this.isExpired(this.store.getTimestamp(sessionId));
   }
 
   updateSession(sessionId, updates) {
-    const session = this.sessions.get(sessionId);
+    const session = this.getSession(sessionId);
     if (session) {
       Object.assign(session, updates);
+      this.store.update(sessionId, session);
       return session;
     }
     return null;
   }
 
+  /**
+   * Store an analysis result against a session
+   * @returns {boolean} False if the session does not exist
+   */
+  saveAnalysis(sessionId, analysisId, analysis) {
+    if (!this.hasSession(sessionId)) return false;
+    return this.store.saveAnalysis(sessionId, analysisId, analysis);
+  }
+
   deleteSession(sessionId) {
-    return this.sessions.delete(sessionId);
+    return this.store.delete(sessionId);
   }
 
   getAllSessionIds() {
-    return Array.from(this.sessions.keys());
+    return this.store.keys();
   }
 
   getSessionCount() {
-    return this.sessions.size;
+    return this.store.count();
+  }
+
+  isExpired(timestamp, maxAgeHours = this.ttlMinutes / 60) {
+    if (!timestamp) return true;
+    return new Date(timestamp) < new Date(Date.now() - maxAgeHours * 60 * 60 * 1000);
   }
 
   clearExpiredSessions(maxAgeHours = 24) {
-    const cutoffTime = new Date(Date.now() - maxAgeHours * 60 * 60 * 1000);
     let deleted = 0;
 
-    for (const [sessionId, session] of this.sessions.entries()) {
-      if (new Date(session.timestamp) < cutoffTime) {
-        this.sessions.delete(sessionId);
+    for (const sessionId of this.store.keys()) {
+      if (this.isExpired(this.store.getTimestamp(sessionId), maxAgeHours)) {
+        this.store.delete(sessionId);
         deleted++;
       }
     }
@@ -72,5 +103,9 @@ class SessionStorage {
   }
 }
 
-// Export singleton instance
-module.exports = new SessionStorage();
+// Export singleton instance configured from the environment
+module.exports = new SessionStorage({
+  storeType: process.env.SESSION_STORE || 'memory',
+  directory: process.env.SESSION_STORE_DIR || path.join(os.tmpdir(), 'roi-analysis-sessions'),
+  ttlMinutes: parseFloat(process.env.SESSION_TTL_MINUTES) || DEFAULT_TTL_MINUTES
+});
@@ -0,0 +1,86 @@
+/**
+ * Interface implemented by every session store backend.
+ *
+ * A session record has the shape { data, timestamp, analyses }, where `analyses`
+ * maps analysisId → stored analysis result. All methods are synchronous so the
+ * routes can use any backend exactly like the original in-memory Map.
+ */
+class BaseSessionStore {
+  /**
+   * Persist a new session record
+   * @param {string} sessionId - Session identifier
+   * @param {Object} record - { data, timestamp, analyses }
+   */
+  create(sessionId, record) {
+    throw new Error(`${this.constructor.name} does not implement create()`);
+  }
+
+  /**
+   * Load a session record
+   * @param {string} sessionId - Session identifier
+   * @returns {Object|null} Session record, or null if it does not exist
+   */
+  get(sessionId) {
+    throw new Error(`${this.constructor.name} does not implement get()`);
+  }
+
+  /**
+   * Check whether a session exists
+   */
+  has(sessionId) {
+    throw new Error(`${this.constructor.name} does not implement has()`);
+  }
+
+  /**
+   * Overwrite an existing session record
+   * @param {string} sessionId - Session identifier
+   * @param {Object} record - Full session record
+   */
+  update(sessionId, record) {
+    throw new Error(`${this.constructor.name} does not implement update()`);
+  }
+
+  /**
+   * Persist a single analysis result for a session
+   * @param {string} sessionId - Session identifier
+   * @param {string} analysisId - Analysis identifier
+   * @param {Object} analysis - Analysis result
+   */
+  saveAnalysis(sessionId, analysisId, analysis) {
+    throw new Error(`${this.constructor.name} does not implement saveAnalysis()`);
+  }
+
+  /**
+   * Remove a session and its analyses
+   * @returns {boolean} Whether a session was deleted
+   */
+  delete(sessionId) {
+    throw new Error(`${this.constructor.name} does not implement delete()`);
+  }
+
+  /**
+   * List all stored session IDs
+   * @returns {Array<string>} Session IDs
+   */
+  keys() {
+    throw new Error(`${this.constructor.name} does not implement keys()`);
+  }
+
+  /**
+   * Creation timestamp of a session, used for expiry without loading its data
+   * @returns {string|null} ISO timestamp
+   */
+  getTimestamp(sessionId) {
+    const record = this.get(sessionId);
+    return record ? record.timestamp : null;
+  }
+
+  /**
+   * Number of stored sessions
+   */
+  count() {
+    return this.keys().length;
+  }
+}
+
+module.exports = BaseSessionStore;
@@ -0,0 +1,274 @@
+const path = require('path');
+const fs = require('fs-extra');
+const BaseSessionStore = require('./baseSessionStore');
+
+// Session and analysis IDs become path segments, so only allow safe characters
+const SAFE_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Parsed files kept in memory; data files hold every uploaded row, so keep this small
+const MAX_CACHED_FILES = 50;
+
+// Placeholder left in data.json where an array of records was moved to `datasets`
+const DATASET_REF = '$dataset';
+
+const isRecordArray = value =>
+  Array.isArray(value) && value.length > 0 && value[0] !== null && typeof value[0] === 'object' && !Array.isArray(value[0]);
+
+/**
+ * Durable session store backed by a local directory:
+ *
+ *   <directory>/<sessionId>/meta.json                  { timestamp }
+ *   <directory>/<sessionId>/data.json                  processed upload data, { data, datasets }
+ *   <directory>/<sessionId>/analyses/<analysisId>.json one file per analysis
+ *
+ * Sessions survive restarts and can be shared by several instances pointing at
+ * the same directory. Files are written to a temp file and renamed into place so
+ * readers never see a partially written session.
+ *
+ * Arrays of records that several fields share (e.g. a period pair picked from a
+ * list of periods) are written once to `datasets` and referenced by index. Parsed files
+ * are cached until they change on disk, and analyses are only read when accessed.
+ */
+class FileSessionStore extends BaseSessionStore {
+  /**
+   * @param {Object} options - { directory }
+   */
+  constructor({ directory }) {
+    super();
+    this.directory = directory;
+    this.cache = new Map();
+    fs.ensureDirSync(this.directory);
+  }
+
+  isValidId(id) {
+    return typeof id === 'string' && SAFE_ID_PATTERN.test(id);
+  }
+
+  getSessionDir(sessionId) {
+    if (!this.isValidId(sessionId)) {
+      throw new Error(`Invalid session ID "${sessionId}"`);
+    }
+    return path.join(this.directory, sessionId);
+  }
+
+  writeJsonAtomic(filePath, value, contents = JSON.stringify(value)) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, contents);
+    fs.renameSync(tempPath, filePath);
+    this.remember(filePath, value);
+  }
+
+  readJson(filePath) {
+    try {
+      return fs.readJsonSync(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Identifies one version of a file; a rename always brings a new inode
+   */
+  getVersion(filePath) {
+    try {
+      const { ino, mtimeMs, size } = fs.statSync(filePath);
+      return `${ino}:${mtimeMs}:${size}`;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  remember(filePath, value, version = this.getVersion(filePath)) {
+    this.cache.delete(filePath);
+    if (version === null) return;
+
+    this.cache.set(filePath, { version, value });
+    if (this.cache.size > MAX_CACHED_FILES) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  /**
+   * Read a JSON file through the cache, re-parsing only when another write
+   * (from this or another instance) has replaced it
+   */
+  readJsonCached(filePath, parse = value => value) {
+    const version = this.getVersion(filePath);
+    if (version === null) {
+      this.cache.delete(filePath);
+      return null;
+    }
+
+    const cached = this.cache.get(filePath);
+    if (cached && cached.version === version) {
+      // Re-insert so the least recently used file is evicted first
+      this.cache.delete(filePath);
+      this.cache.set(filePath, cached);
+      return cached.value;
+    }
+
+    const stored = this.readJson(filePath);
+    if (stored === null) return null;
+    const value = parse(stored);
+    this.remember(filePath, value, version);
+    return value;
+  }
+
+  /**
+   * Serialize session data with each array of records written once, however
+   * many fields refer to it
+   * @returns {string} JSON of the shape { data, datasets }
+   */
+  packData(data) {
+    const datasets = [];
+    const ids = new Map();
+    const replacer = (key, value) => {
+      if (key === '' || !isRecordArray(value)) return value;
+      if (!ids.has(value)) {
+        ids.set(value, datasets.length);
+        datasets.push(value);
+      }
+      return { [DATASET_REF]: ids.get(value) };
+    };
+
+    const skeleton = JSON.stringify(data, replacer);
+    // Datasets can refer to further datasets (periods → their rows), so the list grows while it is written
+    const written = [];
+    for (let index = 0; index < datasets.length; index++) {
+      written.push(JSON.stringify(datasets[index], replacer));
+    }
+    return `{"data":${skeleton === undefined ? 'null' : skeleton},"datasets":[${written.join(',')}]}`;
+  }
+
+  /**
+   * Rebuild session data from packData output. Fields that shared an array
+   * share it again after loading.
+   */
+  unpackData({ data, datasets }) {
+    const resolved = new Set();
+    const resolve = value => {
+      if (value === null || typeof value !== 'object') return value;
+      if (typeof value[DATASET_REF] === 'number') {
+        const index = value[DATASET_REF];
+        if (!resolved.has(index)) {
+          resolved.add(index);
+          resolveChildren(datasets[index]);
+        }
+        return datasets[index];
+      }
+      resolveChildren(value);
+      return value;
+    };
+    const resolveChildren = value => {
+      Object.keys(value).forEach(key => {
+        const child = value[key];
+        if (child !== null && typeof child === 'object') value[key] = resolve(child);
+      });
+    };
+
+    return resolve(data);
+  }
+
+  /**
+   * Analyses keyed by ID whose files are only read when a key is accessed
+   */
+  loadAnalyses(sessionDir) {
+    const analyses = {};
+    const analysesDir = path.join(sessionDir, 'analyses');
+    if (!fs.existsSync(analysesDir)) return analyses;
+
+    fs.readdirSync(analysesDir)
+      .filter(file => file.endsWith('.json'))
+      .forEach(file => {
+        const analysisId = path.basename(file, '.json');
+        Object.defineProperty(analyses, analysisId, {
+          enumerable: true,
+          configurable: true,
+          get: () => this.readJsonCached(path.join(analysesDir, file)),
+          set: value => {
+            Object.defineProperty(analyses, analysisId, { value, enumerable: true, configurable: true, writable: true });
+          }
+        });
+      });
+    return analyses;
+  }
+
+  create(sessionId, record) {
+    const sessionDir = this.getSessionDir(sessionId);
+    fs.ensureDirSync(path.join(sessionDir, 'analyses'));
+    this.update(sessionId, record);
+  }
+
+  get(sessionId) {
+    if (!this.isValidId(sessionId)) return null;
+
+    const sessionDir = this.getSessionDir(sessionId);
+    const meta = this.readJson(path.join(sessionDir, 'meta.json'));
+    if (!meta) return null;
+
+    return {
+      ...meta,
+      data: this.readJsonCached(path.join(sessionDir, 'data.json'), stored => this.unpackData(stored)),
+      analyses: this.loadAnalyses(sessionDir)
+    };
+  }
+
+  has(sessionId) {
+    return this.isValidId(sessionId) && fs.existsSync(path.join(this.getSessionDir(sessionId), 'meta.json'));
+  }
+
+  update(sessionId, record) {
+    const sessionDir = this.getSessionDir(sessionId);
+    const { data, analyses = {}, ...meta } = record;
+
+    fs.ensureDirSync(path.join(sessionDir, 'analyses'));
+    this.writeJsonAtomic(path.join(sessionDir, 'data.json'), data, this.packData(data));
+    Object.keys(analyses).forEach(analysisId => {
+      // Analyses loaded by get() that were not replaced are already on disk
+      if (Object.getOwnPropertyDescriptor(analyses, analysisId).get) return;
+      this.saveAnalysis(sessionId, analysisId, analyses[analysisId]);
+    });
+    // Meta is written last: a session only "exists" once its data is on disk
+    this.writeJsonAtomic(path.join(sessionDir, 'meta.json'), meta);
+  }
+
+  saveAnalysis(sessionId, analysisId, analysis) {
+    if (!this.isValidId(analysisId)) {
+      throw new Error(`Invalid analysis ID "${analysisId}"`);
+    }
+
+    const analysesDir = path.join(this.getSessionDir(sessionId), 'analyses');
+    if (!fs.existsSync(analysesDir)) return false;
+
+    this.writeJsonAtomic(path.join(analysesDir, `${analysisId}.json`), analysis);
+    return true;
+  }
+
+  delete(sessionId) {
+    if (!this.has(sessionId)) return false;
+    const sessionDir = this.getSessionDir(sessionId);
+    fs.removeSync(sessionDir);
+    [...this.cache.keys()]
+      .filter(filePath => filePath.startsWith(`${sessionDir}${path.sep}`))
+      .forEach(filePath => this.cache.delete(filePath));
+    return true;
+  }
+
+  keys() {
+    if (!fs.existsSync(this.directory)) return [];
+
+    return fs.readdirSync(this.directory).filter(entry =>
+      this.isValidId(entry) && fs.existsSync(path.join(this.directory, entry, 'meta.json'))
+    );
+  }
+
+  getTimestamp(sessionId) {
+    if (!this.isValidId(sessionId)) return null;
+    const meta = this.readJson(path.join(this.getSessionDir(sessionId), 'meta.json'));
+    return meta ? meta.timestamp : null;
+  }
+}
+
+module.exports = FileSessionStore;
@@ -0,0 +1,23 @@
+const MemorySessionStore = require('./memorySessionStore');
+const FileSessionStore = require('./fileSessionStore');
+
+const STORE_TYPES = {
+  memory: MemorySessionStore,
+  file: FileSessionStore
+};
+
+/**
+ * Create a session store backend by name
+ * @param {string} type - 'memory' or 'file'
+ * @param {Object} options - Backend options (e.g. { directory } for the file store)
+ * @returns {BaseSessionStore} Store instance
+ */
+function createSessionStore(type = 'memory', options = {}) {
+  const Store = STORE_TYPES[type];
+  if (!Store) {
+    throw new Error(`Unknown session store "${type}". Expected one of: ${Object.keys(STORE_TYPES).join(', ')}`);
+  }
+  return new Store(options);
+}
+
+module.exports = { createSessionStore, STORE_TYPES };
@@ -0,0 +1,54 @@
+const BaseSessionStore = require('./baseSessionStore');
+
+/**
+ * In-process session store. Fast, but sessions are lost on restart and are
+ * not shared between serverless instances.
+ */
+class MemorySessionStore extends BaseSessionStore {
+  constructor() {
+    super();
+    this.sessions = new Map();
+  }
+
+  create(sessionId, record) {
+    this.sessions.set(sessionId, record);
+  }
+
+  get(sessionId) {
+    return this.sessions.get(sessionId) || null;
+  }
+
+  has(sessionId) {
+    return this.sessions.has(sessionId);
+  }
+
+  update(sessionId, record) {
+    this.sessions.set(sessionId, record);
+  }
+
+  saveAnalysis(sessionId, analysisId, analysis) {
+    const record = this.sessions.get(sessionId);
+    if (!record) return false;
+    record.analyses[analysisId] = analysis;
+    return true;
+  }
+
+  delete(sessionId) {
+    return this.sessions.delete(sessionId);
+  }
+
+  keys() {
+    return Array.from(this.sessions.keys());
+  }
+
+  getTimestamp(sessionId) {
+    const record = this.sessions.get(sessionId);
+    return record ? record.timestamp : null;
+  }
+
+  count() {
+    return this.sessions.size;
+  }
+}
+
+module.exports = MemorySessionStore;
@@ -0,0 +1,260 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Alert,
+  Chip,
+  CircularProgress,
+  Grid,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import { CompareArrows as CompareIcon } from '@mui/icons-material';
+import { snakeToTitle } from '../utils/helpers';
+
+const SIDES = [
+  { key: 'userPriority', label: 'User-Priority', color: 'primary' },
+  { key: 'autoMaxSplit', label: 'Auto-Max Split', color: 'secondary' }
+];
+
+const formatImpact = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(1)}`;
+const formatPct = (value) => value === null || value === undefined ? '—' : `${value.toFixed(0)}%`;
+
+// One tree's view of a segment: its impact and depth, or a dash when that tree never isolates it
+const SegmentImpactCell = ({ side }) => (
+  <TableCell align="right">
+    {side ? (
+      <>
+        {formatImpact(side.totalImpactBps)}
+        <Typography component="span" variant="caption" color="text.secondary">{` @${side.depth}`}</Typography>
+      </>
+    ) : (
+      <Typography component="span" variant="caption" color="text.secondary">not isolated</Typography>
+    )}
+  </TableCell>
+);
+
+const AnalysisComparison = ({
+  canCompare = false,
+  onRun,
+  loading = false,
+  results = null
+}) => {
+  const comparison = results?.comparison;
+  const unit = results?.metric?.unit || 'bps';
+
+  // Both trees' levels side by side, one row per depth
+  const depthRows = comparison
+    ? Array.from({
+        length: Math.max(comparison.explainedByDepth.userPriority.length, comparison.explainedByDepth.autoMaxSplit.length)
+      }, (_, index) => ({
+        depth: index + 1,
+        userPriority: comparison.explainedByDepth.userPriority[index],
+        autoMaxSplit: comparison.explainedByDepth.autoMaxSplit[index]
+      }))
+    : [];
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2, flexWrap: 'wrap' }}>
+        <Button
+          variant="contained"
+          size="small"
+          startIcon={loading ? <CircularProgress size={14} /> : <CompareIcon fontSize="small" />}
+          onClick={onRun}
+          disabled={loading || !canCompare}
+          sx={{ textTransform: 'none', height: 32 }}
+        >
+          {loading ? 'Comparing...' : 'Compare Trees'}
+        </Button>
+        {results?.metric?.label && (
+          <Typography variant="body2" color="text.secondary">
+            {results.metric.label}
+            {results.periods?.previous && results.periods?.current ? ` (${results.periods.previous} → ${results.periods.current})` : ''}
+          </Typography>
+        )}
+      </Box>
+
+      {!comparison && (
+        <Alert severity="info">
+          <Typography variant="body2">
+            <strong>Compare:</strong> Matches the segments of the User-Priority and Auto-Max Split trees, whatever
+            order they were split in, to show which drivers both agree on, where their impacts differ and which
+            factors your order leaves out.
+            {!canCompare && ' Run both analyses with the same metric and periods first.'}
+          </Typography>
+        </Alert>
+      )}
+
+      {comparison && (
+        <Box>
+          <Grid container spacing={2} sx={{ mb: 3 }}>
+            {SIDES.map(({ key, label, color }) => {
+              const summary = comparison.summary[key];
+              const factors = key === 'userPriority' ? summary.factorOrder : summary.topFeatures;
+              return (
+                <Grid item xs={12} md={6} key={key}>
+                  <Paper elevation={0} sx={{ p: 2, bgcolor: `${color}.light`, borderRadius: 1 }}>
+                    <Typography variant="subtitle1" sx={{ fontWeight: 600, color: `${color}.dark` }}>
+                      {label}
+                    </Typography>
+                    <Typography variant="body2" color={`${color}.dark`}>
+                      Nodes: {summary.totalNodes} | Depth: {summary.maxDepth} | Change: {formatImpact(summary.totalChangeBps)} {unit}
+                      {summary.decomposition ? ` | ${summary.decomposition.method}, ${summary.decomposition.mixBasis} mix` : ''}
+                    </Typography>
+                    <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap', mt: 1 }}>
+                      {factors.map((factor, index) => (
+                        <Chip
+                          key={factor}
+                          size="small"
+                          label={key === 'userPriority' ? `${index + 1}. ${snakeToTitle(factor)}` : snakeToTitle(factor)}
+                          sx={{ bgcolor: 'background.paper' }}
+                        />
+                      ))}
+                    </Box>
+                  </Paper>
+                </Grid>
+              );
+            })}
+          </Grid>
+
+          <Typography variant="subtitle1" sx={{ fontWeight: 600, mb: 1 }}>
+            Drivers both trees agree on
+          </Typography>
+          {comparison.sharedTopDrivers.length > 0 ? (
+            <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 3 }}>
+              {comparison.sharedTopDrivers.map(driver => (
+                <Chip
+                  key={driver.label}
+                  color="success"
+                  variant="outlined"
+                  label={`${driver.label}: ${formatImpact(driver.userPriority.totalImpactBps)} ${unit}`}
+                />
+              ))}
+            </Box>
+          ) : (
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+              None of the top {comparison.topN} segments of one tree are among the top {comparison.topN} of the other.
+            </Typography>
+          )}
+
+          <Typography variant="subtitle1" sx={{ fontWeight: 600, mb: 1 }}>
+            Top segments by tree ({unit}, @depth)
+          </Typography>
+          <TableContainer component={Paper} elevation={0} sx={{ bgcolor: 'grey.50', mb: 3 }}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell><strong>Segment</strong></TableCell>
+                  <TableCell align="right"><strong>User-Priority</strong></TableCell>
+                  <TableCell align="right"><strong>Auto-Max Split</strong></TableCell>
+                  <TableCell align="right"><strong>Difference</strong></TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {comparison.segmentDifferences.map(segment => (
+                  <TableRow key={segment.label}>
+                    <TableCell>{segment.label}</TableCell>
+                    <SegmentImpactCell side={segment.userPriority} />
+                    <SegmentImpactCell side={segment.autoMaxSplit} />
+                    <TableCell align="right">
+                      {segment.differenceBps === null ? '—' : formatImpact(segment.differenceBps)}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+
+          <Typography variant="subtitle1" sx={{ fontWeight: 600, mb: 1 }}>
+            Change explained by depth
+          </Typography>
+          <TableContainer component={Paper} elevation={0} sx={{ bgcolor: 'grey.50', mb: 1 }}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell><strong>Depth</strong></TableCell>
+                  {SIDES.map(({ key, label }) => (
+                    <React.Fragment key={key}>
+                      <TableCell align="right"><strong>{label} Segments</strong></TableCell>
+                      <TableCell align="right"><strong>Explained</strong></TableCell>
+                      <TableCell align="right"><strong>Largest Share</strong></TableCell>
+                    </React.Fragment>
+                  ))}
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {depthRows.map(row => (
+                  <TableRow key={row.depth}>
+                    <TableCell>{row.depth}</TableCell>
+                    {SIDES.map(({ key }) => (
+                      <React.Fragment key={key}>
+                        <TableCell align="right">{row[key] ? row[key].segments : '—'}</TableCell>
+                        <TableCell align="right">{row[key] ? formatPct(row[key].explainedPct) : '—'}</TableCell>
+                        <TableCell align="right">{row[key] ? formatPct(row[key].largestSegmentPct) : '—'}</TableCell>
+                      </React.Fragment>
+                    ))}
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+          <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 3 }}>
+            Explained is the sum of the level's segment impacts as a share of the portfolio change; Largest Share is the
+            part of the level's gross impact held by its biggest segment.
+          </Typography>
+
+          {comparison.ignoredFactors.length > 0 && (
+            <>
+              <Typography variant="subtitle1" sx={{ fontWeight: 600, mb: 1 }}>
+                Factors Auto-Max Split chose that your order leaves out
+              </Typography>
+              <TableContainer component={Paper} elevation={0} sx={{ bgcolor: 'grey.50', mb: 3 }}>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell><strong>Factor</strong></TableCell>
+                      <TableCell align="right"><strong>First Depth</strong></TableCell>
+                      <TableCell align="right"><strong>Nodes</strong></TableCell>
+                      <TableCell align="right"><strong>Importance</strong></TableCell>
+                      <TableCell><strong>Strongest Segment</strong></TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {comparison.ignoredFactors.map(factor => (
+                      <TableRow key={factor.factor}>
+                        <TableCell>{snakeToTitle(factor.factor)}</TableCell>
+                        <TableCell align="right">{factor.firstDepth}</TableCell>
+                        <TableCell align="right">{factor.nodeCount}</TableCell>
+                        <TableCell align="right">{factor.importance === null ? '—' : `${(factor.importance * 100).toFixed(1)}%`}</TableCell>
+                        <TableCell>
+                          {factor.strongestSegment.label} ({formatImpact(factor.strongestSegment.totalImpactBps)} {unit})
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            </>
+          )}
+
+          <Alert severity="success">
+            {comparison.recommendations.map(recommendation => (
+              <Typography key={recommendation} variant="body2" sx={{ mb: 0.5 }}>
+                {recommendation}
+              </Typography>
+            ))}
+          </Alert>
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default AnalysisComparison;
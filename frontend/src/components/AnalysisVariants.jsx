@@ -24,7 +24,13 @@ import {
   LinearProgress,
   FormControlLabel,
   Switch,
-  Tooltip
+  Tooltip,
+  IconButton,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  TextField
 } from '@mui/material';
 import {
   Person as PersonIcon,
@@ -35,72 +41,242 @@ import {
   Assessment as AssessmentIcon,
   ExpandLess as ExpandLessIcon,
   Info as InfoIcon,
-  Analytics as AnalyticsIcon
+  Analytics as AnalyticsIcon,
+  ShowChart as TrendIcon,
+  CompareArrows as CompareIcon,
+  Balance as AttributionIcon,
+  Notes as NotesIcon,
+  ContentCopy as CopyIcon
 } from '@mui/icons-material';
 import DecisionTreeVisualizationV2 from './DecisionTreeVisualizationV2';
+import TrendAnalysis from './TrendAnalysis';
+import AnalysisComparison from './AnalysisComparison';
+import FactorAttribution from './FactorAttribution';
+import BridgeChart from './BridgeChart';
 import { formatROIChange, formatNumber, snakeToTitle } from '../utils/helpers';
 
+const DECOMPOSITION_OPTIONS = [
+  { value: 'two-way', label: 'Yield / Mix', description: 'ΔRate × prev weight and prev rate × Δweight; the cross term is dropped' },
+  { value: 'three-way', label: 'Yield / Mix / Interaction', description: 'Adds ΔRate × Δweight as a separate interaction impact' },
+  { value: 'midpoint', label: 'Midpoint (Shapley)', description: 'Symmetric split using the average of both periods' }
+];
+
+const MIX_BASIS_OPTIONS = [
+  { value: 'absolute', label: 'Absolute rate', description: 'Mix impact = segment rate × Δweight' },
+  { value: 'parent-relative', label: 'Relative to parent', description: 'Mix impact = (segment rate − parent rate) × Δweight' }
+];
+
+const NUMERIC_BRANCH_OPTIONS = [2, 3, 4, 5];
+
+// Width of the interval shown for each node's impact; nodes whose interval spans zero are not significant
+const CONFIDENCE_LEVEL_OPTIONS = [0.8, 0.9, 0.95, 0.99];
+
+// Auto-Max Split stops splitting a node once any of these rules applies
+const STOPPING_RULE_FIELDS = [
+  { key: 'maxDepth', label: 'Max Depth', min: 1, max: 8, step: 1 },
+  { key: 'minRows', label: 'Min Rows', min: 1, step: 1, helper: 'per period' },
+  { key: 'minAmountPct', label: 'Min % of Amount', min: 0, max: 100, step: 0.5 },
+  { key: 'minImpactBps', label: 'Min |Impact| (bps)', min: 0, step: 1 },
+  { key: 'maxBranches', label: 'Max Branches', min: 2, step: 1, helper: 'blank = no limit' }
+];
+
+const DEFAULT_STOPPING_RULES = { maxDepth: 4, minRows: 10, minAmountPct: 0, minImpactBps: 0, maxBranches: '' };
+
+// Children of a split collapse into one "Other" node when below any of these thresholds
+const GROUPING_FIELDS = [
+  { key: 'otherMinAmountPct', label: 'Min % of Parent', min: 0, max: 100, step: 0.5 },
+  { key: 'otherMinRows', label: 'Min Rows', min: 0, step: 1 },
+  { key: 'otherTopK', label: 'Keep Top K', min: 1, step: 1 }
+];
+
+const STOP_REASON_LABELS = {
+  maxDepth: 'Max depth reached',
+  minRows: 'Too few rows',
+  minAmountPct: 'Below min % of amount',
+  minImpactBps: 'Below min impact',
+  maxBranches: 'Too many branches',
+  noSplit: 'No further split'
+};
+
+const TREND_TAB = 2;
+const COMPARE_TAB = 3;
+const ATTRIBUTION_TAB = 4;
+
+// Never offered as range splits: the rate itself and loan identifiers
+const NON_SPLIT_COLUMNS = ['roi', 'application_id'];
+
 const AnalysisVariants = ({
+  sessionId,
   onVariant1Analysis,
   onVariant2Analysis,
   variant1Loading,
   variant2Loading,
   analysisResults,
   availableFactors = [],
-  factorOrder = []
+  numericFactors = [],
+  factorOrder = [],
+  targetVariable = 'roi',
+  periods = [],
+  onTrendAnalysis,
+  trendLoading = false,
+  trendResults = null,
+  onCompare,
+  compareLoading = false,
+  comparisonResults = null,
+  onAttribution,
+  attributionLoading = false,
+  attributionResults = null
 }) => {
   const [selectedTab, setSelectedTab] = useState(0);
   const [fullScreenTree, setFullScreenTree] = useState(false);
   const [variant1Config, setVariant1Config] = useState({
     factorOrder: factorOrder,
-    targetVariable: 'roi'
+    targetVariable
   });
 
-  // Update variant1Config when factorOrder changes
+  // Update variant1Config when factorOrder or target changes
   useEffect(() => {
     setVariant1Config(prev => ({
       ...prev,
-      factorOrder: factorOrder
+      factorOrder: factorOrder,
+      targetVariable
     }));
-  }, [factorOrder]);
+  }, [factorOrder, targetVariable]);
 
+  // Numeric columns Auto-Max Split may split into ranges; none until the user picks them
+  const numericSplitOptions = numericFactors.filter(column => ![...NON_SPLIT_COLUMNS, targetVariable].includes(column));
   const [variant2Config, setVariant2Config] = useState({
-    targetVariable: 'roi'
+    targetVariable,
+    numericFactors: [],
+    maxNumericBranches: 3,
+    mergeCategories: false,
+    stoppingRules: DEFAULT_STOPPING_RULES
   });
 
+  useEffect(() => {
+    setVariant2Config(prev => ({
+      ...prev,
+      targetVariable,
+      numericFactors: prev.numericFactors.filter(column => numericSplitOptions.includes(column))
+    }));
+  }, [targetVariable, numericSplitOptions.join('|')]);
+
+  // Options shared by both variants
+  const [analysisOptions, setAnalysisOptions] = useState({
+    decompositionMethod: 'two-way',
+    mixBasis: 'absolute',
+    confidenceLevel: 0.95,
+    otherMinAmountPct: '',
+    otherMinRows: '',
+    otherTopK: ''
+  });
+
+  // With more than two periods any pair can be compared; defaults to the latest two
+  const hasMultiplePeriods = periods.length > 2;
+  const [periodPair, setPeriodPair] = useState({
+    previousPeriod: periods[periods.length - 2] || '',
+    currentPeriod: periods[periods.length - 1] || ''
+  });
+
+  useEffect(() => {
+    setPeriodPair({
+      previousPeriod: periods[periods.length - 2] || '',
+      currentPeriod: periods[periods.length - 1] || ''
+    });
+  }, [periods.join('|')]);
+
+  const runOptions = hasMultiplePeriods ? { ...analysisOptions, ...periodPair } : analysisOptions;
+
+  const isTreeTab = selectedTab !== TREND_TAB && selectedTab !== COMPARE_TAB && selectedTab !== ATTRIBUTION_TAB;
+
   const handleTabChange = (event, newValue) => {
     setSelectedTab(newValue);
   };
 
   const handleVariant1Run = () => {
-    onVariant1Analysis(variant1Config.factorOrder, variant1Config.targetVariable);
+    onVariant1Analysis(variant1Config.factorOrder, variant1Config.targetVariable, runOptions);
   };
 
   const handleVariant2Run = () => {
-    onVariant2Analysis(variant2Config.targetVariable, factorOrder);
+    onVariant2Analysis(variant2Config.targetVariable, factorOrder, {
+      ...runOptions,
+      numericFactors: variant2Config.numericFactors,
+      maxNumericBranches: variant2Config.maxNumericBranches,
+      mergeCategories: variant2Config.mergeCategories,
+      ...variant2Config.stoppingRules
+    });
+  };
+
+  const handleTrendRun = ({ factor, comparison }) => {
+    onTrendAnalysis(factor, comparison, variant1Config.targetVariable, analysisOptions);
+  };
+
+  // Attribution uses the User-Priority factors and period pair; decomposition settings do not apply to it
+  const handleAttributionRun = (factors) => {
+    onAttribution(factors, variant1Config.targetVariable, hasMultiplePeriods ? periodPair : {});
   };
 
   const renderAnalysisResults = (results, analysisType) => {
     if (!results) return null;
 
     const { tree, metadata, insights, tableData } = results;
+    // Impacts are in basis points for rate metrics and in the target's own units otherwise
+    const impactUnit = results.metric?.unit === 'units' ? '' : ' bps';
 
     return (
       <Box sx={{ mt: 3 }}>
         {/* Decision Tree Visualization - Moved to top for prominence */}
         <Box sx={{ mb: 4 }}>
           <Typography variant="h6" sx={{ mb: 2, fontWeight: 600 }}>
-            Decision Tree Visualization
+            Decision Tree Visualization{results.metric?.label ? ` — ${results.metric.label}` : ''}
+            {results.periods?.previous && results.periods?.current ? ` (${results.periods.previous} → ${results.periods.current})` : ''}
           </Typography>
+          {metadata?.significance && (
+            <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 1, mt: -1 }}>
+              {`${metadata.significance.insignificantNodes} of ${metadata.significance.checkedNodes} nodes are not significant at ${metadata.significance.confidenceLevel * 100}% confidence (their impact interval includes zero).`}
+            </Typography>
+          )}
           
           <DecisionTreeVisualizationV2 
             treeData={tree} 
             analysisType={analysisType}
+            metric={results.metric}
+            decomposition={results.decomposition}
             fullScreen={fullScreenTree}
             onFullScreenToggle={() => setFullScreenTree(!fullScreenTree)}
           />
         </Box>
 
+        {/* Commentary generated from the tree, ready for the monthly pack */}
+        {results.narrative?.sentences?.length > 0 && (
+          <Card sx={{ mb: 3, bgcolor: '#f8fafb', border: '1px solid #e0e7ff' }}>
+            <CardContent>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+                <NotesIcon sx={{ color: 'primary.main' }} />
+                <Typography variant="h6" sx={{ fontWeight: 600, flexGrow: 1 }}>
+                  Commentary
+                </Typography>
+                <Tooltip title="Copy commentary">
+                  <IconButton size="small" onClick={() => navigator.clipboard?.writeText(results.narrative.text)}>
+                    <CopyIcon fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+              </Box>
+              {results.narrative.sentences.map((sentence, index) => (
+                <Typography
+                  key={index}
+                  variant="body2"
+                  sx={{ mb: 0.5, fontWeight: index === 0 ? 600 : 400 }}
+                >
+                  {sentence}
+                </Typography>
+              ))}
+            </CardContent>
+          </Card>
+        )}
+
+        <BridgeChart sessionId={sessionId} analysisId={results.analysisId} metric={results.metric} />
+
         {/* Algorithm Insights (for Variant 2) */}
         {results.featureImportance && (
           <Card sx={{ mb: 3, bgcolor: '#f8fafb', border: '1px solid #e0e7ff' }}>
@@ -174,6 +350,23 @@ const AnalysisVariants = ({
                 
                 return (
                   <>
+                    {/* Why branches stopped growing */}
+                    {metadata?.leafStops && (
+                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2, flexWrap: 'wrap' }}>
+                        <Typography variant="caption" color="text.secondary">
+                          Leaves stopped by:
+                        </Typography>
+                        {Object.entries(metadata.leafStops.byRule).map(([rule, count]) => (
+                          <Chip
+                            key={rule}
+                            size="small"
+                            variant="outlined"
+                            label={`${STOP_REASON_LABELS[rule] || rule}: ${count}`}
+                          />
+                        ))}
+                      </Box>
+                    )}
+
                     {/* Quick Stats Bar */}
                     <Grid container spacing={2} sx={{ mb: 3 }}>
                       <Grid item xs={6} md={3}>
@@ -239,7 +432,8 @@ const AnalysisVariants = ({
                               The algorithm dynamically selects the best factor at each level of the tree based on which creates 
                               the maximum variance in total impact (yield + distribution). Unlike a fixed hierarchy, it adapts 
                               its choices based on each data segment's characteristics, finding the most impactful splits for 
-                              your specific patterns.
+                              your specific patterns. Numeric columns are split into ranges, with cut points chosen by the same
+                              criterion.
                             </Typography>
                           </Alert>
                         </AccordionDetails>
@@ -285,7 +479,7 @@ const AnalysisVariants = ({
                                         )}
                                       </Typography>
                                       <Typography variant="caption" sx={{ display: 'block', color: 'success.main', mb: 0.5 }}>
-                                        ✓ Selected for {entry.range.toFixed(1)} bps impact range
+                                        ✓ Selected for {entry.range.toFixed(1)}{impactUnit} impact range
                                       </Typography>
                                       {entry.impacts.length <= 5 && (
                                         <Box sx={{ ml: 1, mt: 0.5 }}>
@@ -297,7 +491,7 @@ const AnalysisVariants = ({
                                                   {imp.value}: <strong style={{ 
                                                     color: imp.impact > 0 ? '#16a34a' : '#dc2626'
                                                   }}>
-                                                    {imp.impact > 0 ? '+' : ''}{imp.impact.toFixed(1)} bps
+                                                    {imp.impact > 0 ? '+' : ''}{imp.impact.toFixed(1)}{impactUnit}
                                                   </strong>
                                                 </span>
                                               }
@@ -323,7 +517,7 @@ const AnalysisVariants = ({
                       <Typography variant="body2">
                         <strong>💡 Key Insight:</strong> The algorithm found that splitting by{' '}
                         <strong>{levelAnalysis[1] && snakeToTitle(levelAnalysis[1][0]?.factor)}</strong> at the root level 
-                        created the highest impact variance ({levelAnalysis[1] && levelAnalysis[1][0]?.range.toFixed(1)} bps), 
+                        created the highest impact variance ({levelAnalysis[1] && levelAnalysis[1][0]?.range.toFixed(1)}{impactUnit}), 
                         making it the most important initial split for understanding your ROI changes.
                       </Typography>
                     </Alert>
@@ -368,10 +562,122 @@ const AnalysisVariants = ({
             iconPosition="start"
             sx={{ textTransform: 'none', fontWeight: 500 }}
           />
+          {hasMultiplePeriods && (
+            <Tab 
+              icon={<TrendIcon fontSize="small" />} 
+              label="Trend" 
+              value={TREND_TAB}
+              iconPosition="start"
+              sx={{ textTransform: 'none', fontWeight: 500 }}
+            />
+          )}
+          <Tab 
+            icon={<CompareIcon fontSize="small" />} 
+            label="Compare" 
+            value={COMPARE_TAB}
+            iconPosition="start"
+            sx={{ textTransform: 'none', fontWeight: 500 }}
+          />
+          <Tab 
+            icon={<AttributionIcon fontSize="small" />} 
+            label="Attribution" 
+            value={ATTRIBUTION_TAB}
+            iconPosition="start"
+            sx={{ textTransform: 'none', fontWeight: 500 }}
+          />
         </Tabs>
 
         <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+          {hasMultiplePeriods && (isTreeTab || selectedTab === ATTRIBUTION_TAB) && (
+            <>
+              <FormControl size="small" sx={{ minWidth: 130 }}>
+                <InputLabel>Previous</InputLabel>
+                <Select
+                  value={periodPair.previousPeriod}
+                  label="Previous"
+                  onChange={(e) => setPeriodPair(prev => ({ ...prev, previousPeriod: e.target.value }))}
+                  sx={{ height: 32, fontSize: '0.8125rem' }}
+                >
+                  {periods.map(period => (
+                    <MenuItem key={period} value={period} disabled={period === periodPair.currentPeriod}>
+                      {period}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+
+              <FormControl size="small" sx={{ minWidth: 130 }}>
+                <InputLabel>Current</InputLabel>
+                <Select
+                  value={periodPair.currentPeriod}
+                  label="Current"
+                  onChange={(e) => setPeriodPair(prev => ({ ...prev, currentPeriod: e.target.value }))}
+                  sx={{ height: 32, fontSize: '0.8125rem' }}
+                >
+                  {periods.map(period => (
+                    <MenuItem key={period} value={period} disabled={period === periodPair.previousPeriod}>
+                      {period}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </>
+          )}
+
+          {selectedTab !== COMPARE_TAB && selectedTab !== ATTRIBUTION_TAB && (
+          <>
+          <FormControl size="small" sx={{ minWidth: 180 }}>
+            <InputLabel>Decomposition</InputLabel>
+            <Select
+              value={analysisOptions.decompositionMethod}
+              label="Decomposition"
+              onChange={(e) => setAnalysisOptions(prev => ({ ...prev, decompositionMethod: e.target.value }))}
+              sx={{ height: 32, fontSize: '0.8125rem' }}
+            >
+              {DECOMPOSITION_OPTIONS.map(option => (
+                <MenuItem key={option.value} value={option.value} title={option.description}>
+                  {option.label}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+
+          <FormControl size="small" sx={{ minWidth: 160 }}>
+            <InputLabel>Mix Basis</InputLabel>
+            <Select
+              value={analysisOptions.mixBasis}
+              label="Mix Basis"
+              onChange={(e) => setAnalysisOptions(prev => ({ ...prev, mixBasis: e.target.value }))}
+              sx={{ height: 32, fontSize: '0.8125rem' }}
+            >
+              {MIX_BASIS_OPTIONS.map(option => (
+                <MenuItem key={option.value} value={option.value} title={option.description}>
+                  {option.label}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          </>
+          )}
+
+          {isTreeTab && (
+            <FormControl size="small" sx={{ minWidth: 120 }}>
+              <InputLabel>Confidence</InputLabel>
+              <Select
+                value={analysisOptions.confidenceLevel}
+                label="Confidence"
+                onChange={(e) => setAnalysisOptions(prev => ({ ...prev, confidenceLevel: e.target.value }))}
+                sx={{ height: 32, fontSize: '0.8125rem' }}
+              >
+                {CONFIDENCE_LEVEL_OPTIONS.map(level => (
+                  <MenuItem key={level} value={level}>{`${level * 100}%`}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          )}
+
           {/* Integrated Action Button */}
+          {isTreeTab && (
           <Button
           variant="contained"
           startIcon={
@@ -395,11 +701,56 @@ const AnalysisVariants = ({
         >
           {(selectedTab === 0 ? variant1Loading : variant2Loading) ? 'Running...' : 'Run'}
           </Button>
+          )}
         </Box>
       </Box>
 
+      {isTreeTab && (
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5, mb: 1, mt: 1, flexWrap: 'wrap' }}>
+          <Tooltip title="Collapse small categories into a single Other node. Leave blank to show every category.">
+            <Typography variant="caption" color="text.secondary">
+              Group into "Other":
+            </Typography>
+          </Tooltip>
+          {GROUPING_FIELDS.map(field => (
+            <TextField
+              key={field.key}
+              size="small"
+              type="number"
+              label={field.label}
+              value={analysisOptions[field.key]}
+              onChange={(e) => setAnalysisOptions(prev => ({ ...prev, [field.key]: e.target.value }))}
+              inputProps={{ min: field.min, max: field.max, step: field.step }}
+              sx={{ width: 130 }}
+            />
+          ))}
+        </Box>
+      )}
+
       {/* Compact Analysis Configuration - Hide chips when results are displayed */}
-      {selectedTab === 0 ? (
+      {selectedTab === ATTRIBUTION_TAB ? (
+        <FactorAttribution
+          factors={variant1Config.factorOrder}
+          onRun={handleAttributionRun}
+          loading={attributionLoading}
+          results={attributionResults}
+        />
+      ) : selectedTab === COMPARE_TAB ? (
+        <AnalysisComparison
+          canCompare={Boolean(analysisResults.variant1 && analysisResults.variant2)}
+          onRun={onCompare}
+          loading={compareLoading}
+          results={comparisonResults}
+        />
+      ) : selectedTab === TREND_TAB ? (
+        <TrendAnalysis
+          periods={periods}
+          availableFactors={availableFactors}
+          onRun={handleTrendRun}
+          loading={trendLoading}
+          results={trendResults}
+        />
+      ) : selectedTab === 0 ? (
         !analysisResults.variant1 && (
           <Box sx={{ mb: 3 }}>
             <Alert severity="info" sx={{ mb: 2 }}>
@@ -423,77 +774,112 @@ const AnalysisVariants = ({
           </Box>
         )
       ) : (
-        !analysisResults.variant2 && (
-          <Box sx={{ mb: 3 }}>
-            <Alert severity="info" sx={{ mb: 2 }}>
-              <Typography variant="body2">
-                <strong>Auto-Max Split:</strong> AI-driven analysis using CART algorithm to automatically 
-                select factors that provide maximum variance reduction in ROI changes. Uses total impact variance for optimal factor selection.
-              </Typography>
-            </Alert>
+        <>
+          <Box sx={{ display: 'flex', alignItems: 'flex-start', gap: 1.5, mt: 1, mb: 1, flexWrap: 'wrap' }}>
+            {STOPPING_RULE_FIELDS.map(field => (
+              <TextField
+                key={field.key}
+                size="small"
+                type="number"
+                label={field.label}
+                value={variant2Config.stoppingRules[field.key]}
+                onChange={(e) => setVariant2Config(prev => ({
+                  ...prev,
+                  stoppingRules: { ...prev.stoppingRules, [field.key]: e.target.value }
+                }))}
+                inputProps={{ min: field.min, max: field.max, step: field.step }}
+                helperText={field.helper || ' '}
+                sx={{ width: 150 }}
+              />
+            ))}
+          </Box>
 
-            <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
-              {factorOrder.map((factor) => (
-                <Chip 
-                  key={factor}
-                  label={snakeToTitle(factor)}
-                  variant="outlined"
-                  color="secondary"
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 1, flexWrap: 'wrap' }}>
+            <FormControlLabel
+              control={
+                <Switch
                   size="small"
+                  checked={variant2Config.mergeCategories}
+                  onChange={(e) => setVariant2Config(prev => ({ ...prev, mergeCategories: e.target.checked }))}
                 />
-              ))}
-            </Box>
+              }
+              label={<Typography variant="body2">Merge similar categories</Typography>}
+            />
+            <Typography variant="caption" color="text.secondary" sx={{ maxWidth: 420 }}>
+              Categories that move alike share a branch (e.g. T1 + T2 vs T3 + T4), grouped to maximise total impact variance.
+            </Typography>
           </Box>
-        )
+
+          {numericSplitOptions.length > 0 && (
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2, mt: 1, flexWrap: 'wrap' }}>
+              <FormControl size="small" sx={{ minWidth: 280 }}>
+                <InputLabel shrink>Numeric Range Splits</InputLabel>
+                <Select
+                  multiple
+                  displayEmpty
+                  value={variant2Config.numericFactors}
+                  label="Numeric Range Splits"
+                  notched
+                  onChange={(e) => setVariant2Config(prev => ({ ...prev, numericFactors: e.target.value }))}
+                  renderValue={(selected) => selected.length > 0 ? selected.map(snakeToTitle).join(', ') : 'None'}
+                  sx={{ fontSize: '0.8125rem' }}
+                >
+                  {numericSplitOptions.map(column => (
+                    <MenuItem key={column} value={column}>{snakeToTitle(column)}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+
+              <FormControl size="small" sx={{ minWidth: 130 }}>
+                <InputLabel>Max Ranges</InputLabel>
+                <Select
+                  value={variant2Config.maxNumericBranches}
+                  label="Max Ranges"
+                  disabled={variant2Config.numericFactors.length === 0}
+                  onChange={(e) => setVariant2Config(prev => ({ ...prev, maxNumericBranches: e.target.value }))}
+                  sx={{ fontSize: '0.8125rem' }}
+                >
+                  {NUMERIC_BRANCH_OPTIONS.map(count => (
+                    <MenuItem key={count} value={count}>{count}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+
+              <Typography variant="caption" color="text.secondary" sx={{ maxWidth: 360 }}>
+                Selected numeric columns are split into ranges at the cut points that maximise total impact variance.
+              </Typography>
+            </Box>
+          )}
+
+          {!analysisResults.variant2 && (
+            <Box sx={{ mb: 3 }}>
+              <Alert severity="info" sx={{ mb: 2 }}>
+                <Typography variant="body2">
+                  <strong>Auto-Max Split:</strong> AI-driven analysis using CART algorithm to automatically 
+                  select factors that provide maximum variance reduction in ROI changes. Uses total impact variance for optimal factor selection.
+                </Typography>
+              </Alert>
+
+              <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                {factorOrder.map((factor) => (
+                  <Chip 
+                    key={factor}
+                    label={snakeToTitle(factor)}
+                    variant="outlined"
+                    color="secondary"
+                    size="small"
+                  />
+                ))}
+              </Box>
+            </Box>
+          )}
+        </>
       )}
 
       {/* Analysis Results */}
       {selectedTab === 0 && renderAnalysisResults(analysisResults.variant1, 'user-priority')}
       {selectedTab === 1 && renderAnalysisResults(analysisResults.variant2, 'auto-max-split')}
 
-      {/* Comparison Section */}
-      {analysisResults.variant1 && analysisResults.variant2 && (
-        <Card sx={{ mt: 4 }}>
-          <CardContent>
-            <Typography variant="h6" sx={{ mb: 3, fontWeight: 600 }}>
-              Analysis Comparison
-            </Typography>
-            
-            <Grid container spacing={3}>
-              <Grid item xs={12} md={6}>
-                <Box sx={{ p: 2, bgcolor: 'primary.light', borderRadius: 1 }}>
-                  <Typography variant="h6" sx={{ fontWeight: 600, color: 'primary.dark', mb: 1 }}>
-                    User-Priority Results
-                  </Typography>
-                  <Typography variant="body2" color="primary.dark">
-                    Nodes: {analysisResults.variant1.metadata?.totalNodes || 0} | 
-                    Depth: {analysisResults.variant1.metadata?.maxDepth || 0}
-                  </Typography>
-                </Box>
-              </Grid>
-              
-              <Grid item xs={12} md={6}>
-                <Box sx={{ p: 2, bgcolor: 'secondary.light', borderRadius: 1 }}>
-                  <Typography variant="h6" sx={{ fontWeight: 600, color: 'secondary.dark', mb: 1 }}>
-                    Auto-Max Split Results
-                  </Typography>
-                  <Typography variant="body2" color="secondary.dark">
-                    Nodes: {analysisResults.variant2.metadata?.totalNodes || 0} | 
-                    Depth: {analysisResults.variant2.metadata?.maxDepth || 0}
-                  </Typography>
-                </Box>
-              </Grid>
-            </Grid>
-
-            <Alert severity="success" sx={{ mt: 3 }}>
-              <Typography variant="body2">
-                <strong>Recommendation:</strong> Compare both analyses to validate your assumptions. 
-                Factors appearing as top drivers in both variants have the highest confidence.
-              </Typography>
-            </Alert>
-          </CardContent>
-        </Card>
-      )}
     </Box>
   );
 };
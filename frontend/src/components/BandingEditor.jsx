@@ -0,0 +1,196 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Button,
+  Chip,
+  IconButton,
+  CircularProgress,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  TextField,
+  Tooltip
+} from '@mui/material';
+import {
+  Tune as BandIcon,
+  Close as RemoveIcon,
+  Edit as EditIcon
+} from '@mui/icons-material';
+import { snakeToTitle } from '../utils/helpers';
+
+const METHOD_LABELS = {
+  edges: 'Custom cut points',
+  quantile: 'Quantiles (equal counts)',
+  'equal-width': 'Equal width'
+};
+
+const EMPTY_FORM = { column: '', method: 'edges', edges: '', bins: 4, labels: '' };
+
+const parseList = (text) => text.split(',').map(item => item.trim()).filter(Boolean);
+
+const BandingEditor = ({ banding, onApply, loading = false }) => {
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  useEffect(() => {
+    setForm(EMPTY_FORM);
+  }, [banding]);
+
+  if (!banding) return null;
+
+  const { definitions = {}, bandableColumns = [], methods = Object.keys(METHOD_LABELS) } = banding;
+
+  const edges = parseList(form.edges).map(Number);
+  const labels = parseList(form.labels);
+  const expectedBands = form.method === 'edges' ? edges.length + 1 : Number(form.bins);
+  const invalid = !form.column ||
+    (form.method === 'edges' && (edges.length === 0 || edges.some(isNaN))) ||
+    (form.method !== 'edges' && !(Number(form.bins) >= 2 && Number(form.bins) <= 20)) ||
+    (labels.length > 0 && form.method === 'edges' && labels.length !== expectedBands);
+
+  const update = (changes) => setForm(prev => ({ ...prev, ...changes }));
+
+  const handleEdit = (column) => {
+    const definition = definitions[column];
+    setForm({
+      column,
+      method: definition.method,
+      edges: (definition.edges || []).join(', '),
+      bins: definition.bins || 4,
+      labels: (definition.labels || []).join(', ')
+    });
+  };
+
+  const handleApply = () => {
+    const definition = form.method === 'edges'
+      ? { method: 'edges', edges }
+      : { method: form.method, bins: Number(form.bins) };
+    if (labels.length > 0) definition.labels = labels;
+    onApply({ bands: { [form.column]: definition } });
+  };
+
+  return (
+    <Card sx={{ mt: 3 }}>
+      <CardContent>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+          <BandIcon color="primary" />
+          <Typography variant="h6" sx={{ fontWeight: 600 }}>
+            Numeric Bands
+          </Typography>
+        </Box>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Group a numeric column into named bands to use it as a factor. Cut points are inclusive upper bounds.
+        </Typography>
+
+        {Object.values(definitions).map(definition => (
+          <Box
+            key={definition.column}
+            sx={{ p: 1.5, mb: 1, bgcolor: 'grey.50', borderRadius: 1, border: '1px solid', borderColor: 'grey.200' }}
+          >
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+              <Typography variant="subtitle2" sx={{ fontWeight: 600 }}>
+                {snakeToTitle(definition.bandColumn)}
+              </Typography>
+              <Typography variant="caption" color="text.secondary">
+                {METHOD_LABELS[definition.method] || definition.method}
+                {definition.bins ? ` · ${definition.bins} bins` : ''}
+              </Typography>
+              <Box sx={{ ml: 'auto' }}>
+                <Tooltip title="Edit">
+                  <IconButton size="small" onClick={() => handleEdit(definition.column)} disabled={loading}>
+                    <EditIcon fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+                <Tooltip title="Remove">
+                  <IconButton size="small" onClick={() => onApply({ bands: { [definition.column]: null } })} disabled={loading}>
+                    <RemoveIcon fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+              </Box>
+            </Box>
+            <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+              {definition.bands.map(band => (
+                <Chip
+                  key={band.label}
+                  size="small"
+                  label={`${band.label}: ${definition.counts?.[band.label] || 0}`}
+                  variant="outlined"
+                />
+              ))}
+              {definition.counts?.Unknown > 0 && (
+                <Chip size="small" label={`Unknown: ${definition.counts.Unknown}`} color="warning" variant="outlined" />
+              )}
+            </Box>
+          </Box>
+        ))}
+
+        <Box sx={{ display: 'flex', alignItems: 'flex-start', gap: 1.5, mt: 2, flexWrap: 'wrap' }}>
+          <FormControl size="small" sx={{ minWidth: 170 }}>
+            <InputLabel>Column</InputLabel>
+            <Select value={form.column} label="Column" onChange={(e) => update({ column: e.target.value })}>
+              {bandableColumns.map(column => (
+                <MenuItem key={column} value={column}>{snakeToTitle(column)}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+
+          <FormControl size="small" sx={{ minWidth: 200 }}>
+            <InputLabel>Method</InputLabel>
+            <Select value={form.method} label="Method" onChange={(e) => update({ method: e.target.value })}>
+              {methods.map(method => (
+                <MenuItem key={method} value={method}>{METHOD_LABELS[method] || method}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+
+          {form.method === 'edges' ? (
+            <TextField
+              size="small"
+              label="Cut Points"
+              placeholder="12, 24, 36"
+              value={form.edges}
+              onChange={(e) => update({ edges: e.target.value })}
+              sx={{ width: 160 }}
+            />
+          ) : (
+            <TextField
+              size="small"
+              type="number"
+              label="Bins"
+              value={form.bins}
+              inputProps={{ min: 2, max: 20 }}
+              onChange={(e) => update({ bins: e.target.value })}
+              sx={{ width: 90 }}
+            />
+          )}
+
+          <TextField
+            size="small"
+            label="Labels (optional)"
+            placeholder="Short, Medium, Long, Very long"
+            value={form.labels}
+            onChange={(e) => update({ labels: e.target.value })}
+            helperText={form.method === 'edges' && edges.length > 0 ? `${expectedBands} labels` : ' '}
+            sx={{ minWidth: 220, flex: 1 }}
+          />
+
+          <Button
+            variant="contained"
+            size="small"
+            onClick={handleApply}
+            disabled={loading || invalid}
+            startIcon={loading ? <CircularProgress size={14} /> : null}
+            sx={{ textTransform: 'none', height: 40 }}
+          >
+            {loading ? 'Applying...' : definitions[form.column] ? 'Update Bands' : 'Add Bands'}
+          </Button>
+        </Box>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default BandingEditor;
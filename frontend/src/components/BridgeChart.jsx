@@ -0,0 +1,210 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Breadcrumbs,
+  Link,
+  ToggleButton,
+  ToggleButtonGroup,
+  Button,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import { WaterfallChart as WaterfallIcon, Download as DownloadIcon } from '@mui/icons-material';
+import {
+  ResponsiveContainer,
+  BarChart,
+  Bar,
+  Cell,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip as ChartTooltip,
+  ReferenceLine
+} from 'recharts';
+import { useQuery, useMutation } from 'react-query';
+import toast from 'react-hot-toast';
+import * as api from '../utils/api';
+import { downloadBlob } from '../utils/helpers';
+
+const BAR_COLORS = {
+  start: '#475569',
+  end: '#475569',
+  yield: '#2563eb',
+  mix: '#d97706',
+  interaction: '#7c3aed',
+  unattributed: '#94a3b8'
+};
+
+const LEGEND = [
+  { key: 'yield', label: 'Yield' },
+  { key: 'mix', label: 'Mix' },
+  { key: 'interaction', label: 'Interaction' },
+  { key: 'unattributed', label: 'Unattributed' }
+];
+
+// Waterfall from previous to current value, one step per segment and component; click a step to bridge that segment
+const BridgeChart = ({ sessionId, analysisId, metric }) => {
+  const [path, setPath] = useState([]);
+  const [groupBy, setGroupBy] = useState('segment');
+
+  useEffect(() => {
+    setPath([]);
+  }, [analysisId]);
+
+  const { data, isLoading, error } = useQuery(
+    ['bridge', sessionId, analysisId, path.join('.'), groupBy],
+    () => api.getBridge({ sessionId, analysisId, path, groupBy }),
+    { enabled: Boolean(sessionId && analysisId), keepPreviousData: true }
+  );
+
+  const exportMutation = useMutation(api.exportBridge, {
+    onSuccess: async (result) => {
+      try {
+        const blob = await api.downloadFile(result.exportId);
+        downloadBlob(blob, result.data.filename);
+      } catch (downloadError) {
+        toast.error('Failed to download bridge');
+      }
+    },
+    onError: (exportError) => {
+      toast.error(exportError.response?.data?.message || 'Bridge export failed');
+    }
+  });
+
+  if (!sessionId || !analysisId) return null;
+
+  const bridge = data?.data;
+  const unit = bridge?.metric?.unit || metric?.unit || 'bps';
+  const isRoot = path.length === 0;
+  // The root bridge runs between rate levels, shown as percentages; segment bridges are in impact units
+  const formatLevel = (value) => (isRoot && unit === 'bps' ? `${(value / 100).toFixed(2)}%` : value.toFixed(1));
+  const formatStep = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(1)}${unit === 'bps' ? ' bps' : ''}`;
+
+  const chartData = (bridge?.bars || []).map(bar => ({
+    ...bar,
+    range: [Math.min(bar.from, bar.to), Math.max(bar.from, bar.to)]
+  }));
+
+  // Steps are small next to the rate itself, so the axis is fitted to the levels the bars reach
+  const levels = chartData.flatMap(bar => (bar.type === 'step' ? [bar.from, bar.to] : [bar.value]));
+  const low = Math.min(...levels, ...(isRoot ? [] : [0]));
+  const high = Math.max(...levels, ...(isRoot ? [] : [0]));
+  const padding = (high - low) * 0.1 || 1;
+  const domain = [low - padding, high + padding];
+
+  return (
+    <Card sx={{ mb: 3, border: '1px solid #e0e7ff' }}>
+      <CardContent>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1, flexWrap: 'wrap' }}>
+          <WaterfallIcon sx={{ color: 'primary.main' }} />
+          <Typography variant="h6" sx={{ fontWeight: 600, flexGrow: 1 }}>
+            {metric?.label || 'ROI'} Bridge
+          </Typography>
+          <ToggleButtonGroup
+            size="small"
+            exclusive
+            value={groupBy}
+            onChange={(event, value) => value && setGroupBy(value)}
+          >
+            <ToggleButton value="segment" sx={{ textTransform: 'none', py: 0.25 }}>By segment</ToggleButton>
+            <ToggleButton value="component" sx={{ textTransform: 'none', py: 0.25 }}>Yield vs mix</ToggleButton>
+          </ToggleButtonGroup>
+          <Button
+            size="small"
+            startIcon={exportMutation.isLoading ? <CircularProgress size={14} /> : <DownloadIcon fontSize="small" />}
+            disabled={exportMutation.isLoading || !bridge}
+            onClick={() => exportMutation.mutate({ sessionId, analysisId, path, groupBy, format: 'excel' })}
+            sx={{ textTransform: 'none' }}
+          >
+            Export
+          </Button>
+        </Box>
+
+        {bridge && (
+          <Breadcrumbs sx={{ mb: 1 }}>
+            {bridge.breadcrumbs.map((crumb, index) => (
+              index === bridge.breadcrumbs.length - 1 ? (
+                <Typography key={crumb.path.join('.')} variant="body2" color="text.primary">{crumb.label}</Typography>
+              ) : (
+                <Link
+                  key={crumb.path.join('.')}
+                  component="button"
+                  variant="body2"
+                  underline="hover"
+                  onClick={() => setPath(crumb.path)}
+                >
+                  {crumb.label}
+                </Link>
+              )
+            ))}
+          </Breadcrumbs>
+        )}
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 1 }}>
+            {error.response?.data?.message || 'Could not build the bridge'}
+          </Alert>
+        )}
+
+        {isLoading && !bridge && <CircularProgress size={24} />}
+
+        {bridge && (
+          <>
+            <Box sx={{ height: 360 }}>
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={chartData} margin={{ top: 10, right: 20, bottom: 70, left: 10 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" vertical={false} />
+                  <XAxis dataKey="label" interval={0} angle={-30} textAnchor="end" tick={{ fontSize: 11 }} />
+                  <YAxis domain={domain} allowDataOverflow tickCount={6} tickFormatter={formatLevel} tick={{ fontSize: 11 }} />
+                  <ReferenceLine y={0} stroke="#94a3b8" />
+                  <ChartTooltip
+                    formatter={(value, name, { payload }) => [
+                      payload.type === 'step' ? formatStep(payload.value) : formatLevel(payload.value),
+                      payload.type === 'step' ? `${formatLevel(payload.from)} → ${formatLevel(payload.to)}` : payload.label
+                    ]}
+                    labelFormatter={(label, items) => {
+                      const bar = items?.[0]?.payload;
+                      return bar?.path ? `${label} (click to bridge this segment)` : label;
+                    }}
+                  />
+                  <Bar
+                    dataKey="range"
+                    isAnimationActive={false}
+                    onClick={(bar) => bar.path && setPath(bar.path)}
+                  >
+                    {chartData.map((bar, index) => (
+                      <Cell
+                        key={index}
+                        fill={BAR_COLORS[bar.type === 'step' ? bar.component : bar.type]}
+                        cursor={bar.path ? 'pointer' : 'default'}
+                      />
+                    ))}
+                  </Bar>
+                </BarChart>
+              </ResponsiveContainer>
+            </Box>
+            <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', mt: 1 }}>
+              {LEGEND.filter(item => item.key === 'unattributed'
+                ? chartData.some(bar => bar.component === 'unattributed')
+                : bridge.components[item.key] !== undefined
+              ).map(item => (
+                <Box key={item.key} sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                  <Box sx={{ width: 12, height: 12, bgcolor: BAR_COLORS[item.key], borderRadius: 0.5 }} />
+                  <Typography variant="caption">
+                    {item.label}
+                    {bridge.components[item.key] !== undefined ? ` ${formatStep(bridge.components[item.key])}` : ''}
+                  </Typography>
+                </Box>
+              ))}
+            </Box>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default BridgeChart;
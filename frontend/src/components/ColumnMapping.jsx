@@ -0,0 +1,232 @@
+import React, { useState, useEffect } from 'react';
+import { useQuery } from 'react-query';
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Button,
+  Alert,
+  Chip,
+  CircularProgress,
+  FormControl,
+  FormControlLabel,
+  Checkbox,
+  InputLabel,
+  Select,
+  MenuItem,
+  TextField,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper
+} from '@mui/material';
+import { SwapHoriz as MappingIcon } from '@mui/icons-material';
+import * as api from '../utils/api';
+
+const SOURCE_LABELS = {
+  auto: 'Auto-detected',
+  profile: 'Saved profile',
+  manual: 'Manual'
+};
+
+const confidenceColor = (confidence) => {
+  if (confidence >= 0.9) return 'success';
+  if (confidence >= 0.6) return 'warning';
+  return 'error';
+};
+
+// Same normalization the backend uses to match profile columns to headers
+const normalizeHeader = (header) => String(header || '').trim().toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+const toFieldColumns = (fields = {}) => Object.fromEntries(
+  Object.entries(fields).map(([field, mapping]) => [field, mapping.column || ''])
+);
+
+const ColumnMapping = ({ columnMapping, onApply, loading = false }) => {
+  const [selection, setSelection] = useState(() => toFieldColumns(columnMapping?.fields));
+  const [saveProfile, setSaveProfile] = useState(false);
+  const [profileName, setProfileName] = useState('');
+
+  useEffect(() => {
+    setSelection(toFieldColumns(columnMapping?.fields));
+    setProfileName(columnMapping?.profileName || '');
+  }, [columnMapping]);
+
+  // Profiles saved for other header sets can be applied when all their columns are present
+  const { data: profilesResponse } = useQuery('mapping-profiles', api.getMappingProfiles, {
+    enabled: !!columnMapping,
+    staleTime: 60000
+  });
+
+  if (!columnMapping?.fields) return null;
+
+  const { fields, headers = [], source, missingRequired = [], profileWarning } = columnMapping;
+  const headerFor = (column) => headers.find(header => header === column)
+    || headers.find(header => normalizeHeader(header) === normalizeHeader(column));
+  const usableProfiles = (profilesResponse?.data?.profiles || []).filter(profile =>
+    Object.values(profile.mapping || {}).every(column => !column || headerFor(column))
+  );
+
+  const changed = Object.entries(selection).some(([field, column]) => (fields[field]?.column || '') !== column);
+  const selectedColumns = Object.values(selection).filter(Boolean);
+  const hasDuplicates = new Set(selectedColumns).size !== selectedColumns.length;
+  const missingSelection = Object.entries(fields)
+    .filter(([field, mapping]) => mapping.required && !selection[field])
+    .map(([, mapping]) => mapping.label);
+
+  const handleApply = () => {
+    const mapping = Object.fromEntries(Object.entries(selection).map(([field, column]) => [field, column || null]));
+    onApply({ columnMapping: mapping, saveProfile, profileName: profileName || undefined });
+    setSaveProfile(false);
+  };
+
+  const handleProfileSelect = (signature) => {
+    const profile = usableProfiles.find(p => p.signature === signature);
+    if (!profile) return;
+    setSelection(prev => ({
+      ...prev,
+      ...Object.fromEntries(Object.entries(profile.mapping).map(([field, column]) => [field, (column && headerFor(column)) || '']))
+    }));
+    setProfileName(profile.name);
+  };
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+          <MappingIcon color="primary" />
+          <Typography variant="h6" sx={{ fontWeight: 600 }}>
+            Column Mapping
+          </Typography>
+          <Chip
+            label={source === 'profile' && columnMapping.profileName
+              ? `${SOURCE_LABELS.profile}: ${columnMapping.profileName}`
+              : SOURCE_LABELS[source] || source}
+            size="small"
+            variant="outlined"
+          />
+        </Box>
+
+        {profileWarning && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            {profileWarning}. The columns below were detected automatically.
+          </Alert>
+        )}
+
+        {missingRequired.length > 0 && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            No column was matched confidently for {missingRequired.map(field => fields[field]?.label || field).join(', ')}.
+            Pick the right column below and apply the mapping.
+          </Alert>
+        )}
+
+        <TableContainer component={Paper} elevation={0} sx={{ bgcolor: 'grey.50' }}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell><strong>Field</strong></TableCell>
+                <TableCell><strong>Source Column</strong></TableCell>
+                <TableCell align="right"><strong>Confidence</strong></TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {Object.entries(fields).map(([field, mapping]) => (
+                <TableRow key={field}>
+                  <TableCell>
+                    {mapping.label}
+                    {mapping.required && <Typography component="span" color="error.main"> *</Typography>}
+                  </TableCell>
+                  <TableCell>
+                    <FormControl size="small" sx={{ minWidth: 220 }}>
+                      <Select
+                        value={selection[field] || ''}
+                        displayEmpty
+                        onChange={(e) => setSelection(prev => ({ ...prev, [field]: e.target.value }))}
+                      >
+                        <MenuItem value=""><em>Not mapped</em></MenuItem>
+                        {headers.map(header => {
+                          const candidate = mapping.candidates?.find(c => c.column === header);
+                          return (
+                            <MenuItem key={header} value={header}>
+                              {header}{candidate ? ` (${Math.round(candidate.confidence * 100)}%)` : ''}
+                            </MenuItem>
+                          );
+                        })}
+                      </Select>
+                    </FormControl>
+                  </TableCell>
+                  <TableCell align="right">
+                    {mapping.column ? (
+                      <Chip
+                        label={`${Math.round(mapping.confidence * 100)}%`}
+                        size="small"
+                        color={confidenceColor(mapping.confidence)}
+                      />
+                    ) : (
+                      <Typography variant="caption" color="text.secondary">—</Typography>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mt: 2, flexWrap: 'wrap' }}>
+          {usableProfiles.length > 0 && (
+            <FormControl size="small" sx={{ minWidth: 200 }}>
+              <InputLabel>Load Profile</InputLabel>
+              <Select value="" label="Load Profile" onChange={(e) => handleProfileSelect(e.target.value)}>
+                {usableProfiles.map(profile => (
+                  <MenuItem key={profile.signature} value={profile.signature}>{profile.name}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          )}
+
+          <FormControlLabel
+            control={<Checkbox size="small" checked={saveProfile} onChange={(e) => setSaveProfile(e.target.checked)} />}
+            label={<Typography variant="body2">Save as profile for files with these headers</Typography>}
+          />
+          {saveProfile && (
+            <TextField
+              size="small"
+              label="Profile Name"
+              value={profileName}
+              onChange={(e) => setProfileName(e.target.value)}
+            />
+          )}
+
+          <Button
+            variant="contained"
+            size="small"
+            onClick={handleApply}
+            disabled={loading || hasDuplicates || missingSelection.length > 0 || (!changed && !saveProfile)}
+            startIcon={loading ? <CircularProgress size={14} /> : null}
+            sx={{ textTransform: 'none', ml: 'auto' }}
+          >
+            {loading ? 'Applying...' : 'Apply Mapping'}
+          </Button>
+        </Box>
+
+        {hasDuplicates && (
+          <Typography variant="caption" color="error" sx={{ mt: 1, display: 'block' }}>
+            Each column can be mapped to one field only.
+          </Typography>
+        )}
+        {!hasDuplicates && missingSelection.length > 0 && (
+          <Typography variant="caption" color="error" sx={{ mt: 1, display: 'block' }}>
+            Required: {missingSelection.join(', ')}
+          </Typography>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ColumnMapping;
@@ -1,4 +1,5 @@
 import React from 'react';
+import toast from 'react-hot-toast';
 import {
   Box,
   Typography,
@@ -13,17 +14,59 @@ import {
   TableHead,
   TableRow,
   Paper,
-  Alert
+  Alert,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Button
 } from '@mui/material';
 import {
   TrendingUp as TrendingUpIcon,
   TrendingDown as TrendingDownIcon,
   Timeline as TimelineIcon,
-  DataUsage as DataIcon
+  DataUsage as DataIcon,
+  FileDownload as DownloadIcon,
+  AddCircleOutline as NewBusinessIcon,
+  RemoveCircleOutline as RunoffIcon,
+  Autorenew as RepricingIcon
 } from '@mui/icons-material';
-import { formatNumber, formatBasisPoints, formatROIChange, formatIndianCurrency } from '../utils/helpers';
+import { formatNumber, formatBasisPoints, formatPercentage, formatROIChange, formatIndianCurrency, snakeToTitle, downloadBlob } from '../utils/helpers';
+import * as api from '../utils/api';
+import ColumnMapping from './ColumnMapping';
+import MissingValuePolicy from './MissingValuePolicy';
 
-const DataSummary = ({ data }) => {
+const REMOVAL_REASON_LABELS = {
+  empty: 'empty',
+  zero: 'zero',
+  not_numeric: 'not a number',
+  unparseable: 'unparseable'
+};
+
+// Sum a per-column count map across every uploaded period
+const sumByColumn = (periods = [], key) => periods.reduce((totals, stats) => {
+  Object.entries(stats[key] || {}).forEach(([column, count]) => {
+    totals[column] = (totals[column] || 0) + count;
+  });
+  return totals;
+}, {});
+
+const sumCounts = (counts = {}) => Object.values(counts).reduce((total, count) => total + count, 0);
+
+// One row per column and reason that removed rows in either compared period
+const getRemovalRows = (cleaningStats) => {
+  const rows = {};
+  [cleaningStats?.previous, cleaningStats?.current].forEach(stats => {
+    Object.entries(stats?.removedByColumn || {}).forEach(([column, reasons]) => {
+      Object.keys(reasons).forEach(reason => {
+        rows[`${column}:${reason}`] = { column, reason };
+      });
+    });
+  });
+  return Object.values(rows);
+};
+
+const DataSummary = ({ data, onReprocess, reprocessing = false }) => {
   if (!data || !data.summary) {
     return (
       <Alert severity="info">
@@ -32,9 +75,48 @@ const DataSummary = ({ data }) => {
     );
   }
 
-  const { summary, distinctValues, availableColumns, cleaningStats } = data;
+  const { summary, distinctValues, availableColumns, cleaningStats, rateUnit } = data;
   const roiChangeFormatted = formatROIChange(summary.change?.roiChangeBps || 0);
 
+  const removalRows = getRemovalRows(cleaningStats);
+
+  // Loans matched across the two months on their ID: what the book change and repricing each did to ROI
+  const loanMatching = summary.loanMatching;
+  const loanMatchingCards = loanMatching ? [
+    {
+      title: 'New Business',
+      impact: loanMatching.newBusinessBps,
+      detail: `${formatNumber(loanMatching.loans.new)} new loans · ${formatIndianCurrency(loanMatching.amounts.new)}`,
+      rate: `Disbursed at ${formatPercentage(loanMatching.rates.new)}`,
+      icon: <NewBusinessIcon sx={{ fontSize: 32, color: 'success.main' }} />
+    },
+    {
+      title: 'Run-off',
+      impact: loanMatching.runoffBps,
+      detail: `${formatNumber(loanMatching.loans.runoff)} closed loans · ${formatIndianCurrency(loanMatching.amounts.runoff)}`,
+      rate: `Were at ${formatPercentage(loanMatching.rates.runoff)}`,
+      icon: <RunoffIcon sx={{ fontSize: 32, color: 'error.main' }} />
+    },
+    {
+      title: 'Repricing',
+      impact: loanMatching.repricingBps,
+      detail: `${formatNumber(loanMatching.loans.continuing)} continuing loans · ${formatIndianCurrency(loanMatching.amounts.continuingCurrent)}`,
+      rate: `${formatPercentage(loanMatching.rates.continuingPrevious)} → ${formatPercentage(loanMatching.rates.continuingCurrent)}`,
+      icon: <RepricingIcon sx={{ fontSize: 32, color: 'primary.main' }} />
+    }
+  ] : [];
+  const bookChangeBps = loanMatching ? loanMatching.newBusinessBps + loanMatching.runoffBps : 0;
+  const unidentifiedLoans = loanMatching ? loanMatching.unidentified.previous + loanMatching.unidentified.current : 0;
+
+  const handleDownloadRejections = async (format) => {
+    try {
+      const blob = await api.downloadRejections(data.sessionId, format);
+      downloadBlob(blob, `rejected-rows.${format}`);
+    } catch (error) {
+      toast.error('Failed to download rejected rows');
+    }
+  };
+
   const summaryCards = [
     {
       title: 'Previous Month',
@@ -75,6 +157,15 @@ const DataSummary = ({ data }) => {
         Data Summary
       </Typography>
 
+      {/* Column Mapping */}
+      {data.columnMapping && onReprocess && (
+        <ColumnMapping
+          columnMapping={data.columnMapping}
+          onApply={onReprocess}
+          loading={reprocessing}
+        />
+      )}
+
       {/* Summary Cards */}
       <Grid container spacing={3} sx={{ mb: 4 }}>
         {summaryCards.map((card, index) => (
@@ -113,13 +204,81 @@ const DataSummary = ({ data }) => {
         ))}
       </Grid>
 
+      {/* Loan Matching: new business vs run-off vs repricing */}
+      {loanMatching && (
+        <Card sx={{ mb: 3 }}>
+          <CardContent>
+            <Typography variant="h6" sx={{ fontWeight: 600 }}>
+              Did We Reprice or Did the Book Change?
+            </Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              {`Loans matched on ${snakeToTitle(loanMatching.idColumn)}: the book changing (new business and run-off) moved ROI by `
+                + `${formatROIChange(bookChangeBps).value}, repricing of continuing loans by ${formatROIChange(loanMatching.repricingBps).value}.`}
+            </Typography>
+            <Grid container spacing={2}>
+              {loanMatchingCards.map(card => {
+                const impact = formatROIChange(card.impact);
+                return (
+                  <Grid item xs={12} md={4} key={card.title}>
+                    <Paper elevation={0} sx={{ p: 2, bgcolor: 'grey.50', borderRadius: 1, height: '100%' }}>
+                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+                        {card.icon}
+                        <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>
+                          {card.title}
+                        </Typography>
+                      </Box>
+                      <Typography variant="h5" sx={{ fontWeight: 700, color: impact.color }}>
+                        {impact.value}
+                      </Typography>
+                      <Typography variant="body2" color="text.secondary">
+                        {card.detail}
+                      </Typography>
+                      <Typography variant="caption" color="text.secondary">
+                        {card.rate}
+                      </Typography>
+                    </Paper>
+                  </Grid>
+                );
+              })}
+            </Grid>
+            {unidentifiedLoans > 0 && (
+              <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+                {`${formatNumber(unidentifiedLoans)} rows without a loan ID could not be matched and count as new business or run-off.`}
+              </Typography>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
       {/* Data Quality Summary */}
       {cleaningStats && (
         <Card sx={{ mb: 3 }}>
           <CardContent>
-            <Typography variant="h6" sx={{ mb: 2, fontWeight: 600 }}>
-              Data Quality Summary
-            </Typography>
+            <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 2, gap: 1, flexWrap: 'wrap' }}>
+              <Typography variant="h6" sx={{ fontWeight: 600 }}>
+                Data Quality Summary
+              </Typography>
+
+              {data.sessionId && data.rejectedRowCount > 0 && (
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  <Typography variant="caption" color="text.secondary">
+                    {formatNumber(data.rejectedRowCount)} rejected rows:
+                  </Typography>
+                  {['csv', 'xlsx'].map(format => (
+                    <Button
+                      key={format}
+                      size="small"
+                      variant="outlined"
+                      startIcon={<DownloadIcon fontSize="small" />}
+                      onClick={() => handleDownloadRejections(format)}
+                      sx={{ textTransform: 'none' }}
+                    >
+                      {format.toUpperCase()}
+                    </Button>
+                  ))}
+                </Box>
+              )}
+            </Box>
             
             <TableContainer component={Paper} elevation={0} sx={{ bgcolor: 'grey.50' }}>
               <Table size="small">
@@ -141,7 +300,7 @@ const DataSummary = ({ data }) => {
                     </TableCell>
                   </TableRow>
                   <TableRow>
-                    <TableCell>Empty Cells Removed</TableCell>
+                    <TableCell>Rows Removed</TableCell>
                     <TableCell align="right">
                       {formatNumber(cleaningStats.previous?.removedCount || 0)}
                     </TableCell>
@@ -149,6 +308,28 @@ const DataSummary = ({ data }) => {
                       {formatNumber(cleaningStats.current?.removedCount || 0)}
                     </TableCell>
                   </TableRow>
+                  {removalRows.map(({ column, reason }) => (
+                    <TableRow key={`${column}-${reason}`}>
+                      <TableCell sx={{ pl: 4, color: 'text.secondary' }}>
+                        {snakeToTitle(column)} {REMOVAL_REASON_LABELS[reason] || reason}
+                      </TableCell>
+                      <TableCell align="right" sx={{ color: 'text.secondary' }}>
+                        {formatNumber(cleaningStats.previous?.removedByColumn?.[column]?.[reason] || 0)}
+                      </TableCell>
+                      <TableCell align="right" sx={{ color: 'text.secondary' }}>
+                        {formatNumber(cleaningStats.current?.removedByColumn?.[column]?.[reason] || 0)}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                  <TableRow>
+                    <TableCell>Empty Cells Filled</TableCell>
+                    <TableCell align="right">
+                      {formatNumber(sumCounts(cleaningStats.previous?.filledByColumn))}
+                    </TableCell>
+                    <TableCell align="right">
+                      {formatNumber(sumCounts(cleaningStats.current?.filledByColumn))}
+                    </TableCell>
+                  </TableRow>
                   <TableRow>
                     <TableCell>Values Standardized</TableCell>
                     <TableCell align="right">
@@ -179,6 +360,15 @@ const DataSummary = ({ data }) => {
                 </TableBody>
               </Table>
             </TableContainer>
+
+            {data.missingValuePolicy && onReprocess && (
+              <MissingValuePolicy
+                policy={data.missingValuePolicy}
+                emptyCells={sumByColumn(cleaningStats.periods, 'emptyByColumn')}
+                onApply={onReprocess}
+                loading={reprocessing}
+              />
+            )}
           </CardContent>
         </Card>
       )}
@@ -186,10 +376,38 @@ const DataSummary = ({ data }) => {
       {/* Detailed Metrics */}
       <Card sx={{ mb: 3 }}>
         <CardContent>
-          <Typography variant="h6" sx={{ mb: 2, fontWeight: 600 }}>
-            ROI Analysis Metrics
-          </Typography>
-          
+          <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 2, gap: 2, flexWrap: 'wrap' }}>
+            <Typography variant="h6" sx={{ fontWeight: 600 }}>
+              ROI Analysis Metrics
+            </Typography>
+
+            {rateUnit && (
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                <Chip
+                  size="small"
+                  variant="outlined"
+                  color={rateUnit.source === 'manual' || rateUnit.confidence >= 0.9 ? 'default' : 'warning'}
+                  label={rateUnit.source === 'manual'
+                    ? `Set manually (detected: ${rateUnit.detectedUnit})`
+                    : `Detected from ${Math.round((rateUnit.confidence || 0) * 100)}% of values`}
+                />
+                <FormControl size="small" sx={{ minWidth: 190 }}>
+                  <InputLabel>Rate Unit in File</InputLabel>
+                  <Select
+                    value={rateUnit.unit}
+                    label="Rate Unit in File"
+                    disabled={!onReprocess || reprocessing}
+                    onChange={(e) => onReprocess({ rateUnit: e.target.value })}
+                  >
+                    {Object.entries(rateUnit.units || {}).map(([unit, label]) => (
+                      <MenuItem key={unit} value={unit}>{label}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Box>
+            )}
+          </Box>
+
           <TableContainer component={Paper} elevation={0} sx={{ bgcolor: 'grey.50' }}>
             <Table size="small">
               <TableHead>
@@ -228,10 +446,10 @@ const DataSummary = ({ data }) => {
                 <TableRow>
                   <TableCell><strong>Weighted ROI</strong></TableCell>
                   <TableCell align="right">
-                    <strong>{(summary.previousMonth?.weightedROI || 0).toFixed(4)}%</strong>
+                    <strong>{formatPercentage(summary.previousMonth?.weightedROI || 0, 4)}</strong>
                   </TableCell>
                   <TableCell align="right">
-                    <strong>{(summary.currentMonth?.weightedROI || 0).toFixed(4)}%</strong>
+                    <strong>{formatPercentage(summary.currentMonth?.weightedROI || 0, 4)}</strong>
                   </TableCell>
                   <TableCell align="right">
                     <Box 
@@ -248,6 +466,44 @@ const DataSummary = ({ data }) => {
         </CardContent>
       </Card>
 
+      {/* Uploaded Periods */}
+      {summary.periods?.length > 2 && (
+        <Card sx={{ mb: 3 }}>
+          <CardContent>
+            <Typography variant="h6" sx={{ mb: 2, fontWeight: 600 }}>
+              Uploaded Periods ({summary.periods.length})
+            </Typography>
+
+            <TableContainer component={Paper} elevation={0} sx={{ bgcolor: 'grey.50' }}>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell><strong>Period</strong></TableCell>
+                    <TableCell align="right"><strong>Records</strong></TableCell>
+                    <TableCell align="right"><strong>Total Loan Amount</strong></TableCell>
+                    <TableCell align="right"><strong>Weighted ROI</strong></TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {summary.periods.map((period) => (
+                    <TableRow key={period.label}>
+                      <TableCell>{period.label}</TableCell>
+                      <TableCell align="right">{formatNumber(period.recordCount || 0)}</TableCell>
+                      <TableCell align="right">{formatIndianCurrency(period.totalAmount || 0)}</TableCell>
+                      <TableCell align="right">{formatPercentage(period.weightedROI || 0, 4)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+
+            <Typography variant="caption" color="text.secondary" sx={{ mt: 1, display: 'block' }}>
+              The cards above compare the last two periods. Pick any pair, or run a trend, on the Analyze step.
+            </Typography>
+          </CardContent>
+        </Card>
+      )}
+
       {/* Available Factors */}
       <Card>
         <CardContent>
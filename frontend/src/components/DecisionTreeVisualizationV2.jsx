@@ -18,24 +18,38 @@ import {
   FullscreenExit as FullscreenExitIcon,
   GetApp as DownloadIcon,
   OpenWith as DragIcon,
-  FitScreen as FitIcon
+  FitScreen as FitIcon,
+  Opacity as OpacityIcon
 } from '@mui/icons-material';
-import { formatROIChange, snakeToTitle, formatIndianCurrency } from '../utils/helpers';
+import OtherMembersDialog from './OtherMembersDialog';
+import { formatROIChange, formatIndianCurrency, formatNodeLabel } from '../utils/helpers';
 
-const DecisionTreeVisualizationV2 = ({ treeData, analysisType, fullScreen, onFullScreenToggle }) => {
+const DecisionTreeVisualizationV2 = ({ treeData, analysisType, metric, decomposition, fullScreen, onFullScreenToggle }) => {
+  // Impacts are in basis points for rate metrics and in the target's own units otherwise
+  const metricLabel = metric?.label || 'ROI';
+  const impactUnit = metric?.unit === 'units' ? '' : ' bps';
+  const showInteraction = decomposition?.method === 'three-way';
+  // Loans were matched across periods, so every node also splits into new business, run-off and repricing
+  const showLoanMatching = Boolean(treeData?.[0]?.loanMatching);
   const [zoom, setZoom] = useState(0.8);
   const [translateX, setTranslateX] = useState(100);
   const [translateY, setTranslateY] = useState(50);
   const [isDragging, setIsDragging] = useState(false);
   const [dragStart, setDragStart] = useState({ x: 0, y: 0 });
   const [expandedNodes, setExpandedNodes] = useState(new Set(['root']));
+  // "Other" node whose member categories are being listed
+  const [membersNode, setMembersNode] = useState(null);
+  // Fade nodes whose impact interval includes zero
+  const [dimInsignificant, setDimInsignificant] = useState(true);
+  const isDimmed = (node) => dimInsignificant && node?.significance && !node.significance.significant;
+  const formatSigned = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(1)}`;
   const svgRef = useRef(null);
   const containerRef = useRef(null);
   
   // Enhanced spacing configuration
   const nodeConfig = {
     width: 280,
-    height: 90,
+    height: showLoanMatching ? 110 : 90,
     horizontalSpacing: 400, // Increased from 350
     verticalSpacing: 150,   // Increased from 120
     minVerticalGap: 20      // Minimum gap between nodes
@@ -86,7 +100,7 @@ const DecisionTreeVisualizationV2 = ({ treeData, analysisType, fullScreen, onFul
       const amount = node.metrics?.currentAmount || node.metrics?.previousAmount || 0;
       
       const nodeData = {
-        name: isRoot ? "Portfolio ROI" : `${snakeToTitle(node.factor)}: ${node.value}`,
+        name: isRoot ? (node.value || `Portfolio ${metricLabel}`) : formatNodeLabel(node),
         isRoot,
         nodeId,
         roiChange: roiPercent,
@@ -154,6 +168,7 @@ const DecisionTreeVisualizationV2 = ({ treeData, analysisType, fullScreen, onFul
     const metrics = {
       yieldImpact: nodeData.originalData?.metrics?.yieldImpactBps || 0,
       distributionImpact: nodeData.originalData?.metrics?.distributionImpactBps || 0,
+      interactionImpact: nodeData.originalData?.metrics?.interactionImpactBps || 0,
       totalImpact: nodeData.originalData?.metrics?.totalImpactBps || 0,
       percentOnParent: nodeData.originalData?.metrics?.percentOnParent || 0,
       percentOnRoot: nodeData.originalData?.metrics?.percentOnRoot || 0
@@ -163,9 +178,19 @@ const DecisionTreeVisualizationV2 = ({ treeData, analysisType, fullScreen, onFul
     const impactValue = metrics.totalImpact;
     const impactColor = impactValue > 0 ? '#16a34a' : impactValue < 0 ? '#dc2626' : '#6b7280';
     const impactSign = impactValue > 0 ? '+' : impactValue < 0 ? '' : '';
+
+    // Do the children add up to this node? (null for leaves)
+    const reconciliation = nodeData.originalData?.reconciliation;
+    const componentX = showInteraction ? 70 : 45;
+
+    // Confidence interval of the total impact (null when a period has too few rows)
+    const significance = nodeData.originalData?.significance;
+    const interval = significance?.totalImpactBps;
+
+    const loanMatching = nodeData.originalData?.loanMatching;
     
     return (
-      <g transform={`translate(${nodeData.x}, ${nodeData.y})`}>
+      <g transform={`translate(${nodeData.x}, ${nodeData.y})`} opacity={isDimmed(nodeData.originalData) ? 0.4 : 1}>
         {/* Enhanced node background with shadow effect */}
         <defs>
           <filter id={`shadow-${nodeData.nodeId}`} x="-50%" y="-50%" width="200%" height="200%">
@@ -227,14 +252,14 @@ const DecisionTreeVisualizationV2 = ({ treeData, analysisType, fullScreen, onFul
             fill: impactColor
           }}
         >
-          {`${impactSign}${metrics.totalImpact.toFixed(1)} bps`}
+          {`${impactSign}${metrics.totalImpact.toFixed(1)}${impactUnit}`}
         </text>
         
         {/* Yield and Distribution Impact: Y: XX | D: XX */}
         <g transform="translate(0, 18)">
           {/* Y: label and value */}
           <text
-            x="-45"
+            x={-componentX}
             textAnchor="middle"
             style={{
               fontSize: '12px',
@@ -250,7 +275,7 @@ const DecisionTreeVisualizationV2 = ({ treeData, analysisType, fullScreen, onFul
           
           {/* Separator */}
           <text
-            x="0"
+            x={showInteraction ? -35 : 0}
             textAnchor="middle"
             style={{
               fontSize: '12px',
@@ -263,7 +288,7 @@ const DecisionTreeVisualizationV2 = ({ treeData, analysisType, fullScreen, onFul
           
           {/* D: label and value */}
           <text
-            x="45"
+            x={showInteraction ? 0 : componentX}
             textAnchor="middle"
             style={{
               fontSize: '12px',
@@ -276,6 +301,37 @@ const DecisionTreeVisualizationV2 = ({ treeData, analysisType, fullScreen, onFul
               {metrics.distributionImpact >= 0 ? '+' : ''}{metrics.distributionImpact.toFixed(1)}
             </tspan>
           </text>
+
+          {/* I: interaction term (three-way decomposition only) */}
+          {showInteraction && (
+            <>
+              <text
+                x="35"
+                textAnchor="middle"
+                style={{
+                  fontSize: '12px',
+                  fontFamily: 'Segoe UI, Tahoma, sans-serif',
+                  fill: '#cbd5e1'
+                }}
+              >
+                |
+              </text>
+              <text
+                x={componentX}
+                textAnchor="middle"
+                style={{
+                  fontSize: '12px',
+                  fontFamily: 'Segoe UI, Tahoma, sans-serif',
+                  fontWeight: '500'
+                }}
+              >
+                <tspan fill="#64748b">I:</tspan>
+                <tspan fill="#8b5cf6" dx="3">
+                  {metrics.interactionImpact >= 0 ? '+' : ''}{metrics.interactionImpact.toFixed(1)}
+                </tspan>
+              </text>
+            </>
+          )}
         </g>
         
         {/* Parent and Root percentages: P: XX% | R: XX% (skip for root node) */}
@@ -337,6 +393,115 @@ const DecisionTreeVisualizationV2 = ({ treeData, analysisType, fullScreen, onFul
           </text>
         )}
         
+        {/* Loan-level split: new business | run-off | repricing of continuing loans */}
+        {loanMatching && (
+          <g transform="translate(0, 50)">
+            <title>
+              {`New business: ${formatSigned(loanMatching.newBusinessBps)}${impactUnit} (${loanMatching.loans.new} loans)\n`
+                + `Run-off: ${formatSigned(loanMatching.runoffBps)}${impactUnit} (${loanMatching.loans.runoff} loans)\n`
+                + `Repricing: ${formatSigned(loanMatching.repricingBps)}${impactUnit} (${loanMatching.loans.continuing} continuing loans)`}
+            </title>
+            <text
+              x="0"
+              textAnchor="middle"
+              style={{
+                fontSize: '11px',
+                fontFamily: 'Segoe UI, Tahoma, sans-serif',
+                fontWeight: '500'
+              }}
+            >
+              <tspan fill="#64748b">New:</tspan>
+              <tspan fill="#16a34a" dx="3">{formatSigned(loanMatching.newBusinessBps)}</tspan>
+              <tspan fill="#cbd5e1" dx="6">|</tspan>
+              <tspan fill="#64748b" dx="6">Off:</tspan>
+              <tspan fill="#dc2626" dx="3">{formatSigned(loanMatching.runoffBps)}</tspan>
+              <tspan fill="#cbd5e1" dx="6">|</tspan>
+              <tspan fill="#64748b" dx="6">Rep:</tspan>
+              <tspan fill="#0284c7" dx="3">{formatSigned(loanMatching.repricingBps)}</tspan>
+            </text>
+          </g>
+        )}
+
+        {/* Reconciliation check: children sum vs this node's impact */}
+        {reconciliation && (
+          <g transform={`translate(${-nodeConfig.width / 2 + 16}, ${-nodeConfig.height / 2 + 16})`}>
+            <title>
+              {`Children sum: ${reconciliation.childrenTotalImpactBps.toFixed(2)}${impactUnit}\n`
+                + `Expected: ${reconciliation.expectedImpactBps.toFixed(2)}${impactUnit}\n`
+                + `Difference: ${reconciliation.differenceBps.toFixed(2)}${impactUnit}`}
+            </title>
+            <text
+              x="0"
+              y="4"
+              textAnchor="middle"
+              style={{
+                fontSize: '12px',
+                fontFamily: 'Segoe UI, Tahoma, sans-serif',
+                fontWeight: '700',
+                fill: reconciliation.reconciles ? '#16a34a' : '#d97706'
+              }}
+            >
+              {reconciliation.reconciles ? '✓' : '≠'}
+            </text>
+          </g>
+        )}
+
+        {/* Other node: click to list the categories it groups */}
+        {nodeData.originalData?.members && (
+          <g
+            transform={`translate(${-nodeConfig.width / 2 + 22}, ${nodeConfig.height / 2 - 12})`}
+            onClick={(e) => {
+              e.stopPropagation();
+              setMembersNode(nodeData.originalData);
+            }}
+            style={{ cursor: 'pointer' }}
+          >
+            <title>{`${nodeData.originalData.members.length} grouped values — click to list`}</title>
+            <text
+              x="0"
+              y="0"
+              textAnchor="middle"
+              style={{
+                fontSize: '11px',
+                fontFamily: 'Segoe UI, Tahoma, sans-serif',
+                fontWeight: '600',
+                fill: '#0284c7',
+                textDecoration: 'underline'
+              }}
+            >
+              {`≡ ${nodeData.originalData.members.length}`}
+            </text>
+          </g>
+        )}
+
+        {/* Significance: ± half-width of the impact interval, or n.s. when it includes zero */}
+        {significance && (
+          <g transform={`translate(${nodeConfig.width / 2 - 24}, ${nodeConfig.height / 2 - 12})`}>
+            <title>
+              {interval
+                ? `${significance.confidenceLevel * 100}% interval: ${interval.low.toFixed(2)} to ${interval.high.toFixed(2)}${impactUnit}`
+                  + (significance.yieldImpactBps
+                    ? `\nYield: ${significance.yieldImpactBps.low.toFixed(2)} to ${significance.yieldImpactBps.high.toFixed(2)}${impactUnit}`
+                    : '')
+                  + (significance.significant ? '' : '\nNot significant: the interval includes zero')
+                : 'Not significant: too few rows to estimate an interval'}
+            </title>
+            <text
+              x="0"
+              y="0"
+              textAnchor="middle"
+              style={{
+                fontSize: '11px',
+                fontFamily: 'Segoe UI, Tahoma, sans-serif',
+                fontStyle: significance.significant ? 'normal' : 'italic',
+                fill: '#94a3b8'
+              }}
+            >
+              {significance.significant ? `±${((interval.high - interval.low) / 2).toFixed(1)}` : 'n.s.'}
+            </text>
+          </g>
+        )}
+
         {/* Enhanced expand/collapse indicator */}
         {hasChildren && (
           <g transform={`translate(${nodeConfig.width / 2 - 20}, ${-nodeConfig.height / 2 + 20})`}>
@@ -392,7 +557,7 @@ const DecisionTreeVisualizationV2 = ({ treeData, analysisType, fullScreen, onFul
             stroke="#cbd5e1"
             strokeWidth="2"
             strokeDasharray={child.hasChildren && !expandedNodes.has(child.nodeId) ? "5,5" : "0"}
-            opacity="0.6"
+            opacity={isDimmed(child.originalData) ? 0.25 : 0.6}
           />
         );
         
@@ -400,7 +565,7 @@ const DecisionTreeVisualizationV2 = ({ treeData, analysisType, fullScreen, onFul
         const percentOnParent = child.originalData?.metrics?.percentOnParent || 0;
         if (percentOnParent !== 0) {
           connections.push(
-            <g key={`label-${node.nodeId}-${child.nodeId}`}>
+            <g key={`label-${node.nodeId}-${child.nodeId}`} opacity={isDimmed(child.originalData) ? 0.4 : 1}>
               {/* Background rectangle for better readability */}
               <rect
                 x={midX - 30}
@@ -666,6 +831,11 @@ const DecisionTreeVisualizationV2 = ({ treeData, analysisType, fullScreen, onFul
                 <CenterIcon />
               </IconButton>
             </Tooltip>
+            <Tooltip title={dimInsignificant ? 'Show insignificant nodes normally' : 'Grey out insignificant nodes'}>
+              <IconButton onClick={() => setDimInsignificant(!dimInsignificant)} size="small" color={dimInsignificant ? 'primary' : 'default'}>
+                <OpacityIcon />
+              </IconButton>
+            </Tooltip>
             <Tooltip title="Download">
               <IconButton onClick={handleDownload} size="small">
                 <DownloadIcon />
@@ -689,6 +859,11 @@ const DecisionTreeVisualizationV2 = ({ treeData, analysisType, fullScreen, onFul
               <span>• Ctrl+Scroll to zoom</span>
               <span>• Click nodes to expand/collapse</span>
             </Typography>
+            {decomposition?.formula && (
+              <Typography variant="caption" color="text.secondary" sx={{ display: 'block', textAlign: 'center' }}>
+                {decomposition.formula.text}
+              </Typography>
+            )}
           </Paper>
 
           {/* SVG Tree */}
@@ -717,6 +892,7 @@ const DecisionTreeVisualizationV2 = ({ treeData, analysisType, fullScreen, onFul
             </g>
           </svg>
         </Box>
+        <OtherMembersDialog node={membersNode} onClose={() => setMembersNode(null)} metric={metric} />
       </Backdrop>
     );
   }
@@ -759,6 +935,11 @@ const DecisionTreeVisualizationV2 = ({ treeData, analysisType, fullScreen, onFul
             <CenterIcon />
           </IconButton>
         </Tooltip>
+        <Tooltip title={dimInsignificant ? 'Show insignificant nodes normally' : 'Grey out insignificant nodes'}>
+          <IconButton onClick={() => setDimInsignificant(!dimInsignificant)} size="small" color={dimInsignificant ? 'primary' : 'default'}>
+            <OpacityIcon />
+          </IconButton>
+        </Tooltip>
         <Tooltip title="Download">
           <IconButton onClick={handleDownload} size="small">
             <DownloadIcon />
@@ -782,6 +963,16 @@ const DecisionTreeVisualizationV2 = ({ treeData, analysisType, fullScreen, onFul
           <span>• Ctrl+Scroll to zoom</span>
           <span>• Click nodes to expand/collapse</span>
         </Typography>
+        {decomposition?.formula && (
+          <Typography variant="caption" color="text.secondary" sx={{ display: 'block', textAlign: 'center' }}>
+            {decomposition.formula.text}
+          </Typography>
+        )}
+        {showLoanMatching && (
+          <Typography variant="caption" color="text.secondary" sx={{ display: 'block', textAlign: 'center' }}>
+            New: new loans | Off: loans that ran off | Rep: repricing of loans in both months
+          </Typography>
+        )}
       </Paper>
 
       {/* SVG Tree */}
@@ -811,6 +1002,7 @@ const DecisionTreeVisualizationV2 = ({ treeData, analysisType, fullScreen, onFul
           {treeData_custom && renderTree(treeData_custom)}
         </g>
       </svg>
+      <OtherMembersDialog node={membersNode} onClose={() => setMembersNode(null)} metric={metric} />
     </Box>
   );
 };
@@ -41,7 +41,7 @@ const ExportOptions = ({ sessionId, analysisResults }) => {
     onSuccess: async (data) => {
       try {
         // Download the exported file
-        const blob = await api.downloadFile(data.data.exportId);
+        const blob = await api.downloadFile(data.exportId);
         downloadBlob(blob, data.data.filename);
         toast.success('Export completed successfully!');
       } catch (error) {
@@ -57,7 +57,7 @@ const ExportOptions = ({ sessionId, analysisResults }) => {
   const reportMutation = useMutation(api.generateReport, {
     onSuccess: async (data) => {
       try {
-        const blob = await api.downloadFile(data.data.exportId);
+        const blob = await api.downloadFile(data.exportId);
         downloadBlob(blob, data.data.filename);
         toast.success('Comprehensive report generated successfully!');
       } catch (error) {
@@ -70,20 +70,16 @@ const ExportOptions = ({ sessionId, analysisResults }) => {
   });
 
   const handleExportAnalysis = (analysisKey) => {
-    if (!sessionId || !analysisResults[analysisKey]) {
+    if (!sessionId || !analysisResults[analysisKey]?.analysisId) {
       toast.error('No analysis data available for export');
       return;
     }
 
-    const analysisData = analysisResults[analysisKey];
-    
+    // The server renders the export from the stored analysis
     exportMutation.mutate({
       sessionId,
-      analysisId: `${analysisKey}-${Date.now()}`,
-      format: exportFormat,
-      analysisData: analysisData,
-      tableData: analysisData.tableData,
-      metadata: analysisData.metadata
+      analysisId: analysisResults[analysisKey].analysisId,
+      format: exportFormat
     });
   };
 
@@ -93,14 +89,13 @@ const ExportOptions = ({ sessionId, analysisResults }) => {
       return;
     }
 
-    const analyses = Object.values(analysisResults).map(result => ({
-      ...result,
-      timestamp: new Date().toISOString()
-    }));
+    const analysisIds = Object.values(analysisResults)
+      .map(result => result.analysisId)
+      .filter(Boolean);
 
     reportMutation.mutate({
       sessionId,
-      analyses,
+      analysisIds,
       format: exportFormat,
       includeCharts: true,
       includeComparison: true
@@ -0,0 +1,151 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Alert,
+  Chip,
+  CircularProgress,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import { Balance as AttributionIcon } from '@mui/icons-material';
+import {
+  ResponsiveContainer,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip as ChartTooltip,
+  Legend
+} from 'recharts';
+import { snakeToTitle } from '../utils/helpers';
+
+const formatImpact = (value) => value.toFixed(1);
+const formatShare = (value) => `${(value * 100).toFixed(0)}%`;
+
+const FactorAttribution = ({
+  factors = [],
+  onRun,
+  loading = false,
+  results = null
+}) => {
+  const unit = results?.metric?.unit || 'bps';
+  const sampled = results?.method === 'sampled';
+  const attributed = results?.factors?.length > 0;
+
+  const chartData = (results?.factors || []).map(factor => ({
+    factor: snakeToTitle(factor.factor),
+    shapley: factor.share * 100,
+    ordered: factor.orderedShare * 100
+  }));
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2, flexWrap: 'wrap' }}>
+        <Button
+          variant="contained"
+          size="small"
+          startIcon={loading ? <CircularProgress size={14} /> : <AttributionIcon fontSize="small" />}
+          onClick={() => onRun(factors)}
+          disabled={loading || factors.length === 0}
+          sx={{ textTransform: 'none', height: 32, mr: 1 }}
+        >
+          {loading ? 'Attributing...' : 'Attribute Change'}
+        </Button>
+        {factors.map((factor, index) => (
+          <Chip key={factor} size="small" label={`${index + 1}. ${snakeToTitle(factor)}`} />
+        ))}
+      </Box>
+
+      {!results && (
+        <Alert severity="info">
+          <Typography variant="body2">
+            <strong>Attribution:</strong> A User-Priority tree credits the first factor with everything it can
+            explain, so the order you choose shapes the answer. This averages each factor's contribution over
+            every order it could be added in, giving shares that do not depend on the order.
+            {factors.length === 0 && ' Choose the factors in the User-Priority tab first.'}
+          </Typography>
+        </Alert>
+      )}
+
+      {results && (
+        <Box>
+          <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>
+            {results.summary}
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            {results.metric?.label}
+            {results.periods?.previous && results.periods?.current ? ` (${results.periods.previous} → ${results.periods.current})` : ''}
+            {` | Change: ${results.totalChangeBps >= 0 ? '+' : ''}${formatImpact(results.totalChangeBps)} ${unit}`}
+            {attributed && ` | Explained by the factors together: ${formatImpact(results.explainedBps)} ${unit}`}
+          </Typography>
+
+          {attributed && (
+            <>
+              <Box sx={{ height: Math.max(160, chartData.length * 48 + 60), mb: 2 }}>
+                <ResponsiveContainer width="100%" height="100%">
+                  <BarChart data={chartData} layout="vertical" margin={{ top: 5, right: 20, bottom: 5, left: 20 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" horizontal={false} />
+                    <XAxis type="number" domain={[0, 100]} tickFormatter={(value) => `${value}%`} tick={{ fontSize: 11 }} />
+                    <YAxis type="category" dataKey="factor" width={120} tick={{ fontSize: 12 }} />
+                    <ChartTooltip formatter={(value) => `${value.toFixed(1)}%`} />
+                    <Legend />
+                    <Bar dataKey="shapley" name="Order-independent share" fill="#2563eb" isAnimationActive={false} />
+                    <Bar dataKey="ordered" name="Share in your order" fill="#cbd5e1" isAnimationActive={false} />
+                  </BarChart>
+                </ResponsiveContainer>
+              </Box>
+
+              <TableContainer component={Paper} elevation={0} sx={{ bgcolor: 'grey.50', mb: 1 }}>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell><strong>Factor</strong></TableCell>
+                      <TableCell align="right"><strong>Contribution ({unit})</strong></TableCell>
+                      <TableCell align="right"><strong>Share</strong></TableCell>
+                      <TableCell align="right"><strong>On Its Own ({unit})</strong></TableCell>
+                      <TableCell align="right"><strong>In Your Order ({unit})</strong></TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {results.factors.map(factor => (
+                      <TableRow key={factor.factor}>
+                        <TableCell>{snakeToTitle(factor.factor)}</TableCell>
+                        <TableCell align="right">
+                          {formatImpact(factor.contributionBps)}
+                          {sampled ? ` ± ${formatImpact(factor.standardErrorBps)}` : ''}
+                        </TableCell>
+                        <TableCell align="right">{formatShare(factor.share)}</TableCell>
+                        <TableCell align="right">{formatImpact(factor.standaloneBps)}</TableCell>
+                        <TableCell align="right">
+                          {formatImpact(factor.orderedBps)} ({formatShare(factor.orderedShare)})
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+              <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+                Explained impact is how far the change is from being spread evenly across the segments the factors form;
+                volume moving between segments that earn the same rate explains nothing.
+                {sampled
+                  ? ` Averaged over ${results.orderings} sampled orders of the ${results.factors.length} factors (± one standard error).`
+                  : ` Averaged over all ${results.orderings.toLocaleString()} orders of the factors.`}
+                {' '}On Its Own is what a factor explains alone; In Your Order is what it adds after the factors before it.
+              </Typography>
+            </>
+          )}
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default FactorAttribution;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useEffect } from 'react';
 import { DragDropContext, Droppable, Draggable } from 'react-beautiful-dnd';
 import {
   Box,
@@ -29,8 +29,37 @@ import {
 } from '@mui/icons-material';
 import { snakeToTitle } from '../utils/helpers';
 
-const FactorOrdering = ({ availableFactors = [], distinctValues = {}, factorOrder = [], onFactorOrderChange }) => {
-  const [targetVariable, setTargetVariable] = useState('roi');
+const AGGREGATION_OPTIONS = [
+  { value: 'weighted-mean', label: 'Weighted mean' },
+  { value: 'mean', label: 'Simple mean' },
+  { value: 'sum', label: 'Sum' },
+  { value: 'ratio', label: 'Ratio of sums' }
+];
+
+const FactorOrdering = ({
+  availableFactors = [],
+  distinctValues = {},
+  factorOrder = [],
+  onFactorOrderChange,
+  numericColumns = [],
+  targetVariable = 'roi',
+  onTargetVariableChange,
+  metricOptions = { weight: 'total_loan_amount', aggregation: 'weighted-mean' },
+  onMetricOptionsChange
+}) => {
+  const { weight = 'total_loan_amount', aggregation = 'weighted-mean' } = metricOptions;
+  const usesWeight = aggregation !== 'mean';
+  // Mirrors the backend: only ROI averages and ratios are rates reported in basis points
+  const reportedInBps = aggregation === 'ratio' || (aggregation !== 'sum' && targetVariable === 'roi');
+
+  // The weighting column is never offered as its own target
+  const targetOptions = numericColumns.length > 0
+    ? numericColumns.filter(column => !usesWeight || column !== weight)
+    : ['roi'];
+
+  const updateMetricOptions = (changes) => {
+    onMetricOptionsChange && onMetricOptionsChange({ ...metricOptions, ...changes });
+  };
 
   // Just log debug info - don't auto-populate factors
   useEffect(() => {
@@ -104,6 +133,81 @@ const FactorOrdering = ({ availableFactors = [], distinctValues = {}, factorOrde
 
   return (
     <Box>
+      {/* Target Variable Selection */}
+      <Card sx={{ mb: 4 }}>
+        <CardContent>
+          <Typography variant="subtitle1" sx={{ mb: 2, fontWeight: 600 }}>
+            Target Variable
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+            Choose the numeric metric whose month-on-month change the decision tree should explain,
+            and how it is aggregated across loans
+          </Typography>
+
+          <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+            <FormControl size="small" sx={{ minWidth: 240 }}>
+              <InputLabel>Target Variable</InputLabel>
+              <Select
+                value={targetOptions.includes(targetVariable) ? targetVariable : targetOptions[0]}
+                label="Target Variable"
+                onChange={(e) => onTargetVariableChange && onTargetVariableChange(e.target.value)}
+              >
+                {targetOptions.map((column) => (
+                  <MenuItem key={column} value={column}>
+                    {column === 'roi' ? 'ROI' : snakeToTitle(column)}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+
+            <FormControl size="small" sx={{ minWidth: 200 }}>
+              <InputLabel>Aggregation</InputLabel>
+              <Select
+                value={aggregation}
+                label="Aggregation"
+                onChange={(e) => updateMetricOptions({
+                  aggregation: e.target.value,
+                  // Ratios always need a denominator column
+                  ...(e.target.value === 'ratio' && !weight ? { weight: 'total_loan_amount' } : {})
+                })}
+              >
+                {AGGREGATION_OPTIONS.map((option) => (
+                  <MenuItem key={option.value} value={option.value}>
+                    {option.label}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+
+            {usesWeight && (
+              <FormControl size="small" sx={{ minWidth: 220 }}>
+                <InputLabel>{aggregation === 'ratio' ? 'Denominator' : 'Weight'}</InputLabel>
+                <Select
+                  value={weight || ''}
+                  label={aggregation === 'ratio' ? 'Denominator' : 'Weight'}
+                  onChange={(e) => updateMetricOptions({ weight: e.target.value || null })}
+                >
+                  {aggregation !== 'ratio' && (
+                    <MenuItem value="">Loan count</MenuItem>
+                  )}
+                  {numericColumns.filter(column => column !== targetVariable).map((column) => (
+                    <MenuItem key={column} value={column}>
+                      {snakeToTitle(column)}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            )}
+          </Box>
+
+          {!reportedInBps && (
+            <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+              Impacts are reported in the column's own units rather than basis points
+            </Typography>
+          )}
+        </CardContent>
+      </Card>
+
       {/* Available Factors - Show First for Easy Selection */}
       {getUnusedFactors().length > 0 && (
         <Card sx={{ mb: 4 }}>
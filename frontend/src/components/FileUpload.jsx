@@ -1,4 +1,4 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useEffect } from 'react';
 import { useDropzone } from 'react-dropzone';
 import {
   Box,
@@ -14,7 +14,18 @@ import {
   Alert,
   LinearProgress,
   Paper,
-  Divider
+  Divider,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  CircularProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
 } from '@mui/material';
 import {
   CloudUpload as UploadIcon,
@@ -25,10 +36,95 @@ import {
   Info as InfoIcon
 } from '@mui/icons-material';
 import { formatBytes } from '../utils/helpers';
+import * as api from '../utils/api';
 
-const FileUpload = ({ onUpload, loading = false, maxFiles = 2 }) => {
+const EMPTY_PERIOD_SELECTION = { periodColumn: '', previousPeriod: '', currentPeriod: '' };
+const EMPTY_SOURCE_SELECTION = { previous: '', current: '' };
+const HEADER_PREVIEW_COUNT = 6;
+
+const FileUpload = ({ onUpload, loading = false, maxFiles = 24 }) => {
   const [uploadedFiles, setUploadedFiles] = useState([]);
   const [errors, setErrors] = useState([]);
+  // 'files': one CSV or sheet per period; 'long': one file split on a period column
+  const [uploadMode, setUploadMode] = useState('files');
+  const [periodColumns, setPeriodColumns] = useState([]);
+  const [periodSelection, setPeriodSelection] = useState(EMPTY_PERIOD_SELECTION);
+  const [inspecting, setInspecting] = useState(false);
+  // Sheets of a workbook or the uploaded files, confirmed as previous/current before upload
+  const [inspection, setInspection] = useState(null);
+  const [sourceSelection, setSourceSelection] = useState(EMPTY_SOURCE_SELECTION);
+  const fileLimit = uploadMode === 'long' ? 1 : maxFiles;
+
+  const changeMode = (mode) => {
+    if (mode === uploadMode) return;
+    setUploadMode(mode);
+    setUploadedFiles([]);
+    setErrors([]);
+  };
+
+  const selectPeriodColumn = (columns, name) => {
+    const column = columns.find(c => c.name === name);
+    const values = column ? column.values : [];
+    setPeriodSelection({
+      periodColumn: name,
+      previousPeriod: values[values.length - 2] || '',
+      currentPeriod: values[values.length - 1] || ''
+    });
+  };
+
+  // Inspect the selection before upload: period columns for long format, sheets/files otherwise
+  useEffect(() => {
+    setPeriodColumns([]);
+    setPeriodSelection(EMPTY_PERIOD_SELECTION);
+    setInspection(null);
+    setSourceSelection(EMPTY_SOURCE_SELECTION);
+    if (uploadedFiles.length === 0 || (uploadMode === 'long' && uploadedFiles.length !== 1)) return;
+
+    const formData = new FormData();
+    uploadedFiles.forEach(f => formData.append('files', f.file));
+    setInspecting(true);
+
+    const request = uploadMode === 'long'
+      ? api.inspectPeriodColumns(formData).then(response => {
+          const columns = response.data.columns;
+          setPeriodColumns(columns);
+          if (columns.length > 0) selectPeriodColumn(columns, columns[0].name);
+        })
+      : api.inspectFiles(formData).then(response => {
+          // Default to the last two sources that hold loan data, in workbook/upload order
+          const usable = response.data.sources.filter(source => source.hasRequiredColumns);
+          setInspection(response.data);
+          setSourceSelection({
+            previous: usable[usable.length - 2]?.name || '',
+            current: usable[usable.length - 1]?.name || ''
+          });
+        });
+
+    request
+      .catch(error => {
+        setErrors([{
+          file: uploadedFiles.map(f => f.name).join(', '),
+          errors: [error.response?.data?.message || 'Could not read the uploaded files']
+        }]);
+      })
+      .finally(() => setInspecting(false));
+  }, [uploadMode, uploadedFiles]);
+
+  const sourceNoun = inspection?.sourceType === 'sheet' ? 'Sheet' : 'File';
+
+  const selectedColumnValues = periodColumns.find(c => c.name === periodSelection.periodColumn)?.values || [];
+  const periodSelectionReady = uploadMode === 'long'
+    ? Boolean(
+        periodSelection.periodColumn &&
+        periodSelection.previousPeriod &&
+        periodSelection.currentPeriod &&
+        periodSelection.previousPeriod !== periodSelection.currentPeriod
+      )
+    : Boolean(
+        sourceSelection.previous &&
+        sourceSelection.current &&
+        sourceSelection.previous !== sourceSelection.current
+      );
 
   const onDrop = useCallback((acceptedFiles, rejectedFiles) => {
     // Clear previous errors
@@ -47,10 +143,10 @@ const FileUpload = ({ onUpload, loading = false, maxFiles = 2 }) => {
     if (acceptedFiles.length > 0) {
       // Validate file count
       const totalFiles = uploadedFiles.length + acceptedFiles.length;
-      if (totalFiles > maxFiles) {
+      if (totalFiles > fileLimit) {
         setErrors([{
           file: 'File Count',
-          errors: [`Maximum ${maxFiles} files allowed`]
+          errors: [`Maximum ${fileLimit} file${fileLimit === 1 ? '' : 's'} allowed`]
         }]);
         return;
       }
@@ -67,7 +163,7 @@ const FileUpload = ({ onUpload, loading = false, maxFiles = 2 }) => {
 
       setUploadedFiles(prev => [...prev, ...newFiles]);
     }
-  }, [uploadedFiles.length, maxFiles]);
+  }, [uploadedFiles.length, fileLimit]);
 
   const { getRootProps, getInputProps, isDragActive, isDragReject } = useDropzone({
     onDrop,
@@ -77,7 +173,7 @@ const FileUpload = ({ onUpload, loading = false, maxFiles = 2 }) => {
       'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx']
     },
     maxSize: 50 * 1024 * 1024, // 50MB
-    maxFiles
+    maxFiles: fileLimit
   });
 
   const removeFile = (fileId) => {
@@ -89,7 +185,14 @@ const FileUpload = ({ onUpload, loading = false, maxFiles = 2 }) => {
     if (uploadedFiles.length === 0) return;
     
     const files = uploadedFiles.map(f => f.file);
-    onUpload(files);
+    if (uploadMode === 'long') {
+      onUpload(files, periodSelection);
+    } else {
+      onUpload(files, {
+        [`previous${sourceNoun}`]: sourceSelection.previous,
+        [`current${sourceNoun}`]: sourceSelection.current
+      });
+    }
   };
 
   const getDropZoneStyle = () => {
@@ -151,12 +254,33 @@ const FileUpload = ({ onUpload, loading = false, maxFiles = 2 }) => {
         </Typography>
 
         <Box sx={{ display: 'flex', gap: 1, justifyContent: 'center', flexWrap: 'wrap', mb: 1 }}>
-          <Chip label="2 CSV Files" variant="outlined" size="small" />
-          <Chip label="1 Excel File" variant="outlined" size="small" />
+          <Chip
+            label="1 CSV per Period"
+            variant={uploadMode === 'files' ? 'filled' : 'outlined'}
+            color={uploadMode === 'files' ? 'primary' : 'default'}
+            size="small"
+            onClick={(e) => { e.stopPropagation(); changeMode('files'); }}
+          />
+          <Chip
+            label="1 Excel File (sheet per period)"
+            variant={uploadMode === 'files' ? 'filled' : 'outlined'}
+            color={uploadMode === 'files' ? 'primary' : 'default'}
+            size="small"
+            onClick={(e) => { e.stopPropagation(); changeMode('files'); }}
+          />
+          <Chip
+            label="1 File + Period Column"
+            variant={uploadMode === 'long' ? 'filled' : 'outlined'}
+            color={uploadMode === 'long' ? 'primary' : 'default'}
+            size="small"
+            onClick={(e) => { e.stopPropagation(); changeMode('long'); }}
+          />
         </Box>
         
         <Typography variant="caption" display="block" sx={{ color: 'text.secondary' }}>
-          Previous & Current Month • Max 50MB each
+          {uploadMode === 'long'
+            ? 'Single CSV/Excel with a period column (e.g. month) • Max 50MB'
+            : `Oldest period first • Max ${maxFiles} files • Max 50MB each`}
         </Typography>
       </Paper>
 
@@ -211,6 +335,142 @@ const FileUpload = ({ onUpload, loading = false, maxFiles = 2 }) => {
         </Box>
       )}
 
+      {/* Sheet / file confirmation */}
+      {uploadMode === 'files' && (inspecting || inspection) && (
+        <Box sx={{ mt: 2 }}>
+          <Typography variant="subtitle2" sx={{ mb: 1, fontWeight: 600, color: 'text.secondary' }}>
+            Confirm Periods
+          </Typography>
+
+          {inspecting ? (
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+              <CircularProgress size={16} />
+              <Typography variant="body2" color="text.secondary">Reading sheets...</Typography>
+            </Box>
+          ) : (
+            <>
+              <TableContainer component={Paper} variant="outlined" sx={{ mb: 2 }}>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell><strong>{sourceNoun}</strong></TableCell>
+                      <TableCell align="right"><strong>Rows</strong></TableCell>
+                      <TableCell><strong>Columns</strong></TableCell>
+                      <TableCell><strong>Role</strong></TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {inspection.sources.map(source => (
+                      <TableRow key={source.name} sx={{ opacity: source.hasRequiredColumns ? 1 : 0.6 }}>
+                        <TableCell>{source.name}</TableCell>
+                        <TableCell align="right">{source.rowCount}</TableCell>
+                        <TableCell>
+                          <Typography variant="caption" color="text.secondary">
+                            {source.headers.slice(0, HEADER_PREVIEW_COUNT).join(', ')}
+                            {source.headers.length > HEADER_PREVIEW_COUNT ? ` +${source.headers.length - HEADER_PREVIEW_COUNT} more` : ''}
+                          </Typography>
+                        </TableCell>
+                        <TableCell>
+                          {source.name === sourceSelection.previous && <Chip label="Previous" size="small" color="primary" />}
+                          {source.name === sourceSelection.current && <Chip label="Current" size="small" color="secondary" />}
+                          {!source.hasRequiredColumns && <Chip label="No amount/rate columns" size="small" variant="outlined" />}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+
+              <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+                {['previous', 'current'].map(role => (
+                  <FormControl key={role} size="small" sx={{ minWidth: 200 }}>
+                    <InputLabel>{role === 'previous' ? 'Previous' : 'Current'} {sourceNoun}</InputLabel>
+                    <Select
+                      value={sourceSelection[role]}
+                      label={`${role === 'previous' ? 'Previous' : 'Current'} ${sourceNoun}`}
+                      onChange={(e) => setSourceSelection(prev => ({ ...prev, [role]: e.target.value }))}
+                    >
+                      {inspection.sources.filter(source => source.hasRequiredColumns).map(source => (
+                        <MenuItem
+                          key={source.name}
+                          value={source.name}
+                          disabled={source.name === sourceSelection[role === 'previous' ? 'current' : 'previous']}
+                        >
+                          {source.name}
+                        </MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                ))}
+              </Box>
+            </>
+          )}
+        </Box>
+      )}
+
+      {/* Long-format period selection */}
+      {uploadMode === 'long' && uploadedFiles.length === 1 && (
+        <Box sx={{ mt: 2 }}>
+          <Typography variant="subtitle2" sx={{ mb: 1, fontWeight: 600, color: 'text.secondary' }}>
+            Periods
+          </Typography>
+
+          {inspecting ? (
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+              <CircularProgress size={16} />
+              <Typography variant="body2" color="text.secondary">Reading columns...</Typography>
+            </Box>
+          ) : periodColumns.length > 0 && (
+            <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+              <FormControl size="small" sx={{ minWidth: 180 }}>
+                <InputLabel>Period Column</InputLabel>
+                <Select
+                  value={periodSelection.periodColumn}
+                  label="Period Column"
+                  onChange={(e) => selectPeriodColumn(periodColumns, e.target.value)}
+                >
+                  {periodColumns.map(column => (
+                    <MenuItem key={column.name} value={column.name}>
+                      {column.name} ({column.values.length} values)
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+
+              <FormControl size="small" sx={{ minWidth: 150 }}>
+                <InputLabel>Previous</InputLabel>
+                <Select
+                  value={periodSelection.previousPeriod}
+                  label="Previous"
+                  onChange={(e) => setPeriodSelection(prev => ({ ...prev, previousPeriod: e.target.value }))}
+                >
+                  {selectedColumnValues.map(value => (
+                    <MenuItem key={value} value={value} disabled={value === periodSelection.currentPeriod}>
+                      {value}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+
+              <FormControl size="small" sx={{ minWidth: 150 }}>
+                <InputLabel>Current</InputLabel>
+                <Select
+                  value={periodSelection.currentPeriod}
+                  label="Current"
+                  onChange={(e) => setPeriodSelection(prev => ({ ...prev, currentPeriod: e.target.value }))}
+                >
+                  {selectedColumnValues.map(value => (
+                    <MenuItem key={value} value={value} disabled={value === periodSelection.previousPeriod}>
+                      {value}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Box>
+          )}
+        </Box>
+      )}
+
       {/* Errors */}
       {errors.length > 0 && (
         <Alert severity="error" sx={{ mt: 2 }}>
@@ -249,7 +509,7 @@ const FileUpload = ({ onUpload, loading = false, maxFiles = 2 }) => {
           variant="contained"
           startIcon={<UploadIcon />}
           onClick={handleUpload}
-          disabled={loading || uploadedFiles.length === 0 || errors.length > 0}
+          disabled={loading || inspecting || uploadedFiles.length === 0 || errors.length > 0 || !periodSelectionReady}
           sx={{ minWidth: 120 }}
         >
           {loading ? 'Processing...' : 'Upload'}
@@ -0,0 +1,137 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  CircularProgress,
+  FormControl,
+  Select,
+  MenuItem,
+  TextField,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper
+} from '@mui/material';
+import { snakeToTitle } from '../utils/helpers';
+
+const ACTION_LABELS = {
+  drop: 'Drop row',
+  fill: 'Fill with value',
+  unknown: 'Fill with "Unknown"',
+  ignore: 'Leave empty'
+};
+
+const toSelection = (columns = {}) => Object.fromEntries(
+  Object.entries(columns).map(([column, { action, value }]) => [column, { action, value: value ?? '' }])
+);
+
+const MissingValuePolicy = ({ policy, emptyCells = {}, onApply, loading = false }) => {
+  const [selection, setSelection] = useState(() => toSelection(policy?.columns));
+
+  useEffect(() => {
+    setSelection(toSelection(policy?.columns));
+  }, [policy]);
+
+  if (!policy?.columns) return null;
+
+  const actions = policy.actions || Object.keys(ACTION_LABELS);
+  const columns = Object.entries(policy.columns);
+
+  const changed = columns.some(([column, current]) =>
+    selection[column]?.action !== current.action ||
+    (selection[column]?.action === 'fill' && String(selection[column].value) !== String(current.value ?? ''))
+  );
+  const missingFillValue = Object.values(selection).some(choice => choice.action === 'fill' && String(choice.value).trim() === '');
+
+  const update = (column, changes) => {
+    setSelection(prev => ({ ...prev, [column]: { ...prev[column], ...changes } }));
+  };
+
+  const handleApply = () => {
+    // Amount and rate are always dropped when empty, so only the other columns are sent
+    const overrides = Object.fromEntries(
+      columns
+        .filter(([column, current]) => !current.required)
+        .map(([column]) => {
+          const { action, value } = selection[column];
+          return [column, action === 'fill' ? { action, value } : action];
+        })
+    );
+    onApply({ missingValuePolicy: overrides });
+  };
+
+  return (
+    <Box sx={{ mt: 3 }}>
+      <Typography variant="subtitle2" sx={{ mb: 1, fontWeight: 600 }}>
+        Missing-Value Policy
+      </Typography>
+      <Typography variant="caption" color="text.secondary" sx={{ mb: 1, display: 'block' }}>
+        Rows always need a loan amount and rate. Choose what happens to empty cells in every other column.
+      </Typography>
+
+      <TableContainer component={Paper} elevation={0} sx={{ bgcolor: 'grey.50' }}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell><strong>Column</strong></TableCell>
+              <TableCell align="right"><strong>Empty Cells</strong></TableCell>
+              <TableCell><strong>When Empty</strong></TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {columns.map(([column, current]) => (
+              <TableRow key={column}>
+                <TableCell>{snakeToTitle(column)}</TableCell>
+                <TableCell align="right">{emptyCells[column] || 0}</TableCell>
+                <TableCell>
+                  <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+                    <FormControl size="small" sx={{ minWidth: 180 }}>
+                      <Select
+                        value={selection[column]?.action || current.action}
+                        disabled={current.required}
+                        onChange={(e) => update(column, { action: e.target.value })}
+                      >
+                        {actions.map(action => (
+                          <MenuItem key={action} value={action}>{ACTION_LABELS[action] || action}</MenuItem>
+                        ))}
+                      </Select>
+                    </FormControl>
+                    {selection[column]?.action === 'fill' && (
+                      <TextField
+                        size="small"
+                        placeholder="Value"
+                        type={current.numeric ? 'number' : 'text'}
+                        value={selection[column].value}
+                        onChange={(e) => update(column, { value: e.target.value })}
+                        sx={{ width: 120 }}
+                      />
+                    )}
+                  </Box>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <Box sx={{ display: 'flex', justifyContent: 'flex-end', mt: 1 }}>
+        <Button
+          variant="contained"
+          size="small"
+          onClick={handleApply}
+          disabled={loading || !changed || missingFillValue}
+          startIcon={loading ? <CircularProgress size={14} /> : null}
+          sx={{ textTransform: 'none' }}
+        >
+          {loading ? 'Applying...' : 'Apply Policy'}
+        </Button>
+      </Box>
+    </Box>
+  );
+};
+
+export default MissingValuePolicy;
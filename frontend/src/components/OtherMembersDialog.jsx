@@ -0,0 +1,72 @@
+import React from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import { formatIndianCurrency, formatNodeLabel } from '../utils/helpers';
+
+// Categories collapsed into an "Other" tree node, each with its own metrics
+const OtherMembersDialog = ({ node, onClose, metric }) => {
+  if (!node?.members) return null;
+
+  const metricLabel = metric?.label || 'ROI';
+  const inUnits = metric?.unit === 'units';
+  const impactUnit = inUnits ? '' : ' bps';
+  const formatRate = (value) => inUnits ? value.toLocaleString() : `${(value * 100).toFixed(2)}%`;
+
+  const members = [...node.members].sort((a, b) => Math.abs(b.totalImpactBps) - Math.abs(a.totalImpactBps));
+
+  return (
+    <Dialog open onClose={onClose} maxWidth="md" fullWidth sx={{ zIndex: 10001 }}>
+      <DialogTitle>{formatNodeLabel(node)}</DialogTitle>
+      <DialogContent dividers>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          The Other node's metrics are computed on all of these rows together, so they are not the sum of the rows below.
+        </Typography>
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell><strong>Value</strong></TableCell>
+                <TableCell align="right"><strong>Prev {metricLabel}</strong></TableCell>
+                <TableCell align="right"><strong>Curr {metricLabel}</strong></TableCell>
+                <TableCell align="right"><strong>Total Impact</strong></TableCell>
+                <TableCell align="right"><strong>% of Parent Amount</strong></TableCell>
+                <TableCell align="right"><strong>Curr Amount</strong></TableCell>
+                <TableCell align="right"><strong>Rows (Prev / Curr)</strong></TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {members.map(member => (
+                <TableRow key={String(member.value)}>
+                  <TableCell>{String(member.value)}</TableCell>
+                  <TableCell align="right">{formatRate(member.previousROI)}</TableCell>
+                  <TableCell align="right">{formatRate(member.currentROI)}</TableCell>
+                  <TableCell align="right">{`${member.totalImpactBps.toFixed(1)}${impactUnit}`}</TableCell>
+                  <TableCell align="right">{member.amountPct.toFixed(1)}%</TableCell>
+                  <TableCell align="right">{formatIndianCurrency(member.currentAmount)}</TableCell>
+                  <TableCell align="right">{member.previousCount} / {member.currentCount}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} sx={{ textTransform: 'none' }}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default OtherMembersDialog;
@@ -0,0 +1,191 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Alert,
+  CircularProgress,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper
+} from '@mui/material';
+import { ShowChart as TrendIcon } from '@mui/icons-material';
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip as ChartTooltip,
+  Legend,
+  ReferenceLine
+} from 'recharts';
+import { snakeToTitle } from '../utils/helpers';
+
+const COMPARISON_OPTIONS = [
+  { value: 'mom', label: 'Month on Month', step: 1 },
+  { value: 'qoq', label: 'Quarter on Quarter', step: 3 },
+  { value: 'yoy', label: 'Year on Year', step: 12 }
+];
+
+const IMPACT_OPTIONS = [
+  { value: 'totalImpactBps', label: 'Total Impact' },
+  { value: 'yieldImpactBps', label: 'Yield Impact' },
+  { value: 'distributionImpactBps', label: 'Mix Impact' },
+  { value: 'interactionImpactBps', label: 'Interaction Impact' }
+];
+
+const SERIES_COLORS = ['#2563eb', '#dc2626', '#16a34a', '#d97706', '#7c3aed', '#0891b2', '#db2777', '#65a30d', '#475569', '#ea580c'];
+
+const TrendAnalysis = ({
+  periods = [],
+  availableFactors = [],
+  onRun,
+  loading = false,
+  results = null
+}) => {
+  const [factor, setFactor] = useState(availableFactors[0] || '');
+  const [comparison, setComparison] = useState('mom');
+  const [impactKey, setImpactKey] = useState('totalImpactBps');
+
+  useEffect(() => {
+    if (!availableFactors.includes(factor)) {
+      setFactor(availableFactors[0] || '');
+    }
+  }, [availableFactors, factor]);
+
+  const unit = results?.metric?.unit || 'bps';
+  const chartData = (results?.points || []).map(point => {
+    const row = { period: point.currentPeriod };
+    results.segments.forEach(segment => {
+      row[segment] = point.segments[segment]?.[impactKey] || 0;
+    });
+    return row;
+  });
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2, flexWrap: 'wrap' }}>
+        <FormControl size="small" sx={{ minWidth: 160 }}>
+          <InputLabel>Segment By</InputLabel>
+          <Select value={factor} label="Segment By" onChange={(e) => setFactor(e.target.value)}>
+            {availableFactors.map(option => (
+              <MenuItem key={option} value={option}>{snakeToTitle(option)}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        <FormControl size="small" sx={{ minWidth: 180 }}>
+          <InputLabel>Comparison</InputLabel>
+          <Select value={comparison} label="Comparison" onChange={(e) => setComparison(e.target.value)}>
+            {COMPARISON_OPTIONS.map(option => (
+              <MenuItem key={option.value} value={option.value} disabled={periods.length <= option.step}>
+                {option.label}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        <FormControl size="small" sx={{ minWidth: 160 }}>
+          <InputLabel>Impact</InputLabel>
+          <Select value={impactKey} label="Impact" onChange={(e) => setImpactKey(e.target.value)}>
+            {IMPACT_OPTIONS.map(option => (
+              <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        <Button
+          variant="contained"
+          size="small"
+          startIcon={loading ? <CircularProgress size={14} /> : <TrendIcon fontSize="small" />}
+          onClick={() => onRun({ factor, comparison })}
+          disabled={loading || !factor}
+          sx={{ textTransform: 'none', height: 32 }}
+        >
+          {loading ? 'Running...' : 'Run Trend'}
+        </Button>
+      </Box>
+
+      {!results && (
+        <Alert severity="info">
+          <Typography variant="body2">
+            <strong>Trend:</strong> Decomposes the change between each pair of periods ({periods.length} uploaded)
+            by segment, so you can see how each segment's yield and mix impact evolved over time.
+          </Typography>
+        </Alert>
+      )}
+
+      {results && (
+        <Box>
+          <Typography variant="subtitle1" sx={{ fontWeight: 600, mb: 1 }}>
+            {IMPACT_OPTIONS.find(o => o.value === impactKey)?.label} by {snakeToTitle(results.factor)}
+            {results.metric?.label ? ` — ${results.metric.label}` : ''} ({results.comparison.toUpperCase()}, {unit})
+          </Typography>
+
+          <Box sx={{ height: 360 }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={chartData} margin={{ top: 10, right: 20, bottom: 10, left: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+                <XAxis dataKey="period" tick={{ fontSize: 12 }} />
+                <YAxis tick={{ fontSize: 12 }} />
+                <ChartTooltip formatter={(value) => `${Number(value).toFixed(2)} ${unit}`} />
+                <Legend />
+                <ReferenceLine y={0} stroke="#94a3b8" />
+                {results.segments.map((segment, index) => (
+                  <Line
+                    key={segment}
+                    type="monotone"
+                    dataKey={segment}
+                    name={String(segment)}
+                    stroke={SERIES_COLORS[index % SERIES_COLORS.length]}
+                    strokeWidth={2}
+                    dot={{ r: 3 }}
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </Box>
+
+          <TableContainer component={Paper} elevation={0} sx={{ bgcolor: 'grey.50', mt: 2 }}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell><strong>Period</strong></TableCell>
+                  <TableCell align="right"><strong>Portfolio Change ({unit})</strong></TableCell>
+                  {results.segments.map(segment => (
+                    <TableCell key={segment} align="right"><strong>{segment}</strong></TableCell>
+                  ))}
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {results.points.map(point => (
+                  <TableRow key={`${point.previousPeriod}-${point.currentPeriod}`}>
+                    <TableCell>{point.previousPeriod} → {point.currentPeriod}</TableCell>
+                    <TableCell align="right">{point.totalChangeBps.toFixed(2)}</TableCell>
+                    {results.segments.map(segment => (
+                      <TableCell key={segment} align="right">
+                        {(point.segments[segment]?.[impactKey] || 0).toFixed(2)}
+                      </TableCell>
+                    ))}
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default TrendAnalysis;
@@ -24,13 +24,14 @@ import {
   ChevronLeft as ChevronLeftIcon,
   ChevronRight as ChevronRightIcon
 } from '@mui/icons-material';
-import { useQuery, useMutation } from 'react-query';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
 import toast from 'react-hot-toast';
 
 // Components
 import FileUpload from '../components/FileUpload';
 import DataSummary from '../components/DataSummary';
 import FactorOrdering from '../components/FactorOrdering';
+import BandingEditor from '../components/BandingEditor';
 import AnalysisVariants from '../components/AnalysisVariants';
 import ExportOptions from '../components/ExportOptions';
 
@@ -59,7 +60,13 @@ const steps = [
   // Export step temporarily disabled
 ];
 
+const DEFAULT_METRIC_OPTIONS = {
+  weight: 'total_loan_amount',
+  aggregation: 'weighted-mean'
+};
+
 const AnalysisPage = () => {
+  const queryClient = useQueryClient();
   const [activeStep, setActiveStep] = useState(() => {
     const saved = localStorage.getItem('roi-analysis-step');
     return saved ? parseInt(saved) : 0;
@@ -74,6 +81,16 @@ const AnalysisPage = () => {
   });
   const [selectedVariant, setSelectedVariant] = useState(0);
   const [factorOrder, setFactorOrder] = useState([]);
+  const [targetVariable, setTargetVariable] = useState(() => {
+    return localStorage.getItem('roi-analysis-target') || 'roi';
+  });
+  const [metricOptions, setMetricOptions] = useState(() => {
+    const saved = localStorage.getItem('roi-analysis-metric');
+    return saved ? JSON.parse(saved) : DEFAULT_METRIC_OPTIONS;
+  });
+  const [trendResults, setTrendResults] = useState(null);
+  const [comparisonResults, setComparisonResults] = useState(null);
+  const [attributionResults, setAttributionResults] = useState(null);
   const [sidebarCollapsed, setSidebarCollapsed] = useState(false);
 
   // Persist state to localStorage whenever it changes
@@ -99,6 +116,14 @@ const AnalysisPage = () => {
     }
   }, [factorOrder]);
 
+  useEffect(() => {
+    localStorage.setItem('roi-analysis-target', targetVariable);
+  }, [targetVariable]);
+
+  useEffect(() => {
+    localStorage.setItem('roi-analysis-metric', JSON.stringify(metricOptions));
+  }, [metricOptions]);
+
   // File upload mutation
   const uploadMutation = useMutation(api.uploadFiles, {
     onSuccess: (data) => {
@@ -117,9 +142,14 @@ const AnalysisPage = () => {
         sessionId: data.sessionId
       };
       setSessionData(dataWithSessionId);
+      setTrendResults(null);
+      setComparisonResults(null);
+      setAttributionResults(null);
       
-      // Reset factor order to empty when new data is uploaded
+      // Reset factor order and target to defaults when new data is uploaded
       setFactorOrder([]);
+      setTargetVariable('roi');
+      setMetricOptions(DEFAULT_METRIC_OPTIONS);
       localStorage.removeItem('roi-analysis-factors');
       
       setActiveStep(1);
@@ -130,10 +160,40 @@ const AnalysisPage = () => {
     }
   });
 
+  // Re-mapping columns, changing the cleaning policy or bands rebuilds the session data, so results
+  // from the previous data are dropped and factors that no longer exist are taken out of the order
+  const reprocessMutation = useMutation(api.reprocessUpload, {
+    onSuccess: (data, variables) => {
+      setSessionData({
+        ...data.data,
+        sessionId: data.sessionId
+      });
+      setFactorOrder(prev => prev.filter(factor => data.data.availableColumns?.includes(factor)));
+      setAnalysisResults({});
+      setTrendResults(null);
+      setComparisonResults(null);
+      setAttributionResults(null);
+      if (variables.saveProfile) {
+        queryClient.invalidateQueries('mapping-profiles');
+      }
+      toast.success('Data reprocessed!');
+    },
+    onError: (error) => {
+      const errorMessage = error.response?.data?.message || 'Reprocessing failed';
+      if (error.response?.status === 404) {
+        handleSessionExpired();
+      } else {
+        toast.error(errorMessage);
+      }
+    }
+  });
+
   // Analysis mutations
   const variant1Mutation = useMutation(api.runVariant1Analysis, {
     onSuccess: (data) => {
-      setAnalysisResults(prev => ({ ...prev, variant1: data.data }));
+      // Keep the server-side analysis ID so exports can be regenerated from the session
+      setAnalysisResults(prev => ({ ...prev, variant1: { ...data.data, analysisId: data.analysisId } }));
+      setComparisonResults(null);
       toast.success('User-Priority analysis completed!');
     },
     onError: (error) => {
@@ -148,7 +208,8 @@ const AnalysisPage = () => {
 
   const variant2Mutation = useMutation(api.runVariant2Analysis, {
     onSuccess: (data) => {
-      setAnalysisResults(prev => ({ ...prev, variant2: data.data }));
+      setAnalysisResults(prev => ({ ...prev, variant2: { ...data.data, analysisId: data.analysisId } }));
+      setComparisonResults(null);
       toast.success('Auto-Max Split analysis completed!');
     },
     onError: (error) => {
@@ -161,28 +222,98 @@ const AnalysisPage = () => {
     }
   });
 
-  const handleFileUpload = (files) => {
+  const trendMutation = useMutation(api.runTrendAnalysis, {
+    onSuccess: (data) => {
+      setTrendResults(data.data);
+      toast.success('Trend analysis completed!');
+    },
+    onError: (error) => {
+      const errorMessage = error.response?.data?.message || 'Trend analysis failed';
+      if (errorMessage.includes('Please upload data first') || errorMessage.includes('Invalid session')) {
+        handleSessionExpired();
+      } else {
+        toast.error(errorMessage);
+      }
+    }
+  });
+
+  const attributionMutation = useMutation(api.runAttribution, {
+    onSuccess: (data) => {
+      setAttributionResults(data.data);
+      toast.success('Factor attribution completed!');
+    },
+    onError: (error) => {
+      const errorMessage = error.response?.data?.message || 'Factor attribution failed';
+      if (errorMessage.includes('Please upload data first') || errorMessage.includes('Invalid session')) {
+        handleSessionExpired();
+      } else {
+        toast.error(errorMessage);
+      }
+    }
+  });
+
+  const compareMutation = useMutation(api.compareAnalyses, {
+    onSuccess: (data) => {
+      setComparisonResults(data.data);
+    },
+    onError: (error) => {
+      const errorMessage = error.response?.data?.message || 'Comparison failed';
+      if (errorMessage.includes('Session not found')) {
+        handleSessionExpired();
+      } else {
+        toast.error(errorMessage);
+      }
+    }
+  });
+
+  const handleFileUpload = (files, fields = {}) => {
     const formData = new FormData();
     files.forEach(file => {
       formData.append('files', file);
     });
+    // Long-format uploads name the period column and the previous/current values
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value) formData.append(key, value);
+    });
     uploadMutation.mutate(formData);
   };
 
+  const handleReprocess = (options) => {
+    if (!sessionData?.sessionId) {
+      toast.error('Please upload data first');
+      return;
+    }
+    reprocessMutation.mutate({ sessionId: sessionData.sessionId, ...options });
+  };
+
   const handleSessionExpired = () => {
     toast.error('Session expired. Please re-upload your data.');
     setActiveStep(0);
     setSessionData(null);
     setFactorOrder([]);
+    setTargetVariable('roi');
+    setMetricOptions(DEFAULT_METRIC_OPTIONS);
     setAnalysisResults({});
+    setTrendResults(null);
+    setComparisonResults(null);
+    setAttributionResults(null);
     
     // Clear localStorage
     localStorage.removeItem('roi-analysis-session');
     localStorage.removeItem('roi-analysis-factors');
+    localStorage.removeItem('roi-analysis-target');
+    localStorage.removeItem('roi-analysis-metric');
     localStorage.removeItem('roi-analysis-results');
   };
 
-  const handleVariant1Analysis = (factorOrder, targetVariable) => {
+  // Metric definition sent with every analysis request
+  const buildMetric = (numerator) => ({
+    numerator,
+    weight: metricOptions.weight || null,
+    aggregation: metricOptions.aggregation
+  });
+
+  const handleVariant1Analysis = (factorOrder, targetVariable, options = {}) => {
     if (!sessionData?.sessionId) {
       toast.error('Please upload data first');
       return;
@@ -191,11 +322,13 @@ const AnalysisPage = () => {
     variant1Mutation.mutate({
       sessionId: sessionData.sessionId,
       factorOrder,
-      targetVariable
+      targetVariable,
+      metric: buildMetric(targetVariable),
+      ...options
     });
   };
 
-  const handleVariant2Analysis = (targetVariable, availableFactors) => {
+  const handleVariant2Analysis = (targetVariable, availableFactors, options = {}) => {
     if (!sessionData?.sessionId) {
       toast.error('Please upload data first');
       return;
@@ -204,7 +337,53 @@ const AnalysisPage = () => {
     variant2Mutation.mutate({
       sessionId: sessionData.sessionId,
       targetVariable,
-      availableFactors: availableFactors || factorOrder
+      metric: buildMetric(targetVariable),
+      availableFactors: availableFactors || factorOrder,
+      ...options
+    });
+  };
+
+  const handleTrendAnalysis = (factor, comparison, targetVariable, options = {}) => {
+    if (!sessionData?.sessionId) {
+      toast.error('Please upload data first');
+      return;
+    }
+
+    trendMutation.mutate({
+      sessionId: sessionData.sessionId,
+      factor,
+      comparison,
+      targetVariable,
+      metric: buildMetric(targetVariable),
+      ...options
+    });
+  };
+
+  const handleAttribution = (factors, targetVariable, options = {}) => {
+    if (!sessionData?.sessionId) {
+      toast.error('Please upload data first');
+      return;
+    }
+
+    attributionMutation.mutate({
+      sessionId: sessionData.sessionId,
+      factors,
+      targetVariable,
+      metric: buildMetric(targetVariable),
+      ...options
+    });
+  };
+
+  const handleCompare = () => {
+    if (!sessionData?.sessionId || !analysisResults.variant1?.analysisId || !analysisResults.variant2?.analysisId) {
+      toast.error('Run both analyses first');
+      return;
+    }
+
+    compareMutation.mutate({
+      sessionId: sessionData.sessionId,
+      variant1AnalysisId: analysisResults.variant1.analysisId,
+      variant2AnalysisId: analysisResults.variant2.analysisId
     });
   };
 
@@ -220,13 +399,20 @@ const AnalysisPage = () => {
     setActiveStep(0);
     setSessionData(null);
     setAnalysisResults({});
+    setTrendResults(null);
+    setComparisonResults(null);
+    setAttributionResults(null);
     setFactorOrder([]);
+    setTargetVariable('roi');
+    setMetricOptions(DEFAULT_METRIC_OPTIONS);
     
     // Clear localStorage
     localStorage.removeItem('roi-analysis-step');
     localStorage.removeItem('roi-analysis-session');
     localStorage.removeItem('roi-analysis-results');
     localStorage.removeItem('roi-analysis-factors');
+    localStorage.removeItem('roi-analysis-target');
+    localStorage.removeItem('roi-analysis-metric');
     
     toast.success('Analysis session reset successfully');
   };
@@ -283,7 +469,11 @@ const AnalysisPage = () => {
 
               {sessionData && (
                 <Box sx={{ mt: 2 }}>
-                  <DataSummary data={sessionData} />
+                  <DataSummary
+                    data={sessionData}
+                    onReprocess={handleReprocess}
+                    reprocessing={reprocessMutation.isLoading}
+                  />
                 </Box>
               )}
             </CardContent>
@@ -300,6 +490,19 @@ const AnalysisPage = () => {
                   distinctValues={sessionData?.distinctValues || {}}
                   factorOrder={factorOrder}
                   onFactorOrderChange={setFactorOrder}
+                  numericColumns={sessionData?.numericColumns || []}
+                  targetVariable={targetVariable}
+                  onTargetVariableChange={setTargetVariable}
+                  metricOptions={metricOptions}
+                  onMetricOptionsChange={setMetricOptions}
+                />
+              )}
+
+              {sessionData?.banding && (
+                <BandingEditor
+                  banding={sessionData.banding}
+                  onApply={handleReprocess}
+                  loading={reprocessMutation.isLoading}
                 />
               )}
             </CardContent>
@@ -311,13 +514,26 @@ const AnalysisPage = () => {
           <Card>
             <CardContent sx={{ p: 2 }}>
               <AnalysisVariants
+                sessionId={sessionData?.sessionId}
                 onVariant1Analysis={handleVariant1Analysis}
                 onVariant2Analysis={handleVariant2Analysis}
                 variant1Loading={variant1Mutation.isLoading}
                 variant2Loading={variant2Mutation.isLoading}
                 analysisResults={analysisResults}
                 availableFactors={sessionData?.availableColumns || []}
+                numericFactors={sessionData?.banding?.bandableColumns || []}
                 factorOrder={factorOrder}
+                targetVariable={targetVariable}
+                periods={sessionData?.periods || []}
+                onTrendAnalysis={handleTrendAnalysis}
+                trendLoading={trendMutation.isLoading}
+                trendResults={trendResults}
+                onCompare={handleCompare}
+                compareLoading={compareMutation.isLoading}
+                comparisonResults={comparisonResults}
+                onAttribution={handleAttribution}
+                attributionLoading={attributionMutation.isLoading}
+                attributionResults={attributionResults}
               />
             </CardContent>
           </Card>
@@ -48,6 +48,47 @@ export const uploadFiles = async (formData) => {
   return response.data;
 };
 
+// List sheets or files of an upload with row counts and header previews
+export const inspectFiles = async (formData) => {
+  const response = await api.post('/upload/inspect', formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data',
+    },
+  });
+  return response.data;
+};
+
+// List candidate period columns of a single long-format file
+export const inspectPeriodColumns = async (formData) => {
+  const response = await api.post('/upload/period-columns', formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data',
+    },
+  });
+  return response.data;
+};
+
+// Re-map the uploaded columns and rebuild the session data
+export const reprocessUpload = async ({ sessionId, ...data }) => {
+  const response = await api.post(`/upload/${sessionId}/reprocess`, data);
+  return response.data;
+};
+
+// List saved column-mapping profiles
+export const getMappingProfiles = async () => {
+  const response = await api.get('/upload/mapping-profiles');
+  return response.data;
+};
+
+// Download the rows removed during cleaning, with reasons (csv or xlsx)
+export const downloadRejections = async (sessionId, format = 'csv') => {
+  const response = await api.get(`/upload/${sessionId}/rejections`, {
+    params: { format },
+    responseType: 'blob',
+  });
+  return response.data;
+};
+
 // Validate files before upload
 export const validateFiles = async (formData) => {
   const response = await api.post('/upload/validate', formData, {
@@ -82,12 +123,30 @@ export const runVariant2Analysis = async (data) => {
   return response.data;
 };
 
+// Run trend analysis across all uploaded periods
+export const runTrendAnalysis = async (data) => {
+  const response = await api.post('/analysis/trend', data);
+  return response.data;
+};
+
+// Order-independent (Shapley) attribution of the change to the selected factors
+export const runAttribution = async (data) => {
+  const response = await api.post('/analysis/attribution', data);
+  return response.data;
+};
+
 // Compare analysis results
 export const compareAnalyses = async (data) => {
   const response = await api.post('/analysis/compare', data);
   return response.data;
 };
 
+// Bridge (waterfall) of a stored analysis, or of one of its segments
+export const getBridge = async (data) => {
+  const response = await api.post('/analysis/bridge', data);
+  return response.data;
+};
+
 // Get analysis session details
 export const getSessionDetails = async (sessionId) => {
   const response = await api.get(`/analysis/session/${sessionId}`);
@@ -106,6 +165,12 @@ export const exportAnalysis = async (data) => {
   return response.data;
 };
 
+// Export a bridge (waterfall)
+export const exportBridge = async (data) => {
+  const response = await api.post('/export/bridge', data);
+  return response.data;
+};
+
 // Generate comprehensive report
 export const generateReport = async (data) => {
   const response = await api.post('/export/report', data);
@@ -192,6 +192,23 @@ export const snakeToTitle = (str) => {
     .join(' ');
 };
 
+/**
+ * Heading for a tree node, e.g. "Channel: Online", "Dealer: Other (12)" for grouped categories,
+ * or for a numeric range split "Tenure ∈ (24, 36]"
+ * @param {Object} node - Tree node with factor, value and, for range splits, range
+ * @returns {string}
+ */
+export const formatNodeLabel = (node) => {
+  const factor = snakeToTitle(node.factor);
+  if (node.members) return `${factor}: ${node.value} (${node.members.length})`;
+  if (!node.range || node.range.missing) return `${factor}: ${node.value}`;
+
+  const { min, max } = node.range;
+  if (min === null) return `${factor} ≤ ${max}`;
+  if (max === null) return `${factor} > ${min}`;
+  return `${factor} ∈ ${node.value}`;
+};
+
 /**
  * Validate email format
  * @param {string} email 